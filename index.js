@@ -15,6 +15,7 @@ const { logger }   = require("./src/logger/logger");
 const requestId    = require("./src/middlewares/requestId");
 const bus          = require("./src/events/bus");
 const { initSocket } = require("./src/sockets/socket");
+const elegibilidadCache = require("./src/services/cache.service");
 
 // Routers (API)
 const auth         = require("./src/routes/auth.routes");
@@ -23,6 +24,14 @@ const seleccion    = require("./src/routes/seleccion.routes");
 const usuario      = require("./src/routes/usuario.route");
 const materia      = require("./src/routes/materias.route");
 const historial    = require("./src/routes/historial.route");
+const plan         = require("./src/routes/plan.route");
+const periodo      = require("./src/routes/periodo.route");
+const equivalencia = require("./src/routes/equivalencia.route");
+const revalidacion = require("./src/routes/revalidacion.route");
+const salon        = require("./src/routes/salon.route");
+const docente      = require("./src/routes/docente.route");
+const feriado      = require("./src/routes/feriado.route");
+const inscripcion  = require("./src/routes/inscripcion.route");
 
 // Routers (UI - EJS)
 const uiRoutes     = require("./src/routes/ui.routes");
@@ -50,7 +59,8 @@ app.use(cors({
   origin: origins,
   credentials: true,
   methods: ["GET","POST","PUT","DELETE","OPTIONS"],
-  allowedHeaders: ["Content-Type","Authorization"]
+  allowedHeaders: ["Content-Type","Authorization"],
+  exposedHeaders: ["X-Cache"]
 }));
 
 // ------------------------------
@@ -68,7 +78,8 @@ app.use("/", uiRoutes);   // "/", "/login", "/register", "/logout", "/admin", ..
 // ------------------------------
 //  Rutas API (con prefijos estables)
 //   - Estos prefijos evitan choques con la UI y son los que usa el front:
-//     /auth/*, /elegibilidad, /seleccion, /api/usuarios, /api/materias, /api/historial
+//     /auth/*, /elegibilidad, /seleccion, /api/usuarios, /api/materias, /api/historial, /api/planes, /api/periodos,
+//     /api/equivalencias, /api/revalidaciones, /api/salones, /api/docentes, /api/feriados, /api/inscripciones
 // ------------------------------
 app.use("/auth",          auth);
 app.use("/elegibilidad",  elegibilidad);
@@ -76,10 +87,19 @@ app.use("/seleccion",     seleccion);
 app.use("/api/usuarios",  usuario);
 app.use("/api/materias",  materia);
 app.use("/api/historial", historial);
+app.use("/api/planes",    plan);
+app.use("/api/periodos",  periodo);
+app.use("/api/equivalencias",   equivalencia);
+app.use("/api/revalidaciones",  revalidacion);
+app.use("/api/salones",   salon);
+app.use("/api/docentes",  docente);
+app.use("/api/feriados",  feriado);
+app.use("/api/inscripciones",   inscripcion);
 
 // ------------------------------
 //  Eventos de dominio (logs)
 // ------------------------------
+elegibilidadCache.escucharEventos(bus); // invalida la caché de GET /elegibilidad
 bus.on("materia:creada", (payload) => {
   logger.info("materia:creada", { reqId: payload.reqId, materiaId: payload.materiaId, userId: payload.userId });
 });
@@ -124,7 +124,7 @@ exports.auth_login = async (req, res, next) => {
       return res.status(400).json({ error: "email y password son requeridos", reqId: req.id });
     }
 
-    const user = await Usuario.findOne({ email });
+    const user = await Usuario.findOne({ email }).activos();
     // validarPassword usa bcrypt.compare
     if (!user || !(await user.validarPassword(password))) {
       logger.warn("Login inválido", { reqId: req.id, email });
@@ -174,7 +174,7 @@ exports.auth_refresh = async (req, res, next) => {
     found.revocadoEn = new Date();
     await found.save();
 
-    const user = await Usuario.findById(payload.sub);
+    const user = await Usuario.findById(payload.sub).activos();
     if (!user) return res.status(401).json({ error: "Usuario no existe", reqId: req.id });
 
     const { token: newAccess, exp: accessExp } = signAccessToken(user);
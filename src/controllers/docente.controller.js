@@ -0,0 +1,62 @@
+/**
+ * Controlador de Docentes
+ * - Listado de usuarios DOCENTE y su agenda semanal por período:
+ *   * La asignación se hace en horarios/grupos de materias (docente: ObjectId)
+ *   * La agenda la ve el propio docente o un ADMIN
+ *   * Logs (winston) con reqId para correlación
+ */
+const { Types } = require("mongoose");
+const Usuario = require("../models/usuario.model");
+const { logger } = require("../logger/logger");
+const { resolverPeriodo, toPeriodoRef } = require("../services/periodo.service");
+const { agendaDocente } = require("../services/docente.service");
+
+// Referencia pública mínima del docente
+const toPublicDocente = (u) => ({ _id: u._id, email: u.email, nombre: u.nombre ?? null });
+
+/**
+ * GET /api/docentes
+ * Lista usuarios con rol DOCENTE (activos).
+ */
+exports.docente_list = async (req, res, next) => {
+  try {
+    const docentes = await Usuario.find({ rol: "DOCENTE" }).activos().select("email nombre").sort({ nombre: 1 }).lean();
+    logger.info("Listado de docentes", { reqId: req.id, count: docentes.length });
+    res.json(docentes.map(toPublicDocente));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/docentes/:id/agenda
+ * Agenda semanal del docente en el período (horarios comunes y de grupos asignados).
+ * query: ?periodo=2026-2 (default: período actual)
+ * Respuesta: { docente, periodo, dias:{ LUN:[...], ... }, horasSemanales, conflictos, materias:[{ codigo, grupo, horas }] }
+ */
+exports.docente_agenda = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido", reqId: req.id });
+    }
+    if (req.user.rol !== "ADMIN" && String(req.user._id) !== String(id)) {
+      return res.status(403).json({ error: "No autorizado", reqId: req.id });
+    }
+
+    const { periodo, noEncontrado } = await resolverPeriodo(req.query.periodo);
+    if (noEncontrado) return res.status(404).json({ error: "Periodo no encontrado", reqId: req.id });
+
+    const docente = await Usuario.findOne({ _id: id, rol: "DOCENTE" }).activos().select("email nombre").lean();
+    if (!docente) return res.status(404).json({ error: "Docente no encontrado", reqId: req.id });
+
+    const agenda = await agendaDocente({ docenteId: id, periodo });
+    logger.info("Agenda de docente consultada", {
+      reqId: req.id, docenteId: id, periodo: periodo?.codigo, horasSemanales: agenda.horasSemanales,
+    });
+
+    res.json({ docente: toPublicDocente(docente), periodo: toPeriodoRef(periodo), ...agenda });
+  } catch (err) {
+    next(err);
+  }
+};
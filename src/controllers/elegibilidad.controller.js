@@ -3,11 +3,38 @@
  * ==========================
  */
 
-const { calcularElegibilidad } = require("../services/elegibilidad.service");
-const { calcularCreditos } = require("../services/creditos.service");
+const { Types } = require("mongoose");
+const { calcularElegibilidad, simularElegibilidad } = require("../services/elegibilidad.service");
+const { calcularRuta } = require("../services/ruta.service");
+const { obtenerElegibilidad } = require("../services/cache.service");
+const { ESTADOS, esEstado } = require("../utils/historial.util");
 const { logger } = require("../logger/logger");
 const bus = require("../events/bus");
 
+/**
+ * Elegibilidad + créditos del usuario (cacheada por usuario y semestre).
+ * Compartida por GET /elegibilidad y la base "real" de POST /elegibilidad/simular.
+ * Devuelve { valor, hit } (ver cache.obtenerElegibilidad).
+ */
+function elegibilidadBase(usuarioId, semestre) {
+  return obtenerElegibilidad({ usuarioId, semestre }, async () => {
+    const elig = await calcularElegibilidad({ usuarioId, semestre });
+    return {
+      ...elig,
+      resumen: {
+        ...elig.resumen,
+        creditosRequeridos: elig.resumen.plan?.creditosRequeridos ?? null
+      }
+    };
+  });
+}
+
+/**
+ * GET /elegibilidad
+ * Elegibilidad + créditos del usuario autenticado.
+ * query: ?semestre=N (opcional)
+ * Cacheada por usuario (ver cache.service); header X-Cache: HIT | MISS.
+ */
 exports.getElegibilidad = async (req, res, next) => {
   try {
     // Validación mínima: necesitamos un usuario (viene de requireAuth o devFakeAuth)
@@ -17,19 +44,9 @@ exports.getElegibilidad = async (req, res, next) => {
 
     const { semestre } = req.query; // opcional
 
-    const [elig, creds] = await Promise.all([
-      calcularElegibilidad({ usuarioId: req.user._id, semestre: semestre != null ? Number(semestre) : undefined }),
-      calcularCreditos({ usuarioId: req.user._id }) // por defecto, APROBADO
-    ]);
+    const filtroSemestre = semestre != null ? Number(semestre) : undefined;
 
-    // Anexamos créditos al resumen:
-    const result = {
-      ...elig,
-      resumen: {
-        ...elig.resumen,
-        creditosAprobados: creds.totalCreditos
-      }
-    };
+    const { valor: result, hit } = await elegibilidadBase(req.user._id, filtroSemestre);
 
     // Log + evento de dominio
     logger.info("Elegibilidad consultada", {
@@ -38,6 +55,7 @@ exports.getElegibilidad = async (req, res, next) => {
       filtros: { semestre: semestre ?? null },
       elegibles: result.resumen.elegibles,
       total: result.resumen.totalMaterias,
+      cache: hit ? "HIT" : "MISS",
     });
     bus.emit("elegibilidad:consultada", {
       reqId: req.id,
@@ -45,6 +63,95 @@ exports.getElegibilidad = async (req, res, next) => {
       filtros: { semestre: semestre ?? null },
     });
 
+    res.set("X-Cache", hit ? "HIT" : "MISS");
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /elegibilidad/ruta/:materiaId
+ * "¿Cómo habilito esta materia?": materias (y nivel CURSO/EXAMEN) que faltan,
+ * en orden y agrupadas en los semestres más tempranos posibles (ver ruta.service).
+ */
+exports.getRuta = async (req, res, next) => {
+  try {
+    if (!req.user?._id) {
+      return res.status(401).json({ error: "No autenticado", reqId: req.id });
+    }
+    const { materiaId } = req.params;
+    if (!Types.ObjectId.isValid(materiaId)) {
+      return res.status(400).json({ error: "materiaId inválido", reqId: req.id });
+    }
+
+    const result = await calcularRuta({ usuarioId: req.user._id, materiaId });
+    if (result.noEncontrada) return res.status(404).json({ error: "Materia no encontrada", reqId: req.id });
+
+    logger.info("Ruta a materia consultada", {
+      reqId: req.id,
+      userId: req.user._id,
+      materiaId,
+      pendientes: result.resumen.materiasPendientes,
+      semestres: result.resumen.semestres,
+    });
+    bus.emit("elegibilidad:ruta_consultada", { reqId: req.id, userId: req.user._id, materiaId });
+
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /elegibilidad/simular
+ * "¿Qué se me habilita si apruebo X?": recalcula elegibilidad y créditos con
+ * cambios hipotéticos de historial (sin persistir) y devuelve la diferencia
+ * contra el estado real (ver elegibilidad.simularElegibilidad).
+ * body: { historial:[{ materia:ObjectId, estado }], semestre? }
+ * Si una materia viene repetida, gana la última.
+ */
+exports.simularElegibilidad = async (req, res, next) => {
+  try {
+    if (!req.user?._id) {
+      return res.status(401).json({ error: "No autenticado", reqId: req.id });
+    }
+
+    const { historial, semestre } = req.body;
+    const semestreValido = ["number", "string"].includes(typeof semestre)
+      && Number.isInteger(Number(semestre)) && Number(semestre) >= 1;
+    if (semestre != null && !semestreValido) {
+      return res.status(400).json({ error: "semestre debe ser un entero >= 1", reqId: req.id });
+    }
+    if (!Array.isArray(historial) || historial.length === 0) {
+      return res.status(400).json({ error: "historial requerido (array no vacío de { materia, estado })", reqId: req.id });
+    }
+    for (const h of historial) {
+      if (!h || !Types.ObjectId.isValid(h.materia) || !esEstado(h.estado)) {
+        return res.status(400).json({ error: `Cambio inválido (materia|estado: ${ESTADOS.join(", ")})`, reqId: req.id, detalle: h });
+      }
+    }
+
+    const simulacion = new Map(historial.map(h => [String(h.materia), h.estado]));
+    const filtroSemestre = semestre != null ? Number(semestre) : undefined;
+    // La base real es la misma que GET /elegibilidad (cacheada): solo se recalcula lo simulado
+    const { valor: real } = await elegibilidadBase(req.user._id, filtroSemestre);
+    const result = await simularElegibilidad({
+      usuarioId: req.user._id,
+      semestre: filtroSemestre,
+      simulacion,
+      real,
+    });
+
+    logger.info("Elegibilidad simulada", {
+      reqId: req.id,
+      userId: req.user._id,
+      cambios: simulacion.size,
+      habilitadas: result.resumen.habilitadas,
+      deshabilitadas: result.resumen.deshabilitadas,
+    });
+    bus.emit("elegibilidad:simulada", { reqId: req.id, userId: req.user._id, cambios: simulacion.size });
+
     res.json(result);
   } catch (err) {
     next(err);
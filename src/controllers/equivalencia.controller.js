@@ -0,0 +1,129 @@
+/**
+ * Controlador de Equivalencias
+ * - Alta/listado/baja de equivalencias origen => destino (TOTAL | PARCIAL):
+ *   * Validación de ObjectId, tipo y existencia de ambas materias
+ *   * Manejo de E11000 (par origen+destino duplicado)
+ *   * Logs (winston) con reqId para correlación
+ *   * Eventos de dominio (bus.emit) para auditoría/tiempo real
+ */
+const { Types } = require("mongoose");
+const Equivalencia = require("../models/equivalencia.model");
+const Materia = require("../models/materia.model");
+const { logger } = require("../logger/logger");
+const bus = require("../events/bus");
+
+// Populate consistente de origen/destino
+const populateMaterias = (q) =>
+  q.populate("origen", "codigo nombre creditos").populate("destino", "codigo nombre creditos");
+
+// Referencia mínima de materia (respeta populate si existe)
+const toMateriaRef = (m) => (m && m._id ? { _id: m._id, codigo: m.codigo, nombre: m.nombre, creditos: m.creditos } : m);
+
+// Serializador público
+function toPublicEquivalencia(e) {
+  return {
+    _id: e._id,
+    origen: toMateriaRef(e.origen),
+    destino: toMateriaRef(e.destino),
+    tipo: e.tipo,
+    creditos: e.tipo === "PARCIAL" ? e.creditos : null,
+    observaciones: e.observaciones ?? null,
+    createdAt: e.createdAt,
+    updatedAt: e.updatedAt,
+  };
+}
+
+/**
+ * POST /api/equivalencias
+ * Crea una equivalencia.
+ * body: { origen:ObjectId, destino:ObjectId, tipo?:'TOTAL'|'PARCIAL', creditos?:Number, observaciones? }
+ * PARCIAL requiere creditos (créditos reconocidos si el origen está APROBADO).
+ */
+exports.equivalencia_create = async (req, res, next) => {
+  try {
+    const { origen, destino, tipo = "TOTAL", creditos, observaciones } = req.body;
+
+    if (!Types.ObjectId.isValid(origen) || !Types.ObjectId.isValid(destino)) {
+      return res.status(400).json({ error: "origen y destino deben ser ObjectId válidos", reqId: req.id });
+    }
+    if (String(origen) === String(destino)) {
+      return res.status(400).json({ error: "origen y destino deben ser materias distintas", reqId: req.id });
+    }
+    if (!["TOTAL", "PARCIAL"].includes(tipo)) {
+      return res.status(400).json({ error: "tipo debe ser TOTAL o PARCIAL", reqId: req.id });
+    }
+    if (tipo === "PARCIAL" && !(Number(creditos) > 0)) {
+      return res.status(400).json({ error: "Una equivalencia PARCIAL requiere creditos > 0", reqId: req.id });
+    }
+
+    const existentes = await Materia.countDocuments({ _id: { $in: [origen, destino] }, eliminadoEn: null });
+    if (existentes !== 2) {
+      return res.status(404).json({ error: "Materia no encontrada", reqId: req.id });
+    }
+
+    const doc = await Equivalencia.create({
+      origen, destino, tipo,
+      creditos: tipo === "PARCIAL" ? Number(creditos) : 0,
+      observaciones,
+    });
+    await doc.populate([{ path: "origen", select: "codigo nombre creditos" }, { path: "destino", select: "codigo nombre creditos" }]);
+
+    bus.emit("equivalencia:creada", { reqId: req.id, equivalenciaId: doc._id.toString(), origen: String(origen), destino: String(destino), tipo });
+    logger.info("Equivalencia creada", { reqId: req.id, equivalenciaId: doc._id.toString(), tipo });
+
+    res.status(201).json(toPublicEquivalencia(doc));
+  } catch (err) {
+    if (err?.code === 11000) {
+      logger.warn("Equivalencia duplicada (origen+destino)", { reqId: req.id, origen: req.body?.origen, destino: req.body?.destino });
+      return res.status(409).json({ error: "Ya existe una equivalencia entre esas materias", reqId: req.id });
+    }
+    next(err);
+  }
+};
+
+/**
+ * GET /api/equivalencias
+ * Lista equivalencias.
+ * query: ?materia=<id> (como origen o destino)
+ */
+exports.equivalencia_list = async (req, res, next) => {
+  try {
+    const { materia } = req.query;
+    const q = {};
+    if (materia != null) {
+      if (!Types.ObjectId.isValid(materia)) {
+        return res.status(400).json({ error: "materia inválida", reqId: req.id });
+      }
+      q.$or = [{ origen: materia }, { destino: materia }];
+    }
+
+    const docs = await populateMaterias(Equivalencia.find(q)).sort({ createdAt: -1 }).lean();
+    logger.info("Listado de equivalencias", { reqId: req.id, count: docs.length });
+    res.json(docs.map(toPublicEquivalencia));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * DELETE /api/equivalencias/:id
+ * Elimina una equivalencia (no toca el Historial del alumno).
+ */
+exports.equivalencia_delete = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido", reqId: req.id });
+    }
+
+    const doc = await Equivalencia.findByIdAndDelete(id);
+    if (!doc) return res.status(404).json({ error: "Equivalencia no encontrada", reqId: req.id });
+
+    bus.emit("equivalencia:eliminada", { reqId: req.id, equivalenciaId: id });
+    logger.info("Equivalencia eliminada", { reqId: req.id, equivalenciaId: id });
+
+    res.json({ ok: true, eliminado: toPublicEquivalencia(doc) });
+  } catch (err) {
+    next(err);
+  }
+};
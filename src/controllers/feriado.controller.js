@@ -0,0 +1,101 @@
+/**
+ * Controlador de Feriados
+ * - Alta/listado/baja del calendario de feriados (días sin clases):
+ *   * Validación de fecha (YYYY-MM-DD) y nombre
+ *   * Manejo de E11000 (fecha duplicada)
+ *   * Logs (winston) con reqId para correlación
+ *   * Eventos de dominio (bus.emit) para auditoría/tiempo real
+ */
+const { Types } = require("mongoose");
+const Feriado = require("../models/feriado.model");
+const { aDia } = require("../services/feriado.service");
+const { toFecha, toISODate } = require("../utils/horario.util");
+const { logger } = require("../logger/logger");
+const bus = require("../events/bus");
+
+// Serializador público
+function toPublicFeriado(f) {
+  return {
+    _id: f._id,
+    fecha: toISODate(f.fecha),
+    nombre: f.nombre,
+    createdAt: f.createdAt,
+    updatedAt: f.updatedAt,
+  };
+}
+
+/**
+ * POST /api/feriados
+ * Crea un feriado.
+ * body: { fecha:'YYYY-MM-DD', nombre }
+ */
+exports.feriado_create = async (req, res, next) => {
+  try {
+    const { fecha, nombre } = req.body;
+
+    if (!toFecha(fecha) || typeof nombre !== "string" || !nombre.trim()) {
+      return res.status(400).json({ error: "fecha (YYYY-MM-DD) y nombre son requeridos", reqId: req.id });
+    }
+
+    const doc = await Feriado.create({ fecha: aDia(fecha), nombre: nombre.trim() });
+
+    bus.emit("feriado:creado", { reqId: req.id, feriadoId: doc._id.toString(), fecha: toISODate(doc.fecha) });
+    logger.info("Feriado creado", { reqId: req.id, feriadoId: doc._id.toString(), fecha: toISODate(doc.fecha) });
+
+    res.status(201).json(toPublicFeriado(doc));
+  } catch (err) {
+    if (err?.code === 11000) {
+      logger.warn("Feriado duplicado (fecha)", { reqId: req.id, fecha: req.body?.fecha });
+      return res.status(409).json({ error: "Ya existe un feriado en esa fecha", reqId: req.id });
+    }
+    next(err);
+  }
+};
+
+/**
+ * GET /api/feriados
+ * Lista feriados ordenados por fecha.
+ * query: ?desde=YYYY-MM-DD&hasta=YYYY-MM-DD (inclusive)
+ */
+exports.feriado_list = async (req, res, next) => {
+  try {
+    const { desde, hasta } = req.query;
+    if ((desde != null && !toFecha(desde)) || (hasta != null && !toFecha(hasta))) {
+      return res.status(400).json({ error: "desde/hasta deben ser fechas (YYYY-MM-DD)", reqId: req.id });
+    }
+
+    const q = {};
+    if (desde || hasta) q.fecha = {};
+    if (desde) q.fecha.$gte = aDia(desde);
+    if (hasta) q.fecha.$lte = aDia(hasta);
+
+    const docs = await Feriado.find(q).sort({ fecha: 1 }).lean();
+    logger.info("Listado de feriados", { reqId: req.id, count: docs.length });
+    res.json(docs.map(toPublicFeriado));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * DELETE /api/feriados/:id
+ * Elimina un feriado.
+ */
+exports.feriado_delete = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido", reqId: req.id });
+    }
+
+    const doc = await Feriado.findByIdAndDelete(id);
+    if (!doc) return res.status(404).json({ error: "Feriado no encontrado", reqId: req.id });
+
+    bus.emit("feriado:eliminado", { reqId: req.id, feriadoId: id, fecha: toISODate(doc.fecha) });
+    logger.info("Feriado eliminado", { reqId: req.id, feriadoId: id });
+
+    res.json({ ok: true, eliminado: toPublicFeriado(doc) });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -2,6 +2,7 @@
  * Controlador de Historial Académico
  * - CRUD básico y upsert con buenas prácticas:
  *   * Validación de ObjectId (usuario/materia) y campos requeridos
+ *   * Máquina de estados (utils/historial.util): transiciones y campos por estado => 422
  *   * Manejo de E11000 (duplicado por índice único {usuario,materia})
  *   * Logs (winston) con reqId para correlación
  *   * Eventos de dominio (bus.emit) para auditoría/tiempo real
@@ -12,6 +13,7 @@ const Historial = require("../models/historial.model");
 const { logger } = require("../logger/logger");
 const bus = require("../events/bus");
 const { calcularCreditos } = require("../services/creditos.service");
+const { validarTransicion } = require("../utils/historial.util");
 
 // Helper: serializa un historial con campos públicos (y respeta populate si existe)
 function toPublicHistorial(h) {
@@ -35,10 +37,20 @@ function toPublicHistorial(h) {
   };
 }
 
+// Helper: responde 422 con las violaciones de la máquina de estados
+function rechazarViolaciones(req, res, violaciones, detalle) {
+  logger.warn("Historial rechazado por reglas de estado", { reqId: req.id, violaciones, ...detalle });
+  return res.status(422).json({ error: "El historial no cumple las reglas de estado", violaciones, reqId: req.id });
+}
+
 /**
  * POST /api/historial
  * Crea un registro de historial para un (usuario, materia).
- * body: { usuario:ObjectId, materia:ObjectId, estado:'PENDIENTE|EN_CURSO|CURSADO|APROBADO', notaExamen?, fecha? }
+ * body: { usuario:ObjectId, materia:ObjectId, estado:'PENDIENTE|EN_CURSO|CURSADO|A_EXAMEN|APROBADO', notaExamen?, fecha? }
+ * Es el alta del registro: sigue la máquina de estados desde PENDIENTE (sin registro),
+ * así que solo se puede arrancar en PENDIENTE o EN_CURSO, con sus campos requeridos.
+ * Lo cursado/aprobado en otra institución entra por reválida (revalidacion.controller).
+ * 422 con { violaciones:[{ campo, mensaje }] } si no cumple.
  */
 exports.historial_create = async (req, res, next) => {
   try {
@@ -51,6 +63,9 @@ exports.historial_create = async (req, res, next) => {
     if (!Types.ObjectId.isValid(usuario) || !Types.ObjectId.isValid(materia)) {
       return res.status(400).json({ error: "usuario o materia no es un ObjectId válido", reqId: req.id });
     }
+    // Sin registro previo = PENDIENTE (valida estado, transición y campos)
+    const violaciones = validarTransicion(null, { estado, notaExamen, fecha });
+    if (violaciones.length) return rechazarViolaciones(req, res, violaciones, { usuario, materia });
 
     const historial = await Historial.create({ usuario, materia, estado, notaExamen, fecha });
 
@@ -137,7 +152,11 @@ exports.historial_by_usuario = async (req, res, next) => {
  * POST /api/historial/upsert
  * Crea o actualiza (upsert) el historial del usuario autenticado para una materia.
  * Requiere req.user._id (middleware de auth).
- * body: { materia:ObjectId, estado:'PENDIENTE|EN_CURSO|CURSADO|APROBADO', notaExamen?, fecha? }
+ * body: { materia:ObjectId, estado:'PENDIENTE|EN_CURSO|CURSADO|A_EXAMEN|APROBADO', notaExamen?, fecha? }
+ * Aplica la máquina de estados (utils/historial.util) desde el estado guardado
+ * (PENDIENTE si no hay registro); notaExamen/fecha no enviados conservan lo guardado.
+ * 422 con { violaciones:[{ campo, mensaje }] } si la transición o los campos no son válidos.
+ * 409 si el registro cambió en paralelo.
  */
 exports.historial_upsert = async (req, res, next) => {
   try {
@@ -153,11 +172,28 @@ exports.historial_upsert = async (req, res, next) => {
       return res.status(400).json({ error: "materia no es un ObjectId válido", reqId: req.id });
     }
 
-    const doc = await Historial.findOneAndUpdate(
-      { usuario: req.user._id, materia },
-      { estado, notaExamen, fecha },
-      { upsert: true, new: true, setDefaultsOnInsert: true }
-    );
+    const actual = await Historial.findOne({ usuario: req.user._id, materia }).lean();
+    const nuevo = {
+      estado,
+      notaExamen: notaExamen !== undefined ? notaExamen : actual?.notaExamen,
+      fecha: fecha !== undefined ? fecha : actual?.fecha,
+    };
+    const violaciones = validarTransicion(actual?.estado, nuevo);
+    if (violaciones.length) {
+      return rechazarViolaciones(req, res, violaciones, { usuarioId: req.user._id.toString(), materiaId: materia, desde: actual?.estado ?? null });
+    }
+
+    // Guardamos solo si el estado no cambió desde que lo leímos (evita saltear la validación)
+    const doc = actual
+      ? await Historial.findOneAndUpdate(
+          { _id: actual._id, estado: actual.estado },
+          { estado, notaExamen: nuevo.notaExamen, fecha: nuevo.fecha },
+          { new: true, runValidators: true }
+        )
+      : await Historial.create({ usuario: req.user._id, materia, ...nuevo });
+    if (!doc) {
+      return res.status(409).json({ error: "El historial cambió mientras se actualizaba; reintentá", reqId: req.id });
+    }
 
     bus.emit("historial:actualizado", {
       reqId: req.id,
@@ -174,6 +210,9 @@ exports.historial_upsert = async (req, res, next) => {
 
     res.json(toPublicHistorial(doc));
   } catch (err) {
+    if (err?.code === 11000) {
+      return res.status(409).json({ error: "El historial cambió mientras se actualizaba; reintentá", reqId: req.id });
+    }
     next(err);
   }
 };
@@ -0,0 +1,325 @@
+/**
+ * Controlador de Inscripciones
+ * - Flujo: el alumno guarda su selección del período como borrador, la envía
+ *   (se re-verifica con verificarSeleccion y se reserva lugar en cada materia, o
+ *   lista de espera si no hay cupo) y un ADMIN la confirma (pasa sus materias a
+ *   EN_CURSO en el Historial) o la rechaza (con motivo, libera los lugares).
+ *   * Dar de baja una materia libera su lugar y promueve al primero que espera
+ *   * Solo el dueño o un ADMIN pueden ver una inscripción
+ *   * Logs (winston) con reqId para correlación
+ *   * Eventos de dominio (bus.emit) para auditoría/tiempo real
+ */
+const { Types } = require("mongoose");
+const Inscripcion = require("../models/inscripcion.model");
+const { logger } = require("../logger/logger");
+const bus = require("../events/bus");
+const { emitirCambiosDeCupo } = require("../events/cupo.events");
+const { resolverPeriodo } = require("../services/periodo.service");
+const {
+  guardarBorrador, enviarInscripcion, confirmarInscripcion, rechazarInscripcion, darDeBaja,
+} = require("../services/inscripcion.service");
+
+const ESTADOS = ["BORRADOR", "ENVIADA", "CONFIRMADA", "RECHAZADA"];
+
+// --- Helpers ---
+
+// Sirve tanto para queries como para documentos (populate con array)
+const populateInscripcion = (q) => q.populate([
+  { path: "items.materia", select: "codigo nombre creditos" },
+  { path: "periodo", select: "codigo nombre inicio fin" },
+]);
+
+const esAdmin = (req) => req.user?.rol === "ADMIN";
+
+// Serializador público
+function toPublicInscripcion(i) {
+  const p = i.periodo;
+  return {
+    _id: i._id,
+    usuario: i.usuario,
+    periodo: p && p.codigo ? { _id: p._id, codigo: p.codigo, nombre: p.nombre ?? null, inicio: p.inicio, fin: p.fin } : (p ?? null),
+    estado: i.estado,
+    items: (i.items || []).map((it) => {
+      const mm = it.materia;
+      return {
+        materia: mm && mm._id ? mm._id : mm,
+        materiaCodigo: mm && mm.codigo ? mm.codigo : undefined,
+        materiaNombre: mm && mm.nombre ? mm.nombre : undefined,
+        creditos: mm && mm.creditos != null ? mm.creditos : undefined,
+        grupo: it.grupo ?? null,
+        lugar: it.lugar ?? null,
+      };
+    }),
+    verificacion: i.verificacion?.en ? i.verificacion : null,
+    enviadaEn: i.enviadaEn ?? null,
+    resolucion: i.resolucion?.en ? i.resolucion : null,
+    createdAt: i.createdAt,
+    updatedAt: i.updatedAt,
+  };
+}
+
+/**
+ * Carga la inscripción :id verificando acceso (dueño o ADMIN).
+ * Responde 400/404/403 y devuelve false si no corresponde.
+ */
+async function cargarConAcceso(req, res) {
+  const { id } = req.params;
+  if (!Types.ObjectId.isValid(id)) {
+    res.status(400).json({ error: "ID inválido", reqId: req.id });
+    return false;
+  }
+  const doc = await Inscripcion.findById(id);
+  if (!doc) {
+    res.status(404).json({ error: "Inscripción no encontrada", reqId: req.id });
+    return false;
+  }
+  if (!esAdmin(req) && String(doc.usuario) !== String(req.user._id)) {
+    res.status(403).json({ error: "No autorizado", reqId: req.id });
+    return false;
+  }
+  return doc;
+}
+
+/**
+ * POST /api/inscripciones
+ * Crea o reemplaza el borrador del usuario autenticado para el período.
+ * body: { materias: [ "<ObjectId>" | { materia, grupo? } ], periodo?: "2026-2" }
+ *  - periodo: codigo u ObjectId; por defecto el período actual
+ *  - una inscripción RECHAZADA vuelve a BORRADOR; una ENVIADA/CONFIRMADA no se toca (409)
+ */
+exports.inscripcion_guardar = async (req, res, next) => {
+  try {
+    const { periodo, noEncontrado } = await resolverPeriodo(req.body.periodo ?? req.query.periodo);
+    if (noEncontrado) {
+      return res.status(404).json({ error: "Periodo no encontrado", reqId: req.id });
+    }
+
+    const result = await guardarBorrador({ usuarioId: req.user._id, periodo, materias: req.body.materias });
+    if (result.error) return res.status(400).json({ error: result.error, reqId: req.id });
+    if (result.yaEnviada) {
+      return res.status(409).json({
+        error: "La inscripción del período ya fue enviada",
+        inscripcionId: result.doc?._id,
+        estado: result.doc?.estado,
+        reqId: req.id,
+      });
+    }
+
+    const { doc, creada } = result;
+    logger.info("Inscripción guardada", {
+      reqId: req.id, inscripcionId: doc._id.toString(), periodo: periodo?.codigo, items: doc.items.length, creada,
+    });
+
+    await populateInscripcion(doc);
+    res.status(creada ? 201 : 200).json(toPublicInscripcion(doc));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/inscripciones
+ * ADMIN: todas (filtros ?estado=ENVIADA&usuario=<id>&periodo=2026-2); resto: solo las propias.
+ */
+exports.inscripcion_list = async (req, res, next) => {
+  try {
+    const { estado, usuario } = req.query;
+    const q = {};
+    if (estado != null) {
+      if (!ESTADOS.includes(String(estado).toUpperCase())) {
+        return res.status(400).json({ error: `estado debe ser uno de: ${ESTADOS.join(", ")}`, reqId: req.id });
+      }
+      q.estado = String(estado).toUpperCase();
+    }
+    if (req.query.periodo != null) {
+      const { periodo, noEncontrado } = await resolverPeriodo(req.query.periodo);
+      if (noEncontrado) return res.status(404).json({ error: "Periodo no encontrado", reqId: req.id });
+      q.periodo = periodo?._id ?? null;
+    }
+    if (!esAdmin(req)) {
+      q.usuario = req.user._id;
+    } else if (usuario != null) {
+      if (!Types.ObjectId.isValid(usuario)) {
+        return res.status(400).json({ error: "usuario inválido", reqId: req.id });
+      }
+      q.usuario = usuario;
+    }
+
+    const docs = await populateInscripcion(Inscripcion.find(q)).sort({ updatedAt: -1 }).lean();
+    logger.info("Listado de inscripciones", { reqId: req.id, count: docs.length });
+    res.json(docs.map(toPublicInscripcion));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/inscripciones/:id
+ * Detalle de una inscripción (dueño o ADMIN).
+ */
+exports.inscripcion_by_id = async (req, res, next) => {
+  try {
+    const doc = await cargarConAcceso(req, res);
+    if (!doc) return;
+    await populateInscripcion(doc);
+    res.json(toPublicInscripcion(doc));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/inscripciones/:id/enviar
+ * Envía el borrador (solo el dueño). Si la verificación encuentra materias no
+ * elegibles, choques o topes de créditos/horas excedidos responde 422 con el detalle
+ * y la inscripción sigue en BORRADOR.
+ * Si pasa, reserva lugar en cada materia: reservas[] indica INSCRIPTO o ESPERA (+ posición).
+ */
+exports.inscripcion_enviar = async (req, res, next) => {
+  try {
+    const doc = await cargarConAcceso(req, res);
+    if (!doc) return;
+    if (String(doc.usuario) !== String(req.user._id)) {
+      return res.status(403).json({ error: "Solo el alumno puede enviar su inscripción", reqId: req.id });
+    }
+    if (doc.items.length === 0) {
+      return res.status(400).json({ error: "La inscripción no tiene materias", reqId: req.id });
+    }
+
+    const result = await enviarInscripcion({ inscripcion: doc });
+    if (result.yaEnviada) {
+      return res.status(409).json({ error: `Solo se puede enviar un borrador (estado actual: ${doc.estado})`, reqId: req.id });
+    }
+    if (result.modificada) {
+      return res.status(409).json({ error: "La inscripción cambió mientras se verificaba; reintentá", reqId: req.id });
+    }
+    if (result.invalida) {
+      logger.warn("Inscripción no enviada: no pasa la verificación", {
+        reqId: req.id, inscripcionId: doc._id.toString(), resumen: result.verificacion.resumen,
+      });
+      return res.status(422).json({
+        error: "La selección tiene materias no elegibles, choques de horario o excede los topes del semestre",
+        verificacion: result.verificacion,
+        reqId: req.id,
+      });
+    }
+
+    const inscripcionId = result.doc._id.toString();
+    emitirCambiosDeCupo(req.id, result);
+    bus.emit("inscripcion:enviada", { reqId: req.id, inscripcionId, usuarioId: String(doc.usuario) });
+    logger.info("Inscripción enviada", {
+      reqId: req.id, inscripcionId, items: result.doc.items.length,
+      enEspera: result.reservas.filter(r => r.lugar === "ESPERA").length,
+    });
+
+    await populateInscripcion(result.doc);
+    res.json({ ...toPublicInscripcion(result.doc), verificacion: result.verificacion, reservas: result.reservas });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/inscripciones/:id/confirmar
+ * Confirma la inscripción y pasa sus materias a EN_CURSO en el Historial (ADMIN).
+ */
+exports.inscripcion_confirmar = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido", reqId: req.id });
+    }
+
+    const result = await confirmarInscripcion({ inscripcionId: id, adminId: req.user._id });
+    if (result.noEncontrada) return res.status(404).json({ error: "Inscripción no encontrada", reqId: req.id });
+    if (result.yaResuelta) return res.status(409).json({ error: "La inscripción no está enviada o ya fue resuelta", reqId: req.id });
+
+    const { doc, historial, omitidas } = result;
+    const usuarioId = String(doc.usuario);
+
+    // Eventos después del commit
+    for (const h of historial) {
+      bus.emit("historial:actualizado", { reqId: req.id, usuarioId, materiaId: h.materia, estado: h.estado });
+    }
+    bus.emit("inscripcion:resuelta", { reqId: req.id, inscripcionId: id, usuarioId, estado: doc.estado });
+    logger.info("Inscripción confirmada", {
+      reqId: req.id, inscripcionId: id, historialActualizado: historial.length, omitidas: omitidas.length,
+    });
+
+    await populateInscripcion(doc);
+    res.json({ ...toPublicInscripcion(doc), historialActualizado: historial, omitidas });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/inscripciones/:id/rechazar
+ * Rechaza la inscripción (ADMIN) y libera sus lugares; el alumno puede corregirla y volver a enviarla.
+ * body: { motivo }
+ */
+exports.inscripcion_rechazar = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido", reqId: req.id });
+    }
+    const motivo = String(req.body?.motivo || "").trim();
+    if (!motivo) return res.status(400).json({ error: "motivo es requerido", reqId: req.id });
+
+    const result = await rechazarInscripcion({ inscripcionId: id, adminId: req.user._id, motivo });
+    if (result.noEncontrada) return res.status(404).json({ error: "Inscripción no encontrada", reqId: req.id });
+    if (result.yaResuelta) return res.status(409).json({ error: "La inscripción no está enviada o ya fue resuelta", reqId: req.id });
+
+    const { doc } = result;
+    emitirCambiosDeCupo(req.id, result);
+    bus.emit("inscripcion:resuelta", { reqId: req.id, inscripcionId: id, usuarioId: String(doc.usuario), estado: doc.estado });
+    logger.info("Inscripción rechazada", { reqId: req.id, inscripcionId: id, promovidos: result.promociones.length });
+
+    await populateInscripcion(doc);
+    res.json(toPublicInscripcion(doc));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/inscripciones/:id/baja
+ * Da de baja una materia de una inscripción ENVIADA o CONFIRMADA (dueño o ADMIN):
+ * libera su lugar (promueve al primero en espera) y, si estaba confirmada,
+ * la materia vuelve a PENDIENTE en el Historial.
+ * body: { materia }
+ */
+exports.inscripcion_baja = async (req, res, next) => {
+  try {
+    const doc = await cargarConAcceso(req, res);
+    if (!doc) return;
+    const { materia } = req.body || {};
+    if (!Types.ObjectId.isValid(materia)) {
+      return res.status(400).json({ error: "materia inválida", reqId: req.id });
+    }
+
+    const result = await darDeBaja({ inscripcion: doc, materiaId: materia });
+    if (result.estadoInvalido) {
+      return res.status(409).json({ error: `Solo se puede dar de baja en una inscripción enviada o confirmada (estado actual: ${doc.estado})`, reqId: req.id });
+    }
+    if (result.noIncluida) {
+      return res.status(404).json({ error: "La materia no está en la inscripción", reqId: req.id });
+    }
+
+    const inscripcionId = doc._id.toString();
+    const usuarioId = String(doc.usuario);
+    for (const h of result.historial) {
+      bus.emit("historial:actualizado", { reqId: req.id, usuarioId, materiaId: h.materia, estado: h.estado });
+    }
+    emitirCambiosDeCupo(req.id, result);
+    logger.info("Baja de materia en inscripción", {
+      reqId: req.id, inscripcionId, materiaId: materia, promovidos: result.promociones.length,
+    });
+
+    await populateInscripcion(result.doc);
+    res.json({ ...toPublicInscripcion(result.doc), historialActualizado: result.historial });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -6,34 +6,175 @@
  *   * Logs (winston) con reqId para correlación
  *   * Eventos de dominio (bus.emit) para auditoría/tiempo real
  *   * Populate selectivo al consultar (previas.materia)
+ *   * Rechazo de ciclos en el grafo de previas (409 con el ciclo encontrado)
+ *   * Requisitos compuestos opcionales (AND/OR, créditos, semestre completo)
+ *   * Correquisitos (materias que se cursan juntas, p.ej. laboratorio + teórico)
+ *   * Import/export masivo del catálogo (CSV/JSON, por codigo)
+ *   * Salones y docentes: rechazo de dobles reservas (409 con los choques)
+ *   * Horarios y grupos por período (?periodo=2026-2, default: período actual) vía Oferta
+ *   * Cupos por materia y por grupo, con ocupación en vivo (cupo:actualizado)
  */
 const { Types } = require("mongoose");
 const Materia = require("../models/materia.model");
 const { logger } = require("../logger/logger");
 const bus = require("../events/bus");
+const { emitirCambiosDeCupo } = require("../events/cupo.events");
+const { obtenerGrafo, validarPreviasSinCiclo } = require("../services/grafo.service");
+const { importarMaterias, exportarMaterias, csvToFilas, filasToCsv } = require("../services/catalogo.service");
+const { loadPlan, loadPlanDeUsuario, indexarPlan, materiaIdsDelPlan, toPlanRef } = require("../services/plan.service");
+const {
+  resolverPeriodo, ofertaPorMateria, ofertaDeMateria, guardarHorarios, guardarGrupos, guardarCupo, toPeriodoRef,
+} = require("../services/periodo.service");
+const { ocupacionPorMateria } = require("../services/cupo.service");
+const { sincronizarCupo } = require("../services/inscripcion.service");
+const { MODOS: MODOS_BORRADO, eliminarMateria } = require("../services/integridad.service");
+const { salonesInexistentes, conflictosDeSalon } = require("../services/salon.service");
+const { docentesInvalidos, conflictosDeDocente } = require("../services/docente.service");
+const { calcularElegibilidad } = require("../services/elegibilidad.service");
+const { coincideHorario, calcularFacetas, candidatosOrdenados, paginaEnMongo } = require("../services/busqueda.service");
+const { horarioValido, isDia, isHHMM, toISODate } = require("../utils/horario.util");
+const { validarRegla, normalizarRegla, extraerPrevias } = require("../utils/requisitos.util");
 
 // --- Helpers ---
 
-const DIAS = new Set(["LUN","MAR","MIE","JUE","VIE","SAB"]);
-const HHMM = /^([01]\d|2[0-3]):([0-5]\d)$/;
+// Populate consistente para previas.materia
+const populatePrevias = (q) =>
+  q.populate({ path: "previas.materia", select: "codigo nombre semestre" });
 
-function isHHMM(s) { return typeof s === "string" && HHMM.test(s); }
-function toMinutes(hhmm) {
-  const [h, m] = hhmm.split(":").map(Number);
-  return h * 60 + m;
+/**
+ * Valida un grupo { codigo, horarios?, docente?, cupo? }.
+ * parcial=true (PUT) no exige codigo. Devuelve un mensaje de error o null.
+ */
+function grupoInvalido(g, { parcial = false } = {}) {
+  if (!parcial && (typeof g.codigo !== "string" || !g.codigo.trim())) return "codigo de grupo requerido";
+  if (g.horarios != null) {
+    if (!Array.isArray(g.horarios)) return "horarios debe ser un array";
+    if (g.horarios.some(h => !horarioValido(h || {}))) return "Horario inválido (dia|HH:mm|rango|salon|docente|vigencia|recurrencia)";
+  }
+  if (g.docente != null && !Types.ObjectId.isValid(g.docente)) return "docente inválido (ObjectId)";
+  if (g.cupo != null && (!Number.isInteger(Number(g.cupo)) || Number(g.cupo) < 0)) return "cupo debe ser un entero >= 0";
+  return null;
 }
-function horarioValido({ dia, inicio, fin }) {
-  if (!DIAS.has(dia)) return false;
-  if (!isHHMM(inicio) || !isHHMM(fin)) return false;
-  return toMinutes(inicio) < toMinutes(fin);
+
+// Compara dos fechas opcionales por día (null == null)
+const mismaFecha = (a, b) => (a == null ? null : toISODate(a)) === (b == null ? null : toISODate(b));
+
+// Formatea un ciclo como "A → B → C → A" para el mensaje de error
+function cicloToString(ciclo) {
+  return ciclo.map(n => n.codigo || String(n._id)).join(" → ");
 }
 
-// Populate consistente para previas.materia
-const populatePrevias = (q) =>
-  q.populate({ path: "previas.materia", select: "codigo nombre semestre" });
+/**
+ * Si las previas propuestas cierran un ciclo, responde 409 y devuelve true.
+ * Se usa en todos los caminos que escriben previas.
+ */
+async function rechazarSiCiclo(req, res, materiaId, previas) {
+  const { ciclo } = await validarPreviasSinCiclo({ materiaId, previas });
+  if (!ciclo) return false;
+  logger.warn("Previas con ciclo rechazadas", { reqId: req.id, materiaId: String(materiaId), ciclo: cicloToString(ciclo) });
+  res.status(409).json({ error: `Las previas generan un ciclo: ${cicloToString(ciclo)}`, ciclo, reqId: req.id });
+  return true;
+}
+
+/**
+ * Valida body.corequisitos: array de ObjectId de materias activas, sin la propia materia.
+ * Devuelve la lista sin repetidos o, si es inválida, responde 400 y devuelve false.
+ */
+async function corequisitosDeRequest(req, res, materiaId = null) {
+  const { corequisitos } = req.body;
+  if (!Array.isArray(corequisitos) || corequisitos.some(c => !Types.ObjectId.isValid(c))) {
+    res.status(400).json({ error: "corequisitos debe ser un array de ObjectId", reqId: req.id });
+    return false;
+  }
+  const ids = [...new Set(corequisitos.map(String))];
+  if (materiaId && ids.includes(String(materiaId))) {
+    res.status(400).json({ error: "Una materia no puede ser correquisito de sí misma", reqId: req.id });
+    return false;
+  }
+  const existentes = await Materia.countDocuments({ _id: { $in: ids }, eliminadoEn: null });
+  if (existentes !== ids.length) {
+    res.status(400).json({ error: "Algún correquisito no existe en el catálogo", reqId: req.id });
+    return false;
+  }
+  return ids;
+}
+
+/**
+ * Valida y normaliza body.requisitos (null lo borra).
+ * Las hojas PREVIA deben ser materias activas distintas de la propia.
+ * Devuelve { requisitos } o, si es inválido, responde 400 y devuelve false.
+ */
+async function requisitosDeRequest(req, res, materiaId = null) {
+  const { requisitos } = req.body;
+  if (requisitos == null) return { requisitos: null };
+  const error = validarRegla(requisitos);
+  if (error) {
+    res.status(400).json({ error: `Requisitos inválidos: ${error}`, reqId: req.id });
+    return false;
+  }
+  const regla = normalizarRegla(requisitos);
+  const ids = [...new Set(extraerPrevias(regla).map(p => String(p.materia)))];
+  if (materiaId && ids.includes(String(materiaId))) {
+    res.status(400).json({ error: "Una materia no puede ser previa de sí misma", reqId: req.id });
+    return false;
+  }
+  const existentes = ids.length ? await Materia.countDocuments({ _id: { $in: ids }, eliminadoEn: null }) : 0;
+  if (existentes !== ids.length) {
+    res.status(400).json({ error: "Requisitos inválidos: alguna previa no existe en el catálogo", reqId: req.id });
+    return false;
+  }
+  return { requisitos: regla };
+}
+
+/**
+ * Valida salones y docentes de la oferta { horarios, grupos } que quedaría para "materia":
+ *  - 400 si algún salón no existe o algún docente no es un usuario DOCENTE activo
+ *  - 409 con los choques si un salón o un docente queda en dos horarios solapados
+ * Devuelve true si respondió (el handler debe cortar).
+ */
+async function rechazarSiOcupado(req, res, materia, periodo, oferta) {
+  const [inexistentes, invalidos] = await Promise.all([salonesInexistentes(oferta), docentesInvalidos(oferta)]);
+  if (inexistentes.length) {
+    res.status(400).json({ error: "Salón no encontrado", salones: inexistentes, reqId: req.id });
+    return true;
+  }
+  if (invalidos.length) {
+    res.status(400).json({ error: "Docente inválido (debe ser un usuario DOCENTE activo)", docentes: invalidos, reqId: req.id });
+    return true;
+  }
+
+  const conflictosSalon = await conflictosDeSalon({ materia, periodo, oferta });
+  if (conflictosSalon.length) {
+    logger.warn("Doble reserva de salón rechazada", { reqId: req.id, materiaId: String(materia._id), conflictos: conflictosSalon.length });
+    res.status(409).json({ error: "El salón ya está ocupado en ese horario", conflictos: conflictosSalon, reqId: req.id });
+    return true;
+  }
+  const conflictosDocente = await conflictosDeDocente({ materia, periodo, oferta });
+  if (conflictosDocente.length) {
+    logger.warn("Choque de docente rechazado", { reqId: req.id, materiaId: String(materia._id), conflictos: conflictosDocente.length });
+    res.status(409).json({ error: "El docente ya tiene otro horario en ese rango", conflictos: conflictosDocente, reqId: req.id });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Resuelve el período pedido en ?periodo (o body.periodo): codigo u ObjectId.
+ * Sin valor => período actual (null si no hay períodos: modo legacy).
+ * Si se pidió uno inexistente responde 404 y devuelve false.
+ */
+async function periodoDeRequest(req, res) {
+  const { periodo, noEncontrado } = await resolverPeriodo(req.query.periodo ?? req.body?.periodo);
+  if (noEncontrado) {
+    res.status(404).json({ error: "Periodo no encontrado", reqId: req.id });
+    return false;
+  }
+  return periodo;
+}
 
 // Serializador público: salida estable para el front
-function toPublicMateria(m) {
+// oferta: { horarios, grupos } del período (si no viene, se usan los legacy de la materia)
+function toPublicMateria(m, { oferta, periodo } = {}) {
   const previas = (m.previas || []).map((p) => {
     const mm = p.materia;
     return {
@@ -52,8 +193,13 @@ function toPublicMateria(m) {
     nombre: m.nombre,
     creditos: m.creditos,
     semestre: m.semestre,
-    horarios: m.horarios || [],
+    horarios: oferta ? oferta.horarios : (m.horarios || []),
+    grupos: oferta ? oferta.grupos : (m.grupos || []),
+    cupo: (oferta ? oferta.cupo : m.cupo) ?? null,
+    periodo: periodo ? periodo.codigo : null,
     previas,
+    corequisitos: (m.corequisitos || []).map(c => (c && c._id ? c._id : c)),
+    requisitos: m.requisitos || null,
     createdAt: m.createdAt,
     updatedAt: m.updatedAt,
   };
@@ -62,7 +208,9 @@ function toPublicMateria(m) {
 /**
  * POST /api/materias
  * Crea una materia.
- * body: { codigo, nombre, creditos, semestre, horarios?:[], previas?:[] }
+ * body: { codigo, nombre, creditos, semestre, horarios?:[], previas?:[], corequisitos?:[id], requisitos?, periodo? }
+ * Los horarios se guardan en la oferta del período (actual si no se indica).
+ * requisitos: árbol { tipo: AND|OR|PREVIA|CREDITOS|SEMESTRE, ... } (ver requisitos.util)
  */
 exports.materia_create = async (req, res, next) => {
   try {
@@ -74,7 +222,7 @@ exports.materia_create = async (req, res, next) => {
     // Validar horarios
     for (const h of horarios) {
       if (!horarioValido(h)) {
-        return res.status(400).json({ error: "Horario inválido (dia|HH:mm|rango)", reqId: req.id, detalle: h });
+        return res.status(400).json({ error: "Horario inválido (dia|HH:mm|rango|salon|docente|vigencia|recurrencia)", reqId: req.id, detalle: h });
       }
     }
     // Validar previas
@@ -84,13 +232,31 @@ exports.materia_create = async (req, res, next) => {
       }
     }
 
-    const doc = await Materia.create({ codigo, nombre, creditos, semestre, horarios, previas });
+    const reqs = await requisitosDeRequest(req, res);
+    if (reqs === false) return;
+    const { requisitos } = reqs;
+
+    let corequisitos = [];
+    if (req.body.corequisitos != null) {
+      corequisitos = await corequisitosDeRequest(req, res);
+      if (corequisitos === false) return;
+    }
+
+    const periodo = await periodoDeRequest(req, res);
+    if (periodo === false) return;
+
+    // Id generado antes de crear para poder chequear salones contra el resto
+    const _id = new Types.ObjectId();
+    if (await rechazarSiOcupado(req, res, { _id, codigo, nombre }, periodo, { horarios, grupos: [] })) return;
+
+    const doc = await Materia.create({ _id, codigo, nombre, creditos, semestre, horarios: periodo ? [] : horarios, previas, corequisitos, requisitos });
+    if (periodo && horarios.length) await guardarHorarios(doc._id, periodo, horarios);
     await doc.populate({ path: "previas.materia", select: "codigo nombre semestre" });
 
     bus.emit("materia:creada", { reqId: req.id, materiaId: doc._id.toString(), codigo: doc.codigo });
-    logger.info("Materia creada", { reqId: req.id, materiaId: doc._id.toString(), codigo: doc.codigo });
+    logger.info("Materia creada", { reqId: req.id, materiaId: doc._id.toString(), codigo: doc.codigo, periodo: periodo?.codigo });
 
-    res.status(201).json(toPublicMateria(doc));
+    res.status(201).json(toPublicMateria(doc, { oferta: { horarios, grupos: [] }, periodo }));
   } catch (err) {
     if (err?.code === 11000) {
       logger.warn("Código de materia duplicado", { reqId: req.id, codigo: req.body?.codigo });
@@ -102,48 +268,244 @@ exports.materia_create = async (req, res, next) => {
 
 /**
  * GET /api/materias
- * Lista materias con filtros básicos y búsqueda.
- * query: ?q=texto&semestre=2&limit=20&page=1
+ * Lista materias con filtros, búsqueda y facetas.
+ * query: ?q=texto&semestre=2&limit=20&page=1&plan=<id>&periodo=2026-2
+ *        &creditosMin=4&creditosMax=8&dia=MAR&desde=18:00&hasta=22:00
+ *        &previas=true|false&elegible=true
+ * Plan: si se indica ?plan (o el usuario autenticado tiene uno), se listan solo
+ * las materias del plan y "semestre" filtra/ordena/informa el semestre del plan.
+ * semestre vacío = sin filtro.
+ * dia/desde/hasta: algún horario (común o de grupo) del período cae completo en la franja.
+ * elegible=true: solo materias que el usuario autenticado puede cursar (según su plan).
+ * previas=true|false: con/sin previas (simples o requisitos compuestos).
+ * facetas: conteos por semestre/día/créditos sobre el resultado filtrado (antes de paginar).
+ * Sin dia/desde/hasta ni elegible, filtros, orden y página se resuelven en Mongo; con
+ * ellos se traen los candidatos (solo id/semestre/créditos) y se filtra en memoria.
  */
 exports.materia_list = async (req, res, next) => {
   try {
-    const { q, semestre, limit = 50, page = 1 } = req.query;
+    const {
+      q, semestre, plan: planId, limit = 50, page = 1,
+      creditosMin, creditosMax, dia, desde, hasta, previas, elegible,
+    } = req.query;
 
-    const query = {};
-    if (semestre) query.semestre = Number(semestre);
+    // Validación de filtros
+    if (planId != null && !Types.ObjectId.isValid(planId)) {
+      return res.status(400).json({ error: "plan inválido", reqId: req.id });
+    }
+    for (const [k, v] of [["creditosMin", creditosMin], ["creditosMax", creditosMax]]) {
+      if (v != null && !Number.isFinite(Number(v))) {
+        return res.status(400).json({ error: `${k} debe ser numérico`, reqId: req.id });
+      }
+    }
+    if (dia != null && !isDia(dia)) {
+      return res.status(400).json({ error: "dia inválido (LUN|MAR|MIE|JUE|VIE|SAB)", reqId: req.id });
+    }
+    if ((desde != null && !isHHMM(desde)) || (hasta != null && !isHHMM(hasta))) {
+      return res.status(400).json({ error: "desde/hasta deben tener formato HH:mm", reqId: req.id });
+    }
+    // semestre vacío (?semestre=) = sin filtro
+    const semestreFiltro = semestre != null && String(semestre).trim() !== "" ? Number(semestre) : null;
+    if (semestreFiltro != null && !(Number.isInteger(semestreFiltro) && semestreFiltro >= 1)) {
+      return res.status(400).json({ error: "semestre debe ser un entero >= 1", reqId: req.id });
+    }
+    if (previas != null && !["true", "false"].includes(previas)) {
+      return res.status(400).json({ error: "previas debe ser true o false", reqId: req.id });
+    }
+    if (elegible === "true" && !req.user?._id) {
+      return res.status(401).json({ error: "elegible=true requiere autenticación", reqId: req.id });
+    }
 
-    let projection = undefined;
-    let sort = { semestre: 1, codigo: 1 };
+    const plan = planId != null
+      ? await loadPlan(planId)
+      : (req.user?._id ? await loadPlanDeUsuario(req.user._id) : null);
+    if (planId != null && !plan) {
+      return res.status(404).json({ error: "Plan no encontrado", reqId: req.id });
+    }
+    const periodo = await periodoDeRequest(req, res);
+    if (periodo === false) return;
 
-    if (q && q.trim()) {
-      query.$text = { $search: q.trim() }; // TOP-LEVEL
-      projection = { score: { $meta: "textScore" } };
-      sort = { score: { $meta: "textScore" }, semestre: 1, codigo: 1 };
+    const query = { eliminadoEn: null };
+    if (plan) query._id = { $in: materiaIdsDelPlan(plan, { semestre: semestreFiltro }) };
+    else if (semestreFiltro != null) query.semestre = semestreFiltro;
+    if (creditosMin != null || creditosMax != null) {
+      query.creditos = {};
+      if (creditosMin != null) query.creditos.$gte = Number(creditosMin);
+      if (creditosMax != null) query.creditos.$lte = Number(creditosMax);
     }
+    // "Con previas" cuenta también los requisitos compuestos
+    const sinPrevias = { previas: { $size: 0 }, requisitos: null };
+    if (previas === "true") query.$nor = [sinPrevias];
+    if (previas === "false") Object.assign(query, sinPrevias);
+
+    const texto = Boolean(q && q.trim());
+    if (texto) query.$text = { $search: q.trim() }; // TOP-LEVEL
 
     const perPage = Math.min(Number(limit) || 50, 100);
     const skip = (Math.max(Number(page) || 1, 1) - 1) * perPage;
+    const idx = indexarPlan(plan);
+
+    let total, facetas, pageIds;
+    if (!dia && !desde && !hasta && elegible !== "true") {
+      // Todo en Mongo: solo se trae la página
+      ({ total, facetas, ids: pageIds } = await paginaEnMongo(query, { texto, plan, periodo, skip, limit: perPage }));
+      pageIds = pageIds.map(String);
+    } else {
+      // Candidatos (ordenados) + oferta del período: día/franja y facetas dependen de ella
+      const candidatos = await candidatosOrdenados(query, { texto, plan });
+      const ofertasCandidatos = await ofertaPorMateria(candidatos.map(m => m._id), periodo);
+
+      let elegibles = null;
+      if (elegible === "true") {
+        const { items: evaluadas } = await calcularElegibilidad({ usuarioId: req.user._id });
+        elegibles = new Set(evaluadas.filter(i => i.elegible).map(i => String(i.materia._id)));
+      }
+
+      const filtradas = candidatos.filter(m =>
+        coincideHorario(ofertasCandidatos.get(String(m._id)), { dia, desde, hasta })
+        && (!elegibles || elegibles.has(String(m._id)))
+      );
 
-    const baseFind = Materia.find(query, projection).sort(sort).skip(skip).limit(perPage);
-    const [items, total] = await Promise.all([
-      populatePrevias(baseFind).lean(),
-      Materia.countDocuments(query),
+      total = filtradas.length;
+      facetas = calcularFacetas(filtradas, { ofertas: ofertasCandidatos }); // semestre ya es el del plan
+      pageIds = filtradas.slice(skip, skip + perPage).map(m => String(m._id));
+    }
+
+    // Página (respetando el orden de los candidatos)
+    const [docs, ofertas] = await Promise.all([
+      populatePrevias(Materia.find({ _id: { $in: pageIds } })).lean(),
+      ofertaPorMateria(pageIds, periodo),
     ]);
+    const porId = new Map(docs.map(m => [String(m._id), m]));
+    const items = pageIds.map(id => porId.get(id)).filter(Boolean);
 
     res.json({
       total,
       page: Number(page) || 1,
       limit: perPage,
-      items: items.map(toPublicMateria),
+      plan: toPlanRef(plan),
+      periodo: toPeriodoRef(periodo),
+      facetas,
+      items: items.map(m => {
+        const pub = toPublicMateria(m, { oferta: ofertas.get(String(m._id)), periodo });
+        const pm = idx.get(String(m._id));
+        return pm ? { ...pub, semestre: pm.semestre, obligatoria: pm.obligatoria } : pub;
+      }),
     });
   } catch (err) {
     next(err);
   }
 };
 
+/**
+ * GET /api/materias/grafo
+ * Grafo de previas: nodos (con profundidad), aristas tipadas CURSO/EXAMEN
+ * y, si se indica ?materia=<id>, sus previas y dependientes transitivos.
+ */
+exports.materia_grafo = async (req, res, next) => {
+  try {
+    const { materia } = req.query;
+    if (materia != null && !Types.ObjectId.isValid(materia)) {
+      return res.status(400).json({ error: "ID inválido", reqId: req.id });
+    }
+
+    const result = await obtenerGrafo({ materiaId: materia });
+    if (materia != null && !result.foco) {
+      return res.status(404).json({ error: "Materia no encontrada", reqId: req.id });
+    }
+
+    logger.info("Grafo de previas consultado", { reqId: req.id, materiaId: materia ?? null, ...result.resumen });
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/materias/import
+ * Importa materias en lote (upsert por codigo).
+ * - CSV: Content-Type text/csv (columnas codigo,nombre,creditos,semestre,horarios,previas[,corequisitos,requisitos])
+ * - JSON: [ { codigo, nombre, creditos, semestre, horarios?, previas?:[{tipo,codigo}], corequisitos?:[codigo], requisitos? } ]
+ *         o bien { materias: [...] }
+ * query: ?dryRun=true para validar sin escribir; ?periodo=2026-2 (horarios, default: actual)
+ * Responde 422 con el reporte por fila si alguna fila tiene errores.
+ */
+exports.materia_import = async (req, res, next) => {
+  try {
+    const dryRun = ["1", "true"].includes(String(req.query.dryRun || "").toLowerCase());
+
+    let filas;
+    if (typeof req.body === "string") {
+      try {
+        filas = csvToFilas(req.body);
+      } catch (e) {
+        return res.status(400).json({ error: e.message, reqId: req.id });
+      }
+    } else {
+      filas = Array.isArray(req.body) ? req.body : req.body?.materias;
+    }
+    if (!Array.isArray(filas) || filas.length === 0) {
+      return res.status(400).json({ error: "Se esperaba un CSV o un array de materias no vacío", reqId: req.id });
+    }
+
+    const periodo = await periodoDeRequest(req, res);
+    if (periodo === false) return;
+
+    const result = await importarMaterias({ filas, dryRun, periodo });
+
+    if (result.resumen.conErrores > 0) {
+      logger.warn("Import de materias con errores", { reqId: req.id, dryRun, ...result.resumen });
+      return res.status(422).json({ error: "Hay filas con errores; no se importó nada", ...result, reqId: req.id });
+    }
+
+    if (result.aplicado) {
+      for (const materiaId of result.creadas) {
+        bus.emit("materia:creada", { reqId: req.id, materiaId, userId: req.user?._id });
+      }
+      for (const materiaId of result.actualizadas) {
+        bus.emit("materia:actualizada", { reqId: req.id, materiaId, cambios: ["import"] });
+      }
+    }
+    logger.info("Import de materias", { reqId: req.id, dryRun, ...result.resumen });
+
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/materias/export
+ * Exporta el catálogo en el mismo formato que acepta el import.
+ * query: ?format=csv|json (default json), ?periodo=2026-2 (horarios, default: actual)
+ */
+exports.materia_export = async (req, res, next) => {
+  try {
+    const format = String(req.query.format || "json").toLowerCase();
+    if (!["csv", "json"].includes(format)) {
+      return res.status(400).json({ error: "format debe ser csv o json", reqId: req.id });
+    }
+
+    const periodo = await periodoDeRequest(req, res);
+    if (periodo === false) return;
+
+    const filas = await exportarMaterias({ periodo });
+    logger.info("Export de materias", { reqId: req.id, format, count: filas.length });
+
+    res.attachment(`materias.${format}`);
+    if (format === "csv") {
+      return res.type("text/csv; charset=utf-8").send(filasToCsv(filas));
+    }
+    res.json(filas);
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * GET /api/materias/:id
  * Obtiene una materia por ID (con previas pobladas mínimamente).
+ * query: ?periodo=2026-2 (horarios de ese período; default: actual)
  */
 exports.materia_by_id = async (req, res, next) => {
   try {
@@ -152,13 +514,17 @@ exports.materia_by_id = async (req, res, next) => {
       return res.status(400).json({ error: "ID inválido", reqId: req.id });
     }
 
-    const doc = await populatePrevias(Materia.findById(id)).lean();
+    const periodo = await periodoDeRequest(req, res);
+    if (periodo === false) return;
+
+    const doc = await populatePrevias(Materia.findById(id).activas()).lean();
     if (!doc) {
       return res.status(404).json({ error: "Materia no encontrada", reqId: req.id });
     }
+    const oferta = await ofertaDeMateria(id, periodo);
 
-    logger.info("Materia consultada", { reqId: req.id, materiaId: id });
-    res.json(toPublicMateria(doc));
+    logger.info("Materia consultada", { reqId: req.id, materiaId: id, periodo: periodo?.codigo });
+    res.json(toPublicMateria(doc, { oferta, periodo }));
   } catch (err) {
     next(err);
   }
@@ -167,7 +533,9 @@ exports.materia_by_id = async (req, res, next) => {
 /**
  * PUT /api/materias/:id
  * Actualiza campos de la materia y opcionalmente reemplaza horarios/previas completas.
- * body: { codigo?, nombre?, creditos?, semestre?, horarios?, previas? }
+ * body: { codigo?, nombre?, creditos?, semestre?, horarios?, previas?, corequisitos?, requisitos?, periodo? }
+ * requisitos: reemplaza el árbol completo (null lo quita).
+ * horarios reemplaza los del período indicado (o actual), sin tocar otros períodos.
  */
 exports.materia_update = async (req, res, next) => {
   try {
@@ -176,11 +544,14 @@ exports.materia_update = async (req, res, next) => {
       return res.status(400).json({ error: "ID inválido", reqId: req.id });
     }
 
-    const doc = await Materia.findById(id);
+    const doc = await Materia.findById(id).activas();
     if (!doc) {
       return res.status(404).json({ error: "Materia no encontrada", reqId: req.id });
     }
 
+    const periodo = await periodoDeRequest(req, res);
+    if (periodo === false) return;
+
     const { codigo, nombre, creditos, semestre, horarios, previas } = req.body;
 
     if (codigo) doc.codigo = String(codigo).trim();
@@ -191,10 +562,12 @@ exports.materia_update = async (req, res, next) => {
     if (Array.isArray(horarios)) {
       for (const h of horarios) {
         if (!horarioValido(h)) {
-          return res.status(400).json({ error: "Horario inválido (dia|HH:mm|rango)", reqId: req.id, detalle: h });
+          return res.status(400).json({ error: "Horario inválido (dia|HH:mm|rango|salon|docente|vigencia|recurrencia)", reqId: req.id, detalle: h });
         }
       }
-      doc.horarios = horarios;
+      const { grupos } = await ofertaDeMateria(doc._id, periodo);
+      if (await rechazarSiOcupado(req, res, doc, periodo, { horarios, grupos })) return;
+      if (!periodo) doc.horarios = horarios;
     }
 
     if (Array.isArray(previas)) {
@@ -203,16 +576,38 @@ exports.materia_update = async (req, res, next) => {
           return res.status(400).json({ error: "Previa inválida (tipo|materia)", reqId: req.id, detalle: p });
         }
       }
-      doc.previas = previas;
+    }
+
+    if (req.body.corequisitos != null) {
+      const corequisitos = await corequisitosDeRequest(req, res, doc._id);
+      if (corequisitos === false) return;
+      doc.corequisitos = corequisitos;
+    }
+
+    let requisitos = doc.requisitos;
+    if (req.body.requisitos !== undefined) {
+      const reqs = await requisitosDeRequest(req, res, doc._id);
+      if (reqs === false) return;
+      requisitos = reqs.requisitos;
+    }
+
+    // El ciclo se evalúa con previas simples + hojas PREVIA de los requisitos
+    if (Array.isArray(previas) || req.body.requisitos !== undefined) {
+      const nuevas = Array.isArray(previas) ? previas : doc.previas;
+      if (await rechazarSiCiclo(req, res, doc._id, [...nuevas, ...extraerPrevias(requisitos)])) return;
+      if (Array.isArray(previas)) doc.previas = previas;
+      doc.requisitos = requisitos;
     }
 
     await doc.save();
+    if (periodo && Array.isArray(horarios)) await guardarHorarios(doc._id, periodo, horarios);
     await doc.populate({ path: "previas.materia", select: "codigo nombre semestre" });
+    const oferta = await ofertaDeMateria(doc._id, periodo);
 
-    bus.emit("materia:actualizada", { reqId: req.id, materiaId: doc._id.toString(), cambios: Object.keys(req.body) });
+    bus.emit("materia:actualizada", { reqId: req.id, materiaId: doc._id.toString(), cambios: Object.keys(req.body), periodo: periodo?.codigo });
     logger.info("Materia actualizada", { reqId: req.id, materiaId: doc._id.toString(), cambios: Object.keys(req.body) });
 
-    res.json(toPublicMateria(doc));
+    res.json(toPublicMateria(doc, { oferta, periodo }));
   } catch (err) {
     if (err?.code === 11000) {
       logger.warn("Intento de actualizar con código duplicado", { reqId: req.id, codigo: req.body?.codigo });
@@ -224,7 +619,11 @@ exports.materia_update = async (req, res, next) => {
 
 /**
  * DELETE /api/materias/:id
- * Elimina la materia.
+ * Elimina la materia respetando integridad referencial.
+ * query: ?modo=restrict|cascade|soft (default restrict)
+ *  - restrict: 409 con la lista de dependientes si los hay
+ *  - cascade: quita la previa (y sus hojas en requisitos) de otras materias, borra historial y la saca de los planes e inscripciones
+ *  - soft: baja lógica (deja de listarse; dependientes intactos)
  */
 exports.materia_delete = async (req, res, next) => {
   try {
@@ -232,17 +631,57 @@ exports.materia_delete = async (req, res, next) => {
     if (!Types.ObjectId.isValid(id)) {
       return res.status(400).json({ error: "ID inválido", reqId: req.id });
     }
+    const modo = String(req.query.modo || "restrict").toLowerCase();
+    if (!MODOS_BORRADO.includes(modo)) {
+      return res.status(400).json({ error: `modo debe ser uno de: ${MODOS_BORRADO.join(", ")}`, reqId: req.id });
+    }
 
-    const doc = await Materia.findByIdAndDelete(id);
-    if (!doc) {
+    const result = await eliminarMateria({ materiaId: id, modo });
+    if (result.noEncontrada) {
       return res.status(404).json({ error: "Materia no encontrada", reqId: req.id });
     }
+    if (result.bloqueada) {
+      logger.warn("Borrado de materia bloqueado por dependientes", { reqId: req.id, materiaId: id });
+      return res.status(409).json({
+        error: "La materia tiene dependientes; usá ?modo=cascade o ?modo=soft",
+        dependientes: result.dependientes,
+        reqId: req.id,
+      });
+    }
 
-    bus.emit("materia:eliminada", { reqId: req.id, materiaId: doc._id.toString(), codigo: doc.codigo });
-    logger.info("Materia eliminada", { reqId: req.id, materiaId: doc._id.toString(), codigo: doc.codigo });
+    const { doc, cascada } = result;
+    const materiaId = doc._id.toString();
+
+    // Eventos en cascada (después del commit) para que los sockets queden consistentes
+    const { materiasConPrevia = [], materiasConRequisito = [], materiasConCorequisito = [] } = result.dependientes;
+    const idsConPrevia = new Set(materiasConPrevia.map(m => String(m._id)));
+    const idsConRequisito = new Set(materiasConRequisito.map(m => String(m._id)));
+    const idsConCorequisito = new Set(materiasConCorequisito.map(m => String(m._id)));
+    for (const otraId of cascada.materiasActualizadas) {
+      const cambios = [
+        idsConPrevia.has(otraId) && "previas",
+        idsConRequisito.has(otraId) && "requisitos",
+        idsConCorequisito.has(otraId) && "corequisitos",
+      ].filter(Boolean);
+      bus.emit("materia:actualizada", { reqId: req.id, materiaId: otraId, cambios, causa: { materiaEliminada: materiaId } });
+    }
+    for (const h of cascada.historialEliminado) {
+      bus.emit("historial:eliminado", { reqId: req.id, usuarioId: h.usuario, materiaId: h.materia });
+    }
+    for (const planId of cascada.planesActualizados) {
+      bus.emit("plan:actualizado", { reqId: req.id, planId, cambios: ["materias"] });
+    }
+    bus.emit("materia:eliminada", { reqId: req.id, materiaId, codigo: doc.codigo, modo });
+    logger.info("Materia eliminada", {
+      reqId: req.id, materiaId, codigo: doc.codigo, modo,
+      materiasActualizadas: cascada.materiasActualizadas.length,
+      historialEliminado: cascada.historialEliminado.length,
+      planesActualizados: cascada.planesActualizados.length,
+      inscripcionesActualizadas: cascada.inscripcionesActualizadas.length,
+    });
 
     // Aunque está eliminada, devolvemos su representación pública (sin populate ya no hace falta)
-    res.json({ ok: true, eliminado: toPublicMateria(doc) });
+    res.json({ ok: true, modo, eliminado: toPublicMateria(doc), dependientes: result.dependientes });
   } catch (err) {
     next(err);
   }
@@ -252,6 +691,7 @@ exports.materia_delete = async (req, res, next) => {
  * POST /api/materias/:id/previas
  * Agrega una previa (no duplica si ya existe la misma combinación tipo+materia).
  * body: { tipo:'CURSO'|'EXAMEN', materiaPreviaId:ObjectId }
+ * query: ?periodo=2026-2 (horarios de la respuesta; default: actual)
  */
 exports.materia_add_previa = async (req, res, next) => {
   try {
@@ -268,11 +708,15 @@ exports.materia_add_previa = async (req, res, next) => {
       return res.status(400).json({ error: "Una materia no puede ser previa de sí misma", reqId: req.id });
     }
 
-    const doc = await Materia.findById(id);
+    const periodo = await periodoDeRequest(req, res);
+    if (periodo === false) return;
+
+    const doc = await Materia.findById(id).activas();
     if (!doc) return res.status(404).json({ error: "Materia no encontrada", reqId: req.id });
 
     const exists = doc.previas.some(p => p.tipo === tipo && String(p.materia) === String(materiaPreviaId));
     if (!exists) {
+      if (await rechazarSiCiclo(req, res, doc._id, [{ tipo, materia: materiaPreviaId }])) return;
       doc.previas.push({ tipo, materia: materiaPreviaId });
       await doc.save();
     }
@@ -282,7 +726,7 @@ exports.materia_add_previa = async (req, res, next) => {
     bus.emit("materia:previa_agregada", { reqId: req.id, materiaId: id, previaTipo: tipo, previaMateriaId: materiaPreviaId });
     logger.info("Previa agregada", { reqId: req.id, materiaId: id, tipo, previa: materiaPreviaId });
 
-    res.json(toPublicMateria(doc));
+    res.json(toPublicMateria(doc, { oferta: await ofertaDeMateria(id, periodo), periodo }));
   } catch (err) {
     next(err);
   }
@@ -292,6 +736,7 @@ exports.materia_add_previa = async (req, res, next) => {
  * DELETE /api/materias/:id/previas
  * Elimina una previa por combinación (tipo + materia).
  * body: { tipo:'CURSO'|'EXAMEN', materiaPreviaId:ObjectId }
+ * query: ?periodo=2026-2 (horarios de la respuesta; default: actual)
  */
 exports.materia_remove_previa = async (req, res, next) => {
   try {
@@ -305,7 +750,10 @@ exports.materia_remove_previa = async (req, res, next) => {
       return res.status(400).json({ error: "tipo de previa inválido", reqId: req.id });
     }
 
-    const doc = await Materia.findById(id);
+    const periodo = await periodoDeRequest(req, res);
+    if (periodo === false) return;
+
+    const doc = await Materia.findById(id).activas();
     if (!doc) return res.status(404).json({ error: "Materia no encontrada", reqId: req.id });
 
     const prevCount = doc.previas.length;
@@ -318,7 +766,7 @@ exports.materia_remove_previa = async (req, res, next) => {
 
     await doc.populate({ path: "previas.materia", select: "codigo nombre semestre" });
 
-    res.json(toPublicMateria(doc));
+    res.json(toPublicMateria(doc, { oferta: await ofertaDeMateria(id, periodo), periodo }));
   } catch (err) {
     next(err);
   }
@@ -326,37 +774,54 @@ exports.materia_remove_previa = async (req, res, next) => {
 
 /**
  * POST /api/materias/:id/horarios
- * Agrega un horario (evita duplicados exactos).
- * body: { dia:'LUN'|'MAR'|..., inicio:'HH:mm', fin:'HH:mm' }
+ * Agrega un horario (evita duplicados exactos) en la oferta del período.
+ * body: { dia:'LUN'|'MAR'|..., inicio:'HH:mm', fin:'HH:mm', salon?:ObjectId, docente?:ObjectId,
+ *         desde?:'YYYY-MM-DD', hasta?:'YYYY-MM-DD', recurrencia?:'SEMANAL'|'QUINCENAL', periodo? }
+ * 409 si el salón o el docente ya están ocupados en ese rango (otra materia o grupo)
+ * alguna misma fecha (vigencia, recurrencia y feriados).
+ * query: ?periodo=2026-2 (default: período actual)
  */
 exports.materia_add_horario = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { dia, inicio, fin } = req.body;
+    const { dia, inicio, fin, salon, docente, desde, hasta, recurrencia } = req.body;
 
     if (!Types.ObjectId.isValid(id)) {
       return res.status(400).json({ error: "ID inválido", reqId: req.id });
     }
     const h = { dia, inicio, fin };
+    if (salon != null) h.salon = salon;
+    if (docente != null) h.docente = docente;
+    if (desde != null) h.desde = desde;
+    if (hasta != null) h.hasta = hasta;
+    if (recurrencia != null) h.recurrencia = recurrencia;
     if (!horarioValido(h)) {
-      return res.status(400).json({ error: "Horario inválido (dia|HH:mm|rango)", reqId: req.id, detalle: h });
+      return res.status(400).json({ error: "Horario inválido (dia|HH:mm|rango|salon|docente|vigencia|recurrencia)", reqId: req.id, detalle: h });
     }
 
-    const doc = await Materia.findById(id);
+    const periodo = await periodoDeRequest(req, res);
+    if (periodo === false) return;
+
+    const doc = await Materia.findById(id).activas();
     if (!doc) return res.status(404).json({ error: "Materia no encontrada", reqId: req.id });
 
-    const exists = doc.horarios.some(x => x.dia === dia && x.inicio === inicio && x.fin === fin);
+    const oferta = await ofertaDeMateria(id, periodo);
+    let horarios = oferta.horarios;
+    const exists = horarios.some(x => x.dia === dia && x.inicio === inicio && x.fin === fin
+      && String(x.salon ?? "") === String(salon ?? "") && String(x.docente ?? "") === String(docente ?? "")
+      && mismaFecha(x.desde, desde) && mismaFecha(x.hasta, hasta) && (x.recurrencia || "SEMANAL") === (recurrencia || "SEMANAL"));
     if (!exists) {
-      doc.horarios.push(h);
-      await doc.save();
+      horarios = [...horarios, h];
+      if (await rechazarSiOcupado(req, res, doc, periodo, { ...oferta, horarios })) return;
+      await guardarHorarios(doc._id, periodo, horarios);
     }
 
     await doc.populate({ path: "previas.materia", select: "codigo nombre semestre" });
 
-    bus.emit("materia:horario_agregado", { reqId: req.id, materiaId: id, horario: h });
-    logger.info("Horario agregado", { reqId: req.id, materiaId: id, horario: h });
+    bus.emit("materia:horario_agregado", { reqId: req.id, materiaId: id, horario: h, periodo: periodo?.codigo });
+    logger.info("Horario agregado", { reqId: req.id, materiaId: id, horario: h, periodo: periodo?.codigo });
 
-    res.json(toPublicMateria(doc));
+    res.json(toPublicMateria(doc, { oferta: { ...oferta, horarios }, periodo }));
   } catch (err) {
     next(err);
   }
@@ -364,8 +829,9 @@ exports.materia_add_horario = async (req, res, next) => {
 
 /**
  * DELETE /api/materias/:id/horarios
- * Elimina un horario exacto por coincidencia.
- * body: { dia:'LUN'|'MAR'|..., inicio:'HH:mm', fin:'HH:mm' }
+ * Elimina un horario exacto por coincidencia en la oferta del período.
+ * body: { dia:'LUN'|'MAR'|..., inicio:'HH:mm', fin:'HH:mm', periodo? }
+ * query: ?periodo=2026-2 (default: período actual)
  */
 exports.materia_remove_horario = async (req, res, next) => {
   try {
@@ -377,23 +843,244 @@ exports.materia_remove_horario = async (req, res, next) => {
     }
     const h = { dia, inicio, fin };
     if (!horarioValido(h)) {
-      return res.status(400).json({ error: "Horario inválido (dia|HH:mm|rango)", reqId: req.id, detalle: h });
+      return res.status(400).json({ error: "Horario inválido (dia|HH:mm|rango|salon|docente|vigencia|recurrencia)", reqId: req.id, detalle: h });
     }
 
-    const doc = await Materia.findById(id);
+    const periodo = await periodoDeRequest(req, res);
+    if (periodo === false) return;
+
+    const doc = await Materia.findById(id).activas();
     if (!doc) return res.status(404).json({ error: "Materia no encontrada", reqId: req.id });
 
-    const before = doc.horarios.length;
-    doc.horarios = doc.horarios.filter(x => !(x.dia === dia && x.inicio === inicio && x.fin === fin));
-    if (doc.horarios.length !== before) {
-      await doc.save();
-      bus.emit("materia:horario_eliminado", { reqId: req.id, materiaId: id, horario: h });
-      logger.info("Horario eliminado", { reqId: req.id, materiaId: id, horario: h });
+    const oferta = await ofertaDeMateria(id, periodo);
+    const horarios = oferta.horarios.filter(x => !(x.dia === dia && x.inicio === inicio && x.fin === fin));
+    if (horarios.length !== oferta.horarios.length) {
+      await guardarHorarios(doc._id, periodo, horarios);
+      bus.emit("materia:horario_eliminado", { reqId: req.id, materiaId: id, horario: h, periodo: periodo?.codigo });
+      logger.info("Horario eliminado", { reqId: req.id, materiaId: id, horario: h, periodo: periodo?.codigo });
+    }
+
+    await doc.populate({ path: "previas.materia", select: "codigo nombre semestre" });
+
+    res.json(toPublicMateria(doc, { oferta: { ...oferta, horarios }, periodo }));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/materias/:id/grupos
+ * Lista los grupos de la materia en el período.
+ * query: ?periodo=2026-2 (default: período actual)
+ */
+exports.materia_list_grupos = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido", reqId: req.id });
+    }
+
+    const periodo = await periodoDeRequest(req, res);
+    if (periodo === false) return;
+
+    if (!(await Materia.exists({ _id: id, eliminadoEn: null }))) {
+      return res.status(404).json({ error: "Materia no encontrada", reqId: req.id });
+    }
+    const { horarios, grupos } = await ofertaDeMateria(id, periodo);
+
+    res.json({ materia: id, periodo: toPeriodoRef(periodo), horariosComunes: horarios, grupos });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/materias/:id/grupos
+ * Agrega un grupo (codigo único dentro de la materia y período).
+ * body: { codigo, horarios?:[], docente?, cupo?, periodo? }
+ */
+exports.materia_add_grupo = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido", reqId: req.id });
+    }
+    const invalid = grupoInvalido(req.body);
+    if (invalid) return res.status(400).json({ error: invalid, reqId: req.id });
+
+    const periodo = await periodoDeRequest(req, res);
+    if (periodo === false) return;
+
+    const doc = await Materia.findById(id).activas();
+    if (!doc) return res.status(404).json({ error: "Materia no encontrada", reqId: req.id });
+
+    const oferta = await ofertaDeMateria(id, periodo);
+    const codigo = req.body.codigo.trim();
+    if (oferta.grupos.some(g => g.codigo === codigo)) {
+      return res.status(409).json({ error: "El grupo ya existe en la materia", reqId: req.id });
+    }
+
+    const { horarios = [], docente, cupo } = req.body;
+    const grupo = { codigo, horarios, docente, cupo: cupo != null ? Number(cupo) : undefined };
+    const grupos = [...oferta.grupos, grupo];
+    if (await rechazarSiOcupado(req, res, doc, periodo, { ...oferta, grupos })) return;
+    await guardarGrupos(doc._id, periodo, grupos);
+    await doc.populate({ path: "previas.materia", select: "codigo nombre semestre" });
+
+    bus.emit("materia:grupo_agregado", { reqId: req.id, materiaId: id, grupo: codigo, periodo: periodo?.codigo });
+    logger.info("Grupo agregado", { reqId: req.id, materiaId: id, grupo: codigo, periodo: periodo?.codigo });
+
+    res.status(201).json(toPublicMateria(doc, { oferta: { ...oferta, grupos }, periodo }));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * PUT /api/materias/:id/grupos/:grupo
+ * Actualiza horarios/docente/cupo de un grupo (horarios se reemplazan completos).
+ * body: { horarios?, docente?, cupo?, periodo? }  (cupo: null => sin límite)
+ */
+exports.materia_update_grupo = async (req, res, next) => {
+  try {
+    const { id, grupo: codigo } = req.params;
+    if (!Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido", reqId: req.id });
     }
+    const invalid = grupoInvalido(req.body, { parcial: true });
+    if (invalid) return res.status(400).json({ error: invalid, reqId: req.id });
+
+    const periodo = await periodoDeRequest(req, res);
+    if (periodo === false) return;
+
+    const doc = await Materia.findById(id).activas();
+    if (!doc) return res.status(404).json({ error: "Materia no encontrada", reqId: req.id });
+
+    const oferta = await ofertaDeMateria(id, periodo);
+    const actual = oferta.grupos.find(g => g.codigo === codigo);
+    if (!actual) return res.status(404).json({ error: "Grupo no encontrado", reqId: req.id });
+
+    const { horarios, docente, cupo } = req.body;
+    const actualizado = { ...actual };
+    if (Array.isArray(horarios)) actualizado.horarios = horarios;
+    if (docente !== undefined) actualizado.docente = docente === null ? undefined : docente;
+    if (cupo !== undefined) actualizado.cupo = cupo === null ? undefined : Number(cupo);
 
+    const grupos = oferta.grupos.map(g => (g.codigo === codigo ? actualizado : g));
+    if ((Array.isArray(horarios) || docente !== undefined) && await rechazarSiOcupado(req, res, doc, periodo, { ...oferta, grupos })) return;
+    await guardarGrupos(doc._id, periodo, grupos);
     await doc.populate({ path: "previas.materia", select: "codigo nombre semestre" });
 
-    res.json(toPublicMateria(doc));
+    bus.emit("materia:grupo_actualizado", { reqId: req.id, materiaId: id, grupo: codigo, periodo: periodo?.codigo, cambios: Object.keys(req.body) });
+    logger.info("Grupo actualizado", { reqId: req.id, materiaId: id, grupo: codigo, periodo: periodo?.codigo });
+
+    // Cambió el cupo: si se amplió, entran los primeros de la lista de espera
+    if (cupo !== undefined) emitirCambiosDeCupo(req.id, await sincronizarCupo({ materiaId: id, periodo }));
+
+    res.json(toPublicMateria(doc, { oferta: { ...oferta, grupos }, periodo }));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * DELETE /api/materias/:id/grupos/:grupo
+ * Elimina un grupo de la materia en el período.
+ */
+exports.materia_remove_grupo = async (req, res, next) => {
+  try {
+    const { id, grupo: codigo } = req.params;
+    if (!Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido", reqId: req.id });
+    }
+
+    const periodo = await periodoDeRequest(req, res);
+    if (periodo === false) return;
+
+    const doc = await Materia.findById(id).activas();
+    if (!doc) return res.status(404).json({ error: "Materia no encontrada", reqId: req.id });
+
+    const oferta = await ofertaDeMateria(id, periodo);
+    const grupos = oferta.grupos.filter(g => g.codigo !== codigo);
+    if (grupos.length === oferta.grupos.length) {
+      return res.status(404).json({ error: "Grupo no encontrado", reqId: req.id });
+    }
+    await guardarGrupos(doc._id, periodo, grupos);
+    await doc.populate({ path: "previas.materia", select: "codigo nombre semestre" });
+
+    bus.emit("materia:grupo_eliminado", { reqId: req.id, materiaId: id, grupo: codigo, periodo: periodo?.codigo });
+    logger.info("Grupo eliminado", { reqId: req.id, materiaId: id, grupo: codigo, periodo: periodo?.codigo });
+
+    res.json(toPublicMateria(doc, { oferta: { ...oferta, grupos }, periodo }));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/materias/cupos
+ * Ocupación de los cupos (cupo, inscriptos, disponibles, en espera; total y por grupo).
+ * query: ?periodo=2026-2 (default: período actual) &materias=<id>,<id> (default: todas)
+ * Los cambios posteriores llegan por WS como cupo:actualizado.
+ */
+exports.materia_cupos = async (req, res, next) => {
+  try {
+    const periodo = await periodoDeRequest(req, res);
+    if (periodo === false) return;
+
+    const q = {};
+    if (req.query.materias != null) {
+      const ids = String(req.query.materias).split(",").map(x => x.trim()).filter(Boolean);
+      if (!ids.length || ids.some(x => !Types.ObjectId.isValid(x))) {
+        return res.status(400).json({ error: "materias inválidas (ids separados por coma)", reqId: req.id });
+      }
+      q._id = { $in: ids };
+    }
+    const materias = await Materia.find(q).activas().select("codigo nombre").sort({ codigo: 1 }).lean();
+    const ocupacion = await ocupacionPorMateria(materias.map(m => m._id), periodo);
+
+    const items = materias.map(m => ({
+      materia: { _id: m._id, codigo: m.codigo, nombre: m.nombre },
+      ...ocupacion.get(String(m._id)),
+    }));
+    res.json({ periodo: toPeriodoRef(periodo), total: items.length, items });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * PUT /api/materias/:id/cupo
+ * Fija el cupo total de la materia en el período (todos los grupos juntos).
+ * body: { cupo, periodo? }  (cupo: null => sin límite; el de cada grupo se edita en /grupos/:grupo)
+ * Si el cupo se amplía, se promueve automáticamente a la lista de espera.
+ */
+exports.materia_set_cupo = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido", reqId: req.id });
+    }
+    const { cupo } = req.body;
+    if (cupo === undefined || (cupo !== null && (!Number.isInteger(Number(cupo)) || Number(cupo) < 0))) {
+      return res.status(400).json({ error: "cupo debe ser un entero >= 0 (o null para sin límite)", reqId: req.id });
+    }
+
+    const periodo = await periodoDeRequest(req, res);
+    if (periodo === false) return;
+
+    const doc = await Materia.findById(id).activas();
+    if (!doc) return res.status(404).json({ error: "Materia no encontrada", reqId: req.id });
+
+    await guardarCupo(doc._id, periodo, cupo === null ? null : Number(cupo));
+    const cambios = await sincronizarCupo({ materiaId: id, periodo });
+    emitirCambiosDeCupo(req.id, cambios);
+
+    logger.info("Cupo de materia actualizado", {
+      reqId: req.id, materiaId: id, cupo, periodo: periodo?.codigo, promovidos: cambios.promociones.length,
+    });
+
+    res.json({ materia: id, periodo: toPeriodoRef(periodo), ...cambios.cupos[0].ocupacion });
   } catch (err) {
     next(err);
   }
@@ -0,0 +1,218 @@
+/**
+ * Controlador de Períodos Académicos
+ * - CRUD de períodos + consulta de ofertas (horarios por materia) de cada período:
+ *   * Validación de fechas (inicio < fin)
+ *   * Manejo de E11000 (codigo duplicado)
+ *   * Logs (winston) con reqId para correlación
+ *   * Eventos de dominio (bus.emit) para auditoría/tiempo real
+ * Los períodos pasados quedan consultables: sus ofertas no se pisan al
+ * cargar los horarios del período siguiente.
+ */
+const { Types } = require("mongoose");
+const Periodo = require("../models/periodo.model");
+const Oferta = require("../models/oferta.model");
+const Cupo = require("../models/cupo.model");
+const { logger } = require("../logger/logger");
+const bus = require("../events/bus");
+const { periodoActual, resolverPeriodo, migrarOfertaLegacy } = require("../services/periodo.service");
+
+// Helper: serializa un período
+function toPublicPeriodo(p) {
+  return {
+    _id: p._id,
+    codigo: p.codigo,
+    nombre: p.nombre ?? null,
+    inicio: p.inicio,
+    fin: p.fin,
+    createdAt: p.createdAt,
+    updatedAt: p.updatedAt,
+  };
+}
+
+// Helper: fecha válida o null
+function toDate(v) {
+  if (v == null || v === "") return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * POST /api/periodos
+ * Crea un período.
+ * body: { codigo:'2026-2', nombre?, inicio:'2026-08-01', fin:'2026-12-20' }
+ * Si es el primero, copia la oferta legacy de las materias a este período.
+ */
+exports.periodo_create = async (req, res, next) => {
+  try {
+    const { codigo, nombre } = req.body;
+    const inicio = toDate(req.body.inicio);
+    const fin = toDate(req.body.fin);
+
+    if (!codigo || !inicio || !fin) {
+      return res.status(400).json({ error: "codigo, inicio y fin (fechas válidas) son requeridos", reqId: req.id });
+    }
+    if (inicio >= fin) {
+      return res.status(400).json({ error: "fin debe ser posterior a inicio", reqId: req.id });
+    }
+
+    const primero = (await Periodo.countDocuments()) === 0;
+    const doc = await Periodo.create({ codigo, nombre, inicio, fin });
+
+    // Primer período: la oferta legacy de Materia pasa a este período
+    const ofertasMigradas = primero ? await migrarOfertaLegacy(doc) : 0;
+
+    bus.emit("periodo:creado", { reqId: req.id, periodoId: doc._id.toString(), codigo: doc.codigo });
+    logger.info("Periodo creado", { reqId: req.id, periodoId: doc._id.toString(), codigo: doc.codigo, ofertasMigradas });
+
+    res.status(201).json(toPublicPeriodo(doc));
+  } catch (err) {
+    if (err?.code === 11000) {
+      logger.warn("Código de período duplicado", { reqId: req.id, codigo: req.body?.codigo });
+      return res.status(409).json({ error: "El código del período ya existe", reqId: req.id });
+    }
+    next(err);
+  }
+};
+
+/**
+ * GET /api/periodos
+ * Lista períodos (más recientes primero).
+ */
+exports.periodo_list = async (req, res, next) => {
+  try {
+    const periodos = await Periodo.find().sort({ inicio: -1 }).lean();
+    logger.info("Listado de períodos", { reqId: req.id, count: periodos.length });
+    res.json(periodos.map(toPublicPeriodo));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/periodos/actual
+ * Devuelve el período actual (el que contiene hoy o el último iniciado).
+ */
+exports.periodo_actual = async (req, res, next) => {
+  try {
+    const periodo = await periodoActual();
+    if (!periodo) return res.status(404).json({ error: "No hay períodos configurados", reqId: req.id });
+    res.json(toPublicPeriodo(periodo));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/periodos/:ref
+ * Obtiene un período por codigo (ej. 2026-2) u ObjectId.
+ */
+exports.periodo_by_ref = async (req, res, next) => {
+  try {
+    const { periodo } = await resolverPeriodo(req.params.ref);
+    if (!periodo) return res.status(404).json({ error: "Periodo no encontrado", reqId: req.id });
+    res.json(toPublicPeriodo(periodo));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/periodos/:ref/ofertas
+ * Lista las ofertas (materia + horarios) de un período, incluso pasados.
+ */
+exports.periodo_ofertas = async (req, res, next) => {
+  try {
+    const { periodo } = await resolverPeriodo(req.params.ref);
+    if (!periodo) return res.status(404).json({ error: "Periodo no encontrado", reqId: req.id });
+
+    const ofertas = await Oferta.find({ periodo: periodo._id })
+      .populate("materia", "codigo nombre semestre creditos")
+      .lean();
+
+    // Materias borradas: solo quedan las ofertas de períodos terminados, con sus datos guardados
+    const items = ofertas
+      .filter(o => o.materia || o.materiaBorrada)
+      .map(o => {
+        const m = o.materia || o.materiaBorrada;
+        return {
+          _id: o._id,
+          materia: { _id: o.materia?._id ?? null, codigo: m.codigo, nombre: m.nombre, semestre: m.semestre, creditos: m.creditos },
+          eliminada: !o.materia,
+          horarios: o.horarios || [],
+        };
+      })
+      .sort((a, b) => a.materia.semestre - b.materia.semestre || a.materia.codigo.localeCompare(b.materia.codigo));
+
+    logger.info("Ofertas de período consultadas", { reqId: req.id, periodo: periodo.codigo, count: items.length });
+    res.json({ periodo: toPublicPeriodo(periodo), total: items.length, items });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * PUT /api/periodos/:id
+ * Actualiza codigo/nombre/fechas.
+ * body: { codigo?, nombre?, inicio?, fin? }
+ */
+exports.periodo_update = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido", reqId: req.id });
+    }
+
+    const doc = await Periodo.findById(id);
+    if (!doc) return res.status(404).json({ error: "Periodo no encontrado", reqId: req.id });
+
+    const { codigo, nombre, inicio, fin } = req.body;
+    if (inicio != null && !toDate(inicio)) return res.status(400).json({ error: "inicio inválido", reqId: req.id });
+    if (fin != null && !toDate(fin)) return res.status(400).json({ error: "fin inválido", reqId: req.id });
+
+    if (codigo) doc.codigo = String(codigo).trim();
+    if (typeof nombre === "string") doc.nombre = nombre.trim();
+    if (inicio != null) doc.inicio = toDate(inicio);
+    if (fin != null) doc.fin = toDate(fin);
+    if (doc.inicio >= doc.fin) {
+      return res.status(400).json({ error: "fin debe ser posterior a inicio", reqId: req.id });
+    }
+
+    await doc.save();
+
+    bus.emit("periodo:actualizado", { reqId: req.id, periodoId: doc._id.toString(), cambios: Object.keys(req.body) });
+    logger.info("Periodo actualizado", { reqId: req.id, periodoId: doc._id.toString(), cambios: Object.keys(req.body) });
+
+    res.json(toPublicPeriodo(doc));
+  } catch (err) {
+    if (err?.code === 11000) {
+      logger.warn("Intento de actualizar período con código duplicado", { reqId: req.id, codigo: req.body?.codigo });
+      return res.status(409).json({ error: "El código del período ya existe", reqId: req.id });
+    }
+    next(err);
+  }
+};
+
+/**
+ * DELETE /api/periodos/:id
+ * Elimina el período junto con sus ofertas (y la ocupación de sus cupos).
+ */
+exports.periodo_delete = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido", reqId: req.id });
+    }
+
+    const doc = await Periodo.findByIdAndDelete(id);
+    if (!doc) return res.status(404).json({ error: "Periodo no encontrado", reqId: req.id });
+    const { deletedCount } = await Oferta.deleteMany({ periodo: doc._id });
+    await Cupo.deleteMany({ periodo: doc._id });
+
+    bus.emit("periodo:eliminado", { reqId: req.id, periodoId: doc._id.toString(), codigo: doc.codigo });
+    logger.info("Periodo eliminado", { reqId: req.id, periodoId: doc._id.toString(), codigo: doc.codigo, ofertas: deletedCount });
+
+    res.json({ ok: true, eliminado: toPublicPeriodo(doc), ofertasEliminadas: deletedCount });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,318 @@
+/**
+ * Controlador de Planes de Estudio
+ * - CRUD de planes + gestión de sus materias:
+ *   * Validación de ObjectId y de cada entrada { materia, semestre, obligatoria }
+ *   * Manejo de E11000 (codigo+version duplicado)
+ *   * Logs (winston) con reqId para correlación
+ *   * Eventos de dominio (bus.emit) para auditoría/tiempo real
+ */
+const { Types } = require("mongoose");
+const Plan = require("../models/plan.model");
+const Materia = require("../models/materia.model");
+const Usuario = require("../models/usuario.model");
+const { enTransaccion } = require("../services/integridad.service");
+const { normalizarTopes } = require("../services/topes.service");
+const { logger } = require("../logger/logger");
+const bus = require("../events/bus");
+
+// --- Helpers ---
+
+// Populate consistente para materias.materia
+const populateMaterias = (q) =>
+  q.populate({ path: "materias.materia", select: "codigo nombre creditos" });
+
+// Serializador público
+function toPublicPlan(p) {
+  const materias = (p.materias || []).map((pm) => {
+    const mm = pm.materia;
+    return {
+      materia: mm && mm._id ? mm._id : mm,
+      materiaCodigo: mm && mm.codigo ? mm.codigo : undefined,
+      materiaNombre: mm && mm.nombre ? mm.nombre : undefined,
+      creditos: mm && mm.creditos != null ? mm.creditos : undefined,
+      semestre: pm.semestre,
+      obligatoria: pm.obligatoria !== false,
+    };
+  });
+
+  return {
+    _id: p._id,
+    codigo: p.codigo,
+    nombre: p.nombre,
+    version: p.version,
+    creditosRequeridos: p.creditosRequeridos,
+    materias,
+    topes: (p.topes || []).map(t => ({
+      minCreditosAprobados: t.minCreditosAprobados ?? 0,
+      minPromedio: t.minPromedio ?? null,
+      maxCreditos: t.maxCreditos ?? null,
+      maxHoras: t.maxHoras ?? null,
+    })),
+    createdAt: p.createdAt,
+    updatedAt: p.updatedAt,
+  };
+}
+
+// Valida una entrada de materia del plan (no consulta la base)
+function planMateriaValida(pm) {
+  return pm
+    && Types.ObjectId.isValid(pm.materia)
+    && Number.isInteger(Number(pm.semestre)) && Number(pm.semestre) >= 1
+    && (pm.obligatoria == null || typeof pm.obligatoria === "boolean");
+}
+
+/**
+ * Valida un array de materias del plan: formato, duplicados y existencia en el catálogo.
+ * Devuelve { error, detalle } o null si está todo bien.
+ */
+async function validarMateriasPlan(materias) {
+  for (const pm of materias) {
+    if (!planMateriaValida(pm)) return { error: "Materia de plan inválida (materia|semestre|obligatoria)", detalle: pm };
+  }
+  const ids = materias.map(pm => String(pm.materia));
+  if (new Set(ids).size !== ids.length) return { error: "Hay materias repetidas en el plan" };
+
+  const existentes = await Materia.countDocuments({ _id: { $in: ids }, eliminadoEn: null });
+  if (existentes !== ids.length) return { error: "Alguna materia del plan no existe en el catálogo" };
+  return null;
+}
+
+const normalizarMateriaPlan = (pm) => ({
+  materia: pm.materia,
+  semestre: Number(pm.semestre),
+  obligatoria: pm.obligatoria !== false,
+});
+
+/**
+ * POST /api/planes
+ * Crea un plan.
+ * body: { codigo, nombre, version, creditosRequeridos, materias?:[{ materia, semestre, obligatoria? }],
+ *         topes?:[{ minCreditosAprobados?, minPromedio?, maxCreditos?, maxHoras? }] }
+ */
+exports.plan_create = async (req, res, next) => {
+  try {
+    const { codigo, nombre, version, creditosRequeridos, materias = [], topes = [] } = req.body;
+
+    if (!codigo || !nombre || !version || creditosRequeridos == null) {
+      return res.status(400).json({ error: "codigo, nombre, version y creditosRequeridos son requeridos", reqId: req.id });
+    }
+    if (!Array.isArray(materias)) {
+      return res.status(400).json({ error: "materias debe ser un array", reqId: req.id });
+    }
+    const invalid = await validarMateriasPlan(materias);
+    if (invalid) return res.status(400).json({ ...invalid, reqId: req.id });
+    const { topes: reglas, error: errTopes } = normalizarTopes(topes);
+    if (errTopes) return res.status(400).json({ error: errTopes, reqId: req.id });
+
+    const doc = await Plan.create({
+      codigo, nombre, version: String(version), creditosRequeridos,
+      materias: materias.map(normalizarMateriaPlan),
+      topes: reglas,
+    });
+    await doc.populate({ path: "materias.materia", select: "codigo nombre creditos" });
+
+    bus.emit("plan:creado", { reqId: req.id, planId: doc._id.toString(), codigo: doc.codigo, version: doc.version });
+    logger.info("Plan creado", { reqId: req.id, planId: doc._id.toString(), codigo: doc.codigo, version: doc.version });
+
+    res.status(201).json(toPublicPlan(doc));
+  } catch (err) {
+    if (err?.code === 11000) {
+      logger.warn("Plan duplicado (codigo+version)", { reqId: req.id, codigo: req.body?.codigo, version: req.body?.version });
+      return res.status(409).json({ error: "Ya existe un plan con ese código y versión", reqId: req.id });
+    }
+    next(err);
+  }
+};
+
+/**
+ * GET /api/planes
+ * Lista planes (sin el detalle de materias).
+ * query: ?codigo=INF
+ */
+exports.plan_list = async (req, res, next) => {
+  try {
+    const { codigo } = req.query;
+    const q = {};
+    if (codigo) q.codigo = String(codigo).trim();
+
+    const planes = await Plan.find(q).select("-materias").sort({ codigo: 1, version: -1 }).lean();
+    logger.info("Listado de planes", { reqId: req.id, count: planes.length });
+    res.json(planes.map(toPublicPlan));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/planes/:id
+ * Obtiene un plan con sus materias pobladas.
+ */
+exports.plan_by_id = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido", reqId: req.id });
+    }
+
+    const doc = await populateMaterias(Plan.findById(id)).lean();
+    if (!doc) return res.status(404).json({ error: "Plan no encontrado", reqId: req.id });
+
+    logger.info("Plan consultado", { reqId: req.id, planId: id });
+    res.json(toPublicPlan(doc));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * PUT /api/planes/:id
+ * Actualiza campos y opcionalmente reemplaza la lista completa de materias y/o de topes.
+ * body: { codigo?, nombre?, version?, creditosRequeridos?, materias?, topes? }
+ */
+exports.plan_update = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido", reqId: req.id });
+    }
+
+    const doc = await Plan.findById(id);
+    if (!doc) return res.status(404).json({ error: "Plan no encontrado", reqId: req.id });
+
+    const { codigo, nombre, version, creditosRequeridos, materias, topes } = req.body;
+    if (codigo) doc.codigo = String(codigo).trim();
+    if (typeof nombre === "string") doc.nombre = nombre.trim();
+    if (version != null) doc.version = String(version).trim();
+    if (creditosRequeridos != null) doc.creditosRequeridos = Number(creditosRequeridos);
+
+    if (Array.isArray(materias)) {
+      const invalid = await validarMateriasPlan(materias);
+      if (invalid) return res.status(400).json({ ...invalid, reqId: req.id });
+      doc.materias = materias.map(normalizarMateriaPlan);
+    }
+    if (topes !== undefined) {
+      const { topes: reglas, error } = normalizarTopes(topes ?? []);
+      if (error) return res.status(400).json({ error, reqId: req.id });
+      doc.topes = reglas;
+    }
+
+    await doc.save();
+    await doc.populate({ path: "materias.materia", select: "codigo nombre creditos" });
+
+    bus.emit("plan:actualizado", { reqId: req.id, planId: doc._id.toString(), cambios: Object.keys(req.body) });
+    logger.info("Plan actualizado", { reqId: req.id, planId: doc._id.toString(), cambios: Object.keys(req.body) });
+
+    res.json(toPublicPlan(doc));
+  } catch (err) {
+    if (err?.code === 11000) {
+      logger.warn("Intento de actualizar plan a codigo+version duplicado", { reqId: req.id });
+      return res.status(409).json({ error: "Ya existe un plan con ese código y versión", reqId: req.id });
+    }
+    next(err);
+  }
+};
+
+/**
+ * DELETE /api/planes/:id
+ * Elimina el plan; los usuarios asignados quedan sin plan (en la misma transacción).
+ */
+exports.plan_delete = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido", reqId: req.id });
+    }
+
+    // Borrar el plan y desasignarlo de los usuarios juntos (sin referencias colgadas)
+    const result = await enTransaccion(async (session) => {
+      const doc = await Plan.findByIdAndDelete(id, { session });
+      if (!doc) return { noEncontrado: true };
+      const usuarios = await Usuario.find({ plan: doc._id }).select("_id").session(session).lean();
+      await Usuario.updateMany({ plan: doc._id }, { $unset: { plan: "" } }, { session });
+      return { doc, usuarios: usuarios.map(u => String(u._id)) };
+    });
+    if (result.noEncontrado) return res.status(404).json({ error: "Plan no encontrado", reqId: req.id });
+    const { doc, usuarios } = result;
+
+    for (const usuarioId of usuarios) {
+      bus.emit("usuario:actualizado", { reqId: req.id, userId: usuarioId, cambios: ["plan"] });
+    }
+    bus.emit("plan:eliminado", { reqId: req.id, planId: doc._id.toString(), codigo: doc.codigo });
+    logger.info("Plan eliminado", { reqId: req.id, planId: doc._id.toString(), codigo: doc.codigo, usuariosDesasignados: usuarios.length });
+
+    res.json({ ok: true, eliminado: toPublicPlan(doc), usuariosDesasignados: usuarios.length });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/planes/:id/materias
+ * Agrega una materia al plan (o actualiza semestre/obligatoria si ya estaba).
+ * body: { materia:ObjectId, semestre:Number, obligatoria?:Boolean }
+ */
+exports.plan_upsert_materia = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido", reqId: req.id });
+    }
+    if (!planMateriaValida(req.body)) {
+      return res.status(400).json({ error: "Materia de plan inválida (materia|semestre|obligatoria)", reqId: req.id });
+    }
+
+    const [doc, materiaExiste] = await Promise.all([
+      Plan.findById(id),
+      Materia.exists({ _id: req.body.materia, eliminadoEn: null }),
+    ]);
+    if (!doc) return res.status(404).json({ error: "Plan no encontrado", reqId: req.id });
+    if (!materiaExiste) return res.status(404).json({ error: "Materia no encontrada", reqId: req.id });
+
+    const entry = normalizarMateriaPlan(req.body);
+    const actual = doc.materias.find(pm => String(pm.materia) === String(entry.materia));
+    if (actual) {
+      actual.semestre = entry.semestre;
+      actual.obligatoria = entry.obligatoria;
+    } else {
+      doc.materias.push(entry);
+    }
+    await doc.save();
+    await doc.populate({ path: "materias.materia", select: "codigo nombre creditos" });
+
+    bus.emit("plan:actualizado", { reqId: req.id, planId: id, cambios: ["materias"] });
+    logger.info("Materia de plan guardada", { reqId: req.id, planId: id, materia: String(entry.materia) });
+
+    res.json(toPublicPlan(doc));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * DELETE /api/planes/:id/materias/:materiaId
+ * Quita una materia del plan.
+ */
+exports.plan_remove_materia = async (req, res, next) => {
+  try {
+    const { id, materiaId } = req.params;
+    if (!Types.ObjectId.isValid(id) || !Types.ObjectId.isValid(materiaId)) {
+      return res.status(400).json({ error: "ID inválido", reqId: req.id });
+    }
+
+    const doc = await Plan.findById(id);
+    if (!doc) return res.status(404).json({ error: "Plan no encontrado", reqId: req.id });
+
+    const before = doc.materias.length;
+    doc.materias = doc.materias.filter(pm => String(pm.materia) !== String(materiaId));
+    if (doc.materias.length !== before) {
+      await doc.save();
+      bus.emit("plan:actualizado", { reqId: req.id, planId: id, cambios: ["materias"] });
+      logger.info("Materia quitada del plan", { reqId: req.id, planId: id, materia: materiaId });
+    }
+
+    await doc.populate({ path: "materias.materia", select: "codigo nombre creditos" });
+    res.json(toPublicPlan(doc));
+  } catch (err) {
+    next(err);
+  }
+};
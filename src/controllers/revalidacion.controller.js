@@ -0,0 +1,291 @@
+/**
+ * Controlador de Revalidaciones
+ * - Flujo: el alumno crea la solicitud (items + institución), sube adjuntos y
+ *   un ADMIN la aprueba (se vuelca al Historial) o la rechaza (con motivo).
+ *   * Solo el dueño o un ADMIN pueden ver una solicitud y sus adjuntos
+ *   * Adjuntos en disco local (ver revalidacion.service), nunca se expone la ruta
+ *   * Logs (winston) con reqId para correlación
+ *   * Eventos de dominio (bus.emit) para auditoría/tiempo real
+ */
+const { Types } = require("mongoose");
+const Revalidacion = require("../models/revalidacion.model");
+const { logger } = require("../logger/logger");
+const bus = require("../events/bus");
+const {
+  rutaAdjunto, validarItems, agregarAdjunto, aprobarRevalidacion, rechazarRevalidacion,
+} = require("../services/revalidacion.service");
+
+const ESTADOS = ["PENDIENTE", "APROBADA", "RECHAZADA"];
+
+// --- Helpers ---
+
+const populateItems = (q) => q.populate("items.materia", "codigo nombre creditos");
+
+const esAdmin = (req) => req.user?.rol === "ADMIN";
+
+// Serializador público (los adjuntos se exponen por URL, no por ruta en disco)
+function toPublicRevalidacion(r) {
+  const id = String(r._id);
+  return {
+    _id: r._id,
+    usuario: r.usuario,
+    estado: r.estado,
+    institucion: r.institucion,
+    items: (r.items || []).map((it) => {
+      const mm = it.materia;
+      return {
+        materia: mm && mm._id ? mm._id : mm,
+        materiaCodigo: mm && mm.codigo ? mm.codigo : undefined,
+        materiaNombre: mm && mm.nombre ? mm.nombre : undefined,
+        estado: it.estado,
+        notaExamen: it.notaExamen ?? null,
+        fecha: it.fecha ?? null,
+        origenMateria: it.origenMateria ?? null,
+        origenNota: it.origenNota ?? null,
+      };
+    }),
+    adjuntos: (r.adjuntos || []).map(a => ({
+      _id: a._id,
+      nombre: a.nombre,
+      tipo: a.tipo,
+      tamano: a.tamano,
+      subidoEn: a.subidoEn,
+      url: `/api/revalidaciones/${id}/adjuntos/${a._id}`,
+    })),
+    observaciones: r.observaciones ?? null,
+    resolucion: r.resolucion?.en ? r.resolucion : null,
+    createdAt: r.createdAt,
+    updatedAt: r.updatedAt,
+  };
+}
+
+/**
+ * Carga la solicitud :id verificando acceso (dueño o ADMIN).
+ * Responde 400/404/403 y devuelve false si no corresponde.
+ */
+async function cargarConAcceso(req, res) {
+  const { id } = req.params;
+  if (!Types.ObjectId.isValid(id)) {
+    res.status(400).json({ error: "ID inválido", reqId: req.id });
+    return false;
+  }
+  const doc = await Revalidacion.findById(id);
+  if (!doc) {
+    res.status(404).json({ error: "Revalidación no encontrada", reqId: req.id });
+    return false;
+  }
+  if (!esAdmin(req) && String(doc.usuario) !== String(req.user._id)) {
+    res.status(403).json({ error: "No autorizado", reqId: req.id });
+    return false;
+  }
+  return doc;
+}
+
+/**
+ * POST /api/revalidaciones
+ * Crea una solicitud del usuario autenticado.
+ * body: { institucion, items:[{ materia, estado:'CURSADO'|'APROBADO', fecha, notaExamen?, origenMateria?, origenNota? }], observaciones? }
+ * fecha siempre (cierre del curso / examen en origen); APROBADO exige además notaExamen de aprobación.
+ */
+exports.revalidacion_create = async (req, res, next) => {
+  try {
+    const { institucion, items, observaciones } = req.body;
+    if (!institucion || !String(institucion).trim()) {
+      return res.status(400).json({ error: "institucion es requerida", reqId: req.id });
+    }
+    const error = await validarItems(items);
+    if (error) return res.status(400).json({ error, reqId: req.id });
+
+    const doc = await Revalidacion.create({
+      usuario: req.user._id,
+      institucion,
+      observaciones,
+      items: items.map(it => ({
+        materia: it.materia,
+        estado: it.estado,
+        notaExamen: it.notaExamen != null ? Number(it.notaExamen) : undefined,
+        fecha: new Date(it.fecha),
+        origenMateria: it.origenMateria,
+        origenNota: it.origenNota != null ? String(it.origenNota) : undefined,
+      })),
+    });
+    await doc.populate("items.materia", "codigo nombre creditos");
+
+    bus.emit("revalidacion:creada", { reqId: req.id, revalidacionId: doc._id.toString(), usuarioId: String(req.user._id) });
+    logger.info("Revalidación creada", { reqId: req.id, revalidacionId: doc._id.toString(), items: doc.items.length });
+
+    res.status(201).json(toPublicRevalidacion(doc));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/revalidaciones
+ * ADMIN: todas (filtros ?estado=PENDIENTE&usuario=<id>); resto: solo las propias.
+ */
+exports.revalidacion_list = async (req, res, next) => {
+  try {
+    const { estado, usuario } = req.query;
+    const q = {};
+    if (estado != null) {
+      if (!ESTADOS.includes(String(estado).toUpperCase())) {
+        return res.status(400).json({ error: `estado debe ser uno de: ${ESTADOS.join(", ")}`, reqId: req.id });
+      }
+      q.estado = String(estado).toUpperCase();
+    }
+    if (!esAdmin(req)) {
+      q.usuario = req.user._id;
+    } else if (usuario != null) {
+      if (!Types.ObjectId.isValid(usuario)) {
+        return res.status(400).json({ error: "usuario inválido", reqId: req.id });
+      }
+      q.usuario = usuario;
+    }
+
+    const docs = await populateItems(Revalidacion.find(q)).sort({ createdAt: -1 }).lean();
+    logger.info("Listado de revalidaciones", { reqId: req.id, count: docs.length });
+    res.json(docs.map(toPublicRevalidacion));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/revalidaciones/:id
+ * Detalle de una solicitud (dueño o ADMIN).
+ */
+exports.revalidacion_by_id = async (req, res, next) => {
+  try {
+    const doc = await cargarConAcceso(req, res);
+    if (!doc) return;
+    await doc.populate("items.materia", "codigo nombre creditos");
+    res.json(toPublicRevalidacion(doc));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/revalidaciones/:id/adjuntos?nombre=escolaridad.pdf
+ * Sube un adjunto (cuerpo binario; Content-Type application/pdf, image/png o image/jpeg).
+ * Solo el dueño y mientras la solicitud esté PENDIENTE.
+ */
+exports.revalidacion_add_adjunto = async (req, res, next) => {
+  try {
+    const doc = await cargarConAcceso(req, res);
+    if (!doc) return;
+    if (String(doc.usuario) !== String(req.user._id)) {
+      return res.status(403).json({ error: "Solo el solicitante puede adjuntar archivos", reqId: req.id });
+    }
+
+    const tipo = String(req.get("content-type") || "").split(";")[0].trim().toLowerCase();
+    const result = await agregarAdjunto({
+      revalidacion: doc,
+      nombre: req.query.nombre,
+      tipo,
+      contenido: req.body,
+    });
+    if (result.error) return res.status(400).json({ error: result.error, reqId: req.id });
+    if (result.yaResuelta) {
+      return res.status(409).json({ error: "La revalidación ya fue resuelta", reqId: req.id });
+    }
+
+    logger.info("Adjunto de revalidación subido", {
+      reqId: req.id, revalidacionId: doc._id.toString(), tipo, tamano: result.adjunto.tamano,
+    });
+    await result.doc.populate("items.materia", "codigo nombre creditos");
+    res.status(201).json(toPublicRevalidacion(result.doc));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/revalidaciones/:id/adjuntos/:adjuntoId
+ * Descarga un adjunto (dueño o ADMIN).
+ */
+exports.revalidacion_get_adjunto = async (req, res, next) => {
+  try {
+    const doc = await cargarConAcceso(req, res);
+    if (!doc) return;
+
+    const adjunto = doc.adjuntos.id(req.params.adjuntoId);
+    if (!adjunto) return res.status(404).json({ error: "Adjunto no encontrado", reqId: req.id });
+
+    res.type(adjunto.tipo);
+    res.download(rutaAdjunto(doc._id, adjunto), adjunto.nombre, (err) => {
+      if (!err) return;
+      logger.warn("No se pudo enviar el adjunto", { reqId: req.id, revalidacionId: doc._id.toString(), err: err.message });
+      if (!res.headersSent) res.status(404).json({ error: "Archivo no disponible", reqId: req.id });
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/revalidaciones/:id/aprobar
+ * Aprueba la solicitud y crea/actualiza las filas de Historial de cada ítem (ADMIN).
+ * 422 con { violaciones } si algún ítem no cumple la máquina de estados (falta fecha/nota).
+ */
+exports.revalidacion_aprobar = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido", reqId: req.id });
+    }
+
+    const result = await aprobarRevalidacion({ revalidacionId: id, adminId: req.user._id });
+    if (result.noEncontrada) return res.status(404).json({ error: "Revalidación no encontrada", reqId: req.id });
+    if (result.yaResuelta) return res.status(409).json({ error: "La revalidación ya fue resuelta", reqId: req.id });
+    if (result.invalida) {
+      logger.warn("Revalidación con ítems inválidos", { reqId: req.id, revalidacionId: id, violaciones: result.violaciones });
+      return res.status(422).json({ error: "Algún ítem no cumple las reglas de estado del historial", violaciones: result.violaciones, reqId: req.id });
+    }
+
+    const { doc, historial } = result;
+    const usuarioId = String(doc.usuario);
+
+    // Eventos después del commit
+    for (const h of historial) {
+      bus.emit("historial:actualizado", { reqId: req.id, usuarioId, materiaId: h.materia, estado: h.estado });
+    }
+    bus.emit("revalidacion:resuelta", { reqId: req.id, revalidacionId: id, usuarioId, estado: doc.estado });
+    logger.info("Revalidación aprobada", { reqId: req.id, revalidacionId: id, historialActualizado: historial.length });
+
+    await doc.populate("items.materia", "codigo nombre creditos");
+    res.json({ ...toPublicRevalidacion(doc), historialActualizado: historial });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/revalidaciones/:id/rechazar
+ * Rechaza la solicitud (ADMIN).
+ * body: { motivo }
+ */
+exports.revalidacion_rechazar = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido", reqId: req.id });
+    }
+    const motivo = String(req.body?.motivo || "").trim();
+    if (!motivo) return res.status(400).json({ error: "motivo es requerido", reqId: req.id });
+
+    const result = await rechazarRevalidacion({ revalidacionId: id, adminId: req.user._id, motivo });
+    if (result.noEncontrada) return res.status(404).json({ error: "Revalidación no encontrada", reqId: req.id });
+    if (result.yaResuelta) return res.status(409).json({ error: "La revalidación ya fue resuelta", reqId: req.id });
+
+    const { doc } = result;
+    bus.emit("revalidacion:resuelta", { reqId: req.id, revalidacionId: id, usuarioId: String(doc.usuario), estado: doc.estado });
+    logger.info("Revalidación rechazada", { reqId: req.id, revalidacionId: id });
+
+    await doc.populate("items.materia", "codigo nombre creditos");
+    res.json(toPublicRevalidacion(doc));
+  } catch (err) {
+    next(err);
+  }
+};
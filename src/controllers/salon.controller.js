@@ -0,0 +1,197 @@
+/**
+ * Controlador de Salones
+ * - CRUD de salones + ocupación semanal por período:
+ *   * Validación de capacidad (entero >= 1)
+ *   * Manejo de E11000 (codigo duplicado)
+ *   * Baja bloqueada (409) si algún horario usa el salón
+ *   * Logs (winston) con reqId para correlación
+ *   * Eventos de dominio (bus.emit) para auditoría/tiempo real
+ */
+const { Types } = require("mongoose");
+const Salon = require("../models/salon.model");
+const { logger } = require("../logger/logger");
+const bus = require("../events/bus");
+const { resolverPeriodo, toPeriodoRef } = require("../services/periodo.service");
+const { ocupacionSemanal, usosDeSalon } = require("../services/salon.service");
+
+// Helper: serializa un salón
+function toPublicSalon(s) {
+  return {
+    _id: s._id,
+    codigo: s.codigo,
+    nombre: s.nombre ?? null,
+    capacidad: s.capacidad,
+    edificio: s.edificio ?? null,
+    createdAt: s.createdAt,
+    updatedAt: s.updatedAt,
+  };
+}
+
+// Helper: capacidad válida (entero >= 1)
+const capacidadValida = (c) => Number.isInteger(Number(c)) && Number(c) >= 1;
+
+/**
+ * POST /api/salones
+ * Crea un salón.
+ * body: { codigo, capacidad, nombre?, edificio? }
+ */
+exports.salon_create = async (req, res, next) => {
+  try {
+    const { codigo, nombre, capacidad, edificio } = req.body;
+    if (!codigo || capacidad == null) {
+      return res.status(400).json({ error: "codigo y capacidad son requeridos", reqId: req.id });
+    }
+    if (!capacidadValida(capacidad)) {
+      return res.status(400).json({ error: "capacidad debe ser un entero >= 1", reqId: req.id });
+    }
+
+    const doc = await Salon.create({ codigo, nombre, capacidad: Number(capacidad), edificio });
+
+    bus.emit("salon:creado", { reqId: req.id, salonId: doc._id.toString(), codigo: doc.codigo });
+    logger.info("Salón creado", { reqId: req.id, salonId: doc._id.toString(), codigo: doc.codigo });
+
+    res.status(201).json(toPublicSalon(doc));
+  } catch (err) {
+    if (err?.code === 11000) {
+      logger.warn("Código de salón duplicado", { reqId: req.id, codigo: req.body?.codigo });
+      return res.status(409).json({ error: "El código del salón ya existe", reqId: req.id });
+    }
+    next(err);
+  }
+};
+
+/**
+ * GET /api/salones
+ * Lista salones.
+ * query: ?edificio=A&capacidadMin=30
+ */
+exports.salon_list = async (req, res, next) => {
+  try {
+    const { edificio, capacidadMin } = req.query;
+    const q = {};
+    if (edificio) q.edificio = String(edificio).trim();
+    if (capacidadMin != null) q.capacidad = { $gte: Number(capacidadMin) || 0 };
+
+    const salones = await Salon.find(q).sort({ codigo: 1 }).lean();
+    logger.info("Listado de salones", { reqId: req.id, count: salones.length });
+    res.json(salones.map(toPublicSalon));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/salones/:id
+ * Obtiene un salón.
+ */
+exports.salon_by_id = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido", reqId: req.id });
+    }
+    const doc = await Salon.findById(id).lean();
+    if (!doc) return res.status(404).json({ error: "Salón no encontrado", reqId: req.id });
+    res.json(toPublicSalon(doc));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/salones/:id/ocupacion
+ * Grilla semanal del salón en el período (comunes + grupos de todas las materias).
+ * query: ?periodo=2026-2 (default: período actual)
+ * Respuesta: { salon, periodo, dias:{ LUN:[...], ... }, horasSemanales, conflictos }
+ */
+exports.salon_ocupacion = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido", reqId: req.id });
+    }
+
+    const { periodo, noEncontrado } = await resolverPeriodo(req.query.periodo);
+    if (noEncontrado) return res.status(404).json({ error: "Periodo no encontrado", reqId: req.id });
+
+    const salon = await Salon.findById(id).lean();
+    if (!salon) return res.status(404).json({ error: "Salón no encontrado", reqId: req.id });
+
+    const result = await ocupacionSemanal({ salonId: id, periodo });
+    logger.info("Ocupación de salón consultada", {
+      reqId: req.id, salonId: id, periodo: periodo?.codigo, horasSemanales: result.horasSemanales,
+    });
+
+    res.json({ salon: toPublicSalon(salon), periodo: toPeriodoRef(periodo), ...result });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * PUT /api/salones/:id
+ * Actualiza un salón.
+ * body: { codigo?, nombre?, capacidad?, edificio? }
+ */
+exports.salon_update = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido", reqId: req.id });
+    }
+
+    const doc = await Salon.findById(id);
+    if (!doc) return res.status(404).json({ error: "Salón no encontrado", reqId: req.id });
+
+    const { codigo, nombre, capacidad, edificio } = req.body;
+    if (capacidad != null && !capacidadValida(capacidad)) {
+      return res.status(400).json({ error: "capacidad debe ser un entero >= 1", reqId: req.id });
+    }
+    if (codigo) doc.codigo = String(codigo).trim();
+    if (typeof nombre === "string") doc.nombre = nombre.trim();
+    if (capacidad != null) doc.capacidad = Number(capacidad);
+    if (typeof edificio === "string") doc.edificio = edificio.trim();
+
+    await doc.save();
+
+    bus.emit("salon:actualizado", { reqId: req.id, salonId: id, cambios: Object.keys(req.body) });
+    logger.info("Salón actualizado", { reqId: req.id, salonId: id, cambios: Object.keys(req.body) });
+
+    res.json(toPublicSalon(doc));
+  } catch (err) {
+    if (err?.code === 11000) {
+      logger.warn("Intento de actualizar salón a código duplicado", { reqId: req.id });
+      return res.status(409).json({ error: "El código del salón ya existe", reqId: req.id });
+    }
+    next(err);
+  }
+};
+
+/**
+ * DELETE /api/salones/:id
+ * Elimina un salón que no esté asignado a ningún horario (de ningún período).
+ */
+exports.salon_delete = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido", reqId: req.id });
+    }
+
+    const usos = await usosDeSalon(id);
+    if (usos > 0) {
+      logger.warn("Borrado de salón bloqueado: tiene horarios asignados", { reqId: req.id, salonId: id, usos });
+      return res.status(409).json({ error: "El salón tiene horarios asignados", usos, reqId: req.id });
+    }
+
+    const doc = await Salon.findByIdAndDelete(id);
+    if (!doc) return res.status(404).json({ error: "Salón no encontrado", reqId: req.id });
+
+    bus.emit("salon:eliminado", { reqId: req.id, salonId: id, codigo: doc.codigo });
+    logger.info("Salón eliminado", { reqId: req.id, salonId: id, codigo: doc.codigo });
+
+    res.json({ ok: true, eliminado: toPublicSalon(doc) });
+  } catch (err) {
+    next(err);
+  }
+};
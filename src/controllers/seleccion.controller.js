@@ -2,15 +2,49 @@
  * Controller de Selección / Choques
  * =================================
  * POST /seleccion/verificar
- * body: { materias: [ "<ObjectId>", ... ] }
+ * body: { materias: [ "<ObjectId>" | { materia:"<ObjectId>", grupo:"G1" }, ... ], periodo?: "2026-2",
+ *         preferencias?: { minDescansoMinutos?, maxHorasDia?, maxHuecoHoras? } }
+ *  - grupo: los choques se calculan solo contra el grupo elegido (más horarios comunes)
+ *  - periodo: codigo u ObjectId; por defecto el período actual
+ *  - preferencias: umbrales de las advertencias (pisan los del perfil; null apaga un chequeo)
  *
  * Requisitos:
  *  - req.user._id (usar requireAuth o devFakeAuth en desarrollo)
  *
  * Respuesta: ver formato en el servicio (resumen, conflictos, materias[])
+ *
+ * POST /seleccion/generar
+ * body: { materias: [ ...igual que verificar ], periodo?, criterios?: { orden?, noAntesDe?, maxHoras?, top? } }
+ *  - genera combinaciones sin choques entre las materias elegibles (ver generador.service)
+ *
+ * GET /seleccion/recomendacion
+ * query: ?periodo=2026-2&maxHoras=20&maxCreditos=40 (opcionales; por defecto, el tope del alumno)
+ *  - carga sugerida para el semestre, con motivos por materia (ver recomendacion.service)
+ *
+ * GET /seleccion/calendario.ics
+ * query: ?periodo=2026-2&desde=2026-08-03&hasta=2026-11-28 (opcionales)
+ *  - horario de las materias EN_CURSO como iCalendar (ver calendario.service)
+ *
+ * POST /seleccion/calendario.ics
+ * body: { materias: [ ...igual que verificar ], periodo?, desde?, hasta? }
+ *  - mismo calendario, pero de la selección enviada
+ *
+ * GET /seleccion/horario  |  GET /seleccion/horario.pdf
+ * query: ?periodo=2026-2 (opcional)
+ *  - grilla semanal imprimible (HTML o PDF) de las materias EN_CURSO (ver grilla.service)
+ *
+ * POST /seleccion/horario  |  POST /seleccion/horario.pdf
+ * body: { materias: [ ...igual que verificar ], periodo? }
+ *  - misma grilla, de la selección enviada; los choques se marcan en rojo
  */
 
-const { verificarSeleccion } = require("../services/seleccion.service");
+const { verificarSeleccion, normalizarPreferencias } = require("../services/seleccion.service");
+const { generarHorarios, normalizarCriterios, MAX_DESEOS } = require("../services/generador.service");
+const { recomendarCursada } = require("../services/recomendacion.service");
+const { calendarioDelAlumno, rangoDelCalendario } = require("../services/calendario.service");
+const { grillaDelAlumno, grillaPdf } = require("../services/grilla.service");
+const { resolverPeriodo } = require("../services/periodo.service");
+const { toFecha } = require("../utils/horario.util");
 const { logger } = require("../logger/logger");
 const bus = require("../events/bus");
 
@@ -21,16 +55,28 @@ exports.verificar = async (req, res, next) => {
     }
     const { materias } = req.body;
 
+    const { preferencias, error } = normalizarPreferencias(req.body.preferencias);
+    if (error) return res.status(400).json({ error, reqId: req.id });
+
+    const { periodo, noEncontrado } = await resolverPeriodo(req.body.periodo ?? req.query.periodo);
+    if (noEncontrado) {
+      return res.status(404).json({ error: "Periodo no encontrado", reqId: req.id });
+    }
+
     const result = await verificarSeleccion({
       materiaIds: materias,
       usuarioId: req.user._id,
+      periodo,
+      preferencias,
     });
 
     logger.info("Seleccion verificada", {
       reqId: req.id,
       userId: req.user._id,
+      periodo: periodo?.codigo,
       seleccionadas: result.resumen.seleccionadas,
       conflictos: result.resumen.conflictos,
+      advertencias: result.resumen.advertencias,
       cargaHoras: result.resumen.cargaHoras,
     });
 
@@ -45,3 +91,247 @@ exports.verificar = async (req, res, next) => {
     next(err);
   }
 };
+
+exports.generar = async (req, res, next) => {
+  try {
+    if (!req.user?._id) {
+      return res.status(401).json({ error: "No autenticado", reqId: req.id });
+    }
+    const { materias } = req.body;
+    if (!Array.isArray(materias) || materias.length === 0) {
+      return res.status(400).json({ error: "materias requerido (array no vacío)", reqId: req.id });
+    }
+    if (materias.length > MAX_DESEOS) {
+      return res.status(400).json({ error: `Se admiten hasta ${MAX_DESEOS} materias deseadas`, reqId: req.id });
+    }
+
+    const { criterios, error } = normalizarCriterios(req.body.criterios);
+    if (error) return res.status(400).json({ error, reqId: req.id });
+
+    const { periodo, noEncontrado } = await resolverPeriodo(req.body.periodo ?? req.query.periodo);
+    if (noEncontrado) {
+      return res.status(404).json({ error: "Periodo no encontrado", reqId: req.id });
+    }
+
+    const result = await generarHorarios({
+      deseos: materias,
+      usuarioId: req.user._id,
+      periodo,
+      criterios,
+    });
+
+    logger.info("Horarios generados", {
+      reqId: req.id,
+      userId: req.user._id,
+      periodo: periodo?.codigo,
+      deseadas: result.resumen.deseadas,
+      validas: result.resumen.combinacionesValidas,
+      truncado: result.resumen.truncado,
+    });
+
+    bus.emit("seleccion:generada", {
+      reqId: req.id,
+      userId: req.user._id,
+      resumen: result.resumen,
+    });
+
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.recomendacion = async (req, res, next) => {
+  try {
+    if (!req.user?._id) {
+      return res.status(401).json({ error: "No autenticado", reqId: req.id });
+    }
+    const { maxHoras, maxCreditos } = req.query;
+    if (maxHoras != null && !(Number(maxHoras) > 0)) {
+      return res.status(400).json({ error: "maxHoras debe ser un número > 0", reqId: req.id });
+    }
+    if (maxCreditos != null && !(Number(maxCreditos) > 0)) {
+      return res.status(400).json({ error: "maxCreditos debe ser un número > 0", reqId: req.id });
+    }
+
+    const { periodo, noEncontrado } = await resolverPeriodo(req.query.periodo);
+    if (noEncontrado) {
+      return res.status(404).json({ error: "Periodo no encontrado", reqId: req.id });
+    }
+
+    const result = await recomendarCursada({
+      usuarioId: req.user._id,
+      periodo,
+      maxHoras: maxHoras != null ? Number(maxHoras) : null,
+      maxCreditos: maxCreditos != null ? Number(maxCreditos) : null,
+    });
+
+    logger.info("Recomendación de cursada", {
+      reqId: req.id,
+      userId: req.user._id,
+      periodo: periodo?.codigo,
+      candidatas: result.resumen.candidatas,
+      recomendadas: result.resumen.recomendadas,
+      creditos: result.resumen.creditos,
+    });
+
+    bus.emit("seleccion:recomendada", {
+      reqId: req.id,
+      userId: req.user._id,
+      resumen: result.resumen,
+    });
+
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Responde el .ics del alumno (compartido por GET y POST).
+ * - items: selección enviada; null => materias EN_CURSO
+ */
+async function responderCalendario(req, res, { items, periodoRef, desde, hasta }) {
+  if (!req.user?._id) {
+    return res.status(401).json({ error: "No autenticado", reqId: req.id });
+  }
+  for (const [campo, valor] of [["desde", desde], ["hasta", hasta]]) {
+    if (valor != null && valor !== "" && !toFecha(valor)) {
+      return res.status(400).json({ error: `${campo} debe ser una fecha (YYYY-MM-DD)`, reqId: req.id });
+    }
+  }
+
+  const { periodo, noEncontrado } = await resolverPeriodo(periodoRef);
+  if (noEncontrado) {
+    return res.status(404).json({ error: "Periodo no encontrado", reqId: req.id });
+  }
+
+  const rango = rangoDelCalendario({ periodo, desde, hasta });
+  if (rango.sinRango) {
+    return res.status(400).json({
+      error: "Sin fechas de semestre: indicá desde/hasta o configurá CALENDARIO_INICIO/CALENDARIO_FIN",
+      reqId: req.id,
+    });
+  }
+  if (rango.rangoInvalido) {
+    return res.status(400).json({ error: "desde debe ser anterior o igual a hasta", reqId: req.id });
+  }
+
+  const { ics, resumen } = await calendarioDelAlumno({
+    usuarioId: req.user._id,
+    periodo,
+    items,
+    rango,
+  });
+
+  logger.info("Calendario exportado", {
+    reqId: req.id,
+    userId: req.user._id,
+    periodo: periodo?.codigo,
+    origen: items ? "seleccion" : "en_curso",
+    materias: resumen.materias,
+    eventos: resumen.eventos,
+  });
+
+  bus.emit("seleccion:calendario", {
+    reqId: req.id,
+    userId: req.user._id,
+    resumen,
+  });
+
+  res
+    .type("text/calendar; charset=utf-8")
+    .attachment(`horario-${periodo?.codigo || "cursada"}.ics`)
+    .send(ics);
+}
+
+exports.calendario = async (req, res, next) => {
+  try {
+    await responderCalendario(req, res, {
+      items: null,
+      periodoRef: req.query.periodo,
+      desde: req.query.desde,
+      hasta: req.query.hasta,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.calendarioSeleccion = async (req, res, next) => {
+  try {
+    const { materias } = req.body;
+    if (!Array.isArray(materias) || materias.length === 0) {
+      return res.status(400).json({ error: "materias requerido (array no vacío)", reqId: req.id });
+    }
+    await responderCalendario(req, res, {
+      items: materias,
+      periodoRef: req.body.periodo ?? req.query.periodo,
+      desde: req.body.desde ?? req.query.desde,
+      hasta: req.body.hasta ?? req.query.hasta,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Responde la grilla semanal como página (EJS) o PDF (compartido por GET y POST).
+ * - items: selección enviada; null => materias EN_CURSO
+ */
+async function responderHorario(req, res, { items, periodoRef, pdf }) {
+  if (!req.user?._id) {
+    return res.status(401).json({ error: "No autenticado", reqId: req.id });
+  }
+
+  const { periodo, noEncontrado } = await resolverPeriodo(periodoRef);
+  if (noEncontrado) {
+    return res.status(404).json({ error: "Periodo no encontrado", reqId: req.id });
+  }
+
+  const grilla = await grillaDelAlumno({ usuarioId: req.user._id, periodo, items });
+
+  logger.info("Horario impreso", {
+    reqId: req.id,
+    userId: req.user._id,
+    periodo: periodo?.codigo,
+    origen: items ? "seleccion" : "en_curso",
+    formato: pdf ? "pdf" : "html",
+    materias: grilla.materias.length,
+    conflictos: grilla.conflictos.length,
+  });
+
+  if (!pdf) return res.render("seleccion/horario", { grilla });
+  res
+    .type("application/pdf")
+    .attachment(`horario-${periodo?.codigo || "cursada"}.pdf`)
+    .send(grillaPdf(grilla));
+}
+
+exports.horario = async (req, res, next) => {
+  try {
+    await responderHorario(req, res, {
+      items: null,
+      periodoRef: req.query.periodo,
+      pdf: req.path.endsWith(".pdf"),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.horarioSeleccion = async (req, res, next) => {
+  try {
+    const { materias } = req.body;
+    if (!Array.isArray(materias) || materias.length === 0) {
+      return res.status(400).json({ error: "materias requerido (array no vacío)", reqId: req.id });
+    }
+    await responderHorario(req, res, {
+      items: materias,
+      periodoRef: req.body.periodo ?? req.query.periodo,
+      pdf: req.path.endsWith(".pdf"),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
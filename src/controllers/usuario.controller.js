@@ -9,8 +9,14 @@
  */
 const { Types } = require("mongoose");
 const Usuario = require("../models/usuario.model");
+const Plan = require("../models/plan.model");
+const { MODOS: MODOS_BORRADO, eliminarUsuario } = require("../services/integridad.service");
+const { borrarAdjuntos } = require("../services/revalidacion.service");
+const { sincronizarCupo, periodoDe } = require("../services/inscripcion.service");
+const { normalizarPreferencias } = require("../services/seleccion.service");
 const { logger } = require("../logger/logger");
 const bus = require("../events/bus");
+const { emitirCambiosDeCupo } = require("../events/cupo.events");
 
 // Helper: serializa un usuario sin campos sensibles
 function toPublicUser(u) {
@@ -19,26 +25,38 @@ function toPublicUser(u) {
     email: u.email,
     nombre: u.nombre,
     rol: u.rol,
+    plan: u.plan ?? null,
+    preferenciasHorario: u.preferenciasHorario ?? {},
     createdAt: u.createdAt,
     updatedAt: u.updatedAt,
   };
 }
 
+// Helper: valida que "plan" (si viene) sea un ObjectId de un Plan existente
+async function planInvalido(plan) {
+  if (plan == null) return null;
+  if (!Types.ObjectId.isValid(plan)) return "plan no es un ObjectId válido";
+  if (!(await Plan.exists({ _id: plan }))) return "Plan no encontrado";
+  return null;
+}
+
 /**
  * POST /api/usuarios
  * Crea un usuario nuevo.
- * body: { email, password, nombre?, rol? }
+ * body: { email, password, nombre?, rol?, plan? }
  */
 exports.usuario_create = async (req, res, next) => {
   try {
-    const { email, password, nombre, rol } = req.body;
+    const { email, password, nombre, rol, plan } = req.body;
 
     if (!email || !password) {
       return res.status(400).json({ error: "email y password son requeridos", reqId: req.id });
     }
+    const errPlan = await planInvalido(plan);
+    if (errPlan) return res.status(400).json({ error: errPlan, reqId: req.id });
 
     const passwordHash = await Usuario.hashPassword(password);
-    const user = await Usuario.create({ email, passwordHash, nombre, rol });
+    const user = await Usuario.create({ email, passwordHash, nombre, rol, plan });
 
     // Evento + log
     bus.emit("usuario:creado", { 
@@ -69,7 +87,7 @@ exports.usuario_create = async (req, res, next) => {
 /**
  * GET /api/usuarios
  * Lista usuarios (opcional: filtrar por rol).
- * query: ?rol=ADMIN|ESTUDIANTE
+ * query: ?rol=ADMIN|DOCENTE|ESTUDIANTE
  */
 exports.usuario_list = async (req, res, next) => {
   try {
@@ -77,7 +95,7 @@ exports.usuario_list = async (req, res, next) => {
     const q = {};
     if (rol) q.rol = rol;
 
-    const usuarios = await Usuario.find(q).lean();
+    const usuarios = await Usuario.find(q).activos().lean();
     const data = usuarios.map(toPublicUser);
 
     logger.info("Listado de usuarios", { 
@@ -102,7 +120,7 @@ exports.usuario_by_id = async (req, res, next) => {
       return res.status(400).json({ error: "ID inválido", reqId: req.id });
     }
 
-    const user = await Usuario.findById(id);
+    const user = await Usuario.findById(id).activos();
     if (!user) {
       return res.status(404).json({ error: "Usuario no encontrado", reqId: req.id });
     }
@@ -119,8 +137,11 @@ exports.usuario_by_id = async (req, res, next) => {
 
 /**
  * PUT /api/usuarios/:id
- * Actualiza campos (nombre, rol y/o password).
- * body: { nombre?, rol?, password? }
+ * Actualiza campos (nombre, rol, plan, preferenciasHorario y/o password).
+ * body: { nombre?, rol?, plan?, password?, preferenciasHorario? }
+ * plan: null para desasignar.
+ * preferenciasHorario: { minDescansoMinutos?, maxHorasDia?, maxHuecoHoras? } (se fusiona
+ *   con lo guardado; null en una clave apaga ese chequeo; preferenciasHorario: null vuelve a los defaults).
  */
 exports.usuario_update = async (req, res, next) => {
   try {
@@ -129,14 +150,22 @@ exports.usuario_update = async (req, res, next) => {
       return res.status(400).json({ error: "ID inválido", reqId: req.id });
     }
 
-    const user = await Usuario.findById(id);
+    const user = await Usuario.findById(id).activos();
     if (!user) {
       return res.status(404).json({ error: "Usuario no encontrado", reqId: req.id });
     }
 
-    const { nombre, rol, password } = req.body;
+    const { nombre, rol, plan, password, preferenciasHorario } = req.body;
+    const errPlan = await planInvalido(plan);
+    if (errPlan) return res.status(400).json({ error: errPlan, reqId: req.id });
+    const { preferencias, error: errPrefs } = normalizarPreferencias(preferenciasHorario);
+    if (errPrefs) return res.status(400).json({ error: errPrefs, reqId: req.id });
+
     if (typeof nombre === "string") user.nombre = nombre.trim();
     if (rol) user.rol = rol; // valida en el enum del schema
+    if (plan !== undefined) user.plan = plan; // null => sin plan
+    if (preferenciasHorario === null) user.preferenciasHorario = {};
+    for (const [clave, valor] of Object.entries(preferencias)) user.set(`preferenciasHorario.${clave}`, valor);
     if (password) user.passwordHash = await Usuario.hashPassword(password);
 
     await user.save();
@@ -160,8 +189,12 @@ exports.usuario_update = async (req, res, next) => {
 
 /**
  * DELETE /api/usuarios/:id
- * Elimina físicamente el usuario.
- * (Si más adelante querés "soft delete", cambia a bandera isActive=false)
+ * Elimina el usuario respetando integridad referencial.
+ * query: ?modo=restrict|cascade|soft (default restrict)
+ *  - restrict: 409 con la lista de dependientes si tiene historial
+ *  - cascade: borra también su historial, reválidas e inscripciones (y libera sus cupos)
+ *  - soft: baja lógica (no puede loguearse; historial intacto)
+ * En todos los casos sus refresh tokens quedan invalidados.
  */
 exports.usuario_delete = async (req, res, next) => {
   try {
@@ -169,24 +202,57 @@ exports.usuario_delete = async (req, res, next) => {
     if (!Types.ObjectId.isValid(id)) {
       return res.status(400).json({ error: "ID inválido", reqId: req.id });
     }
+    const modo = String(req.query.modo || "restrict").toLowerCase();
+    if (!MODOS_BORRADO.includes(modo)) {
+      return res.status(400).json({ error: `modo debe ser uno de: ${MODOS_BORRADO.join(", ")}`, reqId: req.id });
+    }
 
-    const user = await Usuario.findByIdAndDelete(id);
-    if (!user) {
+    const result = await eliminarUsuario({ usuarioId: id, modo });
+    if (result.noEncontrada) {
       return res.status(404).json({ error: "Usuario no encontrado", reqId: req.id });
     }
+    if (result.bloqueada) {
+      logger.warn("Borrado de usuario bloqueado por dependientes", { reqId: req.id, userId: id });
+      return res.status(409).json({
+        error: "El usuario tiene historial, reválidas, inscripciones o asignaciones docentes; usá ?modo=cascade o ?modo=soft",
+        dependientes: result.dependientes,
+        reqId: req.id,
+      });
+    }
+
+    const { doc: user, cascada } = result;
 
+    // Adjuntos de reválidas borradas (disco, fuera de la transacción)
+    await borrarAdjuntos(cascada.revalidacionesEliminadas);
+
+    // Lugares liberados en los cupos: entran los primeros de cada lista de espera
+    for (const c of cascada.cuposLiberados) {
+      emitirCambiosDeCupo(req.id, await sincronizarCupo({ materiaId: c.materia, periodo: await periodoDe(c.periodo) }));
+    }
+
+    // Eventos en cascada (después del commit)
+    for (const h of cascada.historialEliminado) {
+      bus.emit("historial:eliminado", { reqId: req.id, usuarioId: h.usuario, materiaId: h.materia });
+    }
     bus.emit("usuario:eliminado", { 
         reqId: req.id, 
         userId: user._id.toString(), 
-        email: user.email 
+        email: user.email,
+        modo
     });
     logger.info("Usuario eliminado", { 
         reqId: req.id, 
         userId: user._id.toString(), 
-        email: user.email 
+        email: user.email,
+        modo,
+        historialEliminado: cascada.historialEliminado.length,
+        revalidacionesEliminadas: cascada.revalidacionesEliminadas.length,
+        inscripcionesEliminadas: cascada.inscripcionesEliminadas,
+        cuposLiberados: cascada.cuposLiberados.length,
+        tokensRevocados: cascada.tokensRevocados
     });
 
-    res.json({ ok: true, eliminado: toPublicUser(user) });
+    res.json({ ok: true, modo, eliminado: toPublicUser(user), dependientes: result.dependientes });
   } catch (err) {
     next(err);
   }
@@ -0,0 +1,22 @@
+/**
+ * Eventos de cupos
+ * ================
+ * Emite en el bus lo que devuelven los servicios de inscripción/cupos al tocar lugares:
+ *  - cupo:actualizado     { materiaId, periodo, cupo, inscriptos, disponibles, enEspera, grupos }
+ *  - inscripcion:promovida { inscripcionId, usuarioId, materiaId }  (salió de la lista de espera)
+ *  - historial:actualizado  si la promoción pasó la materia a EN_CURSO
+ * Se llama desde los controllers, después de que los cambios quedaron guardados.
+ */
+const bus = require("./bus");
+
+function emitirCambiosDeCupo(reqId, { cupos = [], promociones = [] } = {}) {
+  for (const c of cupos) {
+    bus.emit("cupo:actualizado", { reqId, materiaId: c.materiaId, periodo: c.periodo, ...c.ocupacion });
+  }
+  for (const p of promociones) {
+    if (p.historial) bus.emit("historial:actualizado", { reqId, usuarioId: p.usuarioId, materiaId: p.materiaId, estado: p.historial });
+    bus.emit("inscripcion:promovida", { reqId, inscripcionId: p.inscripcionId, usuarioId: p.usuarioId, materiaId: p.materiaId });
+  }
+}
+
+module.exports = { emitirCambiosDeCupo };
@@ -4,8 +4,14 @@
  * - requireAuth:
  *    * Extrae el Access Token del request (Authorization: Bearer ...)
  *    * Verifica firma y expiración (JWT_ACCESS_SECRET)
+ *    * Rechaza usuarios dados de baja (eliminadoEn)
  *    * Inyecta un user mínimo en req.user para el resto de la app
  *
+ * - optionalAuth:
+ *    * Igual que requireAuth pero nunca corta la cadena: si no hay token
+ *      (o es inválido, o el usuario fue dado de baja) sigue sin req.user. Útil en rutas públicas que
+ *      personalizan la respuesta cuando hay usuario.
+ *
  * - requireRole(role):
  *    * Revisa que req.user exista (o sea, que haya pasado requireAuth)
  *    * Valida que el rol del usuario coincida con el requerido
@@ -16,6 +22,7 @@
 
 const jwt = require("jsonwebtoken");
 const { logger } = require("../logger/logger");
+const Usuario = require("../models/usuario.model");
 
 /**
  * Helper: busca el access token en lugares típicos.
@@ -35,27 +42,65 @@ function getAccessToken(req) {
 /**
  * requireAuth: middleware que protege rutas.
  * - Si no hay token o es inválido, responde 401.
+ * - Si el usuario fue dado de baja (eliminadoEn) después de emitir el token, responde 401.
  * - Si es válido, setea req.user con { _id, rol, email } para el resto de la cadena.
  */
-exports.requireAuth = (req, res, next) => {
-  try {
-    const token = getAccessToken(req);
-    if (!token) return res.status(401).json({ error: "No autenticado", reqId: req.id });
+exports.requireAuth = async (req, res, next) => {
+  const token = getAccessToken(req);
+  if (!token) return res.status(401).json({ error: "No autenticado", reqId: req.id });
 
+  let payload;
+  try {
     // Verifica firma y expiración contra JWT_ACCESS_SECRET
-    const payload = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+    payload = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+  } catch (err) {
+    logger.warn("Access token inválido", { reqId: req.id, err: err?.message });
+    return res.status(401).json({ error: "Token inválido o expirado", reqId: req.id });
+  }
+
+  try {
+    // El token sigue vigente hasta expirar: chequeamos que el usuario no esté dado de baja
+    const activo = await Usuario.exists({ _id: payload.sub, eliminadoEn: null });
+    if (!activo) {
+      logger.warn("Access token de usuario eliminado", { reqId: req.id, userId: payload.sub });
+      return res.status(401).json({ error: "Usuario inexistente o dado de baja", reqId: req.id });
+    }
 
     // Inyectamos un "perfil" mínimo. Podrías cargar más datos desde DB si lo necesitás.
     req.user = { _id: payload.sub, rol: payload.rol, email: payload.email };
     next();
   } catch (err) {
-    logger.warn("Access token inválido", { reqId: req.id, err: err?.message });
-    return res.status(401).json({ error: "Token inválido o expirado", reqId: req.id });
+    next(err);
+  }
+};
+
+/**
+ * optionalAuth: si hay un access token válido (de un usuario activo) setea req.user; si no, sigue igual.
+ */
+exports.optionalAuth = async (req, res, next) => {
+  const token = getAccessToken(req);
+  if (!token) return next();
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+  } catch (err) {
+    logger.debug("optionalAuth: token ignorado", { reqId: req.id, err: err?.message });
+    return next();
+  }
+
+  try {
+    // Igual que requireAuth: un usuario dado de baja sigue como anónimo
+    const activo = await Usuario.exists({ _id: payload.sub, eliminadoEn: null });
+    if (activo) req.user = { _id: payload.sub, rol: payload.rol, email: payload.email };
+    else logger.debug("optionalAuth: usuario eliminado, sigue anónimo", { reqId: req.id, userId: payload.sub });
+    next();
+  } catch (err) {
+    next(err);
   }
 };
 
 /**
- * requireRole('ADMIN' | 'ESTUDIANTE'): middleware de autorización.
+ * requireRole('ADMIN' | 'DOCENTE' | 'ESTUDIANTE'): middleware de autorización.
  * - Requiere que el usuario ya esté autenticado (req.user exista).
  * - Compara el rol del usuario con el requerido por la ruta.
  */
@@ -0,0 +1,33 @@
+// Ocupación del cupo de una materia en un período: quiénes tienen lugar y quiénes esperan.
+// La capacidad NO se guarda acá: vive en la Oferta (cupo de la materia y de cada grupo).
+const { Schema, model, Types } = require('mongoose');
+
+/**
+ * Lugar tomado (o pedido) por un alumno:
+ * - grupo: código del grupo elegido (null si no eligió / la materia no tiene grupos).
+ * - en: cuándo lo tomó o entró a la lista de espera (orden de la lista).
+ */
+const LugarSchema = new Schema({
+  usuario: { type: Types.ObjectId, ref: 'Usuario', required: true },
+  grupo:   { type: String, trim: true, default: null },
+  en:      { type: Date, default: Date.now }
+}, { _id: false });
+
+/**
+ * Esquema de Cupo (un documento por materia y período):
+ * - periodo: null => modo legacy (sin períodos configurados).
+ * - inscriptos: alumnos con lugar asignado.
+ * - espera: lista de espera, en orden de llegada.
+ * Un único documento permite reservar de forma atómica contra el cupo de la
+ * materia y el del grupo a la vez (ver cupo.service).
+ */
+const CupoSchema = new Schema({
+  periodo:    { type: Types.ObjectId, ref: 'Periodo', default: null },
+  materia:    { type: Types.ObjectId, ref: 'Materia', required: true, index: true },
+  inscriptos: { type: [LugarSchema], default: [] },
+  espera:     { type: [LugarSchema], default: [] }
+}, { timestamps: true });
+
+CupoSchema.index({ periodo: 1, materia: 1 }, { unique: true });
+
+module.exports = model('Cupo', CupoSchema);
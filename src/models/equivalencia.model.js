@@ -0,0 +1,26 @@
+// Equivalencia entre materias (otro plan, otra universidad cargada en el catálogo, etc.).
+const { Schema, model, Types } = require('mongoose');
+
+/**
+ * Esquema de Equivalencia (dirigida: origen => destino):
+ * - origen: materia que el alumno tiene en su historial.
+ * - destino: materia que se da por cumplida gracias al origen.
+ * - tipo:
+ *   * TOTAL:   el destino toma el estado del origen (CURSADO o APROBADO).
+ *   * PARCIAL: el destino queda a lo sumo CURSADO (cumple previas de CURSO, no de EXAMEN);
+ *              si el origen está APROBADO se reconocen "creditos" (no los del destino).
+ * - creditos: créditos reconocidos en equivalencias PARCIALES.
+ * - observaciones: texto libre (resolución, acta, etc.).
+ */
+const EquivalenciaSchema = new Schema({
+  origen:  { type: Types.ObjectId, ref: 'Materia', required: true, index: true },
+  destino: { type: Types.ObjectId, ref: 'Materia', required: true, index: true },
+  tipo:    { type: String, enum: ['TOTAL', 'PARCIAL'], required: true, default: 'TOTAL' },
+  creditos: { type: Number, min: 0, default: 0 },
+  observaciones: { type: String, trim: true }
+}, { timestamps: true });
+
+// Una sola equivalencia por par origen => destino.
+EquivalenciaSchema.index({ origen: 1, destino: 1 }, { unique: true });
+
+module.exports = model('Equivalencia', EquivalenciaSchema);
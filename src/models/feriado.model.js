@@ -0,0 +1,14 @@
+// Calendario institucional de feriados: días sin clases.
+const { Schema, model } = require('mongoose');
+
+/**
+ * Esquema de Feriado:
+ * - fecha: día sin clases (se guarda a medianoche UTC), único.
+ * - nombre: motivo (e.g. "Día de la Independencia").
+ */
+const FeriadoSchema = new Schema({
+  fecha:  { type: Date, required: true, unique: true },
+  nombre: { type: String, required: true, trim: true }
+}, { timestamps: true });
+
+module.exports = model('Feriado', FeriadoSchema);
@@ -0,0 +1,24 @@
+// Subdocumento de Grupo (sección) de una materia: se dicta en varios grupos
+// con horarios propios; el alumno elige uno. Vive junto a los horarios
+// (Oferta por período, o Materia en modo legacy).
+const { Schema, Types } = require('mongoose');
+const HorarioSchema = require('./horario.schema');
+
+/**
+ * - codigo: identificador del grupo dentro de la materia (ej. "G1", "NOCHE").
+ * - horarios: horarios propios del grupo (se suman a los comunes de la materia).
+ * - docente: Usuario (rol DOCENTE) que dicta el grupo; aplica a los horarios
+ *   del grupo que no tengan docente propio.
+ * - docenteNombre: nombre en texto libre que se guardaba en "docente" antes de que
+ *   fuera un Usuario (legacy, solo informativo; ver periodo.service ofertaPorMateria).
+ * - cupo: capacidad máxima (sin valor => sin límite).
+ */
+const GrupoSchema = new Schema({
+  codigo:   { type: String, required: true, trim: true },
+  horarios: { type: [HorarioSchema], default: [] },
+  docente:  { type: Types.ObjectId, ref: 'Usuario' },
+  docenteNombre: { type: String, trim: true },
+  cupo:     { type: Number, min: 0 }
+}, { _id: false });
+
+module.exports = GrupoSchema;
@@ -1,5 +1,6 @@
 // Historial registra el estado del alumno respecto a cada Materia.
 const { Schema, model, Types } = require('mongoose');
+const { ESTADOS } = require('../utils/historial.util');
 
 const HistorialSchema = new Schema({
   // Usuario dueño del historial.
@@ -14,9 +15,10 @@ const HistorialSchema = new Schema({
   // - CURSADO: curso aprobado (sin examen final aprobado).
   // - A_EXAMEN: ya cursó y está en instancia de examen.
   // - APROBADO: aprobó examen final (o equivalente).
+  // Transiciones y campos requeridos por estado: ver utils/historial.util.js.
   estado: { 
     type: String, 
-    enum: ['PENDIENTE','EN_CURSO','CURSADO','A_EXAMEN','APROBADO'], 
+    enum: ESTADOS, 
     required: true,
     default: 'PENDIENTE'
   },
@@ -0,0 +1,29 @@
+// Subdocumento de Horario compartido por Materia (legacy) y Oferta (por período).
+const { Schema, Types } = require('mongoose');
+
+/**
+ * Subdocumento de Horario:
+ * - _id: false evita crear un _id por cada horario embebido.
+ * - dia: restringido a abreviaturas.
+ * - inicio/fin: como 'HH:mm' simplifica validaciones del lado del servidor.
+ * - salon: opcional; si se indica, no puede haber otro horario en el mismo
+ *   salón que se solape (ver salon.service).
+ * - docente: opcional (Usuario con rol DOCENTE); mismo criterio que salon
+ *   (ver docente.service). En grupos, si no se indica, vale grupo.docente.
+ * - desde/hasta: vigencia opcional (p.ej. cursos intensivos de medio semestre);
+ *   sin valor => todo el período.
+ * - recurrencia: SEMANAL (default) o QUINCENAL (cada dos semanas desde la
+ *   primera ocurrencia). Los feriados se descuentan (ver feriado.service).
+ */
+const HorarioSchema = new Schema({
+  dia:   { type: String, enum: ['LUN','MAR','MIE','JUE','VIE','SAB'], required: true },
+  inicio:{ type: String, required: true }, // e.g., '18:00'
+  fin:   { type: String, required: true }, // e.g., '20:00'
+  salon: { type: Types.ObjectId, ref: 'Salon' },
+  docente: { type: Types.ObjectId, ref: 'Usuario' },
+  desde: { type: Date },
+  hasta: { type: Date },
+  recurrencia: { type: String, enum: ['SEMANAL','QUINCENAL'], default: 'SEMANAL' }
+}, { _id: false });
+
+module.exports = HorarioSchema;
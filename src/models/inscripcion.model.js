@@ -0,0 +1,44 @@
+// Inscripción del alumno a un período: la selección de materias (y grupos) que pide cursar.
+const { Schema, model, Types } = require('mongoose');
+
+/**
+ * Ítem de la inscripción:
+ * - materia: materia del catálogo.
+ * - grupo: código del grupo elegido en la oferta del período (null si no tiene grupos).
+ * - lugar: situación en el cupo desde el envío (INSCRIPTO o ESPERA; ver cupo.service).
+ */
+const ItemSchema = new Schema({
+  materia: { type: Types.ObjectId, ref: 'Materia', required: true },
+  grupo:   { type: String, trim: true, default: null },
+  lugar:   { type: String, enum: ['INSCRIPTO', 'ESPERA', null], default: null }
+}, { _id: false });
+
+/**
+ * Esquema de Inscripcion:
+ * - periodo: período al que se inscribe (null => modo legacy, sin períodos configurados).
+ * - estado: BORRADOR -> ENVIADA -> CONFIRMADA | RECHAZADA (la resuelve un ADMIN).
+ *   Una RECHAZADA se puede volver a editar (pasa a BORRADOR).
+ * - verificacion: resumen de verificarSeleccion al enviar (ver inscripcion.service).
+ * - resolucion: quién y cuándo resolvió; motivo si se rechazó.
+ */
+const InscripcionSchema = new Schema({
+  usuario:  { type: Types.ObjectId, ref: 'Usuario', required: true, index: true },
+  periodo:  { type: Types.ObjectId, ref: 'Periodo', default: null },
+  estado:   { type: String, enum: ['BORRADOR', 'ENVIADA', 'CONFIRMADA', 'RECHAZADA'], default: 'BORRADOR', index: true },
+  items:    { type: [ItemSchema], default: [] },
+  verificacion: {
+    resumen: { type: Schema.Types.Mixed },
+    en:      { type: Date }
+  },
+  enviadaEn: { type: Date },
+  resolucion: {
+    por:    { type: Types.ObjectId, ref: 'Usuario' },
+    en:     { type: Date },
+    motivo: { type: String, trim: true }
+  }
+}, { timestamps: true });
+
+// Una inscripción por alumno y período.
+InscripcionSchema.index({ usuario: 1, periodo: 1 }, { unique: true });
+
+module.exports = model('Inscripcion', InscripcionSchema);
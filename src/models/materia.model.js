@@ -1,17 +1,8 @@
 // Importamos de Mongoose. Types se usa para ObjectId (refs).
 const { Schema, model, Types } = require('mongoose');
-
-/**
- * Subdocumento de Horario:
- * - _id: false evita crear un _id por cada horario embebido.
- * - dia: restringido a abreviaturas.
- * - inicio/fin: como 'HH:mm' simplifica validaciones del lado del servidor.
- */
-const HorarioSchema = new Schema({
-  dia:   { type: String, enum: ['LUN','MAR','MIE','JUE','VIE','SAB'], required: true },
-  inicio:{ type: String, required: true }, // e.g., '18:00'
-  fin:   { type: String, required: true }  // e.g., '20:00'
-}, { _id: false });
+const HorarioSchema = require('./horario.schema');
+const GrupoSchema = require('./grupo.schema');
+const { validarRegla } = require('../utils/requisitos.util');
 
 /**
  * Subdocumento de Previa:
@@ -28,8 +19,16 @@ const PreviaSchema = new Schema({
  * Esquema principal de Materia:
  * - codigo: único (clave humana, e.g. "MAT101").
  * - nombre, creditos, semestre: atributos básicos.
- * - horarios: array de HorarioSchema para detectar choques.
- * - previas: array de PreviaSchema para calcular elegibilidad.
+ * - horarios: array de HorarioSchema (legacy: se usa solo si no hay Periodos;
+ *   con períodos, los horarios viven en Oferta por materia+período).
+ * - grupos: secciones con horarios propios (mismo criterio legacy que horarios).
+ * - cupo: capacidad total de la materia (mismo criterio legacy; sin valor => sin límite).
+ * - previas: array de PreviaSchema para calcular elegibilidad (todas obligatorias).
+ * - corequisitos: materias que deben cursarse en el mismo período que esta
+ *   (p.ej. el laboratorio con su teórico), salvo que ya estén CURSADAS/APROBADAS.
+ * - requisitos: árbol de reglas compuestas (AND/OR, créditos, semestre), opcional.
+ *   Se evalúa además de las previas. Ver utils/requisitos.util.js.
+ * - eliminadoEn: baja lógica (soft delete); null => activa.
  */
 const MateriaSchema = new Schema({
   codigo:   { type: String, required: true, unique: true, trim: true },
@@ -37,9 +36,29 @@ const MateriaSchema = new Schema({
   creditos: { type: Number, required: true, min: 0 },
   semestre: { type: Number, required: true, min: 1 },
   horarios: { type: [HorarioSchema], default: [] },
-  previas:  { type: [PreviaSchema],  default: [] }
+  grupos:   { type: [GrupoSchema],   default: [] },
+  cupo:     { type: Number, min: 0 },
+  previas:  { type: [PreviaSchema],  default: [] },
+  corequisitos: { type: [{ type: Types.ObjectId, ref: 'Materia' }], default: [] },
+  requisitos: {
+    type: Schema.Types.Mixed,
+    default: null,
+    validate: {
+      validator: (v) => v == null || validarRegla(v) === null,
+      message: (props) => validarRegla(props.value) || 'requisitos inválidos'
+    }
+  },
+  eliminadoEn: { type: Date, default: null, index: true }
 }, { timestamps: true });
 
+/**
+ * Query helper: excluye materias dadas de baja lógica.
+ * Uso: Materia.find(q).activas()
+ */
+MateriaSchema.query.activas = function () {
+  return this.where({ eliminadoEn: null });
+};
+
 // Índices útiles para búsquedas y listados:
 // - Por semestre (catálogo)
 // - Índice de texto para buscar por nombre/código
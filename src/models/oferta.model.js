@@ -0,0 +1,33 @@
+// Oferta: una Materia dictada en un Periodo concreto, con sus horarios y grupos de ESE período.
+// Cambiar los horarios del próximo semestre no pisa los del actual ni los históricos.
+const { Schema, model, Types } = require('mongoose');
+const HorarioSchema = require('./horario.schema');
+const GrupoSchema = require('./grupo.schema');
+
+const OfertaSchema = new Schema({
+  periodo:  { type: Types.ObjectId, ref: 'Periodo', required: true, index: true },
+  materia:  { type: Types.ObjectId, ref: 'Materia', required: true, index: true },
+  // Horarios comunes a todos los grupos (ej. teórico).
+  horarios: { type: [HorarioSchema], default: [] },
+  // Grupos/secciones con horarios propios (ej. prácticos en distintos turnos).
+  grupos:   { type: [GrupoSchema],   default: [] },
+  // Cupo de la materia en el período (todos los grupos juntos); sin valor => sin límite.
+  // Cada grupo puede tener además su propio cupo (ver grupo.schema).
+  cupo:     { type: Number, min: 0 },
+  // Datos de la materia al borrarla físicamente: las ofertas de períodos ya terminados
+  // se conservan como historia aunque la Materia ya no exista (null => materia vigente).
+  materiaBorrada: {
+    type: new Schema({
+      codigo:   String,
+      nombre:   String,
+      semestre: Number,
+      creditos: Number
+    }, { _id: false }),
+    default: null
+  }
+}, { timestamps: true });
+
+// Una sola oferta por materia y período.
+OfertaSchema.index({ periodo: 1, materia: 1 }, { unique: true });
+
+module.exports = model('Oferta', OfertaSchema);
@@ -0,0 +1,26 @@
+// Período académico (ej. "2026-2"). Agrupa las ofertas de materias con sus horarios.
+const { Schema, model } = require('mongoose');
+
+/**
+ * Esquema de Periodo:
+ * - codigo: clave humana única (ej. "2026-1", "2026-2").
+ * - inicio/fin: rango de fechas del período; el "actual" es el que contiene hoy.
+ */
+const PeriodoSchema = new Schema({
+  codigo: { type: String, required: true, unique: true, trim: true },
+  nombre: { type: String, trim: true },
+  inicio: { type: Date, required: true },
+  fin:    { type: Date, required: true }
+}, { timestamps: true });
+
+// Validación de rango: inicio < fin
+PeriodoSchema.pre('validate', function (next) {
+  if (this.inicio && this.fin && this.inicio >= this.fin) {
+    this.invalidate('fin', 'fin debe ser posterior a inicio');
+  }
+  next();
+});
+
+PeriodoSchema.index({ inicio: 1, fin: 1 });
+
+module.exports = model('Periodo', PeriodoSchema);
@@ -0,0 +1,52 @@
+// Plan de estudios de una carrera.
+// Una misma Materia del catálogo puede aparecer en varios planes,
+// cada uno con su propio semestre y carácter (obligatoria/optativa).
+const { Schema, model, Types } = require('mongoose');
+
+/**
+ * Subdocumento de materia dentro del plan:
+ * - _id: false (la clave es la materia).
+ * - semestre: semestre sugerido EN ESTE PLAN (puede diferir de Materia.semestre).
+ * - obligatoria: false => optativa/electiva.
+ */
+const PlanMateriaSchema = new Schema({
+  materia:     { type: Types.ObjectId, ref: 'Materia', required: true },
+  semestre:    { type: Number, required: true, min: 1 },
+  obligatoria: { type: Boolean, default: true }
+}, { _id: false });
+
+/**
+ * Regla de tope de la selección por semestre (ver topes.service):
+ * - minCreditosAprobados / minPromedio: condiciones para que la regla aplique.
+ * - maxCreditos / maxHoras: topes (null => la regla no limita esa dimensión).
+ */
+const TopeSchema = new Schema({
+  minCreditosAprobados: { type: Number, min: 0, default: 0 },
+  minPromedio:          { type: Number, min: 0, max: 12, default: null },
+  maxCreditos:          { type: Number, min: 0, default: null },
+  maxHoras:             { type: Number, min: 0, default: null }
+}, { _id: false });
+
+/**
+ * Esquema principal de Plan:
+ * - codigo + version: identifican el plan (ej. "INF" versión "2021").
+ * - nombre: nombre de la carrera.
+ * - creditosRequeridos: créditos para egresar.
+ * - materias: array de PlanMateriaSchema.
+ * - topes: reglas de tope de créditos/horas por semestre (vacío => sin topes propios).
+ */
+const PlanSchema = new Schema({
+  codigo:             { type: String, required: true, trim: true },
+  nombre:             { type: String, required: true, trim: true },
+  version:            { type: String, required: true, trim: true },
+  creditosRequeridos: { type: Number, required: true, min: 0 },
+  materias:           { type: [PlanMateriaSchema], default: [] },
+  topes:              { type: [TopeSchema], default: [] }
+}, { timestamps: true });
+
+// Un mismo código de carrera puede tener varias versiones, pero no repetidas.
+PlanSchema.index({ codigo: 1, version: 1 }, { unique: true });
+// Para encontrar rápido en qué planes está una materia.
+PlanSchema.index({ 'materias.materia': 1 });
+
+module.exports = model('Plan', PlanSchema);
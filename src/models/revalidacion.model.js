@@ -0,0 +1,53 @@
+// Solicitud de reválida: el alumno pide que se le reconozcan materias cursadas en otro lado.
+const { Schema, model, Types } = require('mongoose');
+
+/**
+ * Ítem solicitado:
+ * - materia: materia del catálogo a reconocer.
+ * - estado: estado con el que quedaría en el Historial (CURSADO o APROBADO).
+ * - notaExamen: nota a registrar (requerida para APROBADO, ver historial.util).
+ * - fecha: fecha de cierre del curso / del examen en origen (requerida).
+ * - origenMateria / origenNota: cómo figura en la institución de origen (texto libre).
+ */
+const ItemSchema = new Schema({
+  materia:       { type: Types.ObjectId, ref: 'Materia', required: true },
+  estado:        { type: String, enum: ['CURSADO', 'APROBADO'], required: true },
+  notaExamen:    { type: Number, min: 0, max: 12 },
+  fecha:         { type: Date },
+  origenMateria: { type: String, trim: true },
+  origenNota:    { type: String, trim: true }
+}, { _id: false });
+
+/**
+ * Adjunto guardado en disco local (ver revalidacion.service):
+ * - archivo: nombre en disco dentro de la carpeta de la solicitud.
+ */
+const AdjuntoSchema = new Schema({
+  nombre:  { type: String, required: true },
+  archivo: { type: String, required: true },
+  tipo:    { type: String, required: true },
+  tamano:  { type: Number, required: true },
+  subidoEn: { type: Date, default: Date.now }
+});
+
+/**
+ * Esquema de Revalidacion:
+ * - estado: PENDIENTE -> APROBADA | RECHAZADA (la resuelve un ADMIN).
+ * - institucion: de dónde viene el alumno (texto libre).
+ * - resolucion: quién y cuándo resolvió; motivo si se rechazó.
+ */
+const RevalidacionSchema = new Schema({
+  usuario:     { type: Types.ObjectId, ref: 'Usuario', required: true, index: true },
+  estado:      { type: String, enum: ['PENDIENTE', 'APROBADA', 'RECHAZADA'], default: 'PENDIENTE', index: true },
+  institucion: { type: String, required: true, trim: true },
+  items:       { type: [ItemSchema], default: [] },
+  adjuntos:    { type: [AdjuntoSchema], default: [] },
+  observaciones: { type: String, trim: true },
+  resolucion: {
+    por:    { type: Types.ObjectId, ref: 'Usuario' },
+    en:     { type: Date },
+    motivo: { type: String, trim: true }
+  }
+}, { timestamps: true });
+
+module.exports = model('Revalidacion', RevalidacionSchema);
@@ -0,0 +1,18 @@
+// Salón (aula/laboratorio) donde se dictan los horarios.
+const { Schema, model } = require('mongoose');
+
+/**
+ * Esquema de Salon:
+ * - codigo: único (clave humana, e.g. "A-101", "LAB-2").
+ * - nombre: descripción opcional.
+ * - capacidad: cantidad de lugares.
+ * - edificio: opcional, para agrupar en listados.
+ */
+const SalonSchema = new Schema({
+  codigo:    { type: String, required: true, unique: true, trim: true },
+  nombre:    { type: String, trim: true },
+  capacidad: { type: Number, required: true, min: 1 },
+  edificio:  { type: String, trim: true }
+}, { timestamps: true });
+
+module.exports = model('Salon', SalonSchema);
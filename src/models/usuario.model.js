@@ -1,7 +1,7 @@
 // Importamos utilidades de Mongoose y bcrypt.
-// - Schema/model: para definir el modelo y exportarlo
+// - Schema/model/Types: para definir el modelo, exportarlo y referenciar otros (ObjectId)
 // - bcrypt: para hashear y validar contraseñas (Para no guardar texto plano)
-const { Schema, model } = require('mongoose');
+const { Schema, model, Types } = require('mongoose');
 const bcrypt = require('bcrypt');
 
 // Definimos el esquema del usuario.
@@ -21,9 +21,34 @@ const UsuarioSchema = new Schema({
 
   // Rol del usuario para control de permisos.
   // Usamos un enum para limitar valores válidos.
-  rol: { type: String, enum: ['ESTUDIANTE', 'ADMIN'], default: 'ESTUDIANTE', index: true }
+  // DOCENTE: puede ser asignado a horarios/grupos (ver docente.service).
+  rol: { type: String, enum: ['ESTUDIANTE', 'DOCENTE', 'ADMIN'], default: 'ESTUDIANTE', index: true },
+
+  // Plan de estudios en el que está inscripto el estudiante (opcional).
+  // Si no tiene plan, elegibilidad/créditos usan el catálogo global.
+  plan: { type: Types.ObjectId, ref: 'Plan', index: true },
+
+  // Preferencias de horario del estudiante: umbrales de las advertencias de
+  // verificarSeleccion (ver seleccion.service). Sin valor => default; null => chequeo apagado.
+  preferenciasHorario: {
+    minDescansoMinutos: { type: Number, min: 0 },
+    maxHorasDia:        { type: Number, min: 0 },
+    maxHuecoHoras:      { type: Number, min: 0 }
+  },
+
+  // Baja lógica (soft delete): si tiene fecha, el usuario no puede loguearse
+  // ni aparece en listados, pero su historial se conserva.
+  eliminadoEn: { type: Date, default: null, index: true }
 }, { timestamps: true });
 
+/**
+ * Query helper: excluye usuarios dados de baja lógica.
+ * Uso: Usuario.find(q).activos()
+ */
+UsuarioSchema.query.activos = function () {
+  return this.where({ eliminadoEn: null });
+};
+
 /**
  * Método de instancia: compara una contraseña en texto plano
  * contra el hash guardado en este documento.
@@ -0,0 +1,17 @@
+/**
+ * Router de Docentes
+ * ==================
+ * Reglas de autorización:
+ * - Listar docentes es público.
+ * - Agenda => el propio docente o ADMIN (se valida en el controller).
+ */
+
+const express = require("express");
+const router = express.Router();
+const docente_controller = require("../controllers/docente.controller");
+const { requireAuth } = require("../middlewares/auth");
+
+router.get("/", docente_controller.docente_list);
+router.get("/:id/agenda", requireAuth, docente_controller.docente_agenda);
+
+module.exports = router;
@@ -10,5 +10,7 @@ const elegibilidad_controller = require("../controllers/elegibilidad.controller"
 const { requireAuth } = require("../middlewares/auth"); // activar cuando tengas login
 
 router.get("/", requireAuth, elegibilidad_controller.getElegibilidad);
+router.post("/simular", requireAuth, elegibilidad_controller.simularElegibilidad);
+router.get("/ruta/:materiaId", requireAuth, elegibilidad_controller.getRuta);
 
 module.exports = router;
@@ -0,0 +1,18 @@
+/**
+ * Router de Equivalencias
+ * =======================
+ * Reglas de autorización:
+ * - Crear/eliminar => ADMIN
+ * - Listar es público.
+ */
+
+const express = require("express");
+const router = express.Router();
+const equivalencia_controller = require("../controllers/equivalencia.controller");
+const { requireAuth, requireRole } = require("../middlewares/auth");
+
+router.post("/", requireAuth, requireRole("ADMIN"), equivalencia_controller.equivalencia_create);
+router.get("/", equivalencia_controller.equivalencia_list);
+router.delete("/:id", requireAuth, requireRole("ADMIN"), equivalencia_controller.equivalencia_delete);
+
+module.exports = router;
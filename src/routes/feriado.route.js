@@ -0,0 +1,18 @@
+/**
+ * Router de Feriados
+ * ==================
+ * Reglas de autorización:
+ * - Crear/eliminar => ADMIN
+ * - Listar es público (lo usan las grillas y el front).
+ */
+
+const express = require("express");
+const router = express.Router();
+const feriado_controller = require("../controllers/feriado.controller");
+const { requireAuth, requireRole } = require("../middlewares/auth");
+
+router.post("/", requireAuth, requireRole("ADMIN"), feriado_controller.feriado_create);
+router.get("/", feriado_controller.feriado_list);
+router.delete("/:id", requireAuth, requireRole("ADMIN"), feriado_controller.feriado_delete);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+/**
+ * Router de Inscripciones
+ * =======================
+ * Reglas de autorización:
+ * - Guardar borrador, listar, ver, enviar y dar de baja materias => usuario autenticado
+ *   (solo sus inscripciones; ADMIN ve todas y puede dar de baja)
+ * - Confirmar/rechazar => ADMIN
+ */
+
+const express = require("express");
+const router = express.Router();
+const inscripcion_controller = require("../controllers/inscripcion.controller");
+const { requireAuth, requireRole } = require("../middlewares/auth");
+
+router.post("/", requireAuth, inscripcion_controller.inscripcion_guardar);
+router.get("/", requireAuth, inscripcion_controller.inscripcion_list);
+router.get("/:id", requireAuth, inscripcion_controller.inscripcion_by_id);
+router.post("/:id/enviar", requireAuth, inscripcion_controller.inscripcion_enviar);
+router.post("/:id/baja", requireAuth, inscripcion_controller.inscripcion_baja);
+
+// Resolución (ADMIN)
+router.post("/:id/confirmar", requireAuth, requireRole("ADMIN"), inscripcion_controller.inscripcion_confirmar);
+router.post("/:id/rechazar", requireAuth, requireRole("ADMIN"), inscripcion_controller.inscripcion_rechazar);
+
+module.exports = router;
@@ -2,7 +2,7 @@
  * Router de Materias
  * ==================
  * Reglas de autorización:
- * - Crear/actualizar/eliminar/gestionar previas/horarios => ADMIN
+ * - Crear/actualizar/eliminar/gestionar previas/horarios/grupos/cupos => ADMIN
  * - Listar y ver por id pueden ser públicos (o autenticados si preferís).
  */
 
@@ -10,14 +10,30 @@
 const express = require("express");
 const router = express.Router();
 const materia_controller = require("../controllers/materia.controller");
-const { requireAuth, requireRole } = require("../middlewares/auth");
+const { requireAuth, requireRole, optionalAuth } = require("../middlewares/auth");
 
 // Crear materia (ADMIN)
 router.post("/", requireAuth, requireRole("ADMIN"), materia_controller.materia_create);
 
-// Listar (público o autenticado, según consigna)
+// Listar (público; si viene token se scopea al plan del usuario)
 /* requireAuth, */
-router.get("/",  materia_controller.materia_list);
+router.get("/", optionalAuth, materia_controller.materia_list);
+
+// Import/export masivo del catálogo (import: ADMIN; acepta CSV como texto o JSON)
+router.post(
+  "/import",
+  requireAuth,
+  requireRole("ADMIN"),
+  express.text({ type: ["text/csv", "text/plain"], limit: "2mb" }),
+  materia_controller.materia_import
+);
+router.get("/export", materia_controller.materia_export);
+
+// Grafo de previas (antes de "/:id" para que no lo capture)
+router.get("/grafo", materia_controller.materia_grafo);
+
+// Ocupación de cupos (público; en vivo por WS "cupo:actualizado")
+router.get("/cupos", materia_controller.materia_cupos);
 
 // Ver por ID (público o autenticado)
 /* requireAuth, */
@@ -37,4 +53,13 @@ router.delete("/:id/previas", requireAuth, requireRole("ADMIN"), materia_control
 router.post("/:id/horarios", requireAuth, requireRole("ADMIN"), materia_controller.materia_add_horario);
 router.delete("/:id/horarios", requireAuth, requireRole("ADMIN"), materia_controller.materia_remove_horario);
 
+// Grupos / secciones (listar: público; gestionar: ADMIN)
+router.get("/:id/grupos", materia_controller.materia_list_grupos);
+router.post("/:id/grupos", requireAuth, requireRole("ADMIN"), materia_controller.materia_add_grupo);
+router.put("/:id/grupos/:grupo", requireAuth, requireRole("ADMIN"), materia_controller.materia_update_grupo);
+router.delete("/:id/grupos/:grupo", requireAuth, requireRole("ADMIN"), materia_controller.materia_remove_grupo);
+
+// Cupo total de la materia en el período (ADMIN)
+router.put("/:id/cupo", requireAuth, requireRole("ADMIN"), materia_controller.materia_set_cupo);
+
 module.exports = router;
@@ -0,0 +1,29 @@
+/**
+ * Router de Períodos Académicos
+ * =============================
+ * Reglas de autorización:
+ * - Crear/actualizar/eliminar => ADMIN
+ * - Listar, ver y consultar ofertas son públicos.
+ */
+
+const express = require("express");
+const router = express.Router();
+const periodo_controller = require("../controllers/periodo.controller");
+const { requireAuth, requireRole } = require("../middlewares/auth");
+
+// Crear período (ADMIN)
+router.post("/", requireAuth, requireRole("ADMIN"), periodo_controller.periodo_create);
+
+// Listar / actual (antes de "/:ref" para que no lo capture)
+router.get("/", periodo_controller.periodo_list);
+router.get("/actual", periodo_controller.periodo_actual);
+
+// Ver por codigo u ObjectId + ofertas del período
+router.get("/:ref", periodo_controller.periodo_by_ref);
+router.get("/:ref/ofertas", periodo_controller.periodo_ofertas);
+
+// Actualizar / eliminar (ADMIN)
+router.put("/:id", requireAuth, requireRole("ADMIN"), periodo_controller.periodo_update);
+router.delete("/:id", requireAuth, requireRole("ADMIN"), periodo_controller.periodo_delete);
+
+module.exports = router;
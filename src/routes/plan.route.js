@@ -0,0 +1,29 @@
+/**
+ * Router de Planes de Estudio
+ * ===========================
+ * Reglas de autorización:
+ * - Crear/actualizar/eliminar/gestionar materias del plan => ADMIN
+ * - Listar y ver por id son públicos.
+ */
+
+const express = require("express");
+const router = express.Router();
+const plan_controller = require("../controllers/plan.controller");
+const { requireAuth, requireRole } = require("../middlewares/auth");
+
+// Crear plan (ADMIN)
+router.post("/", requireAuth, requireRole("ADMIN"), plan_controller.plan_create);
+
+// Listar / ver por ID (público)
+router.get("/", plan_controller.plan_list);
+router.get("/:id", plan_controller.plan_by_id);
+
+// Actualizar / eliminar (ADMIN)
+router.put("/:id", requireAuth, requireRole("ADMIN"), plan_controller.plan_update);
+router.delete("/:id", requireAuth, requireRole("ADMIN"), plan_controller.plan_delete);
+
+// Materias del plan (ADMIN)
+router.post("/:id/materias", requireAuth, requireRole("ADMIN"), plan_controller.plan_upsert_materia);
+router.delete("/:id/materias/:materiaId", requireAuth, requireRole("ADMIN"), plan_controller.plan_remove_materia);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+/**
+ * Router de Revalidaciones
+ * ========================
+ * Reglas de autorización:
+ * - Crear, listar, ver y adjuntar => usuario autenticado (solo sus solicitudes; ADMIN ve todas)
+ * - Aprobar/rechazar => ADMIN
+ */
+
+const express = require("express");
+const router = express.Router();
+const revalidacion_controller = require("../controllers/revalidacion.controller");
+const { requireAuth, requireRole } = require("../middlewares/auth");
+const { TIPOS_ADJUNTO, MAX_ADJUNTO_BYTES } = require("../services/revalidacion.service");
+
+// Cuerpo binario para adjuntos (el JSON global no lo toca)
+const rawAdjunto = express.raw({ type: Object.keys(TIPOS_ADJUNTO), limit: MAX_ADJUNTO_BYTES });
+
+router.post("/", requireAuth, revalidacion_controller.revalidacion_create);
+router.get("/", requireAuth, revalidacion_controller.revalidacion_list);
+router.get("/:id", requireAuth, revalidacion_controller.revalidacion_by_id);
+
+// Adjuntos
+router.post("/:id/adjuntos", requireAuth, rawAdjunto, revalidacion_controller.revalidacion_add_adjunto);
+router.get("/:id/adjuntos/:adjuntoId", requireAuth, revalidacion_controller.revalidacion_get_adjunto);
+
+// Resolución (ADMIN)
+router.post("/:id/aprobar", requireAuth, requireRole("ADMIN"), revalidacion_controller.revalidacion_aprobar);
+router.post("/:id/rechazar", requireAuth, requireRole("ADMIN"), revalidacion_controller.revalidacion_rechazar);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+/**
+ * Router de Salones
+ * =================
+ * Reglas de autorización:
+ * - Crear/actualizar/eliminar => ADMIN
+ * - Listar, ver y consultar ocupación son públicos.
+ */
+
+const express = require("express");
+const router = express.Router();
+const salon_controller = require("../controllers/salon.controller");
+const { requireAuth, requireRole } = require("../middlewares/auth");
+
+// Crear salón (ADMIN)
+router.post("/", requireAuth, requireRole("ADMIN"), salon_controller.salon_create);
+
+// Listar / ver / ocupación semanal
+router.get("/", salon_controller.salon_list);
+router.get("/:id", salon_controller.salon_by_id);
+router.get("/:id/ocupacion", salon_controller.salon_ocupacion);
+
+// Actualizar / eliminar (ADMIN)
+router.put("/:id", requireAuth, requireRole("ADMIN"), salon_controller.salon_update);
+router.delete("/:id", requireAuth, requireRole("ADMIN"), salon_controller.salon_delete);
+
+module.exports = router;
@@ -3,6 +3,12 @@
  * =============================
  * Montado en /seleccion:
  *  - POST /seleccion/verificar
+ *  - POST /seleccion/generar
+ *  - GET  /seleccion/recomendacion
+ *  - GET  /seleccion/calendario.ics   (materias EN_CURSO)
+ *  - POST /seleccion/calendario.ics   (selección enviada)
+ *  - GET  /seleccion/horario[.pdf]    (grilla imprimible de las materias EN_CURSO)
+ *  - POST /seleccion/horario[.pdf]    (grilla imprimible de la selección enviada)
  *
  * En prod:
  *  - Activá requireAuth para exigir Access Token.
@@ -15,5 +21,11 @@ const { requireAuth } = require("../middlewares/auth");
 
 // Cuando uses JWT real, protegé con requireAuth:
 router.post("/verificar", requireAuth, seleccion_controller.verificar);
+router.post("/generar", requireAuth, seleccion_controller.generar);
+router.get("/recomendacion", requireAuth, seleccion_controller.recomendacion);
+router.get("/calendario.ics", requireAuth, seleccion_controller.calendario);
+router.post("/calendario.ics", requireAuth, seleccion_controller.calendarioSeleccion);
+router.get(["/horario", "/horario.pdf"], requireAuth, seleccion_controller.horario);
+router.post(["/horario", "/horario.pdf"], requireAuth, seleccion_controller.horarioSeleccion);
 
 module.exports = router;
@@ -0,0 +1,175 @@
+/**
+ * Servicio de Búsqueda del Catálogo
+ * =================================
+ * Responsabilidad:
+ *  - Listado sin filtros de oferta: orden, página, total y facetas resueltos en Mongo
+ *    (paginaEnMongo), sin traer el catálogo entero.
+ *  - Filtros del listado de materias que dependen de la oferta del período
+ *    (día y franja horaria) y no se pueden expresar en la query de Mongo: para esos
+ *    se traen los candidatos ordenados (candidatosOrdenados) y se filtra en memoria.
+ *  - Facetas (conteos) por semestre, día y créditos sobre el resultado filtrado.
+ *
+ * Reglas:
+ *  - Una materia "se dicta" en un día/franja si alguno de sus horarios
+ *    (comunes o de cualquier grupo) cae completo dentro de [desde, hasta].
+ *  - coincideHorario / calcularFacetas son puras: reciben la oferta ya cargada (ver periodo.service).
+ */
+
+const Materia = require("../models/materia.model");
+const Oferta = require("../models/oferta.model");
+const { DIAS, toMinutes } = require("../utils/horario.util");
+
+/** Horarios efectivos de una oferta: comunes + los de todos los grupos */
+function todosLosHorarios(oferta) {
+  if (!oferta) return [];
+  return [...(oferta.horarios || []), ...(oferta.grupos || []).flatMap(g => g.horarios || [])];
+}
+
+/**
+ * ¿La oferta tiene algún horario que cumpla { dia?, desde?, hasta? }?
+ * Sin filtros devuelve true.
+ */
+function coincideHorario(oferta, { dia, desde, hasta } = {}) {
+  if (!dia && !desde && !hasta) return true;
+  const d = desde ? toMinutes(desde) : 0;
+  const h = hasta ? toMinutes(hasta) : 24 * 60;
+  return todosLosHorarios(oferta).some(x =>
+    (!dia || x.dia === dia) && toMinutes(x.inicio) >= d && toMinutes(x.fin) <= h
+  );
+}
+
+/** Incrementa un contador en un objeto */
+const contar = (obj, k) => { obj[k] = (obj[k] || 0) + 1; };
+
+/**
+ * Facetas sobre las materias filtradas:
+ *  { semestre:{ "1":n, ... }, dia:{ LUN:n, ... }, creditos:{ "4":n, ... } }
+ * - semestreDe(m): semestre a informar (el del plan si hay)
+ * - dia cuenta materias (no horarios) que se dictan ese día
+ */
+function calcularFacetas(materias, { ofertas, semestreDe = (m) => m.semestre }) {
+  const facetas = { semestre: {}, dia: Object.fromEntries([...DIAS].map(d => [d, 0])), creditos: {} };
+  for (const m of materias) {
+    contar(facetas.semestre, semestreDe(m));
+    contar(facetas.creditos, m.creditos);
+    const dias = new Set(todosLosHorarios(ofertas.get(String(m._id))).map(x => x.dia));
+    for (const d of dias) contar(facetas.dia, d);
+  }
+  return facetas;
+}
+
+// --- Consultas (agregaciones sobre Materia) ---
+
+/**
+ * Etapa que reemplaza "semestre" por el del plan (PlanMateria.semestre), así el orden
+ * y la faceta usan el semestre del plan y no Materia.semestre.
+ */
+function semestreDelPlan(plan) {
+  const ids = plan.materias.map(pm => pm.materia);
+  const semestres = plan.materias.map(pm => pm.semestre);
+  return {
+    $addFields: {
+      semestre: {
+        $let: {
+          vars: { i: { $indexOfArray: [ids, "$_id"] } },
+          in: { $cond: [{ $gte: ["$$i", 0] }, { $arrayElemAt: [semestres, "$$i"] }, "$semestre"] },
+        },
+      },
+    },
+  };
+}
+
+/**
+ * $match + orden del listado. La query puede traer $text (va en el primer $match);
+ * con texto se ordena por relevancia y después por semestre (del plan, si hay) y código.
+ */
+function pipelineOrdenado(query, { texto = false, plan = null } = {}) {
+  const sort = texto ? { score: { $meta: "textScore" }, semestre: 1, codigo: 1 } : { semestre: 1, codigo: 1 };
+  return [{ $match: query }, ...(plan ? [semestreDelPlan(plan)] : []), { $sort: sort }];
+}
+
+/**
+ * Candidatos ordenados ({ _id, semestre, creditos }) para filtrar en memoria por oferta/elegibilidad.
+ * opts: { texto, plan } (ver pipelineOrdenado)
+ */
+function candidatosOrdenados(query, opts = {}) {
+  return Materia.aggregate([...pipelineOrdenado(query, opts), { $project: { semestre: 1, creditos: 1 } }]);
+}
+
+/** Expresión: días (sin repetir) de los horarios comunes y de grupos bajo "prefijo" */
+const diasDe = (prefijo) => ({
+  $setUnion: [
+    { $ifNull: [`$${prefijo}horarios.dia`, []] },
+    {
+      $reduce: {
+        input: { $ifNull: [`$${prefijo}grupos.horarios.dia`, []] },
+        initialValue: [],
+        in: { $concatArrays: ["$$value", "$$this"] },
+      },
+    },
+  ],
+});
+
+/** Etapas que dejan { dias:[...] } por materia según la oferta del período (o la legacy de Materia) */
+function etapasDias(periodo) {
+  if (!periodo) return [{ $project: { dias: diasDe("") } }];
+  return [
+    {
+      $lookup: {
+        from: Oferta.collection.name,
+        let: { m: "$_id" },
+        pipeline: [
+          { $match: { $expr: { $and: [{ $eq: ["$materia", "$$m"] }, { $eq: ["$periodo", periodo._id] }] } } },
+          { $project: { horarios: 1, grupos: 1 } },
+        ],
+        as: "oferta",
+      },
+    },
+    { $unwind: { path: "$oferta", preserveNullAndEmptyArrays: true } }, // a lo sumo una por período
+    { $project: { dias: diasDe("oferta.") } },
+  ];
+}
+
+/** [{ _id, n }] -> { [_id]: n } */
+const aConteo = (grupos, base = {}) => Object.assign(base, Object.fromEntries(
+  [...grupos].sort((a, b) => (a._id > b._id ? 1 : -1)).map(g => [g._id, g.n])
+));
+
+/**
+ * Página, total y facetas en una sola agregación (sin filtros que dependan de la oferta).
+ * - query: filtro Mongo (puede traer $text => texto: true)
+ * - plan: orden y faceta por semestre del plan (ver semestreDelPlan)
+ * - periodo: para la faceta de días (null => Materia.horarios/grupos)
+ * Devuelve { total, ids:[ObjectId] (en orden), facetas } (facetas como calcularFacetas)
+ */
+async function paginaEnMongo(query, { texto = false, plan = null, periodo = null, skip = 0, limit = 50 } = {}) {
+  const [r] = await Materia.aggregate([
+    ...pipelineOrdenado(query, { texto, plan }),
+    {
+      $facet: {
+        items: [{ $skip: skip }, { $limit: limit }, { $project: { _id: 1 } }],
+        total: [{ $count: "n" }],
+        semestre: [{ $group: { _id: "$semestre", n: { $sum: 1 } } }],
+        creditos: [{ $group: { _id: "$creditos", n: { $sum: 1 } } }],
+        dia: [...etapasDias(periodo), { $unwind: "$dias" }, { $group: { _id: "$dias", n: { $sum: 1 } } }],
+      },
+    },
+  ]);
+  return {
+    total: r.total[0]?.n ?? 0,
+    ids: r.items.map(m => m._id),
+    facetas: {
+      semestre: aConteo(r.semestre),
+      dia: aConteo(r.dia, Object.fromEntries([...DIAS].map(d => [d, 0]))),
+      creditos: aConteo(r.creditos),
+    },
+  };
+}
+
+module.exports = {
+  candidatosOrdenados,
+  paginaEnMongo,
+  todosLosHorarios,
+  coincideHorario,
+  calcularFacetas,
+};
@@ -0,0 +1,150 @@
+/**
+ * Servicio de Caché de Elegibilidad
+ * =================================
+ * Responsabilidad:
+ *  - Guardar por usuario el resultado de GET /elegibilidad (elegibilidad + créditos)
+ *    para no recargar historial y catálogo completos en cada refresco del dashboard.
+ *  - Invalidar por eventos del bus:
+ *      * historial:actualizado/eliminado, usuario:actualizado/eliminado => ese usuario
+ *      * materia:*, equivalencia:*, plan:* => todos (cambian las reglas para cualquiera)
+ *
+ * Store enchufable:
+ *  - Por defecto en memoria del proceso (crearMemoryStore), con TTL y tope de entradas.
+ *  - Cualquier objeto con get/set/delete/clear async sirve (p.ej. un adaptador a Redis):
+ *      get(clave) => valor | undefined
+ *      set(clave, valor, ttlMs)
+ *      delete(clave)
+ *      clear()
+ *  - Los valores se guardan por usuario: { [semestre|"*"]: resultado }.
+ *
+ * Notas:
+ *  - Versión por usuario: si llega una invalidación mientras se calcula, ese
+ *    resultado no se guarda (evita cachear un estado ya viejo).
+ *  - ELEGIBILIDAD_CACHE_TTL_MS (default 5 min) acota la vida de cada entrada por si
+ *    algún cambio no pasa por el bus (p.ej. ediciones directas en la base).
+ */
+
+const { logger } = require("../logger/logger");
+
+const TTL_MS = Number(process.env.ELEGIBILIDAD_CACHE_TTL_MS) || 5 * 60 * 1000;
+const MAX_ENTRADAS = 1000;
+
+/** Eventos que invalidan a un usuario (payload con usuarioId o userId) */
+const EVENTOS_USUARIO = ["historial:actualizado", "historial:eliminado", "usuario:actualizado", "usuario:eliminado"];
+
+/** Eventos que invalidan a todos */
+const EVENTOS_GLOBALES = [
+  "materia:creada", "materia:actualizada", "materia:eliminada",
+  "materia:previa_agregada", "materia:previa_eliminada",
+  "materia:horario_agregado", "materia:horario_eliminado",
+  "materia:grupo_agregado", "materia:grupo_actualizado", "materia:grupo_eliminado",
+  "equivalencia:creada", "equivalencia:eliminada",
+  "plan:creado", "plan:actualizado", "plan:eliminado",
+];
+
+/** Store en memoria: Map con TTL y tope de entradas (se descarta la más vieja) */
+function crearMemoryStore({ maxEntradas = MAX_ENTRADAS } = {}) {
+  const datos = new Map(); // clave -> { valor, venceEn }
+  return {
+    async get(clave) {
+      const e = datos.get(clave);
+      if (!e) return undefined;
+      if (e.venceEn <= Date.now()) {
+        datos.delete(clave);
+        return undefined;
+      }
+      return e.valor;
+    },
+    async set(clave, valor, ttlMs) {
+      datos.delete(clave); // reinsertar => queda como la más nueva
+      datos.set(clave, { valor, venceEn: Date.now() + ttlMs });
+      if (datos.size > maxEntradas) datos.delete(datos.keys().next().value);
+    },
+    async delete(clave) {
+      datos.delete(clave);
+    },
+    async clear() {
+      datos.clear();
+    },
+  };
+}
+
+let store = crearMemoryStore();
+let generacion = 0;               // sube con cada invalidación global
+const versiones = new Map();      // usuarioId -> versión (sube con cada invalidación del usuario)
+
+const claveDe = (usuarioId) => `elegibilidad:${usuarioId}`;
+const versionDe = (usuarioId) => `${generacion}:${versiones.get(String(usuarioId)) || 0}`;
+
+/** Reemplaza el store (p.ej. Redis). Limpia lo cacheado hasta ahora. */
+function configurarStore(nuevo) {
+  store = nuevo;
+  generacion++;
+}
+
+/**
+ * Devuelve { valor, hit } para usuario+semestre; en miss ejecuta calcular() y lo guarda.
+ * - semestre: filtro de la consulta (undefined => "*")
+ */
+async function obtenerElegibilidad({ usuarioId, semestre }, calcular) {
+  const clave = claveDe(usuarioId);
+  const sub = semestre != null ? String(semestre) : "*";
+
+  const entrada = await store.get(clave);
+  if (entrada && entrada[sub] !== undefined) return { valor: entrada[sub], hit: true };
+
+  const version = versionDe(usuarioId);
+  const valor = await calcular();
+
+  // Si hubo invalidación mientras calculábamos, no guardamos
+  if (versionDe(usuarioId) === version) {
+    const actual = (await store.get(clave)) || {};
+    await store.set(clave, { ...actual, [sub]: valor }, TTL_MS);
+  }
+  return { valor, hit: false };
+}
+
+/** Invalida la caché de un usuario */
+async function invalidarUsuario(usuarioId) {
+  const id = String(usuarioId);
+  versiones.set(id, (versiones.get(id) || 0) + 1);
+  await store.delete(claveDe(id));
+}
+
+/** Invalida la caché de todos los usuarios */
+async function invalidarTodo() {
+  generacion++;
+  versiones.clear();
+  await store.clear();
+}
+
+/** Suscribe la invalidación a los eventos de dominio del bus */
+function escucharEventos(bus) {
+  const fallo = (evento) => (err) => logger.warn("No se pudo invalidar caché de elegibilidad", { evento, err: err.message });
+
+  for (const evento of EVENTOS_USUARIO) {
+    bus.on(evento, (payload) => {
+      const usuarioId = payload?.usuarioId || payload?.userId;
+      if (!usuarioId) return;
+      invalidarUsuario(usuarioId)
+        .then(() => logger.info("Caché de elegibilidad invalidada", { reqId: payload.reqId, evento, usuarioId: String(usuarioId) }))
+        .catch(fallo(evento));
+    });
+  }
+  for (const evento of EVENTOS_GLOBALES) {
+    bus.on(evento, (payload) => {
+      invalidarTodo()
+        .then(() => logger.info("Caché de elegibilidad invalidada (global)", { reqId: payload?.reqId, evento }))
+        .catch(fallo(evento));
+    });
+  }
+}
+
+module.exports = {
+  obtenerElegibilidad,
+  invalidarUsuario,
+  invalidarTodo,
+  escucharEventos,
+  configurarStore,
+  crearMemoryStore,
+};
@@ -0,0 +1,149 @@
+/**
+ * Servicio de Calendario (.ics)
+ * =============================
+ * Responsabilidad:
+ *  - Armar el calendario iCalendar (RFC 5545) del horario de un alumno:
+ *      * Sin selección: las materias que tiene EN_CURSO, con el grupo de su
+ *        inscripción del período (ENVIADA o CONFIRMADA) si la hay.
+ *      * Con selección: las materias/grupos indicados (ver normalizarSeleccion).
+ *  - Un evento semanal (o quincenal) por horario, acotado al rango del semestre,
+ *    con los feriados como excepciones (EXDATE).
+ *
+ * Rango del semestre (en orden de prioridad):
+ *  - desde/hasta explícitos (query o body)
+ *  - inicio/fin del período
+ *  - CALENDARIO_INICIO / CALENDARIO_FIN (env, "YYYY-MM-DD"), para el modo legacy
+ *
+ * Notas:
+ *  - Sin grupo elegido solo se exportan los horarios comunes (igual que en verificar).
+ *  - Los horarios con vigencia propia (desde/hasta) se recortan a ella.
+ */
+
+const Materia = require("../models/materia.model");
+const Historial = require("../models/historial.model");
+const Inscripcion = require("../models/inscripcion.model");
+const Salon = require("../models/salon.model");
+const Usuario = require("../models/usuario.model");
+const { ofertaPorMateria, toPeriodoRef } = require("./periodo.service");
+const { feriadosEntre } = require("./feriado.service");
+const { normalizarSeleccion, horariosEfectivos } = require("./seleccion.service");
+const { fechasDeHorario, toFecha, toISODate } = require("../utils/horario.util");
+const { construirCalendario } = require("../utils/ics.util");
+
+/**
+ * Rango del calendario (ver prioridades arriba).
+ * Devuelve { desde:"YYYY-MM-DD", hasta:"YYYY-MM-DD" } o { sinRango } / { rangoInvalido }.
+ */
+function rangoDelCalendario({ periodo = null, desde = null, hasta = null } = {}) {
+  const ini = toFecha(desde) || toFecha(periodo?.inicio) || toFecha(process.env.CALENDARIO_INICIO);
+  const fin = toFecha(hasta) || toFecha(periodo?.fin) || toFecha(process.env.CALENDARIO_FIN);
+  if (!ini || !fin) return { sinRango: true };
+  if (ini > fin) return { rangoInvalido: true };
+  return { desde: toISODate(ini), hasta: toISODate(fin) };
+}
+
+/** Selección a partir del historial: materias EN_CURSO + grupo de la inscripción del período */
+async function seleccionEnCurso(usuarioId, periodo) {
+  const [enCurso, inscripcion] = await Promise.all([
+    Historial.find({ usuario: usuarioId, estado: "EN_CURSO" }).select("materia").lean(),
+    Inscripcion.findOne({
+      usuario: usuarioId,
+      periodo: periodo?._id ?? null,
+      estado: { $in: ["ENVIADA", "CONFIRMADA"] },
+    }).select("items").lean(),
+  ]);
+  const grupos = new Map((inscripcion?.items || []).map(i => [String(i.materia), i.grupo]));
+  return enCurso.map(h => ({ materia: String(h.materia), grupo: grupos.get(String(h.materia)) || null }));
+}
+
+/** Texto de un salón para LOCATION */
+const textoSalon = s => (s ? [s.codigo, s.nombre].filter(Boolean).join(" - ") : null);
+
+/**
+ * Arma el calendario.
+ * - usuarioId: alumno
+ * - periodo: doc de Periodo o null (modo legacy)
+ * - items: selección (ver normalizarSeleccion); null => materias EN_CURSO
+ * - rango: { desde, hasta } de rangoDelCalendario
+ * Devuelve { ics, resumen: { periodo, desde, hasta, materias, eventos, excepciones } }
+ */
+async function calendarioDelAlumno({ usuarioId, periodo = null, items = null, rango }) {
+  const seleccion = items ? normalizarSeleccion(items) : await seleccionEnCurso(usuarioId, periodo);
+  const ids = seleccion.map(s => s.materia);
+
+  const [materias, ofertas, feriados] = await Promise.all([
+    Materia.find({ _id: { $in: ids } }).select("codigo nombre").lean(),
+    ofertaPorMateria(ids, periodo),
+    feriadosEntre(rango.desde, rango.hasta),
+  ]);
+  const porId = new Map(materias.map(m => [String(m._id), m]));
+
+  // Horarios a exportar, con el grupo y docente efectivos
+  const filas = [];
+  for (const { materia, grupo } of seleccion) {
+    const m = porId.get(materia);
+    if (!m) continue;
+    const oferta = ofertas.get(materia);
+    const g = grupo ? oferta.grupos.find(x => x.codigo === grupo) || null : null;
+    horariosEfectivos(oferta, g).forEach((h, i) => {
+      filas.push({ materia: m, horario: h, indice: i, docente: h.docente || (h.grupo ? g.docente : null) });
+    });
+  }
+
+  const [salones, docentes] = await Promise.all([
+    Salon.find({ _id: { $in: filas.map(f => f.horario.salon).filter(Boolean) } }).select("codigo nombre").lean(),
+    Usuario.find({ _id: { $in: filas.map(f => f.docente).filter(Boolean) } }).select("nombre").lean(),
+  ]);
+  const salonPorId = new Map(salones.map(s => [String(s._id), s]));
+  const docentePorId = new Map(docentes.map(d => [String(d._id), d]));
+
+  const eventos = [];
+  for (const { materia, horario: h, indice, docente } of filas) {
+    const todas = fechasDeHorario(h, rango);
+    if (!todas?.length) continue; // fuera del rango del semestre
+    const habiles = new Set(fechasDeHorario(h, { ...rango, feriados }));
+
+    const detalle = [
+      h.grupo ? `Grupo ${h.grupo}` : null,
+      docente ? `Docente: ${docentePorId.get(String(docente))?.nombre || "-"}` : null,
+      h.recurrencia === "QUINCENAL" ? "Quincenal" : null,
+    ].filter(Boolean);
+
+    eventos.push({
+      uid: [String(materia._id), h.grupo || "comun", indice, periodo?.codigo || "legacy"].join("-") + "@tarea_1",
+      resumen: `${materia.codigo} ${materia.nombre}${h.grupo ? ` (${h.grupo})` : ""}`,
+      descripcion: detalle.join("\n") || null,
+      lugar: textoSalon(salonPorId.get(String(h.salon))),
+      dia: h.dia,
+      inicio: h.inicio,
+      fin: h.fin,
+      primera: todas[0],
+      ultima: todas[todas.length - 1],
+      intervalo: h.recurrencia === "QUINCENAL" ? 2 : 1,
+      excepciones: todas.filter(f => !habiles.has(f)),
+    });
+  }
+
+  const ics = construirCalendario({
+    nombre: periodo ? `Horario ${periodo.codigo}` : "Horario de cursada",
+    eventos,
+  });
+
+  return {
+    ics,
+    resumen: {
+      periodo: toPeriodoRef(periodo),
+      desde: rango.desde,
+      hasta: rango.hasta,
+      materias: new Set(filas.map(f => String(f.materia._id))).size,
+      eventos: eventos.length,
+      excepciones: eventos.reduce((n, e) => n + e.excepciones.length, 0),
+    },
+  };
+}
+
+module.exports = {
+  calendarioDelAlumno,
+  rangoDelCalendario,
+  seleccionEnCurso,
+};
@@ -0,0 +1,448 @@
+/**
+ * Servicio de Catálogo (import/export masivo)
+ * ===========================================
+ * Responsabilidad:
+ *  - Importar materias desde CSV o JSON usando "codigo" como clave humana.
+ *  - Exportar el catálogo en un formato que se pueda volver a importar tal cual.
+ *
+ * Formato de fila (JSON):
+ *  { codigo, nombre, creditos, semestre,
+ *    horarios: [ { dia, inicio, fin } ],
+ *    previas:  [ { tipo:'CURSO'|'EXAMEN', codigo } ],
+ *    corequisitos?: [ codigo ],
+ *    requisitos?:   árbol de requisitos.util con hojas { tipo:'PREVIA', nivel, codigo } (o null) }
+ *
+ * Formato CSV (cabecera obligatoria; corequisitos y requisitos son columnas opcionales):
+ *  codigo,nombre,creditos,semestre,horarios,previas[,corequisitos,requisitos]
+ *  - horarios: "LUN 18:00-20:00;MIE 18:00-20:00"
+ *  - previas:  "CURSO:MAT101;EXAMEN:MAT102"
+ *  - corequisitos: "FIS101L;FIS102L"
+ *  - requisitos: el árbol en JSON (vacío => sin requisitos)
+ *
+ * Reglas:
+ *  - Previas, correquisitos y hojas PREVIA se resuelven por codigo (contra el archivo y contra las
+ *    materias activas de la base). Una fila con el codigo de una materia dada de baja la reactiva.
+ *  - Si la fila no trae corequisitos/requisitos (campo ausente o columna ausente en el CSV)
+ *    se conservan los de la base; el export siempre los incluye, así el ida y vuelta no pierde datos.
+ *  - Horarios se validan con horarioValido (mismas reglas que el CRUD).
+ *  - Se rechazan ciclos en el grafo resultante (mismo criterio que grafo.service).
+ *  - Si alguna fila tiene errores no se escribe nada; dryRun solo devuelve el reporte.
+ *    Materias y ofertas se escriben en una transacción (todo o nada).
+ *  - Horarios: se leen/escriben en la oferta del período indicado (o Materia.horarios
+ *    si no hay períodos), igual que los endpoints de horarios.
+ */
+
+const { Types } = require("mongoose");
+const Materia = require("../models/materia.model");
+const Oferta = require("../models/oferta.model");
+const { horarioValido } = require("../utils/horario.util");
+const { validarRegla, normalizarRegla, extraerPrevias } = require("../utils/requisitos.util");
+const { buildGrafo, detectarCiclo } = require("./grafo.service");
+const { horariosPorMateria } = require("./periodo.service");
+const { enTransaccion } = require("./integridad.service");
+
+const CSV_COLUMNAS = ["codigo", "nombre", "creditos", "semestre", "horarios", "previas"];
+const CSV_OPCIONALES = ["corequisitos", "requisitos"];
+const TIPOS_PREVIA = ["CURSO", "EXAMEN"];
+
+// --- CSV ---
+
+/** Parser CSV mínimo (RFC 4180): comillas dobles, "" escapado y saltos dentro de comillas */
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = "", quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); rows.push(row);
+      row = []; field = "";
+    } else field += c;
+  }
+  if (field !== "" || row.length) { row.push(field); rows.push(row); }
+
+  // Ignoramos líneas totalmente vacías
+  return rows.filter(r => r.some(f => f.trim() !== ""));
+}
+
+function csvField(v) {
+  const s = v == null ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** "LUN 18:00-20:00;MIE 18:00-20:00" -> [{dia,inicio,fin}] (tokens mal formados quedan como inválidos) */
+function parseHorariosCsv(s) {
+  return String(s || "").split(";").map(t => t.trim()).filter(Boolean).map(t => {
+    const m = /^(\S+)\s+(\S+)-(\S+)$/.exec(t);
+    return m ? { dia: m[1].toUpperCase(), inicio: m[2], fin: m[3] } : { raw: t };
+  });
+}
+
+/** "CURSO:MAT101;EXAMEN:MAT102" -> [{tipo,codigo}] */
+function parsePreviasCsv(s) {
+  return String(s || "").split(";").map(t => t.trim()).filter(Boolean).map(t => {
+    const [tipo, codigo] = t.split(":").map(x => (x || "").trim());
+    return { tipo: tipo.toUpperCase(), codigo };
+  });
+}
+
+/**
+ * Convierte un CSV en filas con el mismo formato que el import JSON.
+ * Lanza Error si falta la cabecera o alguna columna requerida.
+ */
+function csvToFilas(text) {
+  const [header, ...rows] = parseCsv(String(text || ""));
+  if (!header) throw new Error("CSV vacío");
+
+  const cols = header.map(h => h.trim().toLowerCase());
+  const faltantes = CSV_COLUMNAS.filter(c => !cols.includes(c));
+  if (faltantes.length) throw new Error(`Faltan columnas en el CSV: ${faltantes.join(", ")}`);
+
+  return rows.map(r => {
+    const get = (c) => (r[cols.indexOf(c)] ?? "").trim();
+    const fila = {
+      codigo: get("codigo"),
+      nombre: get("nombre"),
+      creditos: get("creditos"),
+      semestre: get("semestre"),
+      horarios: parseHorariosCsv(get("horarios")),
+      previas: parsePreviasCsv(get("previas")),
+    };
+    if (cols.includes("corequisitos")) {
+      fila.corequisitos = get("corequisitos").split(";").map(t => t.trim()).filter(Boolean);
+    }
+    if (cols.includes("requisitos")) {
+      const txt = get("requisitos");
+      try {
+        fila.requisitos = txt ? JSON.parse(txt) : null;
+      } catch {
+        fila.requisitos = { raw: txt }; // queda inválido en normalizarFila
+      }
+    }
+    return fila;
+  });
+}
+
+// --- Import ---
+
+/** Normaliza y valida una fila aislada (sin resolver previas). Devuelve { data, errores } */
+function normalizarFila(raw) {
+  const errores = [];
+  const codigo = raw?.codigo != null ? String(raw.codigo).trim() : "";
+  const nombre = raw?.nombre != null ? String(raw.nombre).trim() : "";
+  const creditos = Number(raw?.creditos);
+  const semestre = Number(raw?.semestre);
+
+  if (!codigo) errores.push("codigo requerido");
+  if (!nombre) errores.push("nombre requerido");
+  if (raw?.creditos === "" || raw?.creditos == null || !Number.isFinite(creditos) || creditos < 0) {
+    errores.push("creditos debe ser un número >= 0");
+  }
+  if (raw?.semestre === "" || raw?.semestre == null || !Number.isInteger(semestre) || semestre < 1) {
+    errores.push("semestre debe ser un entero >= 1");
+  }
+
+  const horarios = [];
+  for (const h of Array.isArray(raw?.horarios) ? raw.horarios : []) {
+    if (!horarioValido(h || {})) {
+      errores.push(`Horario inválido (dia|HH:mm|rango): ${h?.raw || JSON.stringify(h)}`);
+      continue;
+    }
+    if (!horarios.some(x => x.dia === h.dia && x.inicio === h.inicio && x.fin === h.fin)) {
+      horarios.push({ dia: h.dia, inicio: h.inicio, fin: h.fin });
+    }
+  }
+
+  const previas = [];
+  for (const p of Array.isArray(raw?.previas) ? raw.previas : []) {
+    const tipo = String(p?.tipo || "").toUpperCase();
+    const cod = String(p?.codigo || "").trim();
+    if (!TIPOS_PREVIA.includes(tipo) || !cod) {
+      errores.push(`Previa inválida (tipo|codigo): ${JSON.stringify(p)}`);
+      continue;
+    }
+    if (cod === codigo) {
+      errores.push("Una materia no puede ser previa de sí misma");
+      continue;
+    }
+    if (!previas.some(x => x.tipo === tipo && x.codigo === cod)) previas.push({ tipo, codigo: cod });
+  }
+
+  // undefined => la fila no los trae (se conservan los de la base)
+  let corequisitos;
+  if (raw?.corequisitos !== undefined) {
+    corequisitos = [];
+    for (const c of Array.isArray(raw.corequisitos) ? raw.corequisitos : [raw.corequisitos]) {
+      const cod = String(c ?? "").trim();
+      if (!cod) { errores.push(`Correquisito inválido: ${JSON.stringify(c)}`); continue; }
+      if (cod === codigo) { errores.push("Una materia no puede ser correquisito de sí misma"); continue; }
+      if (!corequisitos.includes(cod)) corequisitos.push(cod);
+    }
+  }
+
+  let requisitos;
+  if (raw?.requisitos !== undefined) {
+    requisitos = raw.requisitos ?? null;
+    if (requisitos && codigosDeRequisitos(requisitos).includes(codigo)) {
+      errores.push("Una materia no puede ser previa de sí misma");
+    }
+  }
+
+  return { data: { codigo, nombre, creditos, semestre, horarios, previas, corequisitos, requisitos }, errores };
+}
+
+/** Códigos de las hojas PREVIA de un árbol del archivo (hojas por codigo) */
+function codigosDeRequisitos(regla) {
+  if (!regla || typeof regla !== "object") return [];
+  if (regla.tipo === "PREVIA") return [String(regla.codigo ?? "").trim()];
+  return Array.isArray(regla.reglas) ? regla.reglas.flatMap(codigosDeRequisitos) : [];
+}
+
+/**
+ * Árbol del archivo (hojas por codigo) -> árbol de la base (hojas por materia).
+ * Devuelve { requisitos } o { error }.
+ */
+function resolverRequisitos(regla, idPorCodigo) {
+  const faltantes = [];
+  const resolver = (r) => {
+    if (!r || typeof r !== "object") return r;
+    if (r.tipo === "PREVIA") {
+      const cod = String(r.codigo ?? "").trim();
+      const id = idPorCodigo.get(cod);
+      if (!id) faltantes.push(cod);
+      return { tipo: "PREVIA", nivel: r.nivel, materia: id };
+    }
+    return Array.isArray(r.reglas) ? { ...r, reglas: r.reglas.map(resolver) } : r;
+  };
+  const resuelta = resolver(regla);
+  if (faltantes.length) return { error: `Requisitos: ${faltantes.join(", ")} no existe(n) en el archivo ni en el catálogo` };
+  const error = validarRegla(resuelta);
+  if (error) return { error: `Requisitos inválidos: ${error}` };
+  return { requisitos: normalizarRegla(resuelta) };
+}
+
+/** Árbol de la base -> árbol por codigo para exportar (hojas colgadas se podan, como las previas) */
+function requisitosPorCodigo(regla, codigoPorId) {
+  if (!regla) return null;
+  if (regla.tipo === "PREVIA") {
+    const codigo = codigoPorId.get(String(regla.materia));
+    return codigo ? { tipo: "PREVIA", nivel: regla.nivel, codigo } : null;
+  }
+  if (regla.tipo === "AND" || regla.tipo === "OR") {
+    const reglas = regla.reglas.map(r => requisitosPorCodigo(r, codigoPorId)).filter(Boolean);
+    return reglas.length ? { tipo: regla.tipo, reglas } : null;
+  }
+  return { tipo: regla.tipo, minimo: regla.minimo };
+}
+
+/**
+ * Importa (upsert por codigo) un lote de materias.
+ *  - filas: array en formato JSON (ver cabecera); para CSV usar csvToFilas antes
+ *  - dryRun: si es true, valida y devuelve el reporte sin escribir
+ *  - periodo: doc de Periodo donde guardar los horarios (null => Materia.horarios)
+ * Devuelve:
+ *  {
+ *    dryRun, aplicado,
+ *    resumen: { filas, validas, conErrores, crear, actualizar },
+ *    filas: [ { fila, codigo, accion:'crear'|'actualizar', errores:[] } ],
+ *    creadas: [ids], actualizadas: [ids]
+ *  }
+ */
+async function importarMaterias({ filas, dryRun = false, periodo = null }) {
+  if (!Array.isArray(filas) || filas.length === 0) {
+    throw new Error("filas requerido (array no vacío)");
+  }
+
+  // Solo las activas: las dadas de baja no se pueden referenciar ni cuentan para los ciclos
+  const existentes = await Materia.find({}, "codigo nombre semestre previas requisitos").activas().lean();
+  const idPorCodigo = new Map(existentes.map(m => [m.codigo, String(m._id)]));
+
+  // 1) Normalización por fila + duplicados dentro del archivo
+  const vistos = new Map(); // codigo -> nro de fila
+  const reporte = filas.map((raw, i) => {
+    const fila = i + 1;
+    const { data, errores } = normalizarFila(raw);
+    if (data.codigo && vistos.has(data.codigo)) {
+      errores.push(`codigo duplicado en el archivo (fila ${vistos.get(data.codigo)})`);
+    } else if (data.codigo) {
+      vistos.set(data.codigo, fila);
+    }
+    const accion = idPorCodigo.has(data.codigo) ? "actualizar" : "crear";
+    return { fila, codigo: data.codigo, accion, errores, data };
+  });
+
+  // 2) Ids: los nuevos reciben un ObjectId de antemano para poder referenciarse entre sí;
+  //    una materia dada de baja con el mismo codigo se reactiva con su _id (el upsert la encuentra)
+  const dadasDeBaja = await Materia.find({
+    codigo: { $in: reporte.map(r => r.codigo).filter(Boolean) },
+    eliminadoEn: { $ne: null },
+  }, "codigo requisitos").lean();
+  const idDeBaja = new Map(dadasDeBaja.map(m => [m.codigo, String(m._id)]));
+  for (const r of reporte) {
+    if (r.codigo && !idPorCodigo.has(r.codigo)) idPorCodigo.set(r.codigo, idDeBaja.get(r.codigo) || new Types.ObjectId().toString());
+  }
+
+  // 3) Resolver previas por codigo
+  for (const r of reporte) {
+    r.data.previas = r.data.previas.map(p => {
+      const id = idPorCodigo.get(p.codigo);
+      if (!id) r.errores.push(`Previa ${p.tipo}:${p.codigo} no existe en el archivo ni en el catálogo`);
+      return { tipo: p.tipo, materia: id, codigo: p.codigo };
+    }).filter(p => p.materia);
+
+    if (r.data.corequisitos) {
+      r.data.corequisitos = r.data.corequisitos.filter(cod => {
+        if (!idPorCodigo.has(cod)) r.errores.push(`Correquisito ${cod} no existe en el archivo ni en el catálogo`);
+        return idPorCodigo.has(cod);
+      }).map(cod => idPorCodigo.get(cod));
+    }
+
+    if (r.data.requisitos) {
+      const { requisitos, error } = resolverRequisitos(r.data.requisitos, idPorCodigo);
+      if (error) r.errores.push(error);
+      r.data.requisitos = requisitos ?? null;
+    }
+  }
+
+  // 4) Ciclos sobre el grafo resultante (catálogo actual + filas del archivo),
+  //    con las hojas PREVIA de los requisitos como aristas (igual que buildGrafo)
+  const grafo = buildGrafo(existentes);
+  const requisitosPrevios = new Map([...existentes, ...dadasDeBaja].map(m => [m.codigo, m.requisitos]));
+  const aristas = (r) => [
+    ...r.data.previas.map(p => ({ tipo: p.tipo, materia: p.materia })),
+    ...extraerPrevias(r.data.requisitos !== undefined ? r.data.requisitos : requisitosPrevios.get(r.codigo))
+      .map(p => ({ tipo: p.tipo, materia: String(p.materia) })),
+  ];
+  for (const r of reporte) {
+    if (!r.codigo) continue;
+    grafo.set(idPorCodigo.get(r.codigo), {
+      _id: idPorCodigo.get(r.codigo),
+      codigo: r.codigo,
+      previas: aristas(r),
+    });
+  }
+  for (const r of reporte) {
+    if (!r.codigo) continue;
+    const ciclo = detectarCiclo(grafo, idPorCodigo.get(r.codigo), aristas(r));
+    if (ciclo) r.errores.push(`Las previas generan un ciclo: ${ciclo.map(id => grafo.get(id)?.codigo || id).join(" → ")}`);
+  }
+
+  const conErrores = reporte.filter(r => r.errores.length).length;
+  const resumen = {
+    filas: reporte.length,
+    validas: reporte.length - conErrores,
+    conErrores,
+    crear: reporte.filter(r => r.accion === "crear").length,
+    actualizar: reporte.filter(r => r.accion === "actualizar").length,
+  };
+  const filasReporte = reporte.map(({ fila, codigo, accion, errores }) => ({ fila, codigo, accion, errores }));
+
+  if (dryRun || conErrores > 0) {
+    return { dryRun, aplicado: false, resumen, filas: filasReporte, creadas: [], actualizadas: [] };
+  }
+
+  // 5) Upsert en un solo bulkWrite (+ ofertas del período si corresponde), todo en una transacción
+  const ops = reporte.map(({ data }) => ({
+    updateOne: {
+      filter: { codigo: data.codigo },
+      update: {
+        $set: {
+          nombre: data.nombre,
+          creditos: data.creditos,
+          semestre: data.semestre,
+          eliminadoEn: null, // re-importar una materia dada de baja la reactiva
+          ...(periodo ? {} : { horarios: data.horarios }),
+          previas: data.previas.map(p => ({ tipo: p.tipo, materia: new Types.ObjectId(p.materia) })),
+          ...(data.corequisitos ? { corequisitos: data.corequisitos.map(id => new Types.ObjectId(id)) } : {}),
+          ...(data.requisitos !== undefined ? { requisitos: data.requisitos } : {}),
+        },
+        $setOnInsert: { _id: new Types.ObjectId(idPorCodigo.get(data.codigo)) },
+      },
+      upsert: true,
+    },
+  }));
+  await enTransaccion(async (session) => {
+    await Materia.bulkWrite(ops, { ordered: true, session });
+    if (periodo) {
+      await Oferta.bulkWrite(reporte.map(({ data }) => ({
+        updateOne: {
+          filter: { periodo: periodo._id, materia: new Types.ObjectId(idPorCodigo.get(data.codigo)) },
+          update: { $set: { horarios: data.horarios } },
+          upsert: true,
+        },
+      })), { ordered: true, session });
+    }
+  });
+
+  return {
+    dryRun: false,
+    aplicado: true,
+    resumen,
+    filas: filasReporte,
+    creadas: reporte.filter(r => r.accion === "crear").map(r => idPorCodigo.get(r.codigo)),
+    actualizadas: reporte.filter(r => r.accion === "actualizar").map(r => idPorCodigo.get(r.codigo)),
+  };
+}
+
+// --- Export ---
+
+/** Devuelve el catálogo en formato de fila JSON (previas, correquisitos y requisitos por codigo, horarios del período) */
+async function exportarMaterias({ periodo = null } = {}) {
+  const materias = await Materia.find({})
+    .activas()
+    .populate("previas.materia", "codigo")
+    .sort({ semestre: 1, codigo: 1 })
+    .lean();
+  const horarios = await horariosPorMateria(materias.map(m => m._id), periodo);
+  const codigoPorId = new Map(materias.map(m => [String(m._id), m.codigo]));
+
+  return materias.map(m => ({
+    codigo: m.codigo,
+    nombre: m.nombre,
+    creditos: m.creditos,
+    semestre: m.semestre,
+    horarios: horarios.get(String(m._id)).map(h => ({ dia: h.dia, inicio: h.inicio, fin: h.fin })),
+    previas: (m.previas || [])
+      .filter(p => p.materia?.codigo) // previas colgadas (materia borrada) no se exportan
+      .map(p => ({ tipo: p.tipo, codigo: p.materia.codigo })),
+    corequisitos: (m.corequisitos || []).map(c => codigoPorId.get(String(c))).filter(Boolean),
+    requisitos: requisitosPorCodigo(m.requisitos, codigoPorId),
+  }));
+}
+
+/** Serializa filas JSON al formato CSV de import */
+function filasToCsv(filas) {
+  const lines = [[...CSV_COLUMNAS, ...CSV_OPCIONALES].join(",")];
+  for (const f of filas) {
+    lines.push([
+      f.codigo,
+      f.nombre,
+      f.creditos,
+      f.semestre,
+      f.horarios.map(h => `${h.dia} ${h.inicio}-${h.fin}`).join(";"),
+      f.previas.map(p => `${p.tipo}:${p.codigo}`).join(";"),
+      (f.corequisitos || []).join(";"),
+      f.requisitos ? JSON.stringify(f.requisitos) : "",
+    ].map(csvField).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  importarMaterias,
+  exportarMaterias,
+  csvToFilas,
+  filasToCsv,
+  // helpers puros
+  parseCsv,
+  normalizarFila,
+  resolverRequisitos,
+  requisitosPorCodigo,
+};
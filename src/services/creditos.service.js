@@ -7,19 +7,91 @@
  *  - Se suman los créditos de las materias en estado **APROBADO**
  *
  * Parámetros opcionales:
- *  - estados: array de estados válidos (por defecto: ['APROBADO'])
+ *  - estados: array de estados válidos (por defecto: ['APROBADO']); los estados
+ *    posibles son los de historial.util (incluye A_EXAMEN)
  *  - hastaSemestre: limita materias con semestre <= hastaSemestre (opcional)
  *
+ * Plan de estudios:
+ *  - Si el usuario tiene plan, solo suman las materias del plan y hastaSemestre
+ *    se interpreta con el semestre del plan. Se anexa el plan (con creditosRequeridos).
+ *
+ * Equivalencias (ver equivalencia.service):
+ *  - TOTAL: el destino suma sus créditos si el estado derivado está en "estados".
+ *  - PARCIAL: suma los "creditos" de la equivalencia si el origen está APROBADO
+ *    (y APROBADO está entre los estados pedidos).
+ *  - No se duplica: si el origen o el destino ya sumaron directo, la equivalencia no suma.
+ *  - Esas filas van al detalle con "equivalencia: { _id, tipo, origen }".
+ *
+ * Simulación (opcional, ver elegibilidad.simularElegibilidad):
+ *  - simulacion: Map<materiaId, estado> que reemplaza al Historial real de esas
+ *    materias sin persistir nada. Sus filas van al detalle con "simulado: true".
+ *
  * Implementación:
  *  - Usamos agregación Mongo para hacer $lookup a 'materias' y sumar creditos.
  */
 
 const { Types } = require("mongoose");
 const Historial = require("../models/historial.model");
+const Materia = require("../models/materia.model");
+const { loadPlanDeUsuario, materiaIdsDelPlan, toPlanRef } = require("./plan.service");
+const { equivalenciasDesde, estadoPorEquivalencia } = require("./equivalencia.service");
+const { ESTADOS } = require("../utils/historial.util");
+
+const ESTADOS_VALIDOS = new Set(ESTADOS);
+
+/**
+ * Filas de detalle aportadas por equivalencias.
+ * - contadas: Set<materiaId> que ya sumaron directo
+ * - admitida(materia): filtro de plan/semestre sobre el destino
+ */
+async function detallePorEquivalencias({ usuarioId, estados, contadas, admitida, simulacion }) {
+  const hs = await Historial.find({ usuario: usuarioId }).select("materia estado").lean();
+  const mapEstado = new Map([...hs.map(h => [String(h.materia), h.estado]), ...(simulacion || [])]);
+  const equivalencias = await equivalenciasDesde([...mapEstado.keys()]);
+  if (!equivalencias.length) return [];
+
+  const destinos = await Materia.find({ _id: { $in: equivalencias.map(e => e.destino) } })
+    .select("codigo nombre semestre creditos")
+    .lean();
+  const porId = new Map(destinos.map(m => [String(m._id), m]));
+
+  const filas = new Map(); // destino -> fila (nos quedamos con la que más suma)
+  for (const e of equivalencias) {
+    const origen = String(e.origen);
+    const destino = String(e.destino);
+    const m = porId.get(destino);
+    if (!m || contadas.has(origen) || contadas.has(destino) || !admitida(m)) continue;
 
-const ESTADOS_VALIDOS = new Set(["PENDIENTE","EN_CURSO","CURSADO","APROBADO"]);
+    const estado = estadoPorEquivalencia(e.tipo, mapEstado.get(origen));
+    let creditos = 0;
+    if (e.tipo === "TOTAL" && estados.includes(estado)) creditos = m.creditos;
+    if (e.tipo === "PARCIAL" && mapEstado.get(origen) === "APROBADO" && estados.includes("APROBADO")) creditos = e.creditos || 0;
+    if (!creditos || (filas.get(destino)?.creditos ?? 0) >= creditos) continue;
+
+    filas.set(destino, {
+      materiaId: m._id, codigo: m.codigo, nombre: m.nombre, semestre: m.semestre,
+      creditos, estado, fecha: null,
+      equivalencia: { _id: e._id, tipo: e.tipo, origen: e.origen },
+    });
+  }
+  return [...filas.values()];
+}
 
-async function calcularCreditos({ usuarioId, estados = ["APROBADO"], hastaSemestre }) {
+/**
+ * Filas de detalle de las materias simuladas (reemplazan al Historial real).
+ * - admitida(materia): filtro de plan/semestre
+ */
+async function detallePorSimulacion({ simulacion, estados, admitida }) {
+  const ids = [...simulacion.entries()].filter(([, estado]) => estados.includes(estado)).map(([id]) => id);
+  if (!ids.length) return [];
+  const materias = await Materia.find({ _id: { $in: ids } }).select("codigo nombre semestre creditos").lean();
+  return materias.filter(admitida).map(m => ({
+    materiaId: m._id, codigo: m.codigo, nombre: m.nombre, semestre: m.semestre,
+    creditos: m.creditos, estado: simulacion.get(String(m._id)), fecha: null, simulado: true,
+  }));
+}
+
+async function calcularCreditos({ usuarioId, estados = ["APROBADO"], hastaSemestre, simulacion = null }) {
   if (!Types.ObjectId.isValid(usuarioId)) {
     throw new Error("usuarioId inválido");
   }
@@ -35,12 +107,22 @@ async function calcularCreditos({ usuarioId, estados = ["APROBADO"], hastaSemest
     estadosFiltrados.push("APROBADO");
   }
 
-  const matchMateriaSem = (hastaSemestre != null)
+  const plan = await loadPlanDeUsuario(usuarioId);
+
+  // Con plan, el corte por semestre se resuelve sobre el plan (no sobre Materia.semestre)
+  const matchHistorial = { usuario: new Types.ObjectId(usuarioId), estado: { $in: estadosFiltrados } };
+  if (plan) matchHistorial.materia = { $in: materiaIdsDelPlan(plan, { hastaSemestre }) };
+  // Las materias simuladas no se toman del Historial real
+  if (simulacion?.size) {
+    matchHistorial.materia = { ...matchHistorial.materia, $nin: [...simulacion.keys()].map(id => new Types.ObjectId(id)) };
+  }
+
+  const matchMateriaSem = (hastaSemestre != null && !plan)
     ? { "materia.semestre": { $lte: Number(hastaSemestre) } }
-    : {};
+    : null;
 
   const pipeline = [
-    { $match: { usuario: new Types.ObjectId(usuarioId), estado: { $in: estadosFiltrados } } },
+    { $match: matchHistorial },
     { $lookup: {
         from: "materias",
         localField: "materia",
@@ -48,7 +130,7 @@ async function calcularCreditos({ usuarioId, estados = ["APROBADO"], hastaSemest
         as: "materia"
     }},
     { $unwind: "$materia" },
-    ...(hastaSemestre != null ? [{ $match: matchMateriaSem }] : []),
+    ...(matchMateriaSem ? [{ $match: matchMateriaSem }] : []),
     { $project: {
         materiaId: "$materia._id",
         codigo: "$materia.codigo",
@@ -67,10 +149,30 @@ async function calcularCreditos({ usuarioId, estados = ["APROBADO"], hastaSemest
   ];
 
   const res = await Historial.aggregate(pipeline);
-  if (!res || res.length === 0) {
-    return { totalCreditos: 0, detalle: [] };
+  const base = (!res || res.length === 0) ? { totalCreditos: 0, detalle: [] } : res[0];
+
+  // Simulación y equivalencias: mismo filtro de plan/semestre
+  const idsPlan = plan ? new Set(materiaIdsDelPlan(plan, { hastaSemestre }).map(String)) : null;
+  const admitida = (m) => (idsPlan ? idsPlan.has(String(m._id)) : (hastaSemestre == null || m.semestre <= Number(hastaSemestre)));
+  if (simulacion?.size) {
+    const simuladas = await detallePorSimulacion({ simulacion, estados: estadosFiltrados, admitida });
+    base.detalle = [...base.detalle, ...simuladas];
+    base.totalCreditos += simuladas.reduce((acc, d) => acc + d.creditos, 0);
   }
-  return res[0];
+
+  const extra = await detallePorEquivalencias({
+    usuarioId,
+    estados: estadosFiltrados,
+    contadas: new Set(base.detalle.map(d => String(d.materiaId))),
+    admitida,
+    simulacion,
+  });
+  if (extra.length) {
+    base.detalle = [...base.detalle, ...extra];
+    base.totalCreditos += extra.reduce((acc, d) => acc + d.creditos, 0);
+  }
+
+  return plan ? { ...base, plan: toPlanRef(plan) } : base;
 }
 
 module.exports = { calcularCreditos };
@@ -0,0 +1,210 @@
+/**
+ * Servicio de Cupos
+ * =================
+ * Responsabilidad:
+ *  - Reservar lugar de forma atómica contra el cupo de la materia (Oferta.cupo) y el
+ *    del grupo elegido (grupo.cupo); si no hay lugar, anotar en la lista de espera.
+ *  - Liberar lugares (baja, rechazo) y promover automáticamente desde la lista de espera.
+ *  - Informar la ocupación (cupo, inscriptos, disponibles, en espera) por materia y grupo.
+ *
+ * Reglas:
+ *  - Cupo sin valor (null) => sin límite en ese nivel.
+ *  - Se respetan los dos niveles: un lugar en G1 cuenta para el cupo de G1 y para el de la materia.
+ *  - Lista de espera por orden de llegada; si el primero espera un grupo lleno y hay lugar
+ *    para otro que espera un grupo distinto, se promueve a ese (la cola no se traba).
+ *  - Reservar es idempotente: si el alumno ya tiene lugar o ya espera, se devuelve su situación.
+ *
+ * Notas:
+ *  - La condición de cupo va dentro del propio update ($expr sobre un único documento
+ *    por materia y período), así dos reservas simultáneas no pueden pasarse del límite.
+ *  - El servicio no emite eventos: devuelve la ocupación para que el controller emita cupo:actualizado.
+ */
+
+const Cupo = require("../models/cupo.model");
+const { ofertaDeMateria, ofertaPorMateria } = require("./periodo.service");
+
+/** Tope de vueltas al promover (cada vuelta exitosa achica la lista; las fallidas son por concurrencia) */
+const MAX_INTENTOS = 100;
+
+const filtroBase = (periodo, materiaId) => ({ periodo: periodo?._id ?? null, materia: materiaId });
+
+/** Cupo del grupo "codigo" en la oferta (null => sin límite o sin grupo) */
+const cupoDeGrupo = (oferta, codigo) => (codigo ? oferta.grupos.find(g => g.codigo === codigo)?.cupo ?? null : null);
+
+/** ¿Hay lugar para alguien del grupo indicado? (función pura, mismo criterio que condicionDeLugar) */
+function hayLugar(oferta, inscriptos, grupo) {
+  if (oferta.cupo != null && inscriptos.length >= oferta.cupo) return false;
+  const cupoGrupo = cupoDeGrupo(oferta, grupo);
+  if (cupoGrupo != null && inscriptos.filter(i => i.grupo === grupo).length >= cupoGrupo) return false;
+  return true;
+}
+
+/** Condición de Mongo equivalente a hayLugar, para evaluarla dentro del update */
+function condicionDeLugar(oferta, grupo) {
+  const conds = [];
+  if (oferta.cupo != null) conds.push({ $lt: [{ $size: "$inscriptos" }, oferta.cupo] });
+  const cupoGrupo = cupoDeGrupo(oferta, grupo);
+  if (cupoGrupo != null) {
+    const delGrupo = { $filter: { input: "$inscriptos", cond: { $eq: ["$$this.grupo", grupo] } } };
+    conds.push({ $lt: [{ $size: delGrupo }, cupoGrupo] });
+  }
+  return conds.length ? { $expr: { $and: conds } } : {};
+}
+
+/**
+ * Ocupación de una materia (función pura).
+ * - oferta: { grupos, cupo } del período
+ * - doc: documento de Cupo (lean) o null si nadie se anotó
+ * Devuelve { cupo, inscriptos, disponibles, enEspera, grupos:[{ codigo, cupo, inscriptos, disponibles, enEspera }] }
+ * (disponibles null => sin límite; el de un grupo también está acotado por el de la materia)
+ */
+function resumenOcupacion(oferta, doc) {
+  const inscriptos = doc?.inscriptos || [];
+  const espera = doc?.espera || [];
+  const libres = (cupo, ocupados) => (cupo == null ? null : Math.max(0, cupo - ocupados));
+  const disponibles = libres(oferta.cupo ?? null, inscriptos.length);
+
+  return {
+    cupo: oferta.cupo ?? null,
+    inscriptos: inscriptos.length,
+    disponibles,
+    enEspera: espera.length,
+    grupos: oferta.grupos.map(g => {
+      const n = inscriptos.filter(i => i.grupo === g.codigo).length;
+      const propios = libres(g.cupo ?? null, n);
+      return {
+        codigo: g.codigo,
+        cupo: g.cupo ?? null,
+        inscriptos: n,
+        disponibles: propios == null ? disponibles : disponibles == null ? propios : Math.min(propios, disponibles),
+        enEspera: espera.filter(e => e.grupo === g.codigo).length,
+      };
+    }),
+  };
+}
+
+/** Situación de un alumno en el documento: { lugar: "INSCRIPTO"|"ESPERA"|null, posicion } */
+function situacionDe(doc, usuarioId) {
+  const id = String(usuarioId);
+  if ((doc?.inscriptos || []).some(i => String(i.usuario) === id)) return { lugar: "INSCRIPTO", posicion: null };
+  const i = (doc?.espera || []).findIndex(e => String(e.usuario) === id);
+  return i >= 0 ? { lugar: "ESPERA", posicion: i + 1 } : { lugar: null, posicion: null };
+}
+
+/**
+ * Promueve desde la lista de espera mientras haya lugar.
+ * - oferta: opcional (si ya se cargó)
+ * Devuelve { doc, oferta, promovidos:[{ usuario, grupo }] }
+ */
+async function promoverEspera({ periodo, materiaId, oferta = null }) {
+  oferta = oferta || await ofertaDeMateria(materiaId, periodo);
+  const base = filtroBase(periodo, materiaId);
+  const promovidos = [];
+
+  let doc = await Cupo.findOne(base).lean();
+  for (let intento = 0; doc && intento < MAX_INTENTOS; intento++) {
+    const candidato = doc.espera.find(e => hayLugar(oferta, doc.inscriptos, e.grupo));
+    if (!candidato) break;
+
+    const movido = await Cupo.findOneAndUpdate(
+      { ...base, "espera.usuario": candidato.usuario, ...condicionDeLugar(oferta, candidato.grupo) },
+      {
+        $pull: { espera: { usuario: candidato.usuario } },
+        $push: { inscriptos: { usuario: candidato.usuario, grupo: candidato.grupo, en: new Date() } },
+      },
+      { new: true }
+    ).lean();
+    if (movido) promovidos.push({ usuario: String(candidato.usuario), grupo: candidato.grupo });
+    // Si no se movió, alguien cambió el documento en el medio: se vuelve a mirar
+    doc = movido || await Cupo.findOne(base).lean();
+  }
+  return { doc, oferta, promovidos };
+}
+
+/**
+ * Reserva lugar para el alumno (o lo anota en la lista de espera).
+ * - periodo: doc de Periodo (null => legacy); grupo: código elegido o null
+ * Devuelve { lugar, posicion, ocupacion, promovidos }
+ */
+async function reservarLugar({ periodo, materiaId, grupo = null, usuarioId }) {
+  const oferta = await ofertaDeMateria(materiaId, periodo);
+  const base = filtroBase(periodo, materiaId);
+  const sinLugarPrevio = { "inscriptos.usuario": { $ne: usuarioId }, "espera.usuario": { $ne: usuarioId } };
+  const lugar = { usuario: usuarioId, grupo, en: new Date() };
+
+  try {
+    await Cupo.updateOne(base, { $setOnInsert: { inscriptos: [], espera: [] } }, { upsert: true });
+  } catch (err) {
+    if (err?.code !== 11000) throw err; // otro request lo creó en el medio
+  }
+
+  let doc = await Cupo.findOneAndUpdate(
+    { ...base, ...sinLugarPrevio, ...condicionDeLugar(oferta, grupo) },
+    { $push: { inscriptos: lugar } },
+    { new: true }
+  ).lean();
+
+  let promovidos = [];
+  if (!doc) {
+    const enEspera = await Cupo.findOneAndUpdate(
+      { ...base, ...sinLugarPrevio },
+      { $push: { espera: lugar } },
+      { new: true }
+    ).lean();
+    // Recién anotado: si se liberó un lugar entre los dos updates, que no quede esperando de más
+    if (enEspera) ({ doc, promovidos } = await promoverEspera({ periodo, materiaId, oferta }));
+    else doc = await Cupo.findOne(base).lean(); // ya tenía lugar o ya esperaba
+  }
+
+  return { ...situacionDe(doc, usuarioId), ocupacion: resumenOcupacion(oferta, doc), promovidos };
+}
+
+/**
+ * Quita el lugar (o el puesto en la lista de espera) del alumno, sin promover.
+ * Acepta session para hacerlo dentro de una transacción; la promoción va después
+ * del commit (promoverEspera). Devuelve true si tenía lugar o esperaba.
+ */
+async function quitarLugar({ periodo, materiaId, usuarioId, session = null }) {
+  const previo = await Cupo.findOneAndUpdate(
+    { ...filtroBase(periodo, materiaId), $or: [{ "inscriptos.usuario": usuarioId }, { "espera.usuario": usuarioId }] },
+    { $pull: { inscriptos: { usuario: usuarioId }, espera: { usuario: usuarioId } } },
+    { session }
+  ).lean();
+  return !!previo;
+}
+
+/**
+ * Libera el lugar (o el puesto en la lista de espera) del alumno y promueve a los que esperan.
+ * Devuelve { liberado, ocupacion, promovidos }
+ */
+async function liberarLugar({ periodo, materiaId, usuarioId }) {
+  const liberado = await quitarLugar({ periodo, materiaId, usuarioId });
+  const { doc, oferta, promovidos } = await promoverEspera({ periodo, materiaId });
+  return { liberado, ocupacion: resumenOcupacion(oferta, doc), promovidos };
+}
+
+/**
+ * Ocupación de varias materias en un período.
+ * Devuelve Map<materiaIdString, ocupacion> (ver resumenOcupacion).
+ */
+async function ocupacionPorMateria(materiaIds, periodo) {
+  const [ofertas, docs] = await Promise.all([
+    ofertaPorMateria(materiaIds, periodo),
+    Cupo.find({ periodo: periodo?._id ?? null, materia: { $in: materiaIds.map(String) } }).lean(),
+  ]);
+  const porMateria = new Map(docs.map(d => [String(d.materia), d]));
+  return new Map([...ofertas.entries()].map(([id, oferta]) => [id, resumenOcupacion(oferta, porMateria.get(id))]));
+}
+
+module.exports = {
+  reservarLugar,
+  liberarLugar,
+  quitarLugar,
+  promoverEspera,
+  ocupacionPorMateria,
+  // helpers puros (tests)
+  hayLugar,
+  condicionDeLugar,
+  resumenOcupacion,
+  situacionDe,
+};
@@ -0,0 +1,74 @@
+/**
+ * Servicio de Docentes
+ * ====================
+ * Responsabilidad:
+ *  - Validar que los docentes asignados (horario.docente / grupo.docente) sean
+ *    usuarios activos con rol DOCENTE.
+ *  - Detectar choques: un docente nunca puede estar en dos horarios solapados.
+ *  - Armar la agenda semanal de un docente con su carga horaria.
+ *
+ * La lógica de slots/choques es común con salones (ver ocupacion.service).
+ */
+
+const Usuario = require("../models/usuario.model");
+const { contextoFechas } = require("./feriado.service");
+const {
+  slotsDeRecurso, ocupacionDeRecurso, conflictosDeRecurso, grillaSemanal, usosDeRecurso,
+} = require("./ocupacion.service");
+const { horasDesdeHorarios } = require("../utils/horario.util");
+
+const OBJECT_ID = /^[a-f\d]{24}$/i;
+
+/**
+ * Ids de docente referenciados en una oferta que no son usuarios DOCENTE activos.
+ * Valores que ni siquiera son ObjectId (p.ej. nombres en texto libre) se reportan tal cual.
+ */
+async function docentesInvalidos(oferta) {
+  const valores = [...new Set(slotsDeRecurso("docente", {}, oferta).map(s => s.docente))];
+  const ids = valores.filter(v => OBJECT_ID.test(v));
+  if (!ids.length) return valores;
+  const docentes = await Usuario.find({ _id: { $in: ids }, rol: "DOCENTE" }).activos().select("_id").lean();
+  const ok = new Set(docentes.map(d => String(d._id)));
+  return valores.filter(v => !ok.has(v));
+}
+
+/** Choques de docente que tendría la oferta de "materia" en el período */
+const conflictosDeDocente = ({ materia, periodo, oferta }) =>
+  conflictosDeRecurso({ campo: "docente", materia, periodo, oferta });
+
+/**
+ * Agenda semanal de un docente en un período:
+ *  { dias: { LUN:[slots], ... }, horasSemanales, conflictos,
+ *    materias: [ { materia, codigo, nombre, grupo, horas } ] }
+ */
+async function agendaDocente({ docenteId, periodo }) {
+  const [slots, fechas] = await Promise.all([
+    ocupacionDeRecurso({ campo: "docente", ids: [docenteId], periodo }),
+    contextoFechas(periodo),
+  ]);
+
+  // Carga por materia+grupo
+  const porAsignacion = new Map();
+  for (const s of slots) {
+    const k = `${s.materia}|${s.grupo ?? ""}`;
+    if (!porAsignacion.has(k)) {
+      porAsignacion.set(k, { materia: s.materia, codigo: s.codigo, nombre: s.nombre, grupo: s.grupo, slots: [] });
+    }
+    porAsignacion.get(k).slots.push(s);
+  }
+  const materias = [...porAsignacion.values()]
+    .map(({ slots: ss, ...a }) => ({ ...a, horas: horasDesdeHorarios(ss) }))
+    .sort((a, b) => a.codigo.localeCompare(b.codigo));
+
+  return { ...grillaSemanal("docente", slots, fechas), materias };
+}
+
+/** Cantidad de ofertas/materias (todos los períodos) donde el docente está asignado */
+const asignacionesDeDocente = (docenteId) => usosDeRecurso("docente", docenteId);
+
+module.exports = {
+  docentesInvalidos,
+  conflictosDeDocente,
+  agendaDocente,
+  asignacionesDeDocente,
+};
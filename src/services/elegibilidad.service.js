@@ -6,48 +6,120 @@
  *    según sus "previas" y su historial académico.
  *
  * Reglas (según consigna):
- *  - Previa tipo "CURSO"  => se cumple si la previa está en estado CURSADO o APROBADO
+ *  - Previa tipo "CURSO"  => se cumple si la previa está en estado CURSADO, A_EXAMEN o APROBADO
  *  - Previa tipo "EXAMEN" => se cumple solo si la previa está en estado APROBADO
  *
  * Además devolvemos "motivos" cuando una materia NO es elegible, para explicar por qué.
+ *
+ * Requisitos compuestos (Materia.requisitos, opcional):
+ *  - Árbol AND/OR con hojas PREVIA, CREDITOS (aprobados) y SEMESTRE (completo).
+ *  - Se evalúa además de las previas y se devuelve el resultado por regla.
+ *  - Un semestre está "completo" si todas sus materias (obligatorias del plan, si hay)
+ *    están al menos CURSADAS; semestreCompletado es el mayor N con 1..N completos.
+ *
+ * Equivalencias:
+ *  - El estado de cada materia incluye lo derivado por equivalencias (ver
+ *    equivalencia.service): cumplir el origen cuenta como cumplir el destino.
+ *
+ * Simulación ("¿qué pasa si apruebo X?"):
+ *  - simulacion: Map<materiaId, estado> que pisa el historial real en memoria
+ *    (nada se persiste). simularElegibilidad compara contra el estado real.
+ *
+ * Plan de estudios:
+ *  - Si el usuario tiene plan, solo se evalúan las materias del plan, usando
+ *    el semestre del plan y marcando obligatoria/optativa.
  */
 
 const { Types } = require("mongoose");
 const Historial = require("../models/historial.model");
 const Materia = require("../models/materia.model");
-
-/** Mapea estado -> prioridad de logro */
-const LEVEL = { PENDIENTE: 0, EN_CURSO: 1, CURSADO: 2, APROBADO: 3 };
+const { loadPlanDeUsuario, indexarPlan, materiaIdsDelPlan, toPlanRef } = require("./plan.service");
+const { calcularCreditos } = require("./creditos.service");
+const { conEquivalencias } = require("./equivalencia.service");
+const { evaluarRegla } = require("../utils/requisitos.util");
+const { NIVEL, nivelDe } = require("../utils/historial.util");
 
 /** Devuelve true si una previa está cumplida dado el estado actual del alumno en esa previa */
 function cumplePrevia(previaTipo, estadoPrev) {
-  const lvl = LEVEL[estadoPrev || "PENDIENTE"] ?? 0;
-  if (previaTipo === "CURSO")  return lvl >= LEVEL.CURSADO; // CURSADO o APROBADO
-  if (previaTipo === "EXAMEN") return lvl >= LEVEL.APROBADO; // solo APROBADO
+  const lvl = nivelDe(estadoPrev);
+  if (previaTipo === "CURSO")  return lvl >= NIVEL.CURSADO; // CURSADO, A_EXAMEN o APROBADO
+  if (previaTipo === "EXAMEN") return lvl >= NIVEL.APROBADO; // solo APROBADO
   return false;
 }
 
 /**
  * Carga el historial del usuario y devuelve:
- *  - mapEstado: Map<materiaIdString, estado> para lookup O(1)
+ *  - mapEstado: Map<materiaIdString, estado> para lookup O(1) (con equivalencias)
  *  - raw: array original 
+ * simulacion (opcional): Map<materiaId, estado> que pisa el historial real
  */
-async function loadHistorialMap(usuarioId) {
+async function loadHistorialMap(usuarioId, simulacion = null) {
   const raw = await Historial.find({ usuario: usuarioId })
     .select("materia estado")
     .lean();
-  const map = new Map(raw.map(h => [String(h.materia), h.estado]));
+  const map = await conEquivalencias(new Map([...raw.map(h => [String(h.materia), h.estado]), ...(simulacion || [])]));
   return { mapEstado: map, raw };
 }
 
+/**
+ * Mayor semestre N tal que los semestres 1..N están completos (todas sus materias
+ * al menos CURSADAS). materias: [{ _id, semestre }] ya filtradas (plan u catálogo).
+ */
+function calcularSemestreCompletado(materias, mapEstadoUsuario) {
+  const porSemestre = new Map();
+  for (const m of materias) {
+    const arr = porSemestre.get(m.semestre) || [];
+    arr.push(m);
+    porSemestre.set(m.semestre, arr);
+  }
+  const max = Math.max(0, ...porSemestre.keys());
+
+  let completado = 0;
+  for (let sem = 1; sem <= max; sem++) {
+    const ms = porSemestre.get(sem) || [];
+    const completo = ms.every(m => cumplePrevia("CURSO", mapEstadoUsuario.get(String(m._id))));
+    if (!completo) break;
+    completado = sem;
+  }
+  return completado;
+}
+
+/**
+ * Contexto para evaluar requisitos compuestos:
+ *  { creditosAprobados, semestreCompletado, materias: Map<id,{codigo,nombre}> }
+ * - plan: plan del usuario (lean) o null; si no se pasa, se carga.
+ * - simulacion: ver loadHistorialMap (afecta los créditos aprobados)
+ */
+async function cargarContexto(usuarioId, mapEstadoUsuario, plan, simulacion = null) {
+  if (plan === undefined) plan = await loadPlanDeUsuario(usuarioId);
+
+  const [creds, catalogo] = await Promise.all([
+    calcularCreditos({ usuarioId, simulacion }),
+    Materia.find().activas().select("codigo nombre semestre").lean(),
+  ]);
+
+  // Para "semestre completo" usamos las obligatorias del plan (con su semestre) o el catálogo
+  const base = plan
+    ? plan.materias.filter(pm => pm.obligatoria !== false).map(pm => ({ _id: pm.materia, semestre: pm.semestre }))
+    : catalogo;
+
+  return {
+    creditosAprobados: creds.totalCreditos,
+    semestreCompletado: calcularSemestreCompletado(base, mapEstadoUsuario),
+    materias: new Map(catalogo.map(m => [String(m._id), { codigo: m.codigo, nombre: m.nombre }])),
+  };
+}
+
 /**
  * Evalúa una materia contra el estado del usuario:
  *  - Determina si es elegible
  *  - Lista previas cumplidas/no cumplidas
  *  - Agrega motivos cuando no es elegible
  *  - Adjunta info mínima de la materia y el estado del usuario en esa materia
+ *  - Si la materia tiene requisitos compuestos, los evalúa con "contexto"
+ *    (ver cargarContexto) y devuelve el resultado por regla
  */
-function evaluarMateria(materiaDoc, mapEstadoUsuario) {
+function evaluarMateria(materiaDoc, mapEstadoUsuario, contexto = {}) {
   const motivos = [];
   const previasDetalladas = [];
 
@@ -80,6 +152,17 @@ function evaluarMateria(materiaDoc, mapEstadoUsuario) {
     }
   }
 
+  // Requisitos compuestos (árbol de reglas)
+  let requisitos = null;
+  if (materiaDoc.requisitos) {
+    requisitos = evaluarRegla(materiaDoc.requisitos, {
+      ...contexto,
+      estadoDe: (id) => mapEstadoUsuario.get(String(id)) || "PENDIENTE",
+      cumplePrevia: (nivel, id) => cumplePrevia(nivel, mapEstadoUsuario.get(String(id))),
+    });
+    motivos.push(...requisitos.motivos);
+  }
+
   const elegible = motivos.length === 0;
 
   return {
@@ -94,43 +177,122 @@ function evaluarMateria(materiaDoc, mapEstadoUsuario) {
     elegible,
     motivos,                       // vacío si es elegible
     previas: previasDetalladas,    // detalle por cada previa
+    requisitos,                    // resultado por regla (null si no tiene)
   };
 }
 
 /**
  * Punto de entrada principal del servicio.
- * - Filtra por semestre si se indica.
+ * - Filtra por semestre si se indica (semestre del plan si el usuario tiene uno).
  * - Hace populate mínimo de previas para armar mensajes claros.
- * - Devuelve resumen y detalle por materia.
+ * - Devuelve resumen (con creditosAprobados, los mismos que usan los requisitos) y detalle por materia.
+ * - simulacion (opcional): Map<materiaId, estado> hipotético (ver loadHistorialMap).
  */
-async function calcularElegibilidad({ usuarioId, semestre }) {
+async function calcularElegibilidad({ usuarioId, semestre, simulacion = null }) {
   if (!Types.ObjectId.isValid(usuarioId)) {
     throw new Error("usuarioId inválido");
   }
 
-  const { mapEstado } = await loadHistorialMap(usuarioId);
+  const [{ mapEstado }, plan] = await Promise.all([
+    loadHistorialMap(usuarioId, simulacion),
+    loadPlanDeUsuario(usuarioId),
+  ]);
 
   const query = {};
-  if (semestre != null) query.semestre = Number(semestre);
+  if (plan) {
+    query._id = { $in: materiaIdsDelPlan(plan, { semestre }) };
+  } else if (semestre != null) {
+    query.semestre = Number(semestre);
+  }
 
   const materias = await Materia.find(query)
+    .activas()
     .populate("previas.materia", "codigo nombre semestre") // mínimo para motivos entendibles
     .sort({ semestre: 1, codigo: 1 })
     .lean();
 
-  const items = materias.map(m => evaluarMateria(m, mapEstado));
+  const contexto = await cargarContexto(usuarioId, mapEstado, plan, simulacion);
+  let items = materias.map(m => evaluarMateria(m, mapEstado, contexto));
+
+  if (plan) {
+    // Semestre y carácter según el plan del alumno
+    const idx = indexarPlan(plan);
+    items = items.map(i => {
+      const pm = idx.get(String(i.materia._id));
+      return { ...i, materia: { ...i.materia, semestre: pm.semestre, obligatoria: pm.obligatoria } };
+    }).sort((a, b) => a.materia.semestre - b.materia.semestre || a.materia.codigo.localeCompare(b.materia.codigo));
+  }
+
   const resumen = {
     totalMaterias: items.length,
     elegibles: items.filter(i => i.elegible).length,
     noElegibles: items.filter(i => !i.elegible).length,
+    creditosAprobados: contexto.creditosAprobados,
+    plan: toPlanRef(plan),
   };
 
   return { resumen, items };
 }
 
+/**
+ * Simulación "what-if": corre elegibilidad y créditos con el historial real y con
+ * el historial pisado por "simulacion" (Map<materiaId, estado>) y devuelve la diferencia:
+ *  {
+ *    simulacion: [ { materia:{ _id,codigo,nombre }, estado, estadoReal } ],
+ *    resumen: { real:{ elegibles, creditosAprobados }, simulado:{ ... }, habilitadas, deshabilitadas },
+ *    habilitadas:    [ { materia } ]            // pasan a ser elegibles
+ *    deshabilitadas: [ { materia, motivos } ]   // dejan de serlo (p.ej. ya quedaría APROBADA)
+ *    items: [...]                               // elegibilidad simulada completa
+ *  }
+ * - real (opcional): elegibilidad real ya calculada (p.ej. la cacheada de GET /elegibilidad)
+ *   para no recalcularla; los créditos salen de resumen.creditosAprobados.
+ * No persiste nada.
+ */
+async function simularElegibilidad({ usuarioId, semestre, simulacion, real = null }) {
+  const [base, simulado, { mapEstado }] = await Promise.all([
+    real || calcularElegibilidad({ usuarioId, semestre }),
+    calcularElegibilidad({ usuarioId, semestre, simulacion }),
+    loadHistorialMap(usuarioId),
+  ]);
+
+  const elegibleReal = new Map(base.items.map(i => [String(i.materia._id), i.elegible]));
+  const habilitadas = [];
+  const deshabilitadas = [];
+  for (const i of simulado.items) {
+    const antes = elegibleReal.get(String(i.materia._id)) ?? false;
+    if (i.elegible && !antes) habilitadas.push({ materia: i.materia });
+    if (!i.elegible && antes) deshabilitadas.push({ materia: i.materia, motivos: i.motivos });
+  }
+
+  const materias = await Materia.find({ _id: { $in: [...simulacion.keys()] } }).select("codigo nombre").lean();
+  const porId = new Map(materias.map(m => [String(m._id), m]));
+
+  return {
+    simulacion: [...simulacion.entries()].map(([id, estado]) => ({
+      materia: porId.has(id) ? { _id: porId.get(id)._id, codigo: porId.get(id).codigo, nombre: porId.get(id).nombre } : { _id: id },
+      estado,
+      estadoReal: mapEstado.get(id) || "PENDIENTE",
+    })),
+    resumen: {
+      real: { elegibles: base.resumen.elegibles, creditosAprobados: base.resumen.creditosAprobados },
+      simulado: { elegibles: simulado.resumen.elegibles, creditosAprobados: simulado.resumen.creditosAprobados },
+      habilitadas: habilitadas.length,
+      deshabilitadas: deshabilitadas.length,
+      plan: simulado.resumen.plan,
+    },
+    habilitadas,
+    deshabilitadas,
+    items: simulado.items,
+  };
+}
+
 module.exports = {
   calcularElegibilidad,
+  simularElegibilidad,
   // exporto helpers por si querés test unitarios
   cumplePrevia,
   evaluarMateria,
+  loadHistorialMap,
+  cargarContexto,
+  calcularSemestreCompletado,
 };
@@ -0,0 +1,61 @@
+/**
+ * Servicio de Equivalencias
+ * =========================
+ * Responsabilidad:
+ *  - Derivar el estado "efectivo" de una materia a partir de equivalencias:
+ *    si el alumno tiene el origen, el destino se considera cumplido.
+ *  - Se usa al armar el mapa de estados (elegibilidad/selección) y al sumar créditos.
+ *
+ * Reglas:
+ *  - Solo cuentan orígenes CURSADOS, A_EXAMEN o APROBADOS (EN_CURSO/PENDIENTE no derivan nada).
+ *  - TOTAL copia el estado; PARCIAL tope CURSADO.
+ *  - Un estado derivado nunca baja el estado real del alumno en el destino.
+ *  - Un solo salto: A ≡ B y B ≡ C no hace A ≡ C (se cargan explícitamente).
+ */
+
+const Equivalencia = require("../models/equivalencia.model");
+const { nivelDe: nivel } = require("../utils/historial.util");
+
+/** Estado que obtiene el destino por una equivalencia, o null si no aplica */
+function estadoPorEquivalencia(tipo, estadoOrigen) {
+  if (nivel(estadoOrigen) < nivel("CURSADO")) return null;
+  if (tipo === "PARCIAL") return "CURSADO";
+  return estadoOrigen === "APROBADO" ? "APROBADO" : "CURSADO";
+}
+
+/** Equivalencias cuyo origen está entre los ids indicados (lean) */
+async function equivalenciasDesde(materiaIds) {
+  if (!materiaIds.length) return [];
+  return Equivalencia.find({ origen: { $in: materiaIds } }).lean();
+}
+
+/**
+ * Aplica equivalencias sobre un Map<materiaId, estado> (no lo muta).
+ * Devuelve { mapEstado, reconocidas:[{ materia, origen, tipo, estado }] }
+ */
+function aplicarEquivalencias(mapEstado, equivalencias) {
+  const efectivo = new Map(mapEstado);
+  const reconocidas = [];
+  for (const e of equivalencias) {
+    const origen = String(e.origen);
+    const destino = String(e.destino);
+    const estado = estadoPorEquivalencia(e.tipo, mapEstado.get(origen));
+    if (!estado || nivel(estado) <= nivel(efectivo.get(destino))) continue;
+    efectivo.set(destino, estado);
+    reconocidas.push({ materia: destino, origen, tipo: e.tipo, estado });
+  }
+  return { mapEstado: efectivo, reconocidas };
+}
+
+/** Map<materiaId, estado> del historial + estados derivados por equivalencias */
+async function conEquivalencias(mapEstado) {
+  const equivalencias = await equivalenciasDesde([...mapEstado.keys()]);
+  return aplicarEquivalencias(mapEstado, equivalencias).mapEstado;
+}
+
+module.exports = {
+  estadoPorEquivalencia,
+  equivalenciasDesde,
+  aplicarEquivalencias,
+  conEquivalencias,
+};
@@ -0,0 +1,42 @@
+/**
+ * Servicio de Feriados
+ * ====================
+ * Responsabilidad:
+ *  - Cargar el calendario de feriados como Set<"YYYY-MM-DD"> para horario.util.
+ *  - Armar las opciones de fechas de un período para la detección de choques:
+ *    { desde, hasta, feriados } (ver findDayConflicts).
+ */
+
+const Feriado = require("../models/feriado.model");
+const { toISODate } = require("../utils/horario.util");
+
+/** Normaliza una fecha a medianoche UTC (clave de día) */
+function aDia(fecha) {
+  return new Date(`${toISODate(fecha)}T00:00:00.000Z`);
+}
+
+/** Feriados entre dos fechas (inclusive; sin límites => todos) como Set<"YYYY-MM-DD"> */
+async function feriadosEntre(desde, hasta) {
+  const q = {};
+  if (desde || hasta) q.fecha = {};
+  if (desde) q.fecha.$gte = aDia(desde);
+  if (hasta) q.fecha.$lte = aDia(hasta);
+  const docs = await Feriado.find(q).select("fecha").lean();
+  return new Set(docs.map(f => toISODate(f.fecha)));
+}
+
+/**
+ * Opciones de fechas para detectar choques en un período:
+ *  { desde: periodo.inicio, hasta: periodo.fin, feriados }
+ * Sin período (modo legacy) solo se cargan los feriados.
+ */
+async function contextoFechas(periodo) {
+  if (!periodo) return { feriados: await feriadosEntre() };
+  return { desde: periodo.inicio, hasta: periodo.fin, feriados: await feriadosEntre(periodo.inicio, periodo.fin) };
+}
+
+module.exports = {
+  aDia,
+  feriadosEntre,
+  contextoFechas,
+};
@@ -0,0 +1,264 @@
+/**
+ * Servicio Generador de Horarios
+ * ==============================
+ * Responsabilidad:
+ *  - A partir de una lista de deseos (materias y, opcionalmente, su grupo),
+ *    quedarse con las elegibles (evaluarMateria) y enumerar combinaciones sin
+ *    choques de horario (mismo criterio que verificarSeleccion / horario.util).
+ *  - Rankear las combinaciones según criterios configurables y devolver las N mejores.
+ *
+ * Criterios:
+ *  - orden: prioridades de ranking, de mayor a menor (default ["creditos","dias"]):
+ *      * creditos => más créditos primero
+ *      * dias     => menos días en la facultad primero
+ *      * materias => más materias primero
+ *      * horas    => menos horas semanales primero
+ *  - noAntesDe: "HH:mm"; se descartan grupos/horarios que empiecen antes (filtro duro)
+ *  - maxHoras: tope de carga horaria semanal (filtro duro)
+ *  - top: cantidad de opciones a devolver (default 5, máx. 20)
+ *
+ * Notas:
+ *  - Cada materia entra con una de sus opciones (un grupo, o solo los horarios
+ *    comunes si no tiene grupos) o no entra; una combinación es cualquier
+ *    subconjunto no vacío sin choques y con sus correquisitos cubiertos.
+ *  - La búsqueda es backtracking con poda (choques y maxHoras) y un tope de
+ *    combinaciones evaluadas (MAX_COMBINACIONES); si se alcanza, truncado=true.
+ *  - No se persiste nada.
+ */
+
+const { Types } = require("mongoose");
+const Materia = require("../models/materia.model");
+const { evaluarMateria, cargarContexto, loadHistorialMap } = require("./elegibilidad.service");
+const { normalizarSeleccion, horariosEfectivos, detectarCorequisitosFaltantes } = require("./seleccion.service");
+const { ofertaPorMateria, toPeriodoRef } = require("./periodo.service");
+const { contextoFechas } = require("./feriado.service");
+const { findDayConflicts, horasDesdeHorarios, isHHMM, toMinutes } = require("../utils/horario.util");
+
+const CRITERIOS = ["creditos", "dias", "materias", "horas"];
+const MAX_DESEOS = 15;
+const MAX_TOP = 20;
+const MAX_COMBINACIONES = 20000;
+
+/**
+ * Valida y normaliza criterios del body. Devuelve { criterios } o { error }.
+ */
+function normalizarCriterios({ orden, noAntesDe, maxHoras, top } = {}) {
+  const out = { orden: ["creditos", "dias"], noAntesDe: null, maxHoras: null, top: 5 };
+  if (orden != null) {
+    if (!Array.isArray(orden) || orden.length === 0 || orden.some(c => !CRITERIOS.includes(c))) {
+      return { error: `orden debe ser un array con: ${CRITERIOS.join(", ")}` };
+    }
+    out.orden = [...new Set(orden)];
+  }
+  if (noAntesDe != null) {
+    if (!isHHMM(noAntesDe)) return { error: "noAntesDe debe ser HH:mm" };
+    out.noAntesDe = noAntesDe;
+  }
+  if (maxHoras != null) {
+    if (!(Number(maxHoras) > 0)) return { error: "maxHoras debe ser un número > 0" };
+    out.maxHoras = Number(maxHoras);
+  }
+  if (top != null) {
+    if (!Number.isInteger(Number(top)) || Number(top) < 1) return { error: "top debe ser un entero >= 1" };
+    out.top = Math.min(Number(top), MAX_TOP);
+  }
+  return { criterios: out };
+}
+
+/** Compara dos combinaciones según el orden de criterios (negativo => a va antes) */
+function compararCombinaciones(a, b, orden) {
+  for (const c of orden) {
+    let d = 0;
+    if (c === "creditos") d = b.creditos - a.creditos;
+    if (c === "dias") d = a.dias.length - b.dias.length;
+    if (c === "materias") d = b.materias.length - a.materias.length;
+    if (c === "horas") d = a.cargaHoras - b.cargaHoras;
+    if (d !== 0) return d;
+  }
+  return 0;
+}
+
+/** Slots de una opción para detectar choques (mismo formato que seleccion.detectarConflictos) */
+function slotsDeOpcion(materia, opcion) {
+  return opcion.horarios.map(h => ({
+    materia: materia._id, codigo: materia.codigo, nombre: materia.nombre,
+    grupo: opcion.grupo, dia: h.dia, inicio: h.inicio, fin: h.fin,
+    desde: h.desde ?? null, hasta: h.hasta ?? null, recurrencia: h.recurrencia || "SEMANAL",
+  }));
+}
+
+/** true si la opción choca con los slots ya elegidos (por día) */
+function chocaCon(porDia, slots, fechas) {
+  for (const s of slots) {
+    const delDia = porDia.get(s.dia) || [];
+    if (delDia.length && findDayConflicts([...delDia, s], fechas).length) return true;
+  }
+  return false;
+}
+
+/**
+ * Enumera combinaciones (función pura).
+ * - candidatas: [{ materia (lean, con corequisitos), opciones:[{ grupo, horarios }] }]
+ * - mapEstado: estados del alumno (para correquisitos ya cursados)
+ * - criterios: ver normalizarCriterios
+ * - fechas: opciones de fechas del período (ver feriado.contextoFechas)
+ * Devuelve { opciones:[...top], validas, evaluadas, truncado }
+ */
+function generarCombinaciones(candidatas, mapEstado, criterios, fechas = {}) {
+  const validas = [];
+  let evaluadas = 0;
+  let truncado = false;
+
+  const elegidas = [];          // [{ materia, opcion }]
+  const porDia = new Map();     // dia -> slots elegidos
+
+  function registrar() {
+    const materias = elegidas.map(e => e.materia);
+    if (detectarCorequisitosFaltantes(materias, mapEstado).length) return;
+    const horarios = elegidas.flatMap(e => e.opcion.horarios);
+    validas.push({
+      materias: elegidas.map(e => ({
+        materia: { _id: e.materia._id, codigo: e.materia.codigo, nombre: e.materia.nombre, creditos: e.materia.creditos },
+        grupo: e.opcion.grupo,
+        horarios: e.opcion.horarios,
+      })),
+      creditos: materias.reduce((acc, m) => acc + (m.creditos || 0), 0),
+      cargaHoras: Math.round(horasDesdeHorarios(horarios) * 100) / 100,
+      dias: [...new Set(horarios.map(h => h.dia))],
+    });
+  }
+
+  function buscar(i, horas) {
+    if (truncado) return;
+    if (i === candidatas.length) {
+      evaluadas++;
+      if (evaluadas > MAX_COMBINACIONES) { truncado = true; return; }
+      if (elegidas.length) registrar();
+      return;
+    }
+    const { materia, opciones } = candidatas[i];
+    for (const opcion of opciones) {
+      const h = horas + horasDesdeHorarios(opcion.horarios);
+      if (criterios.maxHoras != null && h > criterios.maxHoras) continue;
+      const slots = slotsDeOpcion(materia, opcion);
+      if (chocaCon(porDia, slots, fechas)) continue;
+
+      elegidas.push({ materia, opcion });
+      for (const s of slots) porDia.set(s.dia, [...(porDia.get(s.dia) || []), s]);
+      buscar(i + 1, h);
+      elegidas.pop();
+      for (const s of slots) porDia.set(s.dia, porDia.get(s.dia).filter(x => x !== s));
+    }
+    buscar(i + 1, horas); // sin esta materia
+  }
+
+  buscar(0, 0);
+  validas.sort((a, b) => compararCombinaciones(a, b, criterios.orden));
+  return { opciones: validas.slice(0, criterios.top), validas: validas.length, evaluadas: Math.min(evaluadas, MAX_COMBINACIONES), truncado };
+}
+
+/**
+ * Opciones de cursada de una materia: un grupo (el pedido o cada uno de la
+ * oferta) o solo los comunes si no tiene grupos; filtra por noAntesDe.
+ * Devuelve { opciones } o { motivo } si no queda ninguna.
+ */
+function opcionesDeMateria(materia, oferta, codigoGrupo, { noAntesDe }) {
+  let grupos = oferta.grupos.length ? oferta.grupos : [null];
+  if (codigoGrupo) {
+    grupos = oferta.grupos.filter(g => g.codigo === codigoGrupo);
+    if (!grupos.length) return { motivo: `El grupo ${codigoGrupo} no existe para ${materia.codigo}.` };
+  }
+  const limite = noAntesDe ? toMinutes(noAntesDe) : null;
+  const opciones = grupos
+    .map(g => ({ grupo: g ? g.codigo : null, horarios: horariosEfectivos(oferta, g) }))
+    .filter(o => limite == null || o.horarios.every(h => toMinutes(h.inicio) >= limite));
+  if (!opciones.length) return { motivo: `Todos los horarios de ${materia.codigo} empiezan antes de las ${noAntesDe}.` };
+  return { opciones };
+}
+
+/**
+ * Punto de entrada:
+ *  - deseos: array de ObjectId o { materia, grupo } (ver seleccion.normalizarSeleccion)
+ *  - periodo: doc de Periodo ya resuelto (null => legacy)
+ *  - criterios: ya normalizados (ver normalizarCriterios)
+ * Devuelve:
+ *  {
+ *    periodo, criterios,
+ *    resumen: { deseadas, elegibles, descartadas, combinacionesEvaluadas, combinacionesValidas, truncado },
+ *    descartadas: [ { materia:{ _id,codigo,nombre }, motivos:[] } ],
+ *    opciones: [ { ranking, materias:[ { materia, grupo, horarios } ], creditos, cargaHoras, dias:[] } ]
+ *  }
+ */
+async function generarHorarios({ deseos, usuarioId, periodo = null, criterios }) {
+  if (!Array.isArray(deseos) || deseos.length === 0) throw new Error("materias requerido (array no vacío)");
+  if (!Types.ObjectId.isValid(usuarioId)) throw new Error("usuarioId inválido");
+
+  const seleccion = normalizarSeleccion(deseos);
+  if (seleccion.length === 0) throw new Error("materias inválidas");
+  if (seleccion.length > MAX_DESEOS) throw new Error(`Se admiten hasta ${MAX_DESEOS} materias deseadas`);
+  const grupoPedido = new Map(seleccion.map(s => [s.materia, s.grupo]));
+
+  const materias = await Materia.find({ _id: { $in: seleccion.map(s => s.materia) } })
+    .activas()
+    .populate("previas.materia", "codigo nombre semestre")
+    .populate("corequisitos", "codigo nombre")
+    .lean();
+
+  const [{ mapEstado }, ofertas, fechas] = await Promise.all([
+    loadHistorialMap(usuarioId),
+    ofertaPorMateria(materias.map(m => m._id), periodo),
+    contextoFechas(periodo),
+  ]);
+  const contexto = await cargarContexto(usuarioId, mapEstado);
+
+  const candidatas = [];
+  const descartadas = [];
+  const encontradas = new Set(materias.map(m => String(m._id)));
+  for (const s of seleccion) {
+    if (!encontradas.has(s.materia)) descartadas.push({ materia: { _id: s.materia }, motivos: ["Materia no encontrada."] });
+  }
+  for (const m of materias) {
+    const ref = { _id: m._id, codigo: m.codigo, nombre: m.nombre };
+    const evalRes = evaluarMateria(m, mapEstado, contexto);
+    if (!evalRes.elegible) {
+      descartadas.push({ materia: ref, motivos: evalRes.motivos });
+      continue;
+    }
+    const oferta = ofertas.get(String(m._id)) || { horarios: [], grupos: [] };
+    const { opciones, motivo } = opcionesDeMateria(m, oferta, grupoPedido.get(String(m._id)), criterios);
+    if (motivo) {
+      descartadas.push({ materia: ref, motivos: [motivo] });
+      continue;
+    }
+    candidatas.push({ materia: m, opciones });
+  }
+
+  const { opciones, validas, evaluadas, truncado } = generarCombinaciones(candidatas, mapEstado, criterios, fechas);
+
+  return {
+    periodo: toPeriodoRef(periodo),
+    criterios,
+    resumen: {
+      deseadas: seleccion.length,
+      elegibles: candidatas.length,
+      descartadas: descartadas.length,
+      combinacionesEvaluadas: evaluadas,
+      combinacionesValidas: validas,
+      truncado,
+    },
+    descartadas,
+    opciones: opciones.map((o, i) => ({ ranking: i + 1, ...o })),
+  };
+}
+
+module.exports = {
+  generarHorarios,
+  MAX_DESEOS,
+  // helpers puros (tests)
+  normalizarCriterios,
+  generarCombinaciones,
+  compararCombinaciones,
+  opcionesDeMateria,
+  slotsDeOpcion,
+  chocaCon,
+};
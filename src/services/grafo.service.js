@@ -0,0 +1,208 @@
+/**
+ * Servicio de Grafo de Previas
+ * ============================
+ * Responsabilidad:
+ *  - Modelar el catálogo como un grafo dirigido: arista X -> P significa
+ *    "X tiene como previa a P" (tipo CURSO o EXAMEN).
+ *  - Detectar ciclos antes de persistir previas (A -> B -> C -> A dejaría
+ *    a todas esas materias inalcanzables en elegibilidad).
+ *  - Calcular previas/dependientes transitivos y profundidad por nodo.
+ *
+ * Notas:
+ *  - Trabajamos sobre un Map<materiaId, nodo> cargado con lean() (sin populate).
+ *  - Las hojas PREVIA de los requisitos compuestos también son aristas (una rama
+ *    OR alcanza para dejar una materia inalcanzable si cierra un ciclo).
+ *  - Funciones puras exportadas para poder testearlas sin base.
+ */
+
+const { Types } = require("mongoose");
+const Materia = require("../models/materia.model");
+const { extraerPrevias } = require("../utils/requisitos.util");
+
+/** Carga el catálogo mínimo necesario para armar el grafo */
+async function loadCatalogo() {
+  return Materia.find({}, "codigo nombre semestre previas requisitos").activas().lean();
+}
+
+/**
+ * Arma el grafo a partir de materias (lean).
+ * Devuelve Map<idString, { _id, codigo, nombre, semestre, previas:[{ tipo, materia:idString }] }>
+ */
+function buildGrafo(materias) {
+  const grafo = new Map();
+  for (const m of materias) {
+    // previas simples + hojas PREVIA de requisitos, sin repetir tipo+materia
+    const previas = new Map();
+    for (const p of [...(m.previas || []), ...extraerPrevias(m.requisitos)]) {
+      const materia = String(p.materia?._id || p.materia);
+      previas.set(`${p.tipo}:${materia}`, { tipo: p.tipo, materia });
+    }
+    grafo.set(String(m._id), {
+      _id: m._id,
+      codigo: m.codigo,
+      nombre: m.nombre,
+      semestre: m.semestre,
+      previas: [...previas.values()],
+    });
+  }
+  return grafo;
+}
+
+/** Índice inverso: Map<idString, Set<idString>> de materias que tienen a la clave como previa */
+function buildDependientes(grafo) {
+  const inv = new Map();
+  for (const id of grafo.keys()) inv.set(id, new Set());
+  for (const [id, nodo] of grafo.entries()) {
+    for (const p of nodo.previas) {
+      if (!inv.has(p.materia)) inv.set(p.materia, new Set());
+      inv.get(p.materia).add(id);
+    }
+  }
+  return inv;
+}
+
+/**
+ * Busca un camino (siguiendo previas) desde "desde" hasta "hasta".
+ * Devuelve array de ids [desde, ..., hasta] o null si no hay camino.
+ */
+function findPath(grafo, desde, hasta) {
+  const visitados = new Set();
+  const stack = [[desde, [desde]]];
+  while (stack.length) {
+    const [actual, camino] = stack.pop();
+    if (actual === hasta) return camino;
+    if (visitados.has(actual)) continue;
+    visitados.add(actual);
+    for (const p of grafo.get(actual)?.previas || []) {
+      if (!visitados.has(p.materia)) stack.push([p.materia, [...camino, p.materia]]);
+    }
+  }
+  return null;
+}
+
+/**
+ * Detecta si asignar "previas" a "materiaId" cierra un ciclo.
+ * Devuelve el ciclo como array de ids [materiaId, ..., materiaId] o null.
+ */
+function detectarCiclo(grafo, materiaId, previas) {
+  const id = String(materiaId);
+  for (const p of previas || []) {
+    const previaId = String(p.materia?._id || p.materia);
+    const camino = findPath(grafo, previaId, id);
+    if (camino) return [id, ...camino];
+  }
+  return null;
+}
+
+/**
+ * Profundidad de previas por nodo (memoizada):
+ *  - 0 si no tiene previas
+ *  - 1 + max(profundidad de sus previas) en otro caso
+ * Si hubiera un ciclo heredado en base, el nodo en ciclo cuenta como 0 para no colgarse.
+ */
+function calcularProfundidades(grafo) {
+  const memo = new Map();
+  const enCurso = new Set();
+
+  function depth(id) {
+    if (memo.has(id)) return memo.get(id);
+    if (enCurso.has(id) || !grafo.has(id)) return 0;
+    enCurso.add(id);
+    const previas = grafo.get(id).previas;
+    const d = previas.length ? 1 + Math.max(...previas.map(p => depth(p.materia))) : 0;
+    enCurso.delete(id);
+    memo.set(id, d);
+    return d;
+  }
+
+  for (const id of grafo.keys()) depth(id);
+  return memo;
+}
+
+/** Recorre adyacencias desde "origen" y devuelve el Set de ids alcanzables (sin incluirlo) */
+function alcanzables(origen, vecinos) {
+  const vistos = new Set();
+  const stack = [...vecinos(origen)];
+  while (stack.length) {
+    const id = stack.pop();
+    if (vistos.has(id) || id === origen) continue;
+    vistos.add(id);
+    stack.push(...vecinos(id));
+  }
+  return vistos;
+}
+
+/** Previas transitivas de una materia (ids) */
+function previasTransitivas(grafo, materiaId) {
+  return alcanzables(String(materiaId), (id) => (grafo.get(id)?.previas || []).map(p => p.materia));
+}
+
+/** Materias que dependen (directa o indirectamente) de una materia (ids) */
+function dependientesTransitivos(grafo, materiaId, dependientes = buildDependientes(grafo)) {
+  return alcanzables(String(materiaId), (id) => [...(dependientes.get(id) || [])]);
+}
+
+/** Serializa un nodo con datos mínimos */
+function toNodoRef(grafo, id) {
+  const n = grafo.get(id);
+  return n ? { _id: n._id, codigo: n.codigo, nombre: n.nombre, semestre: n.semestre } : { _id: id };
+}
+
+/**
+ * Valida que las previas propuestas para una materia no generen un ciclo.
+ * Devuelve { ciclo: null } o { ciclo: [{ _id, codigo, ... }, ...] } listo para responder.
+ */
+async function validarPreviasSinCiclo({ materiaId, previas }) {
+  const grafo = buildGrafo(await loadCatalogo());
+  const ciclo = detectarCiclo(grafo, materiaId, previas);
+  return { ciclo: ciclo ? ciclo.map(id => toNodoRef(grafo, id)) : null };
+}
+
+/**
+ * Arma la vista del grafo completo:
+ *  - nodos: { _id, codigo, nombre, semestre, profundidad }
+ *  - aristas: { desde, hasta, tipo } (desde requiere a hasta)
+ *  - foco (si se indica materiaId): previas y dependientes transitivos de esa materia
+ */
+async function obtenerGrafo({ materiaId } = {}) {
+  if (materiaId != null && !Types.ObjectId.isValid(materiaId)) {
+    throw new Error("materiaId inválido");
+  }
+
+  const grafo = buildGrafo(await loadCatalogo());
+  const profundidades = calcularProfundidades(grafo);
+
+  const nodos = [...grafo.keys()].map(id => ({ ...toNodoRef(grafo, id), profundidad: profundidades.get(id) }));
+  const aristas = [];
+  for (const [id, nodo] of grafo.entries()) {
+    for (const p of nodo.previas) aristas.push({ desde: id, hasta: p.materia, tipo: p.tipo });
+  }
+
+  const result = { resumen: { nodos: nodos.length, aristas: aristas.length }, nodos, aristas };
+
+  if (materiaId != null) {
+    const id = String(materiaId);
+    if (!grafo.has(id)) return { ...result, foco: null };
+    result.foco = {
+      materia: toNodoRef(grafo, id),
+      profundidad: profundidades.get(id),
+      previasTransitivas: [...previasTransitivas(grafo, id)].map(x => toNodoRef(grafo, x)),
+      dependientesTransitivos: [...dependientesTransitivos(grafo, id)].map(x => toNodoRef(grafo, x)),
+    };
+  }
+
+  return result;
+}
+
+module.exports = {
+  obtenerGrafo,
+  validarPreviasSinCiclo,
+  // helpers puros (tests / otros servicios)
+  loadCatalogo,
+  buildGrafo,
+  buildDependientes,
+  detectarCiclo,
+  calcularProfundidades,
+  previasTransitivas,
+  dependientesTransitivos,
+};
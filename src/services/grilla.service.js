@@ -0,0 +1,142 @@
+/**
+ * Servicio de Grilla Semanal (impresión)
+ * ======================================
+ * Responsabilidad:
+ *  - Verificar la selección (verificarSeleccion) y pasarla a grilla LUN–SAB × horas
+ *    (ver grilla.util), con los códigos de salón resueltos.
+ *      * Sin selección: las materias EN_CURSO del alumno (igual que el calendario .ics).
+ *  - Dibujar la grilla como PDF de una página (A4 apaisado) para llevar a bedelía.
+ *
+ * Notas:
+ *  - La vista HTML es seleccion/horario.ejs; el PDF replica el mismo diseño:
+ *    bloques por materia, solapes de conflictos en rojo y leyenda abajo.
+ */
+
+const Salon = require("../models/salon.model");
+const Usuario = require("../models/usuario.model");
+const { verificarSeleccion } = require("./seleccion.service");
+const { seleccionEnCurso } = require("./calendario.service");
+const { toPeriodoRef } = require("./periodo.service");
+const { armarGrilla, COLOR_CONFLICTO } = require("../utils/grilla.util");
+const { crearPdf, recortar, anchoTexto } = require("../utils/pdf.util");
+
+/**
+ * Grilla de la selección del alumno.
+ * - items: selección (ver normalizarSeleccion); null => materias EN_CURSO
+ * Devuelve la grilla (ver armarGrilla) + alumno { nombre, email } + generadaEn.
+ */
+async function grillaDelAlumno({ usuarioId, periodo = null, items = null }) {
+  const seleccion = items || await seleccionEnCurso(usuarioId, periodo);
+
+  // Nada que verificar (p.ej. sin materias EN_CURSO): grilla vacía
+  const verificacion = seleccion.length
+    ? await verificarSeleccion({ materiaIds: seleccion, usuarioId, periodo })
+    : { periodo: toPeriodoRef(periodo), resumen: null, conflictos: [], materias: [] };
+
+  const salonIds = verificacion.materias.flatMap(m => m.horarios.map(h => h.salon)).filter(Boolean);
+  const [salones, alumno] = await Promise.all([
+    salonIds.length ? Salon.find({ _id: { $in: salonIds } }).select("codigo nombre").lean() : [],
+    Usuario.findById(usuarioId).select("nombre email").lean(),
+  ]);
+
+  return {
+    ...armarGrilla(verificacion, { salones: new Map(salones.map(s => [String(s._id), s])) }),
+    alumno: alumno ? { nombre: alumno.nombre || null, email: alumno.email } : null,
+    generadaEn: new Date(),
+  };
+}
+
+/**
+ * Dibuja la grilla como PDF.
+ * - grilla: salida de grillaDelAlumno
+ * Devuelve Buffer.
+ */
+function grillaPdf(grilla) {
+  const doc = crearPdf();
+  const margen = 30;
+  const colHoras = 40;
+  const top = 78;
+  const altoLeyenda = 20 + Math.ceil(grilla.materias.length / 2) * 12 + (grilla.conflictos.length ? 14 : 0);
+  const altoGrilla = doc.alto - top - margen - 18 - altoLeyenda;
+  const anchoDia = (doc.ancho - 2 * margen - colHoras) / grilla.dias.length;
+  const porMin = altoGrilla / grilla.minutos;
+  const gris = "#94a3b8";
+
+  // Encabezado
+  doc.texto(margen, 40, `Horario semanal${grilla.periodo ? ` — ${grilla.periodo.codigo}` : ""}`, { tam: 16, negrita: true });
+  const datos = [grilla.alumno?.nombre, grilla.alumno?.email].filter(Boolean).join(" · ");
+  if (datos) doc.texto(margen, 56, datos, { tam: 10, color: "#334155" });
+  const r = grilla.resumen;
+  const pie = r
+    ? `${r.seleccionadas} materias · ${r.cargaHoras} h semanales · ${r.conflictos} choque(s)`
+    : "Sin materias";
+  doc.texto(doc.ancho - margen - anchoTexto(pie, 9), 56, pie, { tam: 9, color: r?.conflictos ? COLOR_CONFLICTO : "#334155" });
+
+  // Cabecera de días y líneas de horas
+  const x0 = margen + colHoras;
+  grilla.dias.forEach((d, i) => {
+    doc.rect(x0 + i * anchoDia, top - 16, anchoDia, 16, { relleno: "#0f172a" });
+    doc.texto(x0 + i * anchoDia + 4, top - 5, d.nombre, { tam: 9, negrita: true, color: "#ffffff" });
+  });
+  grilla.horas.forEach((hora, i) => {
+    const yy = top + i * 60 * porMin;
+    doc.linea(margen, yy, doc.ancho - margen, yy, { color: "#e2e8f0" });
+    doc.texto(margen + 2, yy + 10, hora, { tam: 8, color: "#475569" });
+  });
+  doc.rect(x0, top, anchoDia * grilla.dias.length, altoGrilla, { borde: gris });
+  for (let i = 1; i < grilla.dias.length; i++) {
+    doc.linea(x0 + i * anchoDia, top, x0 + i * anchoDia, top + altoGrilla, { color: gris });
+  }
+
+  // Bloques por materia y franjas de solape
+  grilla.dias.forEach((d, i) => {
+    const ancho = anchoDia / d.carriles;
+    for (const b of d.bloques) {
+      const x = x0 + i * anchoDia + b.carril * ancho + 1;
+      const yy = top + b.desdeMin * porMin + 1;
+      const w = ancho - 2;
+      const h = b.duracionMin * porMin - 2;
+      doc.rect(x, yy, w, h, { relleno: b.color, borde: b.conflicto ? COLOR_CONFLICTO : "#475569", grosor: b.conflicto ? 1.5 : 0.5 });
+
+      const lineas = [
+        [`${b.codigo}${b.grupo ? ` (${b.grupo})` : ""}`, { tam: 8, negrita: true }],
+        [b.nombre, { tam: 7 }],
+        [`${b.inicio}–${b.fin}${b.salon ? ` · ${b.salon}` : ""}${b.quincenal ? " · quincenal" : ""}`, { tam: 7, color: "#334155" }],
+      ];
+      lineas.forEach(([txt, opts], j) => {
+        const base = yy + 9 + j * 9;
+        if (base > yy + h - 2) return; // no entra en el bloque
+        doc.texto(x + 3, base, recortar(txt, w - 6, opts.tam, opts.negrita), opts);
+      });
+    }
+    for (const s of d.solapes) {
+      const yy = top + s.desdeMin * porMin;
+      doc.rect(x0 + i * anchoDia, yy, anchoDia, s.duracionMin * porMin, { borde: COLOR_CONFLICTO, grosor: 2 });
+    }
+  });
+
+  // Leyenda
+  let yy = top + altoGrilla + 18;
+  doc.texto(margen, yy, "Materias", { tam: 9, negrita: true });
+  grilla.materias.forEach((m, i) => {
+    const x = margen + (i % 2) * (doc.ancho - 2 * margen) / 2;
+    const base = yy + 12 + Math.floor(i / 2) * 12;
+    doc.rect(x, base - 8, 10, 10, { relleno: m.color, borde: m.conflicto ? COLOR_CONFLICTO : "#475569" });
+    const txt = `${m.codigo} ${m.nombre}${m.grupo ? ` (${m.grupo})` : ""} — ${m.cargaHoras} h${m.elegible ? "" : " · NO ELEGIBLE"}`;
+    doc.texto(x + 14, base, recortar(txt, (doc.ancho - 2 * margen) / 2 - 20, 8), { tam: 8, color: m.elegible ? "#000000" : COLOR_CONFLICTO });
+  });
+  if (grilla.conflictos.length) {
+    yy += 12 + Math.ceil(grilla.materias.length / 2) * 12 + 4;
+    const txt = grilla.conflictos
+      .map(c => `${c.dia} ${c.solape}: ${c.a.codigo} / ${c.b.codigo}`)
+      .join("   ");
+    doc.texto(margen, yy, recortar(`Choques: ${txt}`, doc.ancho - 2 * margen, 8, true), { tam: 8, negrita: true, color: COLOR_CONFLICTO });
+  }
+
+  return doc.generar();
+}
+
+module.exports = {
+  grillaDelAlumno,
+  grillaPdf,
+};
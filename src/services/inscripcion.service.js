@@ -0,0 +1,314 @@
+/**
+ * Servicio de Inscripciones
+ * =========================
+ * Responsabilidad:
+ *  - Guardar la selección del alumno para un período como borrador.
+ *  - Enviarla: se vuelve a verificar con verificarSeleccion (elegibilidad, grupos,
+ *    correquisitos y choques) y solo pasa a ENVIADA si no hay problemas.
+ *  - Resolverla (ADMIN): al confirmar se crean las filas de Historial EN_CURSO,
+ *    todo en una transacción; al rechazar queda el motivo.
+ *  - Cupos (ver cupo.service): al enviar se reserva lugar por materia (o se entra a
+ *    la lista de espera); al rechazar o dar de baja una materia se libera y se
+ *    promueve al siguiente. Si el promovido ya tenía la inscripción confirmada,
+ *    la materia pasa a EN_CURSO en su Historial.
+ *
+ * Estados:
+ *  BORRADOR ─► ENVIADA ─► CONFIRMADA
+ *     ▲           └──────► RECHAZADA
+ *     └──────────────────────┘ (se vuelve a editar)
+ *
+ * Notas:
+ *  - Una inscripción por alumno y período (índice único en el modelo).
+ *  - Al confirmar solo se pasa a EN_CURSO lo que la máquina de estados permite
+ *    (PENDIENTE o sin fila) y tiene lugar en el cupo; el resto se informa en "omitidas".
+ *  - El servicio no emite eventos: devuelve qué cambió para que el controller los emita.
+ */
+
+const Inscripcion = require("../models/inscripcion.model");
+const Historial = require("../models/historial.model");
+const Materia = require("../models/materia.model");
+const Periodo = require("../models/periodo.model");
+const { enTransaccion } = require("./integridad.service");
+const { verificarSeleccion, normalizarSeleccion } = require("./seleccion.service");
+const { reservarLugar, liberarLugar, quitarLugar, promoverEspera, resumenOcupacion } = require("./cupo.service");
+const { validarTransicion } = require("../utils/historial.util");
+
+/** Estados desde los que el alumno puede editar */
+const EDITABLES = ["BORRADOR", "RECHAZADA"];
+
+/** Estados con lugares reservados (se puede dar de baja una materia) */
+const CON_LUGAR = ["ENVIADA", "CONFIRMADA"];
+
+/** Período de una inscripción (doc lean o null en modo legacy) */
+const periodoDe = (periodoId) => (periodoId ? Periodo.findById(periodoId).lean() : null);
+
+/** Entrada de cupos cambiados para el evento cupo:actualizado */
+const cupoCambiado = (materiaId, periodo, ocupacion) => ({ materiaId: String(materiaId), periodo: periodo?.codigo ?? null, ocupacion });
+
+/**
+ * Pasa la materia a EN_CURSO si la máquina de estados lo permite.
+ * Devuelve { actualizada, estadoActual }.
+ */
+async function pasarAEnCurso(usuarioId, materiaId, session = null) {
+  const fila = await Historial.findOne({ usuario: usuarioId, materia: materiaId }).select("estado").session(session).lean();
+  const estadoActual = fila?.estado || null;
+  if (estadoActual === "EN_CURSO" || validarTransicion(estadoActual, { estado: "EN_CURSO" }).length) {
+    return { actualizada: false, estadoActual: estadoActual || "PENDIENTE" };
+  }
+  await Historial.updateOne(
+    { usuario: usuarioId, materia: materiaId },
+    { $set: { estado: "EN_CURSO" } },
+    { upsert: true, session }
+  );
+  return { actualizada: true, estadoActual: estadoActual || "PENDIENTE" };
+}
+
+/**
+ * Refleja en las inscripciones a los promovidos desde la lista de espera.
+ * El lugar en la inscripción y el EN_CURSO del Historial van juntos en una transacción por promovido.
+ * Devuelve [{ usuarioId, inscripcionId, materiaId, historial: "EN_CURSO"|null }]
+ */
+async function aplicarPromociones(periodo, materiaId, promovidos) {
+  const out = [];
+  for (const p of promovidos) {
+    const promocion = await enTransaccion(async (session) => {
+      const doc = await Inscripcion.findOneAndUpdate(
+        { usuario: p.usuario, periodo: periodo?._id ?? null, "items.materia": materiaId },
+        { $set: { "items.$.lugar": "INSCRIPTO" } },
+        { new: true, session }
+      );
+      if (!doc) return null;
+      const { actualizada } = doc.estado === "CONFIRMADA" ? await pasarAEnCurso(doc.usuario, materiaId, session) : {};
+      return { usuarioId: p.usuario, inscripcionId: String(doc._id), materiaId: String(materiaId), historial: actualizada ? "EN_CURSO" : null };
+    });
+    if (promocion) out.push(promocion);
+  }
+  return out;
+}
+
+/**
+ * Libera los lugares de los ítems indicados y aplica las promociones.
+ * Devuelve { cupos, promociones } (ver cupoCambiado / aplicarPromociones)
+ */
+async function liberarItems(periodo, usuarioId, items) {
+  const cupos = [];
+  const promociones = [];
+  for (const it of items) {
+    const { ocupacion, promovidos } = await liberarLugar({ periodo, materiaId: it.materia, usuarioId });
+    cupos.push(cupoCambiado(it.materia, periodo, ocupacion));
+    promociones.push(...await aplicarPromociones(periodo, it.materia, promovidos));
+  }
+  return { cupos, promociones };
+}
+
+/**
+ * Normaliza y valida los ítems recibidos (ver seleccion.normalizarSeleccion).
+ * Devuelve { items } o { error }.
+ */
+async function validarItems(materias) {
+  if (!Array.isArray(materias) || materias.length === 0) return { error: "materias requerido (array no vacío)" };
+  const items = normalizarSeleccion(materias);
+  if (items.length !== materias.length) return { error: "materias inválidas o repetidas" };
+  const existentes = await Materia.countDocuments({ _id: { $in: items.map(it => it.materia) }, eliminadoEn: null });
+  if (existentes !== items.length) return { error: "Alguna materia no existe en el catálogo" };
+  return { items };
+}
+
+/**
+ * Crea o reemplaza el borrador del alumno para el período.
+ * - periodo: doc de Periodo ya resuelto (null => legacy)
+ * Devuelve { doc, creada } | { error } | { yaEnviada, doc }
+ */
+async function guardarBorrador({ usuarioId, periodo = null, materias }) {
+  const { items, error } = await validarItems(materias);
+  if (error) return { error };
+
+  const filtro = { usuario: usuarioId, periodo: periodo?._id ?? null };
+  try {
+    const res = await Inscripcion.findOneAndUpdate(
+      { ...filtro, estado: { $in: EDITABLES } },
+      { $set: { items, estado: "BORRADOR" }, $unset: { verificacion: "", enviadaEn: "", resolucion: "" } },
+      { upsert: true, new: true, includeResultMetadata: true }
+    );
+    return { doc: res.value, creada: !res.lastErrorObject?.updatedExisting };
+  } catch (err) {
+    // Ya existe una ENVIADA/CONFIRMADA para el período: el upsert choca con el índice único
+    if (err?.code !== 11000) throw err;
+    return { yaEnviada: true, doc: await Inscripcion.findOne(filtro) };
+  }
+}
+
+/**
+ * Envía un borrador: lo verifica contra el historial y la oferta actuales y
+ * reserva lugar en cada materia (o entra a la lista de espera).
+ * Si algo falla a mitad de las reservas, se liberan los lugares tomados y la
+ * inscripción vuelve a BORRADOR (los cupos no admiten transacción: ver cupo.service).
+ * Devuelve { doc, verificacion, reservas:[{ materia, grupo, lugar, posicion }], cupos, promociones }
+ *        | { yaEnviada } | { invalida, verificacion } | { modificada }
+ */
+async function enviarInscripcion({ inscripcion }) {
+  if (inscripcion.estado !== "BORRADOR") return { yaEnviada: true };
+
+  const periodo = await periodoDe(inscripcion.periodo);
+  const verificacion = await verificarSeleccion({
+    materiaIds: inscripcion.items.map(it => ({ materia: String(it.materia), grupo: it.grupo })),
+    usuarioId: inscripcion.usuario,
+    periodo,
+  });
+  // No elegibles, choques o topes de créditos/horas excedidos
+  if (!verificacion.resumen.valida) return { invalida: true, verificacion };
+
+  // Solo si nadie la tocó mientras verificábamos
+  const doc = await Inscripcion.findOneAndUpdate(
+    { _id: inscripcion._id, estado: "BORRADOR", updatedAt: inscripcion.updatedAt },
+    { $set: { estado: "ENVIADA", enviadaEn: new Date(), verificacion: { resumen: verificacion.resumen, en: new Date() } } },
+    { new: true }
+  );
+  if (!doc) return { modificada: true };
+
+  const reservas = [];
+  const cupos = [];
+  const promociones = [];
+  try {
+    for (const it of doc.items) {
+      const { lugar, posicion, ocupacion, promovidos } = await reservarLugar({
+        periodo, materiaId: it.materia, grupo: it.grupo, usuarioId: doc.usuario,
+      });
+      it.lugar = lugar;
+      reservas.push({ materia: String(it.materia), grupo: it.grupo, lugar, posicion });
+      cupos.push(cupoCambiado(it.materia, periodo, ocupacion));
+      promociones.push(...await aplicarPromociones(periodo, it.materia, promovidos));
+    }
+    await doc.save();
+  } catch (err) {
+    // Compensación: liberar todo lo reservado (liberar es idempotente) y volver a BORRADOR
+    await liberarItems(periodo, doc.usuario, doc.items);
+    await Inscripcion.updateOne(
+      { _id: doc._id, estado: "ENVIADA" },
+      { $set: { estado: "BORRADOR", "items.$[].lugar": null }, $unset: { enviadaEn: "", verificacion: "" } }
+    );
+    throw err;
+  }
+  return { doc, verificacion, reservas, cupos, promociones };
+}
+
+/**
+ * Confirma una inscripción ENVIADA y pasa sus materias a EN_CURSO en el Historial
+ * (las que están en lista de espera pasan cuando se les libere un lugar).
+ * Devuelve { noEncontrada } | { yaResuelta } |
+ *          { doc, historial:[{ materia, estado }], omitidas:[{ materia, estadoActual, motivo }] }
+ */
+async function confirmarInscripcion({ inscripcionId, adminId }) {
+  return enTransaccion(async (session) => {
+    const doc = await Inscripcion.findById(inscripcionId).session(session);
+    if (!doc) return { noEncontrada: true };
+    if (doc.estado !== "ENVIADA") return { yaResuelta: true };
+
+    const historial = [];
+    const omitidas = [];
+    for (const it of doc.items) {
+      const id = String(it.materia);
+      if (it.lugar === "ESPERA") {
+        omitidas.push({ materia: id, estadoActual: null, motivo: "En lista de espera" });
+        continue;
+      }
+      const { actualizada, estadoActual } = await pasarAEnCurso(doc.usuario, it.materia, session);
+      if (!actualizada) {
+        omitidas.push({ materia: id, estadoActual, motivo: `No se puede pasar de ${estadoActual} a EN_CURSO` });
+        continue;
+      }
+      historial.push({ materia: id, estado: "EN_CURSO" });
+    }
+
+    doc.estado = "CONFIRMADA";
+    doc.resolucion = { por: adminId, en: new Date() };
+    await doc.save({ session });
+    return { doc, historial, omitidas };
+  });
+}
+
+/**
+ * Rechaza una inscripción ENVIADA (motivo requerido por el controller) y libera sus lugares.
+ * Devuelve { noEncontrada } | { yaResuelta } | { doc, cupos, promociones }
+ */
+async function rechazarInscripcion({ inscripcionId, adminId, motivo }) {
+  const previo = await Inscripcion.findOneAndUpdate(
+    { _id: inscripcionId, estado: "ENVIADA" },
+    { $set: { estado: "RECHAZADA", resolucion: { por: adminId, en: new Date(), motivo }, "items.$[].lugar": null } }
+  );
+  if (!previo) {
+    return (await Inscripcion.exists({ _id: inscripcionId })) ? { yaResuelta: true } : { noEncontrada: true };
+  }
+
+  const periodo = await periodoDe(previo.periodo);
+  const { cupos, promociones } = await liberarItems(periodo, previo.usuario, previo.items.filter(it => it.lugar));
+  const doc = await Inscripcion.findById(inscripcionId);
+  return { doc, cupos, promociones };
+}
+
+/**
+ * Da de baja una materia de una inscripción ENVIADA o CONFIRMADA: libera su lugar
+ * y, si ya estaba confirmada, la materia vuelve de EN_CURSO a PENDIENTE.
+ * Sacar el ítem, el Historial y el lugar van en una transacción; la promoción de la
+ * lista de espera, después del commit (si falla, sincronizarCupo la rehace).
+ * Devuelve { noIncluida } | { estadoInvalido } | { doc, historial:[{ materia, estado }], cupos, promociones }
+ */
+async function darDeBaja({ inscripcion, materiaId }) {
+  if (!CON_LUGAR.includes(inscripcion.estado)) return { estadoInvalido: true };
+  const item = inscripcion.items.find(it => String(it.materia) === String(materiaId));
+  if (!item) return { noIncluida: true };
+
+  const periodo = await periodoDe(inscripcion.periodo);
+  const result = await enTransaccion(async (session) => {
+    const doc = await Inscripcion.findOneAndUpdate(
+      { _id: inscripcion._id, estado: { $in: CON_LUGAR }, "items.materia": item.materia },
+      { $pull: { items: { materia: item.materia } } },
+      { new: true, session }
+    );
+    if (!doc) return { noIncluida: true };
+
+    const historial = [];
+    if (doc.estado === "CONFIRMADA") {
+      const { modifiedCount } = await Historial.updateOne(
+        { usuario: doc.usuario, materia: item.materia, estado: "EN_CURSO" },
+        { $set: { estado: "PENDIENTE" } },
+        { session }
+      );
+      if (modifiedCount) historial.push({ materia: String(item.materia), estado: "PENDIENTE" });
+    }
+
+    await quitarLugar({ periodo, materiaId: item.materia, usuarioId: doc.usuario, session });
+    return { doc, historial };
+  });
+  if (result.noIncluida) return result;
+
+  const { doc: cupo, oferta, promovidos } = await promoverEspera({ periodo, materiaId: item.materia });
+  return {
+    ...result,
+    cupos: [cupoCambiado(item.materia, periodo, resumenOcupacion(oferta, cupo))],
+    promociones: await aplicarPromociones(periodo, item.materia, promovidos),
+  };
+}
+
+/**
+ * Re-evalúa la lista de espera de una materia (p.ej. tras ampliar el cupo).
+ * - periodo: doc de Periodo ya resuelto (null => legacy)
+ * Devuelve { cupos, promociones }
+ */
+async function sincronizarCupo({ materiaId, periodo = null }) {
+  const { doc, oferta, promovidos } = await promoverEspera({ periodo, materiaId });
+  return {
+    cupos: [cupoCambiado(materiaId, periodo, resumenOcupacion(oferta, doc))],
+    promociones: await aplicarPromociones(periodo, materiaId, promovidos),
+  };
+}
+
+module.exports = {
+  guardarBorrador,
+  enviarInscripcion,
+  confirmarInscripcion,
+  rechazarInscripcion,
+  darDeBaja,
+  sincronizarCupo,
+  periodoDe,
+};
@@ -0,0 +1,258 @@
+/**
+ * Servicio de Integridad Referencial
+ * ==================================
+ * Responsabilidad:
+ *  - Listar qué documentos dependen de una Materia o de un Usuario.
+ *  - Eliminar respetando esas dependencias según "modo":
+ *      * "restrict" (default): si hay dependientes NO se borra (el controller responde 409).
+ *      * "cascade": borra/limpia dependientes y el documento, todo en una transacción.
+ *      * "soft":    baja lógica (eliminadoEn) sin tocar dependientes, en una transacción.
+ *
+ * Dependientes:
+ *  - Materia: otras materias que la tienen como previa (simple o hoja PREVIA de sus requisitos)
+ *    o correquisito, filas de Historial,
+ *    planes que la incluyen, equivalencias (como origen o destino) e inscripciones que la piden.
+ *    (Las ofertas por período y la ocupación de sus cupos son parte de la materia: se borran
+ *    con ella en el borrado físico, salvo las de períodos ya terminados, que quedan como
+ *    historia con los datos de la materia en Oferta.materiaBorrada.)
+ *  - Usuario: filas de Historial, solicitudes de reválida, inscripciones y (docentes) asignaciones en
+ *    horarios/grupos. Sus RefreshTokens se revocan/borran siempre. En cascade también se
+ *    liberan sus lugares en los cupos (el caller promueve a las listas de espera).
+ *
+ * Notas:
+ *  - Las transacciones requieren replica set (Atlas lo es; un mongod standalone no).
+ *  - El servicio no emite eventos: devuelve qué cambió para que el controller los emita
+ *    recién después del commit.
+ */
+
+const mongoose = require("mongoose");
+const Materia = require("../models/materia.model");
+const Historial = require("../models/historial.model");
+const Plan = require("../models/plan.model");
+const Oferta = require("../models/oferta.model");
+const Periodo = require("../models/periodo.model");
+const Equivalencia = require("../models/equivalencia.model");
+const Revalidacion = require("../models/revalidacion.model");
+const Inscripcion = require("../models/inscripcion.model");
+const Cupo = require("../models/cupo.model");
+const Usuario = require("../models/usuario.model");
+const RefreshToken = require("../models/refresh-token.model");
+const { filtroRecurso } = require("./ocupacion.service");
+const { filtroPreviaEnRequisitos, quitarPrevia } = require("../utils/requisitos.util");
+
+const MODOS = ["restrict", "cascade", "soft"];
+
+/** Ejecuta fn(session) dentro de una transacción y devuelve su resultado */
+async function enTransaccion(fn) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+/** ¿Hay algún dependiente en el listado? */
+function tieneDependientes(dep) {
+  return Object.values(dep).some(v => (Array.isArray(v) ? v.length > 0 : v > 0));
+}
+
+// --- Materia ---
+
+/**
+ * Dependientes de una materia:
+ *  { materiasConPrevia:[{_id,codigo,nombre}], materiasConRequisito:[...], materiasConCorequisito:[...], historial:Number,
+ *    planes:[{_id,codigo,version}], equivalencias:Number, inscripciones:Number }
+ */
+async function dependientesDeMateria(materiaId, session = null) {
+  // Una por una: dentro de una transacción Mongo no admite operaciones en paralelo sobre la misma sesión
+  const materiasConPrevia = await Materia.find({ "previas.materia": materiaId }).select("codigo nombre").session(session).lean();
+  const materiasConRequisito = await Materia.find(filtroPreviaEnRequisitos(materiaId)).select("codigo nombre").session(session).lean();
+  const materiasConCorequisito = await Materia.find({ corequisitos: materiaId }).select("codigo nombre").session(session).lean();
+  const historial = await Historial.countDocuments({ materia: materiaId }).session(session);
+  const planes = await Plan.find({ "materias.materia": materiaId }).select("codigo version").session(session).lean();
+  const equivalencias = await Equivalencia.countDocuments({ $or: [{ origen: materiaId }, { destino: materiaId }] }).session(session);
+  const inscripciones = await Inscripcion.countDocuments({ "items.materia": materiaId }).session(session);
+  return {
+    materiasConPrevia: materiasConPrevia.map(m => ({ _id: m._id, codigo: m.codigo, nombre: m.nombre })),
+    materiasConRequisito: materiasConRequisito.map(m => ({ _id: m._id, codigo: m.codigo, nombre: m.nombre })),
+    materiasConCorequisito: materiasConCorequisito.map(m => ({ _id: m._id, codigo: m.codigo, nombre: m.nombre })),
+    historial,
+    planes: planes.map(p => ({ _id: p._id, codigo: p.codigo, version: p.version })),
+    equivalencias,
+    inscripciones,
+  };
+}
+
+/**
+ * Elimina una materia según el modo.
+ * Devuelve:
+ *  - { noEncontrada: true }
+ *  - { bloqueada: true, dependientes }            (modo restrict con dependientes)
+ *  - { doc, modo, dependientes, cascada: { materiasActualizadas:[id], historialEliminado:[{usuario,materia}], planesActualizados:[id], inscripcionesActualizadas:[id] } }
+ */
+async function eliminarMateria({ materiaId, modo = "restrict" }) {
+  if (!MODOS.includes(modo)) throw new Error("modo inválido");
+
+  return enTransaccion(async (session) => {
+    const doc = await Materia.findOne({ _id: materiaId }).activas().session(session);
+    if (!doc) return { noEncontrada: true };
+
+    const dependientes = await dependientesDeMateria(materiaId, session);
+    const cascada = { materiasActualizadas: [], historialEliminado: [], planesActualizados: [], inscripcionesActualizadas: [] };
+
+    if (modo === "restrict" && tieneDependientes(dependientes)) {
+      return { bloqueada: true, dependientes };
+    }
+
+    if (modo === "soft") {
+      doc.eliminadoEn = new Date();
+      await doc.save({ session });
+      return { doc, modo, dependientes, cascada };
+    }
+
+    if (modo === "cascade") {
+      const historial = await Historial.find({ materia: materiaId }).select("usuario materia").session(session).lean();
+      await Historial.deleteMany({ materia: materiaId }, { session });
+      await Materia.updateMany({ "previas.materia": materiaId }, { $pull: { previas: { materia: materiaId } } }, { session });
+      await Materia.updateMany({ corequisitos: materiaId }, { $pull: { corequisitos: materiaId } }, { session });
+      // Hojas PREVIA de los requisitos: se podan del árbol (un AND/OR vacío desaparece)
+      const conRequisito = await Materia.find(filtroPreviaEnRequisitos(materiaId)).select("requisitos").session(session).lean();
+      for (const m of conRequisito) {
+        await Materia.updateOne({ _id: m._id }, { $set: { requisitos: quitarPrevia(m.requisitos, materiaId) } }, { session });
+      }
+      await Plan.updateMany({ "materias.materia": materiaId }, { $pull: { materias: { materia: materiaId } } }, { session });
+      await Equivalencia.deleteMany({ $or: [{ origen: materiaId }, { destino: materiaId }] }, { session });
+      const inscripciones = await Inscripcion.find({ "items.materia": materiaId }).select("_id").session(session).lean();
+      await Inscripcion.updateMany({ "items.materia": materiaId }, { $pull: { items: { materia: materiaId } } }, { session });
+      cascada.inscripcionesActualizadas = inscripciones.map(i => String(i._id));
+
+      cascada.historialEliminado = historial.map(h => ({ usuario: String(h.usuario), materia: String(h.materia) }));
+      cascada.materiasActualizadas = [...new Set(
+        [...dependientes.materiasConPrevia, ...dependientes.materiasConRequisito, ...dependientes.materiasConCorequisito]
+          .map(m => String(m._id))
+      )];
+      cascada.planesActualizados = dependientes.planes.map(p => String(p._id));
+    }
+
+    // Ofertas/cupos de períodos terminados se conservan (historia); el resto se borra
+    const terminados = (await Periodo.find({ fin: { $lt: new Date() } }).select("_id").session(session).lean()).map(p => p._id);
+    await Oferta.updateMany(
+      { materia: materiaId, periodo: { $in: terminados } },
+      { $set: { materiaBorrada: { codigo: doc.codigo, nombre: doc.nombre, semestre: doc.semestre, creditos: doc.creditos } } },
+      { session }
+    );
+    await Oferta.deleteMany({ materia: materiaId, periodo: { $nin: terminados } }, { session });
+    await Cupo.deleteMany({ materia: materiaId, periodo: { $nin: terminados } }, { session });
+    await Materia.deleteOne({ _id: materiaId }, { session });
+    return { doc, modo, dependientes, cascada };
+  });
+}
+
+// --- Usuario ---
+
+/**
+ * Dependientes de un usuario: { historial, revalidaciones, inscripciones, asignaciones } (Numbers)
+ * (+ info de tokens vigentes). asignaciones = ofertas/materias donde dicta (DOCENTE).
+ */
+async function dependientesDeUsuario(usuarioId, session = null) {
+  const filtroDocente = filtroRecurso("docente", [String(usuarioId)]);
+  // Secuencial por la misma razón que dependientesDeMateria (sesión en transacción)
+  const historial = await Historial.countDocuments({ usuario: usuarioId }).session(session);
+  const revalidaciones = await Revalidacion.countDocuments({ usuario: usuarioId }).session(session);
+  const inscripciones = await Inscripcion.countDocuments({ usuario: usuarioId }).session(session);
+  const ofertas = await Oferta.countDocuments(filtroDocente).session(session);
+  const materias = await Materia.countDocuments(filtroDocente).session(session);
+  const tokensVigentes = await RefreshToken.countDocuments({ usuario: usuarioId, revocadoEn: null, expiraEn: { $gt: new Date() } }).session(session);
+  return { historial, revalidaciones, inscripciones, asignaciones: ofertas + materias, tokensVigentes };
+}
+
+/** Quita al docente de todos los horarios/grupos (ofertas y materias legacy) */
+async function desasignarDocente(usuarioId, session) {
+  const id = new mongoose.Types.ObjectId(String(usuarioId));
+  const update = {
+    $unset: {
+      "horarios.$[h].docente": "",
+      "grupos.$[g].docente": "",
+      "grupos.$[].horarios.$[gh].docente": "",
+    },
+  };
+  const opts = { arrayFilters: [{ "h.docente": id }, { "g.docente": id }, { "gh.docente": id }], session };
+  const filtro = filtroRecurso("docente", [id]);
+  await Oferta.updateMany(filtro, update, opts);
+  await Materia.updateMany(filtro, update, opts);
+}
+
+/**
+ * Elimina un usuario según el modo (mismo contrato que eliminarMateria).
+ * Los tokens vigentes no bloquean: se borran (cascade/restrict) o se revocan (soft).
+ * cascada: { historialEliminado:[{usuario,materia}], revalidacionesEliminadas:[id], inscripcionesEliminadas:Number,
+ *            cuposLiberados:[{periodo,materia}], tokensRevocados:Number }
+ * (los adjuntos en disco de las reválidas eliminadas los borra el caller tras el commit)
+ */
+async function eliminarUsuario({ usuarioId, modo = "restrict" }) {
+  if (!MODOS.includes(modo)) throw new Error("modo inválido");
+
+  return enTransaccion(async (session) => {
+    const doc = await Usuario.findOne({ _id: usuarioId }).activos().session(session);
+    if (!doc) return { noEncontrada: true };
+
+    const dependientes = await dependientesDeUsuario(usuarioId, session);
+    const cascada = { historialEliminado: [], revalidacionesEliminadas: [], inscripcionesEliminadas: 0, cuposLiberados: [], tokensRevocados: 0 };
+
+    if (modo === "restrict" && (dependientes.historial > 0 || dependientes.revalidaciones > 0
+      || dependientes.inscripciones > 0 || dependientes.asignaciones > 0)) {
+      return { bloqueada: true, dependientes };
+    }
+
+    if (modo === "soft") {
+      doc.eliminadoEn = new Date();
+      await doc.save({ session });
+      const { modifiedCount } = await RefreshToken.updateMany(
+        { usuario: usuarioId, revocadoEn: null },
+        { $set: { revocadoEn: new Date() } },
+        { session }
+      );
+      cascada.tokensRevocados = modifiedCount;
+      return { doc, modo, dependientes, cascada };
+    }
+
+    if (modo === "cascade") {
+      const historial = await Historial.find({ usuario: usuarioId }).select("usuario materia").session(session).lean();
+      await Historial.deleteMany({ usuario: usuarioId }, { session });
+      cascada.historialEliminado = historial.map(h => ({ usuario: String(h.usuario), materia: String(h.materia) }));
+
+      const revalidaciones = await Revalidacion.find({ usuario: usuarioId }).select("_id").session(session).lean();
+      await Revalidacion.deleteMany({ usuario: usuarioId }, { session });
+      cascada.revalidacionesEliminadas = revalidaciones.map(r => String(r._id));
+
+      const { deletedCount: inscripcionesEliminadas } = await Inscripcion.deleteMany({ usuario: usuarioId }, { session });
+      cascada.inscripcionesEliminadas = inscripcionesEliminadas;
+
+      const filtroLugar = { $or: [{ "inscriptos.usuario": usuarioId }, { "espera.usuario": usuarioId }] };
+      const cupos = await Cupo.find(filtroLugar).select("periodo materia").session(session).lean();
+      await Cupo.updateMany(filtroLugar, { $pull: { inscriptos: { usuario: usuarioId }, espera: { usuario: usuarioId } } }, { session });
+      cascada.cuposLiberados = cupos.map(c => ({ periodo: c.periodo ? String(c.periodo) : null, materia: String(c.materia) }));
+
+      if (dependientes.asignaciones > 0) await desasignarDocente(usuarioId, session);
+    }
+
+    const { deletedCount } = await RefreshToken.deleteMany({ usuario: usuarioId }, { session });
+    cascada.tokensRevocados = deletedCount;
+    await Usuario.deleteOne({ _id: usuarioId }, { session });
+    return { doc, modo, dependientes, cascada };
+  });
+}
+
+module.exports = {
+  MODOS,
+  enTransaccion,
+  dependientesDeMateria,
+  dependientesDeUsuario,
+  eliminarMateria,
+  eliminarUsuario,
+};
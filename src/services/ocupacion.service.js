@@ -0,0 +1,158 @@
+/**
+ * Servicio de Ocupación de Recursos
+ * =================================
+ * Responsabilidad:
+ *  - Base común para salones y docentes: un "recurso" es un campo de los
+ *    horarios ("salon" | "docente") que no puede estar en dos lugares a la vez.
+ *  - Armar los slots que ocupa cada recurso en un período y detectar choques
+ *    (reutiliza findDayConflicts por recurso y día).
+ *
+ * Notas:
+ *  - El valor del recurso en un horario de grupo es el del horario o, si no tiene,
+ *    el del grupo (p.ej. grupo.docente aplica a todos sus horarios).
+ *  - Con período se mira la Oferta; sin períodos (modo legacy), Materia.horarios/grupos.
+ *  - Las materias dadas de baja lógica no ocupan recursos.
+ *  - Los choques consideran vigencia, recurrencia y feriados del período
+ *    (solo se reportan si hay fechas en que ocurren ambos horarios).
+ */
+
+const Oferta = require("../models/oferta.model");
+const Materia = require("../models/materia.model");
+const { contextoFechas } = require("./feriado.service");
+const { DIAS, findDayConflicts, horasDesdeHorarios, toMinutes } = require("../utils/horario.util");
+
+/**
+ * Slots de una oferta { horarios, grupos } que usan el recurso "campo".
+ * Devuelve [{ materia, codigo, nombre, grupo, [campo], dia, inicio, fin, desde, hasta, recurrencia }]
+ */
+function slotsDeRecurso(campo, materia, oferta) {
+  const base = { materia: materia._id, codigo: materia.codigo, nombre: materia.nombre };
+  const slots = [];
+  const push = (h, grupo) => {
+    const valor = h[campo] ?? grupo?.[campo];
+    if (!valor) return;
+    slots.push({
+      ...base, grupo: grupo ? grupo.codigo : null, [campo]: String(valor),
+      dia: h.dia, inicio: h.inicio, fin: h.fin,
+      desde: h.desde ?? null, hasta: h.hasta ?? null, recurrencia: h.recurrencia || "SEMANAL",
+    });
+  };
+  for (const h of oferta.horarios || []) push(h, null);
+  for (const g of oferta.grupos || []) {
+    for (const h of g.horarios || []) push(h, g);
+  }
+  return slots;
+}
+
+/** Filtro Mongo: ofertas/materias donde algún horario (o grupo) usa alguno de los ids */
+function filtroRecurso(campo, ids) {
+  return {
+    $or: [
+      { [`horarios.${campo}`]: { $in: ids } },
+      { [`grupos.${campo}`]: { $in: ids } },
+      { [`grupos.horarios.${campo}`]: { $in: ids } },
+    ],
+  };
+}
+
+/**
+ * Slots que ocupan los recursos "ids" en un período.
+ * - excluirMateria: id de materia a ignorar (la que se está editando)
+ */
+async function ocupacionDeRecurso({ campo, ids, periodo, excluirMateria = null }) {
+  const wanted = ids.map(String);
+  let ofertas;
+  if (periodo) {
+    const docs = await Oferta.find({ periodo: periodo._id, ...filtroRecurso(campo, wanted) })
+      .populate("materia", "codigo nombre eliminadoEn")
+      .lean();
+    ofertas = docs
+      .filter(o => o.materia && !o.materia.eliminadoEn)
+      .map(o => ({ materia: o.materia, oferta: o }));
+  } else {
+    const docs = await Materia.find(filtroRecurso(campo, wanted)).activas().select("codigo nombre horarios grupos").lean();
+    ofertas = docs.map(m => ({ materia: m, oferta: m }));
+  }
+
+  const set = new Set(wanted);
+  return ofertas
+    .filter(({ materia }) => excluirMateria == null || String(materia._id) !== String(excluirMateria))
+    .flatMap(({ materia, oferta }) => slotsDeRecurso(campo, materia, oferta))
+    .filter(s => set.has(s[campo]));
+}
+
+/**
+ * Agrupa slots por recurso+día y devuelve los choques (cada uno con el id del recurso).
+ * opts: { desde, hasta, feriados } del período (ver feriado.contextoFechas)
+ */
+function choquesPorRecurso(campo, slots, opts = {}) {
+  const buckets = new Map();
+  for (const s of slots) {
+    const k = `${s[campo]}|${s.dia}`;
+    if (!buckets.has(k)) buckets.set(k, []);
+    buckets.get(k).push(s);
+  }
+  const conflictos = [];
+  for (const bucket of buckets.values()) {
+    const valor = bucket[0][campo];
+    for (const c of findDayConflicts(bucket, opts)) conflictos.push({ [campo]: valor, ...c });
+  }
+  return conflictos;
+}
+
+/**
+ * Choques de recurso que tendría la oferta { horarios, grupos } de "materia" en el período:
+ * contra otras materias y entre sus propios horarios/grupos. Los choques que ya existen
+ * entre otras materias no se reportan (no los causa esta edición).
+ */
+async function conflictosDeRecurso({ campo, materia, periodo, oferta }) {
+  const propios = slotsDeRecurso(campo, materia, oferta);
+  if (!propios.length) return [];
+  const [otros, fechas] = await Promise.all([
+    ocupacionDeRecurso({
+      campo,
+      ids: [...new Set(propios.map(s => s[campo]))],
+      periodo,
+      excluirMateria: materia._id,
+    }),
+    contextoFechas(periodo),
+  ]);
+  const id = String(materia._id);
+  return choquesPorRecurso(campo, [...propios, ...otros], fechas)
+    .filter(c => String(c.a.materia) === id || String(c.b.materia) === id);
+}
+
+/**
+ * Grilla semanal a partir de slots de un recurso:
+ *  { dias: { LUN:[slots ordenados], ... }, horasSemanales, conflictos:[...] }
+ * opts: fechas del período para los choques (ver choquesPorRecurso)
+ */
+function grillaSemanal(campo, slots, opts = {}) {
+  const dias = Object.fromEntries([...DIAS].map(d => [d, []]));
+  for (const s of slots) dias[s.dia].push(s);
+  for (const d of Object.keys(dias)) dias[d].sort((a, b) => toMinutes(a.inicio) - toMinutes(b.inicio));
+  return {
+    dias,
+    horasSemanales: horasDesdeHorarios(slots),
+    conflictos: choquesPorRecurso(campo, slots, opts),
+  };
+}
+
+/** Cantidad de ofertas/materias (todos los períodos) que usan el recurso */
+async function usosDeRecurso(campo, id) {
+  const [ofertas, materias] = await Promise.all([
+    Oferta.countDocuments(filtroRecurso(campo, [String(id)])),
+    Materia.countDocuments(filtroRecurso(campo, [String(id)])),
+  ]);
+  return ofertas + materias;
+}
+
+module.exports = {
+  slotsDeRecurso,
+  filtroRecurso,
+  ocupacionDeRecurso,
+  choquesPorRecurso,
+  conflictosDeRecurso,
+  grillaSemanal,
+  usosDeRecurso,
+};
@@ -0,0 +1,188 @@
+/**
+ * Servicio de Períodos y Ofertas
+ * ==============================
+ * Responsabilidad:
+ *  - Resolver el período a usar (explícito por codigo o el "actual").
+ *  - Leer/escribir los horarios y grupos de una materia EN un período (Oferta).
+ *
+ * Regla de compatibilidad:
+ *  - Si no hay ningún Periodo configurado (periodo = null), horarios/grupos se leen
+ *    y escriben en Materia como antes. Con período, solo cuenta la Oferta.
+ *  - Al crear el primer Periodo, la oferta legacy (Materia.horarios/grupos/cupo) se copia
+ *    a Ofertas de ese período (migrarOfertaLegacy), así no desaparece de la verificación,
+ *    el listado ni la elegibilidad. Los campos de Materia quedan como estaban.
+ */
+
+const { Types } = require("mongoose");
+const Periodo = require("../models/periodo.model");
+const Oferta = require("../models/oferta.model");
+const Materia = require("../models/materia.model");
+
+const OBJECT_ID = /^[a-f\d]{24}$/i;
+
+/**
+ * Período actual:
+ *  - El que contiene la fecha indicada (default: hoy)
+ *  - Si ninguno la contiene, el último que ya empezó
+ *  - null si no hay períodos
+ */
+async function periodoActual(fecha = new Date()) {
+  const vigente = await Periodo.findOne({ inicio: { $lte: fecha }, fin: { $gte: fecha } })
+    .sort({ inicio: -1 })
+    .lean();
+  if (vigente) return vigente;
+  return Periodo.findOne({ inicio: { $lte: fecha } }).sort({ inicio: -1 }).lean();
+}
+
+/**
+ * Resuelve el período pedido:
+ *  - codigo (ej. "2026-2") u ObjectId => ese período, o { noEncontrado: true }
+ *  - sin valor => período actual (o null si no hay ninguno)
+ * Devuelve { periodo, noEncontrado }.
+ */
+async function resolverPeriodo(ref) {
+  if (ref == null || String(ref).trim() === "") {
+    return { periodo: await periodoActual(), noEncontrado: false };
+  }
+  const s = String(ref).trim();
+  const periodo = Types.ObjectId.isValid(s) && s.length === 24
+    ? await Periodo.findById(s).lean()
+    : await Periodo.findOne({ codigo: s }).lean();
+  return { periodo, noEncontrado: !periodo };
+}
+
+/**
+ * Oferta (horarios comunes + grupos) por materia para un período.
+ * - materiaIds: array de ids (string/ObjectId)
+ * - periodo: doc de Periodo o null (modo legacy)
+ * Devuelve Map<materiaIdString, { horarios[], grupos[], cupo }> (sin oferta => vacíos, cupo null).
+ */
+async function ofertaPorMateria(materiaIds, periodo) {
+  const ids = materiaIds.map(String);
+  const map = new Map(ids.map(id => [id, { horarios: [], grupos: [], cupo: null }]));
+
+  const docs = periodo
+    ? await Oferta.find({ periodo: periodo._id, materia: { $in: ids } }).select("materia horarios grupos cupo").lean()
+    : await Materia.find({ _id: { $in: ids } }).select("horarios grupos cupo").lean();
+
+  for (const d of docs) {
+    map.set(String(periodo ? d.materia : d._id), {
+      horarios: d.horarios || [],
+      grupos: (d.grupos || []).map(grupoSinDocenteLegacy),
+      cupo: d.cupo ?? null,
+    });
+  }
+  return map;
+}
+
+/**
+ * Grupos guardados cuando docente era texto libre: el nombre pasa a docenteNombre y
+ * docente queda vacío. Así validar/guardar la oferta no falla por el cast a ObjectId,
+ * y el próximo guardado deja el grupo migrado.
+ */
+function grupoSinDocenteLegacy(g) {
+  if (g.docente == null || OBJECT_ID.test(String(g.docente))) return g;
+  const { docente, ...resto } = g;
+  return { ...resto, docenteNombre: g.docenteNombre || String(docente) };
+}
+
+/** Horarios comunes por materia para un período: Map<materiaIdString, horarios[]> */
+async function horariosPorMateria(materiaIds, periodo) {
+  const ofertas = await ofertaPorMateria(materiaIds, periodo);
+  return new Map([...ofertas.entries()].map(([id, o]) => [id, o.horarios]));
+}
+
+/** Oferta { horarios, grupos, cupo } de una sola materia en un período */
+async function ofertaDeMateria(materiaId, periodo) {
+  const map = await ofertaPorMateria([materiaId], periodo);
+  return map.get(String(materiaId)) || { horarios: [], grupos: [], cupo: null };
+}
+
+/** Horarios comunes de una sola materia en un período */
+async function horariosDeMateria(materiaId, periodo) {
+  return (await ofertaDeMateria(materiaId, periodo)).horarios;
+}
+
+/** Grupos de una sola materia en un período */
+async function gruposDeMateria(materiaId, periodo) {
+  return (await ofertaDeMateria(materiaId, periodo)).grupos;
+}
+
+/**
+ * Reemplaza campos de la oferta de una materia en un período (upsert de Oferta),
+ * o en Materia si no hay período. cambios: { horarios?, grupos?, cupo? }
+ */
+async function guardarOferta(materiaId, periodo, cambios) {
+  if (!periodo) {
+    await Materia.updateOne({ _id: materiaId }, { $set: cambios }, { runValidators: true });
+    return;
+  }
+  await Oferta.updateOne(
+    { periodo: periodo._id, materia: materiaId },
+    { $set: cambios },
+    { upsert: true, runValidators: true }
+  );
+}
+
+/** Reemplaza los horarios comunes de una materia en un período */
+async function guardarHorarios(materiaId, periodo, horarios) {
+  return guardarOferta(materiaId, periodo, { horarios });
+}
+
+/** Reemplaza los grupos de una materia en un período */
+async function guardarGrupos(materiaId, periodo, grupos) {
+  return guardarOferta(materiaId, periodo, { grupos });
+}
+
+/** Reemplaza el cupo total de una materia en un período (null => sin límite) */
+async function guardarCupo(materiaId, periodo, cupo) {
+  return guardarOferta(materiaId, periodo, { cupo });
+}
+
+/**
+ * Copia la oferta legacy de cada materia (horarios, grupos, cupo) a una Oferta del período.
+ * No pisa ofertas ya cargadas para ese período. Devuelve la cantidad de ofertas creadas.
+ */
+async function migrarOfertaLegacy(periodo) {
+  const materias = await Materia.find({
+    $or: [{ "horarios.0": { $exists: true } }, { "grupos.0": { $exists: true } }, { cupo: { $ne: null } }],
+  }).select("horarios grupos cupo").lean();
+  if (!materias.length) return 0;
+
+  const { upsertedCount } = await Oferta.bulkWrite(materias.map(m => ({
+    updateOne: {
+      filter: { periodo: periodo._id, materia: m._id },
+      update: {
+        $setOnInsert: {
+          horarios: m.horarios || [],
+          grupos: m.grupos || [],
+          ...(m.cupo != null ? { cupo: m.cupo } : {}),
+        },
+      },
+      upsert: true,
+    },
+  })), { ordered: false });
+  return upsertedCount;
+}
+
+/** Referencia pública mínima del período */
+function toPeriodoRef(periodo) {
+  if (!periodo) return null;
+  return { _id: periodo._id, codigo: periodo.codigo, inicio: periodo.inicio, fin: periodo.fin };
+}
+
+module.exports = {
+  periodoActual,
+  resolverPeriodo,
+  ofertaPorMateria,
+  ofertaDeMateria,
+  horariosPorMateria,
+  horariosDeMateria,
+  gruposDeMateria,
+  guardarOferta,
+  guardarHorarios,
+  guardarGrupos,
+  guardarCupo,
+  migrarOfertaLegacy,
+  toPeriodoRef,
+};
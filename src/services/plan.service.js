@@ -0,0 +1,68 @@
+/**
+ * Servicio de Planes de Estudio
+ * =============================
+ * Responsabilidad:
+ *  - Resolver el plan de un usuario y exponer helpers para "scopear"
+ *    catálogo, elegibilidad y créditos a las materias de ese plan.
+ *
+ * Notas:
+ *  - Si el usuario no tiene plan, los llamadores siguen usando el catálogo global.
+ *  - El semestre relevante es el del plan (PlanMateria.semestre), no Materia.semestre.
+ */
+
+const { Types } = require("mongoose");
+const Plan = require("../models/plan.model");
+const Usuario = require("../models/usuario.model");
+
+/** Carga un plan por id (lean) o null */
+async function loadPlan(planId) {
+  if (!planId || !Types.ObjectId.isValid(planId)) return null;
+  return Plan.findById(planId).lean();
+}
+
+/** Carga el plan asignado al usuario (lean) o null si no tiene */
+async function loadPlanDeUsuario(usuarioId) {
+  if (!Types.ObjectId.isValid(usuarioId)) return null;
+  const user = await Usuario.findById(usuarioId).select("plan").lean();
+  return user?.plan ? loadPlan(user.plan) : null;
+}
+
+/** Map<materiaIdString, { semestre, obligatoria }> para lookup O(1) */
+function indexarPlan(plan) {
+  return new Map((plan?.materias || []).map(pm => [
+    String(pm.materia),
+    { semestre: pm.semestre, obligatoria: pm.obligatoria !== false },
+  ]));
+}
+
+/**
+ * Ids de materias del plan, opcionalmente filtradas por semestre del plan:
+ *  - semestre: exacto
+ *  - hastaSemestre: <=
+ */
+function materiaIdsDelPlan(plan, { semestre, hastaSemestre } = {}) {
+  return (plan?.materias || [])
+    .filter(pm => semestre == null || pm.semestre === Number(semestre))
+    .filter(pm => hastaSemestre == null || pm.semestre <= Number(hastaSemestre))
+    .map(pm => pm.materia);
+}
+
+/** Referencia pública mínima del plan (para anexar a respuestas) */
+function toPlanRef(plan) {
+  if (!plan) return null;
+  return {
+    _id: plan._id,
+    codigo: plan.codigo,
+    nombre: plan.nombre,
+    version: plan.version,
+    creditosRequeridos: plan.creditosRequeridos,
+  };
+}
+
+module.exports = {
+  loadPlan,
+  loadPlanDeUsuario,
+  indexarPlan,
+  materiaIdsDelPlan,
+  toPlanRef,
+};
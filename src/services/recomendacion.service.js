@@ -0,0 +1,242 @@
+/**
+ * Servicio de Recomendación de Cursada
+ * ====================================
+ * Responsabilidad:
+ *  - Sugerir una carga para el próximo semestre a partir del historial y el plan:
+ *      * candidatas: materias elegibles que el alumno todavía no cursó (PENDIENTE)
+ *      * puntaje: cuánto desbloquean en el grafo de previas, atraso respecto del
+ *        plan (semestres más bajos primero), obligatoriedad y créditos
+ *      * se eligen en orden de puntaje mientras entren en el presupuesto
+ *        (maxHoras / maxCreditos), sin choques de horario y con sus correquisitos
+ *      * presupuesto no indicado: el tope del alumno (ver topes.service); si no hay
+ *        topes configurados, PRESUPUESTO_POR_DEFECTO
+ *  - Explicar cada elección (motivos) y por qué quedaron afuera las demás.
+ *
+ * Notas:
+ *  - Solo cuentan como "desbloqueadas" las dependientes que el alumno aún no cursó.
+ *  - Greedy (no óptimo global): para explorar combinaciones está POST /seleccion/generar.
+ */
+
+const { Types } = require("mongoose");
+const Materia = require("../models/materia.model");
+const { calcularElegibilidad, loadHistorialMap, cumplePrevia } = require("./elegibilidad.service");
+const { buildGrafo, buildDependientes, dependientesTransitivos } = require("./grafo.service");
+const { opcionesDeMateria, slotsDeOpcion, chocaCon } = require("./generador.service");
+const { ofertaPorMateria, toPeriodoRef } = require("./periodo.service");
+const { contextoFechas } = require("./feriado.service");
+const { calcularCreditos } = require("./creditos.service");
+const { loadPlanDeUsuario } = require("./plan.service");
+const { topeDelAlumno } = require("./topes.service");
+const { horasDesdeHorarios } = require("../utils/horario.util");
+
+/** Pesos del puntaje */
+const PESOS = {
+  desbloqueaDirectas: 3,   // por cada materia que la tiene como previa directa
+  desbloqueaIndirectas: 1, // por cada dependiente transitiva (no directa)
+  atraso: 2,               // por cada semestre por debajo del más alto candidato
+  obligatoria: 2,          // si es obligatoria en el plan
+  creditos: 0.2,           // por crédito
+};
+
+/** Presupuesto si no viene en el request y no hay topes (plan ni env): una carga de tiempo completo */
+const PRESUPUESTO_POR_DEFECTO = { maxHoras: 30, maxCreditos: null };
+
+/**
+ * Presupuesto de la recomendación: lo pedido en el request y, para lo que falte,
+ * el tope del alumno (plan o env). Sin ningún tope => PRESUPUESTO_POR_DEFECTO.
+ * Devuelve { maxHoras, maxCreditos, origen: "REQUEST"|"PLAN"|"DEFAULT"|"SISTEMA" }
+ */
+async function resolverPresupuesto(usuarioId, { maxHoras, maxCreditos }) {
+  if (maxHoras != null && maxCreditos != null) return { maxHoras, maxCreditos, origen: "REQUEST" };
+
+  const [plan, creds] = await Promise.all([loadPlanDeUsuario(usuarioId), calcularCreditos({ usuarioId })]);
+  const tope = await topeDelAlumno({ usuarioId, plan, creditosAprobados: creds.totalCreditos });
+  if (tope.maxHoras == null && tope.maxCreditos == null && maxHoras == null && maxCreditos == null) {
+    return { ...PRESUPUESTO_POR_DEFECTO, origen: "SISTEMA" };
+  }
+  return {
+    maxHoras: maxHoras ?? tope.maxHoras,
+    maxCreditos: maxCreditos ?? tope.maxCreditos,
+    origen: maxHoras == null && maxCreditos == null ? tope.origen : "REQUEST",
+  };
+}
+
+/**
+ * Puntaje de una candidata (función pura).
+ * - item: { materia:{ _id, semestre, creditos, obligatoria? } }
+ * - directas / indirectas: dependientes pendientes (ids)
+ * - semestreMax: mayor semestre entre las candidatas
+ * Devuelve { puntaje, detalle:{ ... } }
+ */
+function puntuar(item, { directas, indirectas, semestreMax }) {
+  const detalle = {
+    desbloqueaDirectas: directas.length * PESOS.desbloqueaDirectas,
+    desbloqueaIndirectas: indirectas.length * PESOS.desbloqueaIndirectas,
+    atraso: (semestreMax - item.materia.semestre) * PESOS.atraso,
+    obligatoria: item.materia.obligatoria === false ? 0 : PESOS.obligatoria,
+    creditos: (item.materia.creditos || 0) * PESOS.creditos,
+  };
+  const puntaje = Math.round(Object.values(detalle).reduce((a, b) => a + b, 0) * 100) / 100;
+  return { puntaje, detalle };
+}
+
+/**
+ * Recomendación:
+ *  - usuarioId, periodo (doc ya resuelto o null), maxHoras?, maxCreditos? (ver resolverPresupuesto)
+ * Devuelve:
+ *  {
+ *    periodo, presupuesto: { maxHoras, maxCreditos, origen },
+ *    resumen: { candidatas, recomendadas, creditos, cargaHoras },
+ *    recomendadas: [ { materia, grupo, horarios, puntaje, detallePuntaje, desbloquea:[...], motivos:[] } ],
+ *    descartadas:  [ { materia, puntaje, motivo } ]
+ *  }
+ */
+async function recomendarCursada({ usuarioId, periodo = null, maxHoras = null, maxCreditos = null }) {
+  if (!Types.ObjectId.isValid(usuarioId)) throw new Error("usuarioId inválido");
+
+  const [{ items }, { mapEstado }, catalogo, presupuesto] = await Promise.all([
+    calcularElegibilidad({ usuarioId }),
+    loadHistorialMap(usuarioId),
+    Materia.find().activas().select("codigo nombre semestre previas requisitos").lean(),
+    resolverPresupuesto(usuarioId, { maxHoras, maxCreditos }),
+  ]);
+  ({ maxHoras, maxCreditos } = presupuesto);
+
+  // Candidatas: elegibles y todavía no cursadas
+  const candidatas = items.filter(i => i.elegible && i.estadoActual === "PENDIENTE");
+  const porId = new Map(candidatas.map(i => [String(i.materia._id), i]));
+
+  // Grafo de previas para medir cuánto desbloquea cada una
+  const grafo = buildGrafo(catalogo);
+  const dependientes = buildDependientes(grafo);
+  const pendiente = (id) => !cumplePrevia("CURSO", mapEstado.get(id));
+  const semestreMax = Math.max(0, ...candidatas.map(i => i.materia.semestre));
+
+  const [ofertas, fechas, conCorequisitos] = await Promise.all([
+    ofertaPorMateria(candidatas.map(i => i.materia._id), periodo),
+    contextoFechas(periodo),
+    Materia.find({ _id: { $in: candidatas.map(i => i.materia._id) } }).select("corequisitos").lean(),
+  ]);
+  const corequisitosDe = new Map(conCorequisitos.map(m => [String(m._id), (m.corequisitos || []).map(String)]));
+
+  const puntuadas = candidatas.map(i => {
+    const id = String(i.materia._id);
+    const directas = [...(dependientes.get(id) || [])].filter(pendiente);
+    const indirectas = [...dependientesTransitivos(grafo, id, dependientes)].filter(d => pendiente(d) && !directas.includes(d));
+    const { puntaje, detalle } = puntuar(i, { directas, indirectas, semestreMax });
+    return { item: i, id, directas, indirectas, puntaje, detalle };
+  }).sort((a, b) => b.puntaje - a.puntaje
+    || a.item.materia.semestre - b.item.materia.semestre
+    || a.item.materia.codigo.localeCompare(b.item.materia.codigo));
+
+  const ref = (id) => {
+    const n = grafo.get(id);
+    return n ? { _id: n._id, codigo: n.codigo, nombre: n.nombre } : { _id: id };
+  };
+
+  const elegidas = new Map();   // id -> recomendación
+  const porDia = new Map();     // dia -> slots elegidos
+  const descartadas = [];
+  let creditos = 0;
+  let horas = 0;
+
+  // Intenta sumar un paquete (materia + correquisitos pendientes) con la primera opción de grupo que entre
+  function intentar(paquete) {
+    let creditosPaquete = 0, horasPaquete = 0;
+    const agregados = [];
+    const slotsAgregados = [];
+    const deshacer = () => {
+      for (const s of slotsAgregados) porDia.set(s.dia, porDia.get(s.dia).filter(x => x !== s));
+    };
+
+    for (const p of paquete) {
+      const oferta = ofertas.get(p.id) || { horarios: [], grupos: [] };
+      const { opciones } = opcionesDeMateria(p.item.materia, oferta, null, {});
+      const opcion = opciones.find(o => !chocaCon(porDia, slotsDeOpcion(p.item.materia, o), fechas));
+      if (!opcion) {
+        deshacer();
+        return { motivo: `Choca con el horario de las materias ya recomendadas${paquete.length > 1 ? ` (con su correquisito ${p.item.materia.codigo})` : ""}.` };
+      }
+      const slots = slotsDeOpcion(p.item.materia, opcion);
+      for (const s of slots) porDia.set(s.dia, [...(porDia.get(s.dia) || []), s]);
+      slotsAgregados.push(...slots);
+      creditosPaquete += p.item.materia.creditos || 0;
+      horasPaquete += horasDesdeHorarios(opcion.horarios);
+      agregados.push({ p, opcion });
+    }
+
+    if (maxCreditos != null && creditos + creditosPaquete > maxCreditos) {
+      deshacer();
+      return { motivo: `Supera el máximo de ${maxCreditos} créditos.` };
+    }
+    if (maxHoras != null && horas + horasPaquete > maxHoras) {
+      deshacer();
+      return { motivo: `Supera el máximo de ${maxHoras} horas semanales.` };
+    }
+    creditos += creditosPaquete;
+    horas += horasPaquete;
+    return { agregados };
+  }
+
+  for (const c of puntuadas) {
+    if (elegidas.has(c.id)) continue;
+
+    // Correquisitos pendientes: tienen que entrar juntos (y ser candidatas)
+    const coreqs = (corequisitosDe.get(c.id) || []).filter(id => pendiente(id) && !elegidas.has(id));
+    const faltante = coreqs.find(id => !porId.has(id));
+    if (faltante) {
+      descartadas.push({ materia: c.item.materia, puntaje: c.puntaje, motivo: `Su correquisito ${ref(faltante).codigo || faltante} no se puede cursar todavía.` });
+      continue;
+    }
+    const paquete = [c, ...coreqs.map(id => puntuadas.find(x => x.id === id))];
+
+    const { agregados, motivo } = intentar(paquete);
+    if (motivo) {
+      descartadas.push({ materia: c.item.materia, puntaje: c.puntaje, motivo });
+      continue;
+    }
+
+    for (const { p, opcion } of agregados) {
+      const motivos = [];
+      if (p.directas.length) motivos.push(`Desbloquea ${p.directas.length} materia(s): ${p.directas.map(id => ref(id).codigo).join(", ")}.`);
+      if (p.indirectas.length) motivos.push(`Abre camino a ${p.indirectas.length} materia(s) más adelante.`);
+      motivos.push(`Semestre ${p.item.materia.semestre}${p.item.materia.obligatoria === false ? " (optativa)" : ""}.`);
+      motivos.push(`${p.item.materia.creditos} créditos.`);
+      if (opcion.grupo) motivos.push(`Grupo ${opcion.grupo} sin choques con el resto.`);
+      if (p !== c) motivos.push(`Correquisito de ${c.item.materia.codigo}: se cursan juntas.`);
+
+      elegidas.set(p.id, {
+        materia: p.item.materia,
+        grupo: opcion.grupo,
+        horarios: opcion.horarios,
+        puntaje: p.puntaje,
+        detallePuntaje: p.detalle,
+        desbloquea: p.directas.map(ref),
+        motivos,
+      });
+    }
+  }
+
+  const recomendadas = [...elegidas.values()];
+  return {
+    periodo: toPeriodoRef(periodo),
+    presupuesto,
+    resumen: {
+      candidatas: candidatas.length,
+      recomendadas: recomendadas.length,
+      creditos,
+      cargaHoras: Math.round(horas * 100) / 100,
+    },
+    recomendadas,
+    // una descartada pudo entrar después como correquisito de otra
+    descartadas: descartadas.filter(d => !elegidas.has(String(d.materia._id))),
+  };
+}
+
+module.exports = {
+  recomendarCursada,
+  // helpers puros (tests)
+  PESOS,
+  PRESUPUESTO_POR_DEFECTO,
+  puntuar,
+};
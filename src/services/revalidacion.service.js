@@ -0,0 +1,177 @@
+/**
+ * Servicio de Revalidaciones
+ * ==========================
+ * Responsabilidad:
+ *  - Guardar/servir adjuntos de una solicitud en disco local.
+ *  - Resolver solicitudes: al aprobar se crean/actualizan las filas de Historial
+ *    de cada ítem, todo en una transacción.
+ *
+ * Adjuntos:
+ *  - Carpeta: <UPLOADS_DIR>/revalidaciones/<revalidacionId>/ (UPLOADS_DIR default ./uploads)
+ *  - Solo PDF/PNG/JPEG y hasta MAX_ADJUNTO_BYTES; el nombre en disco se genera
+ *    (el original se guarda solo como metadato).
+ *
+ * Notas:
+ *  - Al aprobar nunca se baja un estado existente (APROBADO no pasa a CURSADO).
+ *  - El servicio no emite eventos: devuelve qué cambió para que el controller los emita.
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+const { Types } = require("mongoose");
+const { v4: uuid } = require("uuid");
+const Revalidacion = require("../models/revalidacion.model");
+const Historial = require("../models/historial.model");
+const Materia = require("../models/materia.model");
+const { enTransaccion } = require("./integridad.service");
+const { nivelDe, validarCampos, validarTransicion } = require("../utils/historial.util");
+
+const TIPOS_ADJUNTO = {
+  "application/pdf": ".pdf",
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+};
+const MAX_ADJUNTO_BYTES = 10 * 1024 * 1024;
+
+/** Carpeta de adjuntos de una solicitud */
+function carpetaDe(revalidacionId) {
+  const base = process.env.UPLOADS_DIR || path.resolve(process.cwd(), "uploads");
+  return path.join(base, "revalidaciones", String(revalidacionId));
+}
+
+/** Ruta absoluta de un adjunto */
+function rutaAdjunto(revalidacionId, adjunto) {
+  return path.join(carpetaDe(revalidacionId), path.basename(adjunto.archivo));
+}
+
+/**
+ * Valida ítems { materia, estado, notaExamen?, fecha, origenMateria?, origenNota? }:
+ * formato, campos requeridos por estado (historial.util: fecha; APROBADO además
+ * notaExamen de aprobación), materias repetidas y existencia en el catálogo.
+ * Devuelve un mensaje de error o null.
+ */
+async function validarItems(items) {
+  if (!Array.isArray(items) || items.length === 0) return "items requerido (array no vacío)";
+  for (const it of items) {
+    if (!it || !Types.ObjectId.isValid(it.materia)) return "Ítem inválido: materia";
+    if (!["CURSADO", "APROBADO"].includes(it.estado)) return "Ítem inválido: estado debe ser CURSADO o APROBADO";
+    const [violacion] = validarCampos({ estado: it.estado, notaExamen: it.notaExamen, fecha: it.fecha });
+    if (violacion) return `Ítem inválido: ${violacion.mensaje}`;
+  }
+  const ids = items.map(it => String(it.materia));
+  if (new Set(ids).size !== ids.length) return "Hay materias repetidas en la solicitud";
+  const existentes = await Materia.countDocuments({ _id: { $in: ids }, eliminadoEn: null });
+  if (existentes !== ids.length) return "Alguna materia de la solicitud no existe en el catálogo";
+  return null;
+}
+
+/**
+ * Guarda un adjunto en disco y lo registra en la solicitud (debe estar PENDIENTE).
+ * Devuelve { adjunto } | { error } (tipo/tamaño inválido) | { noEncontrada } | { yaResuelta }.
+ */
+async function agregarAdjunto({ revalidacion, nombre, tipo, contenido }) {
+  const ext = TIPOS_ADJUNTO[tipo];
+  if (!ext) return { error: `Tipo de archivo no permitido (${Object.keys(TIPOS_ADJUNTO).join(", ")})` };
+  if (!Buffer.isBuffer(contenido) || contenido.length === 0) return { error: "Archivo vacío" };
+  if (contenido.length > MAX_ADJUNTO_BYTES) return { error: `El archivo supera ${MAX_ADJUNTO_BYTES} bytes` };
+  if (revalidacion.estado !== "PENDIENTE") return { yaResuelta: true };
+
+  const archivo = `${uuid()}${ext}`;
+  const carpeta = carpetaDe(revalidacion._id);
+  await fs.mkdir(carpeta, { recursive: true });
+  await fs.writeFile(path.join(carpeta, archivo), contenido);
+
+  const adjunto = {
+    nombre: path.basename(String(nombre || archivo)).slice(0, 200),
+    archivo,
+    tipo,
+    tamano: contenido.length,
+  };
+  const doc = await Revalidacion.findOneAndUpdate(
+    { _id: revalidacion._id, estado: "PENDIENTE" },
+    { $push: { adjuntos: adjunto } },
+    { new: true }
+  );
+  if (!doc) {
+    // Se resolvió mientras subíamos: no dejamos el archivo huérfano
+    await fs.rm(path.join(carpeta, archivo), { force: true });
+    return { yaResuelta: true };
+  }
+  return { adjunto: doc.adjuntos[doc.adjuntos.length - 1], doc };
+}
+
+/** Borra la carpeta de adjuntos de las solicitudes indicadas (ignora las inexistentes) */
+async function borrarAdjuntos(revalidacionIds) {
+  await Promise.all(revalidacionIds.map(id => fs.rm(carpetaDe(id), { recursive: true, force: true })));
+}
+
+/**
+ * Aprueba una solicitud PENDIENTE y vuelca sus ítems al Historial.
+ * Cada ítem pasa por la máquina de estados como reconocimiento (validarTransicion):
+ * si alguno no cumple (p.ej. una solicitud vieja sin fecha/nota) no se escribe nada.
+ * Devuelve { noEncontrada } | { yaResuelta } | { invalida, violaciones:[{ materia, campo, mensaje }] }
+ *        | { doc, historial:[{ materia, estado }] }
+ */
+async function aprobarRevalidacion({ revalidacionId, adminId }) {
+  return enTransaccion(async (session) => {
+    const doc = await Revalidacion.findById(revalidacionId).session(session);
+    if (!doc) return { noEncontrada: true };
+    if (doc.estado !== "PENDIENTE") return { yaResuelta: true };
+
+    const existentes = await Historial.find({ usuario: doc.usuario, materia: { $in: doc.items.map(it => it.materia) } })
+      .select("materia estado")
+      .session(session)
+      .lean();
+    const actual = new Map(existentes.map(h => [String(h.materia), h.estado]));
+
+    // Nunca bajamos un estado que el alumno ya tiene
+    const aplicar = doc.items.filter(it => nivelDe(actual.get(String(it.materia))) < nivelDe(it.estado));
+
+    // Validamos todo antes de escribir (la transacción no se aborta al devolver)
+    const violaciones = aplicar.flatMap(it =>
+      validarTransicion(actual.get(String(it.materia)), { estado: it.estado, notaExamen: it.notaExamen, fecha: it.fecha }, { reconocimiento: true })
+        .map(v => ({ materia: String(it.materia), ...v }))
+    );
+    if (violaciones.length) return { invalida: true, violaciones };
+
+    const historial = [];
+    for (const it of aplicar) {
+      await Historial.updateOne(
+        { usuario: doc.usuario, materia: it.materia },
+        { $set: { estado: it.estado, notaExamen: it.notaExamen, fecha: it.fecha } },
+        { upsert: true, runValidators: true, session }
+      );
+      historial.push({ materia: String(it.materia), estado: it.estado });
+    }
+
+    doc.estado = "APROBADA";
+    doc.resolucion = { por: adminId, en: new Date() };
+    await doc.save({ session });
+    return { doc, historial };
+  });
+}
+
+/**
+ * Rechaza una solicitud PENDIENTE (motivo requerido por el controller).
+ * Devuelve { noEncontrada } | { yaResuelta } | { doc }
+ */
+async function rechazarRevalidacion({ revalidacionId, adminId, motivo }) {
+  const doc = await Revalidacion.findOneAndUpdate(
+    { _id: revalidacionId, estado: "PENDIENTE" },
+    { $set: { estado: "RECHAZADA", resolucion: { por: adminId, en: new Date(), motivo } } },
+    { new: true }
+  );
+  if (doc) return { doc };
+  return (await Revalidacion.exists({ _id: revalidacionId })) ? { yaResuelta: true } : { noEncontrada: true };
+}
+
+module.exports = {
+  TIPOS_ADJUNTO,
+  MAX_ADJUNTO_BYTES,
+  rutaAdjunto,
+  validarItems,
+  agregarAdjunto,
+  borrarAdjuntos,
+  aprobarRevalidacion,
+  rechazarRevalidacion,
+};
@@ -0,0 +1,213 @@
+/**
+ * Servicio de Ruta a una Materia
+ * ==============================
+ * Responsabilidad:
+ *  - Responder "¿qué me falta para poder cursar X?": recorrer las previas de X
+ *    de forma transitiva contra el historial del alumno y devolver la lista
+ *    mínima de materias a completar (con el nivel requerido CURSO/EXAMEN),
+ *    agrupada en los semestres más tempranos posibles.
+ *
+ * Reglas:
+ *  - Una previa ya cumplida corta el recorrido (no se miran sus previas).
+ *  - Si la materia ya está CURSADA y se requiere EXAMEN, solo falta el examen:
+ *    sus propias previas no se vuelven a pedir.
+ *  - Requisitos compuestos: AND suma todas las ramas; en un OR ya cumplido no
+ *    falta nada y, si no, se elige la rama que agrega menos pendientes a los
+ *    que ya exigen las previas.
+ *  - Las hojas CREDITOS/SEMESTRE no son materias: se informan en "condiciones".
+ *  - Una materia se puede cursar el semestre siguiente a completar todas sus
+ *    previas pendientes (semestre 1 si no tiene ninguna).
+ */
+
+const { Types } = require("mongoose");
+const Materia = require("../models/materia.model");
+const { loadHistorialMap, cargarContexto, cumplePrevia } = require("./elegibilidad.service");
+const { evaluarRegla } = require("../utils/requisitos.util");
+
+/** EXAMEN exige más que CURSO: al unir pendientes se queda el mayor */
+const NIVEL_ORDEN = { CURSO: 1, EXAMEN: 2 };
+
+/** Pendientes vacíos: { materias: Map<id,nivel>, deps: Map<id,Set<id>>, condiciones: Map<desc,regla>, raices: Set<id> } */
+const vacio = () => ({ materias: new Map(), deps: new Map(), condiciones: new Map(), raices: new Set() });
+
+/** Une "b" en "a" (las raíces de b pasan a ser raíces de a) */
+function unir(a, b) {
+  for (const [id, nivel] of b.materias) {
+    const actual = a.materias.get(id);
+    if (!actual || NIVEL_ORDEN[nivel] > NIVEL_ORDEN[actual]) a.materias.set(id, nivel);
+  }
+  for (const [id, ds] of b.deps) a.deps.set(id, new Set([...(a.deps.get(id) || []), ...ds]));
+  for (const [k, c] of b.condiciones) a.condiciones.set(k, c);
+  for (const id of b.raices) a.raices.add(id);
+  return a;
+}
+
+/** Costo de una rama OR: materias pendientes que no estaban ya en "base" + condiciones no cumplidas */
+const costo = (p, base) => [...p.materias.keys()].filter(id => !base.materias.has(id)).length + p.condiciones.size;
+
+/**
+ * Calcula la ruta sobre el catálogo ya cargado (función pura).
+ * - catalogo: Map<id, { _id, codigo, nombre, semestre, previas, requisitos }>
+ * - mapEstado: Map<id, estado> del alumno (con equivalencias)
+ * - contexto: ver elegibilidad.cargarContexto (para CREDITOS/SEMESTRE y descripciones)
+ * Devuelve { pendientes: [{ id, nivel, requiere:[id], semestre }], condiciones:[...], semestreObjetivo }
+ */
+function planificarRuta(catalogo, mapEstado, materiaId, contexto = {}) {
+  const memo = new Map();
+  const enCurso = new Set();
+  const ctxRegla = {
+    ...contexto,
+    estadoDe: (id) => mapEstado.get(String(id)) || "PENDIENTE",
+    cumplePrevia: (nivel, id) => cumplePrevia(nivel, mapEstado.get(String(id))),
+  };
+
+  // Pendientes para poder CURSAR "id" (sus previas simples + requisitos)
+  function requerimientos(id) {
+    const nodo = catalogo.get(id);
+    const out = vacio();
+    if (!nodo) return out;
+    for (const p of nodo.previas || []) unir(out, necesidad(String(p.materia?._id || p.materia), p.tipo));
+    if (nodo.requisitos) unir(out, regla(nodo.requisitos, out));
+    return out;
+  }
+
+  // Pendientes para alcanzar "nivel" en la materia "id" (incluye a id si falta)
+  function necesidad(id, nivel) {
+    const estado = mapEstado.get(id);
+    if (cumplePrevia(nivel, estado)) return vacio();
+
+    const clave = `${id}:${nivel}`;
+    if (memo.has(clave)) return unir(vacio(), memo.get(clave));
+    if (enCurso.has(id)) return vacio(); // ciclo heredado en base: no colgarse
+
+    enCurso.add(id);
+    // Ya cursada y falta el examen: sus previas no se vuelven a exigir
+    const previas = cumplePrevia("CURSO", estado) ? vacio() : requerimientos(id);
+    enCurso.delete(id);
+
+    const out = unir(vacio(), previas);
+    out.raices = new Set([id]);
+    out.materias.set(id, nivel);
+    out.deps.set(id, new Set([...(out.deps.get(id) || []), ...previas.raices]));
+    memo.set(clave, out);
+    return unir(vacio(), out);
+  }
+
+  // Pendientes de un árbol de requisitos compuestos ("base": lo ya exigido, para elegir ramas OR)
+  function regla(r, base = vacio()) {
+    switch (r.tipo) {
+      case "AND":
+        return r.reglas.reduce((acc, x) => unir(acc, regla(x, unir(unir(vacio(), base), acc))), vacio());
+      case "OR": {
+        if (evaluarRegla(r, ctxRegla).cumplida) return vacio();
+        const ramas = r.reglas.map(x => regla(x, base));
+        return ramas.reduce((min, x) => (costo(x, base) < costo(min, base) ? x : min));
+      }
+      case "PREVIA":
+        return necesidad(String(r.materia), r.nivel);
+      default: {
+        const res = evaluarRegla(r, ctxRegla);
+        const out = vacio();
+        if (!res.cumplida) out.condiciones.set(res.descripcion, { tipo: r.tipo, minimo: r.minimo, actual: res.actual, descripcion: res.descripcion });
+        return out;
+      }
+    }
+  }
+
+  const total = requerimientos(String(materiaId));
+
+  // Semestre más temprano: 1 + max(semestre de sus previas pendientes)
+  const semestre = new Map();
+  const calcular = (id, visitando = new Set()) => {
+    if (semestre.has(id)) return semestre.get(id);
+    if (visitando.has(id)) return 0;
+    visitando.add(id);
+    const deps = [...(total.deps.get(id) || [])].filter(d => total.materias.has(d));
+    const s = 1 + Math.max(0, ...deps.map(d => calcular(d, visitando)));
+    semestre.set(id, s);
+    return s;
+  };
+  for (const id of total.materias.keys()) calcular(id);
+
+  const pendientes = [...total.materias.entries()].map(([id, nivel]) => ({
+    id,
+    nivel,
+    requiere: [...(total.deps.get(id) || [])].filter(d => total.materias.has(d)),
+    semestre: semestre.get(id),
+  }));
+
+  return {
+    pendientes,
+    condiciones: [...total.condiciones.values()],
+    semestreObjetivo: 1 + Math.max(0, ...pendientes.map(p => p.semestre)),
+  };
+}
+
+/**
+ * Punto de entrada: ruta para que el usuario pueda cursar materiaId.
+ * Devuelve { noEncontrada } o:
+ *  {
+ *    materia: { _id, codigo, nombre, semestre }, estadoActual, elegible,
+ *    resumen: { materiasPendientes, semestres, semestreObjetivo },
+ *    pasos: [ { orden, materia:{...}, nivel, estadoActual, semestre, requiere:[ids] } ],
+ *    semestres: [ { numero, materias:[ { materia:{...}, nivel } ] } ],
+ *    condiciones: [ { tipo, minimo, actual, descripcion } ]   // créditos/semestre no alcanzados
+ *  }
+ */
+async function calcularRuta({ usuarioId, materiaId }) {
+  if (!Types.ObjectId.isValid(usuarioId)) throw new Error("usuarioId inválido");
+  if (!Types.ObjectId.isValid(materiaId)) throw new Error("materiaId inválido");
+
+  const [materias, { mapEstado }] = await Promise.all([
+    Materia.find().activas().select("codigo nombre semestre previas requisitos").lean(),
+    loadHistorialMap(usuarioId),
+  ]);
+  const catalogo = new Map(materias.map(m => [String(m._id), m]));
+  const objetivo = catalogo.get(String(materiaId));
+  if (!objetivo) return { noEncontrada: true };
+
+  const contexto = await cargarContexto(usuarioId, mapEstado);
+  const { pendientes, condiciones, semestreObjetivo } = planificarRuta(catalogo, mapEstado, String(materiaId), contexto);
+
+  const ref = (id) => {
+    const m = catalogo.get(id);
+    return m ? { _id: m._id, codigo: m.codigo, nombre: m.nombre, semestre: m.semestre } : { _id: id };
+  };
+
+  // Orden topológico estable: por semestre de la ruta y luego por semestre/código del catálogo
+  pendientes.sort((a, b) => a.semestre - b.semestre
+    || (catalogo.get(a.id)?.semestre ?? 0) - (catalogo.get(b.id)?.semestre ?? 0)
+    || String(catalogo.get(a.id)?.codigo).localeCompare(String(catalogo.get(b.id)?.codigo)));
+
+  const pasos = pendientes.map((p, i) => ({
+    orden: i + 1,
+    materia: ref(p.id),
+    nivel: p.nivel,
+    estadoActual: mapEstado.get(p.id) || "PENDIENTE",
+    semestre: p.semestre,
+    requiere: p.requiere,
+  }));
+
+  const semestres = [];
+  for (const p of pasos) {
+    let s = semestres[semestres.length - 1];
+    if (!s || s.numero !== p.semestre) semestres.push(s = { numero: p.semestre, materias: [] });
+    s.materias.push({ materia: p.materia, nivel: p.nivel });
+  }
+
+  return {
+    materia: ref(String(materiaId)),
+    estadoActual: mapEstado.get(String(materiaId)) || "PENDIENTE",
+    elegible: pasos.length === 0 && condiciones.length === 0,
+    resumen: { materiasPendientes: pasos.length, semestres: semestres.length, semestreObjetivo },
+    pasos,
+    semestres,
+    condiciones,
+  };
+}
+
+module.exports = {
+  calcularRuta,
+  // helper puro (tests)
+  planificarRuta,
+};
@@ -0,0 +1,64 @@
+/**
+ * Servicio de Salones
+ * ===================
+ * Responsabilidad:
+ *  - Calcular la ocupación de salones en un período (horarios comunes y de grupos).
+ *  - Detectar dobles reservas: dos horarios en el mismo salón que se solapan.
+ *
+ * La lógica de slots/choques es común con docentes (ver ocupacion.service).
+ */
+
+const Salon = require("../models/salon.model");
+const { contextoFechas } = require("./feriado.service");
+const {
+  slotsDeRecurso, ocupacionDeRecurso, choquesPorRecurso, conflictosDeRecurso, grillaSemanal, usosDeRecurso,
+} = require("./ocupacion.service");
+
+/** Slots con salón de una oferta { horarios, grupos } de una materia */
+const slotsConSalon = (materia, oferta) => slotsDeRecurso("salon", materia, oferta);
+
+/** Slots que ocupan los salones indicados en un período */
+const ocupacion = ({ salonIds, periodo, excluirMateria = null }) =>
+  ocupacionDeRecurso({ campo: "salon", ids: salonIds, periodo, excluirMateria });
+
+/** Choques por salón+día (cada uno con "salon"); opts: fechas del período */
+const choquesPorSalon = (slots, opts = {}) => choquesPorRecurso("salon", slots, opts);
+
+/** Ids de salón referenciados en una oferta que no existen. */
+async function salonesInexistentes(oferta) {
+  const ids = [...new Set(slotsConSalon({}, oferta).map(s => s.salon))];
+  if (!ids.length) return [];
+  const existentes = await Salon.find({ _id: { $in: ids } }).select("_id").lean();
+  const ok = new Set(existentes.map(s => String(s._id)));
+  return ids.filter(id => !ok.has(id));
+}
+
+/**
+ * Choques de salón que tendría la oferta de "materia" en el período.
+ * Solo los que involucran a "materia": una doble reserva previa entre otras
+ * materias del mismo salón no bloquea esta edición.
+ */
+const conflictosDeSalon = ({ materia, periodo, oferta }) =>
+  conflictosDeRecurso({ campo: "salon", materia, periodo, oferta });
+
+/**
+ * Grilla semanal de un salón en un período:
+ *  { dias: { LUN:[slots ordenados], ... }, horasSemanales, conflictos:[...] }
+ */
+async function ocupacionSemanal({ salonId, periodo }) {
+  const [slots, fechas] = await Promise.all([ocupacion({ salonIds: [salonId], periodo }), contextoFechas(periodo)]);
+  return grillaSemanal("salon", slots, fechas);
+}
+
+/** Cantidad de ofertas/materias (todos los períodos) que usan el salón */
+const usosDeSalon = (salonId) => usosDeRecurso("salon", salonId);
+
+module.exports = {
+  slotsConSalon,
+  ocupacion,
+  choquesPorSalon,
+  salonesInexistentes,
+  conflictosDeSalon,
+  ocupacionSemanal,
+  usosDeSalon,
+};
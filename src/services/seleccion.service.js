@@ -2,36 +2,287 @@
  * Servicio de Selección y Choques de Horario
  * ==========================================
  * Responsabilidad:
- *  - Dada una lista de materias seleccionadas (IDs), verificar:
+ *  - Dada una lista de materias seleccionadas (IDs o { materia, grupo }), verificar:
  *      * Elegibilidad del usuario (según previas)
+ *      * Correquisitos: materias que deben ir en la misma selección (si no están cursadas)
  *      * Choques de horario por día y rango HH:mm
  *      * Carga horaria total (horas)
+ *      * Advertencias (restricciones blandas, no bloquean): descanso corto entre
+ *        edificios distintos, demasiadas horas en un día, huecos muertos largos
+ *      * Topes de créditos y horas por semestre (ver topes.service): si se
+ *        exceden, la selección no es válida
  *
  * Notas:
  *  - Reutilizamos la lógica de elegibilidad importando helpers del servicio existente.
  *  - No mutamos documentos; solo calculamos y devolvemos un informe.
+ *  - Los horarios se toman de la oferta del período indicado (ver periodo.service).
+ *  - Un choque solo se reporta si ambos horarios ocurren alguna misma fecha
+ *    (vigencia, recurrencia quincenal y feriados; ver horario.util).
+ *  - Los umbrales de las advertencias salen de PREFERENCIAS_DEFAULT, pisados por el
+ *    perfil del alumno (Usuario.preferenciasHorario) y por los del request, en ese orden.
  */
 
 const { Types } = require("mongoose");
 const Materia = require("../models/materia.model");
 const Historial = require("../models/historial.model");
-const { evaluarMateria } = require("./elegibilidad.service"); // ya lo exportamos antes
-const { findDayConflicts, horasDesdeHorarios } = require("../utils/horario.util");
+const Salon = require("../models/salon.model");
+const Usuario = require("../models/usuario.model");
+const { evaluarMateria, cargarContexto, cumplePrevia } = require("./elegibilidad.service"); // ya lo exportamos antes
+const { ofertaPorMateria, toPeriodoRef } = require("./periodo.service");
+const { conEquivalencias } = require("./equivalencia.service");
+const { loadPlanDeUsuario } = require("./plan.service");
+const { topeDelAlumno, motivosDeTopes } = require("./topes.service");
+const { contextoFechas } = require("./feriado.service");
+const { findDayConflicts, horasDesdeHorarios, fechasEnComun, toMinutes } = require("../utils/horario.util");
 
-/** Carga un Map<materiaId, estado> con el historial del usuario (lookup O(1)) */
+/**
+ * Umbrales de las advertencias (null => chequeo desactivado):
+ *  - minDescansoMinutos: descanso mínimo entre clases seguidas en edificios distintos
+ *  - maxHorasDia: horas de clase máximas en un mismo día
+ *  - maxHuecoHoras: hueco muerto máximo entre dos clases del mismo día
+ */
+const PREFERENCIAS_DEFAULT = { minDescansoMinutos: 15, maxHorasDia: 8, maxHuecoHoras: 3 };
+const SEVERIDADES = ["BAJA", "MEDIA", "ALTA"];
+
+/** Carga un Map<materiaId, estado> con el historial del usuario (lookup O(1), con equivalencias) */
 async function loadHistorialMap(usuarioId) {
   const hs = await Historial.find({ usuario: usuarioId }).select("materia estado").lean();
-  return new Map(hs.map(h => [String(h.materia), h.estado]));
+  return conEquivalencias(new Map(hs.map(h => [String(h.materia), h.estado])));
+}
+
+/**
+ * Normaliza la selección recibida. Cada elemento puede ser:
+ *  - "<materiaId>"                      (materia sin grupo elegido)
+ *  - { materia:"<materiaId>", grupo? }  (materia + código de grupo)
+ * Devuelve array de { materia: idString, grupo: codigo|null } sin materias repetidas
+ * (si una materia viene dos veces, gana la primera).
+ */
+function normalizarSeleccion(items) {
+  const vistos = new Set();
+  const out = [];
+  for (const it of items) {
+    const materia = String(it && typeof it === "object" ? it.materia : it);
+    if (!Types.ObjectId.isValid(materia) || vistos.has(materia)) continue;
+    vistos.add(materia);
+    const grupo = it && typeof it === "object" && it.grupo != null ? String(it.grupo).trim() : null;
+    out.push({ materia, grupo: grupo || null });
+  }
+  return out;
+}
+
+/**
+ * Horarios efectivos de una materia para la selección:
+ *  - comunes de la oferta + los del grupo elegido (si hay).
+ * Sin grupo elegido solo cuentan los comunes: no se asume ningún grupo,
+ * así no se reportan choques contra secciones que el alumno no va a cursar.
+ */
+function horariosEfectivos(oferta, grupo) {
+  const propios = grupo ? (grupo.horarios || []).map(h => ({ ...h, grupo: grupo.codigo })) : [];
+  return [...(oferta.horarios || []), ...propios];
+}
+
+/**
+ * Valida y normaliza preferencias (body o perfil). Devuelve { preferencias } o { error }.
+ * Solo incluye las claves presentes; null desactiva ese chequeo.
+ */
+function normalizarPreferencias(prefs) {
+  if (prefs == null) return { preferencias: {} };
+  if (typeof prefs !== "object" || Array.isArray(prefs)) return { error: "preferencias debe ser un objeto" };
+  const out = {};
+  for (const clave of Object.keys(PREFERENCIAS_DEFAULT)) {
+    if (prefs[clave] === undefined) continue;
+    if (prefs[clave] === null) { out[clave] = null; continue; }
+    // Solo números o strings numéricos ("", " " y booleanos no: Number() los pasa a 0/1)
+    const v = prefs[clave];
+    const n = typeof v === "number" || (typeof v === "string" && v.trim() !== "") ? Number(v) : NaN;
+    if (!Number.isFinite(n) || n < 0) return { error: `${clave} debe ser un número >= 0 (o null para desactivarlo)` };
+    out[clave] = n;
+  }
+  return { preferencias: out };
+}
+
+/** Umbrales efectivos: default <- perfil <- request (las claves ausentes no pisan) */
+function resolverPreferencias(...capas) {
+  const out = { ...PREFERENCIAS_DEFAULT };
+  for (const capa of capas) {
+    for (const [clave, valor] of Object.entries(capa || {})) {
+      if (clave in out && valor !== undefined) out[clave] = valor;
+    }
+  }
+  return out;
+}
+
+/**
+ * Detecta restricciones blandas entre las materias detalladas (función pura).
+ * - detalladas: [{ materia, horarios }] como en verificarSeleccion
+ * - preferencias: umbrales efectivos (ver resolverPreferencias)
+ * - opts: { desde, hasta, feriados } del período; dos clases solo son "seguidas"
+ *   si ocurren alguna misma fecha (mismo criterio que los choques)
+ * - edificios: Map<salonIdString, edificio> para el descanso entre edificios
+ * Devuelve [{ tipo, severidad, dia, mensaje, horarios:[{ materia,codigo,nombre,grupo,salon,edificio,inicio,fin }], ... }]
+ *  - DESCANSO_CORTO { minutos }: ALTA si no llega a la mitad del mínimo, si no MEDIA
+ *  - DIA_RECARGADO { horas }: ALTA si supera el máximo en un 50% o más, si no MEDIA
+ *  - HUECO_LARGO { horas }: BAJA
+ */
+function detectarAdvertencias(detalladas, preferencias = PREFERENCIAS_DEFAULT, opts = {}, edificios = new Map()) {
+  const { minDescansoMinutos, maxHorasDia, maxHuecoHoras } = preferencias;
+  const porDia = new Map();
+  for (const { materia, horarios } of detalladas) {
+    for (const h of horarios) {
+      const arr = porDia.get(h.dia) || [];
+      arr.push({
+        ...h,
+        ref: {
+          materia: materia._id,
+          codigo: materia.codigo,
+          nombre: materia.nombre,
+          grupo: h.grupo ?? null,
+          salon: h.salon ?? null,
+          edificio: h.salon ? edificios.get(String(h.salon)) ?? null : null,
+          inicio: h.inicio,
+          fin: h.fin,
+        },
+      });
+      porDia.set(h.dia, arr);
+    }
+  }
+
+  const advertencias = [];
+  for (const [dia, slots] of porDia) {
+    slots.sort((a, b) => toMinutes(a.inicio) - toMinutes(b.inicio));
+
+    // Horas del día en que hay clase: las quincenales cuentan completas (no promedio semanal)
+    const horas = horasDesdeHorarios(slots.map(x => ({ inicio: x.inicio, fin: x.fin })));
+    if (maxHorasDia != null && horas > maxHorasDia) {
+      advertencias.push({
+        tipo: "DIA_RECARGADO",
+        severidad: horas >= maxHorasDia * 1.5 ? "ALTA" : "MEDIA",
+        dia,
+        mensaje: `${horas} h de clase el ${dia} (máximo preferido: ${maxHorasDia} h).`,
+        horas,
+        horarios: slots.map(x => x.ref),
+      });
+    }
+
+    // Pares consecutivos: cada clase contra la anterior que termina más tarde
+    let anterior = null;
+    for (const actual of slots) {
+      if (anterior) {
+        const hueco = toMinutes(actual.inicio) - toMinutes(anterior.fin);
+        const seguidas = hueco >= 0 && fechasEnComun(anterior, actual, opts)?.length !== 0;
+        const { edificio: eA } = anterior.ref;
+        const { edificio: eB } = actual.ref;
+        if (seguidas && minDescansoMinutos != null && eA && eB && eA !== eB && hueco < minDescansoMinutos) {
+          advertencias.push({
+            tipo: "DESCANSO_CORTO",
+            severidad: hueco < minDescansoMinutos / 2 ? "ALTA" : "MEDIA",
+            dia,
+            mensaje: `${hueco} min para ir de ${eA} (${anterior.ref.codigo}) a ${eB} (${actual.ref.codigo}) (mínimo preferido: ${minDescansoMinutos} min).`,
+            minutos: hueco,
+            horarios: [anterior.ref, actual.ref],
+          });
+        }
+        if (seguidas && maxHuecoHoras != null && hueco > 0 && hueco >= maxHuecoHoras * 60) {
+          advertencias.push({
+            tipo: "HUECO_LARGO",
+            severidad: "BAJA",
+            dia,
+            mensaje: `Hueco de ${Math.round((hueco / 60) * 100) / 100} h el ${dia} entre ${anterior.ref.codigo} y ${actual.ref.codigo}.`,
+            horas: Math.round((hueco / 60) * 100) / 100,
+            horarios: [anterior.ref, actual.ref],
+          });
+        }
+      }
+      if (!anterior || toMinutes(actual.fin) > toMinutes(anterior.fin)) anterior = actual;
+    }
+  }
+
+  // Más graves primero
+  return advertencias.sort((a, b) => SEVERIDADES.indexOf(b.severidad) - SEVERIDADES.indexOf(a.severidad));
+}
+
+/** Edificio de cada salón usado en los horarios: Map<salonIdString, edificio> */
+async function cargarEdificios(detalladas) {
+  const ids = [...new Set(detalladas.flatMap(d => d.horarios.map(h => h.salon)).filter(Boolean).map(String))];
+  if (!ids.length) return new Map();
+  const salones = await Salon.find({ _id: { $in: ids } }).select("edificio").lean();
+  return new Map(salones.filter(s => s.edificio).map(s => [String(s._id), s.edificio]));
+}
+
+/**
+ * Detecta choques entre materias ya detalladas (con .materia y .horarios).
+ * opts: { desde, hasta, feriados } del período (ver feriado.contextoFechas)
+ * Devuelve array de conflictos (ver findDayConflicts).
+ */
+function detectarConflictos(detalladas, opts = {}) {
+  const dayBuckets = new Map(); // dia -> array de slots
+  for (const det of detalladas) {
+    const { materia } = det;
+    for (const h of det.horarios) {
+      const arr = dayBuckets.get(h.dia) || [];
+      arr.push({
+        materia: materia._id,
+        codigo: materia.codigo,
+        nombre: materia.nombre,
+        grupo: h.grupo,
+        dia: h.dia,
+        inicio: h.inicio,
+        fin: h.fin,
+        desde: h.desde ?? null,
+        hasta: h.hasta ?? null,
+        recurrencia: h.recurrencia || "SEMANAL",
+      });
+      dayBuckets.set(h.dia, arr);
+    }
+  }
+
+  const conflictos = [];
+  for (const slots of dayBuckets.values()) {
+    conflictos.push(...findDayConflicts(slots, opts));
+  }
+  return conflictos;
+}
+
+/**
+ * Correquisitos que faltan en la selección.
+ * - materias: seleccionadas (lean, con corequisitos poblados)
+ * - Un correquisito está cubierto si está en la selección o ya fue CURSADO/APROBADO.
+ * Devuelve [ { materia:{ _id,codigo,nombre }, correquisito:{ _id,codigo,nombre }, estadoActual } ]
+ */
+function detectarCorequisitosFaltantes(materias, mapEstadoUsuario) {
+  const seleccionadas = new Set(materias.map(m => String(m._id)));
+  const faltantes = [];
+  for (const m of materias) {
+    for (const c of m.corequisitos || []) {
+      const id = String(c?._id || c);
+      const estadoActual = mapEstadoUsuario.get(id) || "PENDIENTE";
+      if (seleccionadas.has(id) || cumplePrevia("CURSO", estadoActual)) continue;
+      faltantes.push({
+        materia: { _id: m._id, codigo: m.codigo, nombre: m.nombre },
+        correquisito: { _id: c?._id || c, codigo: c?.codigo, nombre: c?.nombre },
+        estadoActual,
+      });
+    }
+  }
+  return faltantes;
 }
 
 /**
  * Verifica selección:
- *  - materiaIds: array de ObjectId (string)
+ *  - materiaIds: array de ObjectId (string) o de { materia, grupo } (ver normalizarSeleccion)
  *  - usuarioId: ObjectId del alumno
+ *  - periodo: doc de Periodo ya resuelto (null => Materia.horarios, modo legacy)
+ *  - preferencias: umbrales del request (ver normalizarPreferencias); pisan los del perfil
  * Devuelve:
  *  {
- *    resumen: { seleccionadas, elegibles, noElegibles, conflictos, cargaHoras },
+ *    periodo: { _id, codigo, inicio, fin } | null,
+ *    resumen: { valida, seleccionadas, elegibles, noElegibles, conflictos, advertencias, creditos, cargaHoras,
+ *               topesExcedidos, corequisitosFaltantes:[...] },
+ *      (valida: todas elegibles, sin choques y dentro de los topes; las advertencias no cuentan)
  *    conflictos: [ { dia, a:{...}, b:{...}, solapeMinutos, solape } ],
+ *    advertencias: [ { tipo, severidad, dia, mensaje, horarios:[...] } ],   // ver detectarAdvertencias
+ *    preferencias: { minDescansoMinutos, maxHorasDia, maxHuecoHoras },    // umbrales usados
+ *    topes: { maxCreditos, maxHoras, creditosAprobados, promedio, origen, motivos:[...] },
  *    materias: [
  *      {
  *        materia: { _id,codigo,nombre,semestre,creditos },
@@ -39,13 +290,15 @@ async function loadHistorialMap(usuarioId) {
  *        elegible,
  *        motivos,
  *        previas: [ { tipo, materia:{...}, cumplida, estadoActual } ],
- *        horarios: [ ... ],
+ *        grupo: { codigo, docente, cupo } | null,
+ *        gruposDisponibles: [ codigo ],
+ *        horarios: [ ... ],   // comunes + grupo elegido
  *        cargaHorasMateria
  *      }
  *    ]
  *  }
  */
-async function verificarSeleccion({ materiaIds, usuarioId }) {
+async function verificarSeleccion({ materiaIds, usuarioId, periodo = null, preferencias = {} }) {
   // Validaciones básicas
   if (!Array.isArray(materiaIds) || materiaIds.length === 0) {
     throw new Error("materiaIds requerido (array no vacío)");
@@ -54,52 +307,66 @@ async function verificarSeleccion({ materiaIds, usuarioId }) {
     throw new Error("usuarioId inválido");
   }
 
-  // Normalizamos IDs (únicos)
-  const ids = [...new Set(materiaIds)].filter(Types.ObjectId.isValid);
-  if (ids.length === 0) throw new Error("materiaIds inválidos");
+  // Normalizamos selección (ids únicos + grupo elegido)
+  const seleccion = normalizarSeleccion(materiaIds);
+  if (seleccion.length === 0) throw new Error("materiaIds inválidos");
+  const grupoElegido = new Map(seleccion.map(s => [s.materia, s.grupo]));
 
   // Cargamos materias seleccionadas + previas para evaluar elegibilidad
-  const materias = await Materia.find({ _id: { $in: ids } })
+  const materias = await Materia.find({ _id: { $in: seleccion.map(s => s.materia) } })
+    .activas()
     .populate("previas.materia", "codigo nombre semestre")
+    .populate("corequisitos", "codigo nombre")
     .lean();
 
-  // Historial del usuario para evaluar previas/estado
-  const mapEstadoUsuario = await loadHistorialMap(usuarioId);
+  // Historial del usuario para evaluar previas/estado + oferta del período + perfil y plan
+  const [mapEstadoUsuario, ofertas, usuario, plan] = await Promise.all([
+    loadHistorialMap(usuarioId),
+    ofertaPorMateria(materias.map(m => m._id), periodo),
+    Usuario.findById(usuarioId).select("preferenciasHorario").lean(),
+    loadPlanDeUsuario(usuarioId),
+  ]);
+
+  // Contexto para requisitos compuestos (créditos, semestre completo)
+  const contexto = await cargarContexto(usuarioId, mapEstadoUsuario, plan);
 
-  // Evaluación materia por materia (elegibilidad + carga horaria)
+  // Correquisitos no incluidos en la selección (indexados por materia)
+  const corequisitosFaltantes = detectarCorequisitosFaltantes(materias, mapEstadoUsuario);
+
+  // Evaluación materia por materia (elegibilidad + grupo + correquisitos + carga horaria)
   const detalladas = materias.map(m => {
-    const evalRes = evaluarMateria(m, mapEstadoUsuario);
-    const cargaHorasMateria = horasDesdeHorarios(m.horarios || []);
+    const evalRes = evaluarMateria(m, mapEstadoUsuario, contexto);
+    const oferta = ofertas.get(String(m._id)) || { horarios: [], grupos: [] };
+    const codigoGrupo = grupoElegido.get(String(m._id));
+    const grupo = codigoGrupo ? oferta.grupos.find(g => g.codigo === codigoGrupo) : null;
+
+    const motivos = [...evalRes.motivos];
+    if (codigoGrupo && !grupo) motivos.push(`El grupo ${codigoGrupo} no existe para ${m.codigo}.`);
+    for (const f of corequisitosFaltantes) {
+      if (String(f.materia._id) !== String(m._id)) continue;
+      motivos.push(`Correquisito: ${m.codigo} debe cursarse junto con ${f.correquisito.codigo || f.correquisito._id} (no está en la selección ni cursada).`);
+    }
+
+    const horarios = horariosEfectivos(oferta, grupo);
+    const cargaHorasMateria = horasDesdeHorarios(horarios);
     return {
       ...evalRes,
-      horarios: m.horarios || [],
+      elegible: motivos.length === 0,
+      motivos,
+      grupo: grupo ? { codigo: grupo.codigo, docente: grupo.docente ?? null, cupo: grupo.cupo ?? null } : null,
+      gruposDisponibles: oferta.grupos.map(g => g.codigo),
+      horarios,
       cargaHorasMateria,
     };
   });
 
-  // Armar slots por día para detectar choques entre TODAS las seleccionadas
-  const dayBuckets = new Map(); // dia -> array de slots
-  for (const det of detalladas) {
-    const { materia } = det;
-    for (const h of det.horarios) {
-      const arr = dayBuckets.get(h.dia) || [];
-      arr.push({
-        materia: materia._id,
-        codigo: materia.codigo,
-        nombre: materia.nombre,
-        dia: h.dia,
-        inicio: h.inicio,
-        fin: h.fin,
-      });
-      dayBuckets.set(h.dia, arr);
-    }
-  }
+  // Choques entre TODAS las seleccionadas (solo horarios efectivos)
+  const fechas = await contextoFechas(periodo);
+  const conflictos = detectarConflictos(detalladas, fechas);
 
-  // Buscar conflictos por día
-  const conflictos = [];
-  for (const [dia, slots] of dayBuckets.entries()) {
-    conflictos.push(...findDayConflicts(slots));
-  }
+  // Restricciones blandas con los umbrales efectivos
+  const umbrales = resolverPreferencias(usuario?.preferenciasHorario, preferencias);
+  const advertencias = detectarAdvertencias(detalladas, umbrales, fechas, await cargarEdificios(detalladas));
 
   // Resumen
   const seleccionadas = detalladas.length;
@@ -108,12 +375,47 @@ async function verificarSeleccion({ materiaIds, usuarioId }) {
   const cargaHoras = Math.round(
     detalladas.reduce((acc, x) => acc + x.cargaHorasMateria, 0) * 100
   ) / 100;
+  const creditos = materias.reduce((acc, m) => acc + (m.creditos || 0), 0);
+
+  // Topes por semestre (créditos y horas de toda la selección)
+  const tope = await topeDelAlumno({ usuarioId, plan, creditosAprobados: contexto.creditosAprobados });
+  const motivosTopes = motivosDeTopes(tope, { creditos, horas: cargaHoras });
 
   return {
-    resumen: { seleccionadas, elegibles, noElegibles, conflictos: conflictos.length, cargaHoras },
+    periodo: toPeriodoRef(periodo),
+    resumen: {
+      valida: noElegibles === 0 && conflictos.length === 0 && motivosTopes.length === 0,
+      seleccionadas, elegibles, noElegibles,
+      conflictos: conflictos.length,
+      advertencias: advertencias.length,
+      creditos, cargaHoras,
+      topesExcedidos: motivosTopes.length,
+      corequisitosFaltantes,
+    },
     conflictos,
+    advertencias,
+    preferencias: umbrales,
+    topes: {
+      maxCreditos: tope.maxCreditos,
+      maxHoras: tope.maxHoras,
+      creditosAprobados: tope.creditosAprobados,
+      promedio: tope.promedio,
+      origen: tope.origen,
+      motivos: motivosTopes,
+    },
     materias: detalladas,
   };
 }
 
-module.exports = { verificarSeleccion };
+module.exports = {
+  verificarSeleccion,
+  // helpers reutilizables (generador, tests)
+  normalizarSeleccion,
+  horariosEfectivos,
+  detectarConflictos,
+  normalizarPreferencias,
+  resolverPreferencias,
+  detectarAdvertencias,
+  PREFERENCIAS_DEFAULT,
+  detectarCorequisitosFaltantes,
+};
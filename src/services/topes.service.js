@@ -0,0 +1,136 @@
+/**
+ * Servicio de Topes de Selección
+ * ==============================
+ * Responsabilidad:
+ *  - Topes de créditos y horas por semestre para la selección (ver verificarSeleccion).
+ *  - Reglas por plan (Plan.topes), opcionalmente condicionadas por los créditos
+ *    aprobados o el promedio del alumno (Historial APROBADO con notaExamen).
+ *
+ * Reglas:
+ *  - Cada regla: { minCreditosAprobados?, minPromedio?, maxCreditos?, maxHoras? }.
+ *  - Aplican todas las reglas cuyas condiciones cumple el alumno; por dimensión vale
+ *    el tope más alto entre las que lo definen (así una regla "buen promedio" sube el tope
+ *    de la regla base sin repetir el resto).
+ *  - maxCreditos/maxHoras null => la regla no limita esa dimensión.
+ *  - Sin plan o plan sin reglas: regla base de SELECCION_MAX_CREDITOS / SELECCION_MAX_HORAS
+ *    (env); si tampoco están, no hay topes.
+ */
+
+const { Types } = require("mongoose");
+const Historial = require("../models/historial.model");
+
+const CAMPOS = ["minCreditosAprobados", "minPromedio", "maxCreditos", "maxHoras"];
+const NOTA_MAXIMA = 12;
+
+/**
+ * Valida y normaliza las reglas (body del plan). Devuelve { topes } o { error }.
+ */
+function normalizarTopes(topes) {
+  if (!Array.isArray(topes)) return { error: "topes debe ser un array" };
+  const out = [];
+  for (const [i, t] of topes.entries()) {
+    if (!t || typeof t !== "object") return { error: `topes[${i}] debe ser un objeto` };
+    const regla = {};
+    for (const campo of CAMPOS) {
+      if (t[campo] == null) { regla[campo] = campo === "minCreditosAprobados" ? 0 : null; continue; }
+      const n = Number(t[campo]);
+      if (!Number.isFinite(n) || n < 0) return { error: `topes[${i}].${campo} debe ser un número >= 0` };
+      if (campo === "minPromedio" && n > NOTA_MAXIMA) return { error: `topes[${i}].minPromedio debe ser <= ${NOTA_MAXIMA}` };
+      regla[campo] = n;
+    }
+    if (regla.maxCreditos == null && regla.maxHoras == null) {
+      return { error: `topes[${i}] debe definir maxCreditos y/o maxHoras` };
+    }
+    out.push(regla);
+  }
+  return { topes: out };
+}
+
+/** Regla base desde el entorno (o [] si no está configurada) */
+function topesPorDefecto() {
+  const maxCreditos = Number(process.env.SELECCION_MAX_CREDITOS) || null;
+  const maxHoras = Number(process.env.SELECCION_MAX_HORAS) || null;
+  return maxCreditos || maxHoras ? [{ minCreditosAprobados: 0, minPromedio: null, maxCreditos, maxHoras }] : [];
+}
+
+/** Promedio de las notas de examen de las materias APROBADAS (null si no hay notas) */
+async function calcularPromedio(usuarioId) {
+  // aggregate no castea: el id tiene que ir como ObjectId
+  const [r] = await Historial.aggregate([
+    { $match: { usuario: new Types.ObjectId(String(usuarioId)), estado: "APROBADO", notaExamen: { $ne: null } } },
+    { $group: { _id: null, promedio: { $avg: "$notaExamen" } } },
+  ]);
+  return r ? Math.round(r.promedio * 100) / 100 : null;
+}
+
+/**
+ * Tope aplicable (función pura).
+ * - reglas: ver normalizarTopes
+ * - alumno: { creditosAprobados, promedio }
+ * Devuelve { maxCreditos, maxHoras, reglas:[índices que aplican] }
+ */
+function topeAplicable(reglas, { creditosAprobados = 0, promedio = null } = {}) {
+  const aplican = [];
+  let maxCreditos = null;
+  let maxHoras = null;
+  reglas.forEach((r, i) => {
+    if (creditosAprobados < (r.minCreditosAprobados || 0)) return;
+    if (r.minPromedio != null && (promedio == null || promedio < r.minPromedio)) return;
+    aplican.push(i);
+    if (r.maxCreditos != null) maxCreditos = Math.max(maxCreditos ?? 0, r.maxCreditos);
+    if (r.maxHoras != null) maxHoras = Math.max(maxHoras ?? 0, r.maxHoras);
+  });
+  return { maxCreditos, maxHoras, reglas: aplican };
+}
+
+/**
+ * Compara la selección contra el tope (función pura).
+ * - tope: ver topeAplicable (+ creditosAprobados / promedio para explicar el motivo)
+ * - seleccion: { creditos, horas }
+ * Devuelve motivos (vacío => dentro de los topes).
+ */
+function motivosDeTopes(tope, { creditos, horas }) {
+  const motivos = [];
+  const base = [
+    `${tope.creditosAprobados ?? 0} créditos aprobados`,
+    tope.promedio != null ? `promedio ${tope.promedio}` : "sin promedio",
+  ].join(", ");
+  if (tope.maxCreditos != null && creditos > tope.maxCreditos) {
+    motivos.push(`La selección suma ${creditos} créditos y el tope por semestre es ${tope.maxCreditos} (${base}).`);
+  }
+  if (tope.maxHoras != null && horas > tope.maxHoras) {
+    motivos.push(`La selección suma ${horas} h semanales y el tope por semestre es ${tope.maxHoras} h (${base}).`);
+  }
+  return motivos;
+}
+
+/**
+ * Tope del alumno.
+ * - plan: plan del alumno (lean) o null
+ * - creditosAprobados: ya calculados (ver elegibilidad.cargarContexto)
+ * Devuelve { maxCreditos, maxHoras, reglas, creditosAprobados, promedio, origen: "PLAN"|"DEFAULT"|null }
+ */
+async function topeDelAlumno({ usuarioId, plan = null, creditosAprobados = 0 }) {
+  const dePlan = plan?.topes?.length ? plan.topes : null;
+  const reglas = dePlan || topesPorDefecto();
+  if (!reglas.length) return { maxCreditos: null, maxHoras: null, reglas: [], creditosAprobados, promedio: null, origen: null };
+
+  const necesitaPromedio = reglas.some(r => r.minPromedio != null);
+  const promedio = necesitaPromedio ? await calcularPromedio(usuarioId) : null;
+  return {
+    ...topeAplicable(reglas, { creditosAprobados, promedio }),
+    creditosAprobados,
+    promedio,
+    origen: dePlan ? "PLAN" : "DEFAULT",
+  };
+}
+
+module.exports = {
+  topeDelAlumno,
+  calcularPromedio,
+  normalizarTopes,
+  // helpers puros (tests)
+  topeAplicable,
+  motivosDeTopes,
+  topesPorDefecto,
+};
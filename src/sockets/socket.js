@@ -1,15 +1,20 @@
 /**
  * Socket.IO + Bus Bridge
  * ======================
- * - Auth con JWT (Access) en el handshake
+ * - Auth con JWT (Access) en el handshake; se rechaza a los usuarios dados de baja
+ *   (y al darlos de baja se desconectan sus sockets abiertos)
  * - Room por usuario: "user:<id>"
  * - Puentea bus -> WS:
  *    * materia:creada/actualizada/eliminada -> io.emit(...)
- *    * historial:actualizado -> io.to("user:<usuarioId>").emit(...)
+ *    * historial:actualizado/eliminado -> io.to("user:<usuarioId>").emit(...)
+ *    * revalidacion:resuelta -> io.to("user:<usuarioId>").emit(...)
+ *    * inscripcion:enviada/resuelta/promovida -> io.to("user:<usuarioId>").emit(...)
+ *    * cupo:actualizado -> io.emit(...) (ocupación en vivo para el tablero)
  */
 const { Server } = require("socket.io");
 const jwt = require("jsonwebtoken");
 const bus = require("../events/bus");
+const Usuario = require("../models/usuario.model");
 const { logger } = require("../logger/logger");
 
 let ioRef = null;
@@ -39,15 +44,24 @@ function initSocket(httpServer) {
   ioRef = io;
 
   // Auth de cada conexión
-  io.use((socket, next) => {
+  io.use(async (socket, next) => {
+    const token = getTokenFromHandshake(socket);
+    if (!token) return next(new Error("missing_token"));
+    let payload;
     try {
-      const token = getTokenFromHandshake(socket);
-      if (!token) return next(new Error("missing_token"));
-      const payload = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+      payload = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+    } catch (err) {
+      return next(new Error("invalid_token"));
+    }
+    try {
+      // Igual que requireAuth: el token de un usuario dado de baja no sirve
+      const activo = await Usuario.exists({ _id: payload.sub, eliminadoEn: null });
+      if (!activo) return next(new Error("user_not_found"));
       socket.user = { _id: payload.sub, email: payload.email, rol: payload.rol };
       next();
     } catch (err) {
-      next(new Error("invalid_token"));
+      logger.warn("WS: no se pudo verificar el usuario", { err: err?.message });
+      next(new Error("auth_error"));
     }
   });
 
@@ -67,6 +81,9 @@ function initSocket(httpServer) {
   });
 
   // ---- Puente bus -> WS ----
+  // Usuario dado de baja: cortamos sus conexiones abiertas
+  bus.on("usuario:eliminado", ({ userId }) => io.in(`user:${userId}`).disconnectSockets(true));
+
   // Materias (broadcast)
   bus.on("materia:creada",      (payload) => io.emit("materia:creada", payload));
   bus.on("materia:actualizada", (payload) => io.emit("materia:actualizada", payload));
@@ -76,6 +93,28 @@ function initSocket(httpServer) {
   bus.on("historial:actualizado", (payload) => {
     if (payload?.usuarioId) io.to(`user:${payload.usuarioId}`).emit("historial:actualizado", payload);
   });
+  bus.on("historial:eliminado", (payload) => {
+    if (payload?.usuarioId) io.to(`user:${payload.usuarioId}`).emit("historial:eliminado", payload);
+  });
+
+  // Revalidaciones (dirigido al solicitante)
+  bus.on("revalidacion:resuelta", (payload) => {
+    if (payload?.usuarioId) io.to(`user:${payload.usuarioId}`).emit("revalidacion:resuelta", payload);
+  });
+
+  // Inscripciones (dirigido al alumno)
+  bus.on("inscripcion:enviada", (payload) => {
+    if (payload?.usuarioId) io.to(`user:${payload.usuarioId}`).emit("inscripcion:enviada", payload);
+  });
+  bus.on("inscripcion:resuelta", (payload) => {
+    if (payload?.usuarioId) io.to(`user:${payload.usuarioId}`).emit("inscripcion:resuelta", payload);
+  });
+  bus.on("inscripcion:promovida", (payload) => {
+    if (payload?.usuarioId) io.to(`user:${payload.usuarioId}`).emit("inscripcion:promovida", payload);
+  });
+
+  // Cupos (broadcast: lugares disponibles por materia/grupo)
+  bus.on("cupo:actualizado", (payload) => io.emit("cupo:actualizado", payload));
 
   // (Opcional) otros eventos útiles
   bus.on("elegibilidad:consultada", (payload) => {
@@ -0,0 +1,140 @@
+/**
+ * Utils de Grilla Semanal
+ * =======================
+ * Funciones puras para pasar el informe de verificarSeleccion a una grilla
+ * LUN–SAB × horas, lista para dibujar (vista EJS o PDF):
+ *  - Un bloque por horario, con su posición en minutos desde el inicio de la grilla
+ *  - Carriles: bloques que se pisan en el mismo día se dibujan lado a lado
+ *  - Solapes de "conflictos" como franjas aparte (se pintan en rojo)
+ *
+ * Notas:
+ *  - La grilla arranca y termina en hora en punto (mínimo 4 horas de alto).
+ *  - Un bloque está "en conflicto" si aparece como a o b en algún conflicto.
+ */
+
+const { DIAS, toMinutes, toHHMM } = require("./horario.util");
+
+const NOMBRE_DIA = { LUN: "Lunes", MAR: "Martes", MIE: "Miércoles", JUE: "Jueves", VIE: "Viernes", SAB: "Sábado" };
+
+/** Paleta de colores (fondo claro, legible impreso en B/N) por materia */
+const PALETA = ["#dbeafe", "#dcfce7", "#fef9c3", "#f3e8ff", "#ffedd5", "#cffafe", "#fce7f3", "#e0e7ff", "#ecfccb", "#f1f5f9"];
+const COLOR_CONFLICTO = "#dc2626";
+
+const claveSlot = (materiaId, h) => `${materiaId}|${h.dia}|${h.inicio}|${h.fin}`;
+
+/** Asigna carril a cada bloque de un día (greedy por inicio). Devuelve cantidad de carriles. */
+function asignarCarriles(bloques) {
+  const finPorCarril = [];
+  for (const b of [...bloques].sort((x, y) => x.inicioMin - y.inicioMin || y.finMin - x.finMin)) {
+    let carril = finPorCarril.findIndex(fin => fin <= b.inicioMin);
+    if (carril < 0) carril = finPorCarril.length;
+    finPorCarril[carril] = b.finMin;
+    b.carril = carril;
+  }
+  return Math.max(1, finPorCarril.length);
+}
+
+/**
+ * Arma la grilla.
+ * - verificacion: salida de verificarSeleccion ({ periodo, resumen, conflictos, materias })
+ * - salones: Map<salonIdString, { codigo, nombre }> (opcional, para mostrar el aula)
+ * Devuelve {
+ *   periodo, resumen, conflictos,
+ *   desde:"HH:mm", hasta:"HH:mm", minutos, horas:["08:00", ...],
+ *   dias: [ { dia, nombre, carriles, bloques:[...], solapes:[...] } ],
+ *   materias: [ { _id, codigo, nombre, grupo, color, elegible, cargaHoras, conflicto } ]
+ * }
+ * bloque: { materia, codigo, nombre, grupo, salon, inicio, fin, desdeMin, duracionMin, carril, color, conflicto, quincenal }
+ * solape: { inicio, fin, desdeMin, duracionMin, entre:[codigoA, codigoB] }
+ */
+function armarGrilla(verificacion, { salones = new Map() } = {}) {
+  const enConflicto = new Set();
+  for (const c of verificacion.conflictos || []) {
+    enConflicto.add(claveSlot(c.a.materia, { dia: c.dia, ...c.a }));
+    enConflicto.add(claveSlot(c.b.materia, { dia: c.dia, ...c.b }));
+  }
+
+  const materias = [];
+  const bloques = [];
+  (verificacion.materias || []).forEach((det, i) => {
+    const m = det.materia;
+    const color = PALETA[i % PALETA.length];
+    let conflicto = false;
+    for (const h of det.horarios || []) {
+      const enChoque = enConflicto.has(claveSlot(m._id, h));
+      conflicto = conflicto || enChoque;
+      const salon = h.salon ? salones.get(String(h.salon)) : null;
+      bloques.push({
+        materia: String(m._id),
+        codigo: m.codigo,
+        nombre: m.nombre,
+        grupo: h.grupo || null,
+        salon: salon ? salon.codigo : null,
+        dia: h.dia,
+        inicio: h.inicio,
+        fin: h.fin,
+        inicioMin: toMinutes(h.inicio),
+        finMin: toMinutes(h.fin),
+        color,
+        conflicto: enChoque,
+        quincenal: h.recurrencia === "QUINCENAL",
+      });
+    }
+    materias.push({
+      _id: String(m._id),
+      codigo: m.codigo,
+      nombre: m.nombre,
+      grupo: det.grupo?.codigo || null,
+      color,
+      elegible: det.elegible,
+      cargaHoras: det.cargaHorasMateria,
+      conflicto,
+    });
+  });
+
+  // Rango horario: de la primera hora en punto a la última, mínimo 4 horas
+  let ini = bloques.length ? Math.min(...bloques.map(b => b.inicioMin)) : 8 * 60;
+  let fin = bloques.length ? Math.max(...bloques.map(b => b.finMin)) : 12 * 60;
+  ini = Math.floor(ini / 60) * 60;
+  fin = Math.max(Math.ceil(fin / 60) * 60, ini + 4 * 60);
+  const horas = [];
+  for (let t = ini; t < fin; t += 60) horas.push(toHHMM(t));
+
+  const dias = [...DIAS].map(dia => {
+    const delDia = bloques.filter(b => b.dia === dia);
+    const carriles = asignarCarriles(delDia);
+    const solapes = (verificacion.conflictos || [])
+      .filter(c => c.dia === dia)
+      .map(c => {
+        const s = Math.max(toMinutes(c.a.inicio), toMinutes(c.b.inicio));
+        const e = Math.min(toMinutes(c.a.fin), toMinutes(c.b.fin));
+        return { inicio: toHHMM(s), fin: toHHMM(e), desdeMin: s - ini, duracionMin: e - s, entre: [c.a.codigo, c.b.codigo] };
+      });
+    return {
+      dia,
+      nombre: NOMBRE_DIA[dia],
+      carriles,
+      bloques: delDia.map(({ inicioMin, finMin, ...b }) => ({ ...b, desdeMin: inicioMin - ini, duracionMin: finMin - inicioMin })),
+      solapes,
+    };
+  });
+
+  return {
+    periodo: verificacion.periodo ?? null,
+    resumen: verificacion.resumen ?? null,
+    conflictos: verificacion.conflictos || [],
+    desde: toHHMM(ini),
+    hasta: toHHMM(fin),
+    minutos: fin - ini,
+    horas,
+    dias,
+    materias,
+  };
+}
+
+module.exports = {
+  NOMBRE_DIA,
+  COLOR_CONFLICTO,
+  armarGrilla,
+  asignarCarriles,
+};
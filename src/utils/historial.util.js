@@ -0,0 +1,113 @@
+/**
+ * Utils de Historial (máquina de estados)
+ * =======================================
+ * Definición única de los estados académicos y sus reglas; la usan el modelo,
+ * los controladores de historial, elegibilidad, créditos y equivalencias.
+ *
+ *  PENDIENTE ─► EN_CURSO ─► CURSADO ─► A_EXAMEN ─► APROBADO
+ *      ▲           │           │  ▲        │
+ *      └───────────┘           │  └────────┘ (examen reprobado)
+ *        (baja del curso)      └──────────────► APROBADO (examen directo)
+ *
+ * Reglas:
+ *  - Quedarse en el mismo estado siempre se permite (corregir nota/fecha).
+ *  - APROBADO es final.
+ *  - Reconocimientos (reválidas): lo hecho en otra institución puede saltar estados
+ *    hacia adelante (PENDIENTE ─► APROBADO), nunca hacia atrás; los campos se exigen igual.
+ *  - Campos requeridos por estado (CAMPOS_REQUERIDOS):
+ *      * CURSADO / A_EXAMEN: fecha (cierre del curso / fecha de examen)
+ *      * APROBADO: fecha y notaExamen >= NOTA_APROBACION
+ *  - Nivel de logro (NIVEL): A_EXAMEN ya está cursada, así que cumple previas
+ *    de CURSO igual que CURSADO; solo APROBADO cumple previas de EXAMEN.
+ */
+
+const ESTADOS = ["PENDIENTE", "EN_CURSO", "CURSADO", "A_EXAMEN", "APROBADO"];
+
+/** Estado -> nivel de logro (mayor = más avanzado) */
+const NIVEL = { PENDIENTE: 0, EN_CURSO: 1, CURSADO: 2, A_EXAMEN: 3, APROBADO: 4 };
+
+/** Transiciones permitidas desde cada estado (además de quedarse igual) */
+const TRANSICIONES = {
+  PENDIENTE: ["EN_CURSO"],
+  EN_CURSO: ["PENDIENTE", "CURSADO"],
+  CURSADO: ["A_EXAMEN", "APROBADO"],
+  A_EXAMEN: ["CURSADO", "APROBADO"],
+  APROBADO: [],
+};
+
+/** Nota mínima de aprobación (escala 0..12) */
+const NOTA_APROBACION = 3;
+
+/** Campos obligatorios por estado */
+const CAMPOS_REQUERIDOS = {
+  CURSADO: ["fecha"],
+  A_EXAMEN: ["fecha"],
+  APROBADO: ["fecha", "notaExamen"],
+};
+
+/** Nivel de logro de un estado (desconocido/ausente => PENDIENTE) */
+const nivelDe = (estado) => NIVEL[estado || "PENDIENTE"] ?? 0;
+
+const esEstado = (estado) => ESTADOS.includes(estado);
+
+/**
+ * Valida los campos de un registro según su estado.
+ * Devuelve [{ campo, mensaje }] (vacío si es válido).
+ */
+function validarCampos({ estado, notaExamen, fecha }) {
+  const violaciones = [];
+  for (const campo of CAMPOS_REQUERIDOS[estado] || []) {
+    const valor = campo === "fecha" ? fecha : notaExamen;
+    if (valor == null || valor === "") violaciones.push({ campo, mensaje: `Falta ${campo} (requerido para el estado ${estado})` });
+  }
+  if (fecha != null && fecha !== "" && Number.isNaN(new Date(fecha).getTime())) {
+    violaciones.push({ campo: "fecha", mensaje: "fecha inválida" });
+  }
+  if (notaExamen != null && notaExamen !== "") {
+    const nota = Number(notaExamen);
+    if (!(nota >= 0 && nota <= 12)) {
+      violaciones.push({ campo: "notaExamen", mensaje: "notaExamen debe estar entre 0 y 12" });
+    } else if (estado === "APROBADO" && nota < NOTA_APROBACION) {
+      violaciones.push({ campo: "notaExamen", mensaje: `Para APROBADO la nota debe ser >= ${NOTA_APROBACION}` });
+    }
+  }
+  return violaciones;
+}
+
+/** Estados a los que se puede pasar desde "desde" (reconocimiento: cualquiera más avanzado) */
+function permitidosDesde(desde, { reconocimiento = false } = {}) {
+  if (!reconocimiento) return TRANSICIONES[desde] || [];
+  return ESTADOS.filter(e => nivelDe(e) > nivelDe(desde));
+}
+
+/**
+ * Valida el paso de "actual" (estado o null si no hay registro => PENDIENTE)
+ * a "nuevo" = { estado, notaExamen, fecha } (ya combinado con lo guardado).
+ * opts: { reconocimiento } para reválidas (ver cabecera).
+ * Devuelve [{ campo, mensaje }] (vacío si es válido).
+ */
+function validarTransicion(actual, nuevo, opts = {}) {
+  if (!esEstado(nuevo.estado)) {
+    return [{ campo: "estado", mensaje: `estado inválido (${ESTADOS.join(", ")})` }];
+  }
+  const desde = actual || "PENDIENTE";
+  const violaciones = [];
+  const permitidos = permitidosDesde(desde, opts);
+  if (desde !== nuevo.estado && !permitidos.includes(nuevo.estado)) {
+    const lista = permitidos.length ? permitidos.join(", ") : "ninguno (estado final)";
+    violaciones.push({ campo: "estado", mensaje: `No se puede pasar de ${desde} a ${nuevo.estado} (permitidos: ${lista})` });
+  }
+  return [...violaciones, ...validarCampos(nuevo)];
+}
+
+module.exports = {
+  ESTADOS,
+  NIVEL,
+  TRANSICIONES,
+  NOTA_APROBACION,
+  CAMPOS_REQUERIDOS,
+  nivelDe,
+  esEstado,
+  validarCampos,
+  validarTransicion,
+};
@@ -2,14 +2,22 @@
  * Utils de Horarios
  * =================
  * Funciones puras para:
- *  - Validar formato HH:mm
+ *  - Validar formato HH:mm y horarios completos (dia + rango + salón opcional)
  *  - Convertir HH:mm ↔ minutos
  *  - Detectar solapes entre intervalos del mismo día
+ *  - Calcular en qué fechas ocurre un horario (vigencia desde/hasta, recurrencia
+ *    SEMANAL o QUINCENAL, feriados) para reportar solo choques reales
  *  - Calcular carga horaria (en horas) a partir de horarios
  */
 
 const DIAS = new Set(["LUN","MAR","MIE","JUE","VIE","SAB"]);
 const HHMM = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const YYYY_MM_DD = /^\d{4}-\d{2}-\d{2}$/;
+const OBJECT_ID = /^[a-f\d]{24}$/i;
+const RECURRENCIAS = new Set(["SEMANAL", "QUINCENAL"]);
+// Índice de día de la semana como en Date#getUTCDay (domingo = 0)
+const DIA_INDEX = { LUN: 1, MAR: 2, MIE: 3, JUE: 4, VIE: 5, SAB: 6 };
+const DIA_MS = 24 * 60 * 60 * 1000;
 
 function isDia(d) { return DIAS.has(d); }
 function isHHMM(s) { return typeof s === "string" && HHMM.test(s); }
@@ -25,6 +33,96 @@ function toHHMM(mins) {
   return `${String(h).padStart(2,"0")}:${String(m).padStart(2,"0")}`;
 }
 
+/**
+ * Fecha válida o null.
+ * - Date (p.ej. leída de la base): se devuelve si es válida
+ * - string: solo "YYYY-MM-DD" con un día que exista (medianoche UTC); "2026-02-30",
+ *   timestamps o formatos locales ("03/04/2026") no se aceptan
+ */
+function toFecha(v) {
+  if (v instanceof Date) return Number.isNaN(v.getTime()) ? null : v;
+  if (typeof v !== "string" || !YYYY_MM_DD.test(v)) return null;
+  const d = new Date(`${v}T00:00:00.000Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === v ? d : null;
+}
+
+/** Fecha como "YYYY-MM-DD" (UTC): clave de día para comparar ocurrencias y feriados */
+function toISODate(d) {
+  return new Date(d).toISOString().slice(0, 10);
+}
+
+/**
+ * Valida un horario completo: día conocido, HH:mm en ambos extremos e inicio < fin.
+ * salon/docente (opcionales) deben ser ObjectId (la existencia se valida en
+ * salon.service / docente.service).
+ * desde/hasta (opcionales): fechas de vigencia, desde <= hasta.
+ * recurrencia (opcional): SEMANAL (default) o QUINCENAL.
+ */
+function horarioValido({ dia, inicio, fin, salon, docente, desde, hasta, recurrencia } = {}) {
+  if (!isDia(dia)) return false;
+  if (salon != null && !OBJECT_ID.test(String(salon))) return false;
+  if (docente != null && !OBJECT_ID.test(String(docente))) return false;
+  if (recurrencia != null && !RECURRENCIAS.has(recurrencia)) return false;
+  if ((desde != null && !toFecha(desde)) || (hasta != null && !toFecha(hasta))) return false;
+  if (desde != null && hasta != null && toFecha(desde) > toFecha(hasta)) return false;
+  if (!isHHMM(inicio) || !isHHMM(fin)) return false;
+  return toMinutes(inicio) < toMinutes(fin);
+}
+
+/**
+ * Fechas ("YYYY-MM-DD") en las que ocurre un horario.
+ * - h: { dia, desde?, hasta?, recurrencia? }
+ * - opts: { desde?, hasta? } rango de consulta (p.ej. el período), feriados: Set<"YYYY-MM-DD">
+ * La primera ocurrencia es el primer "dia" desde h.desde (o opts.desde); las
+ * quincenales alternan a partir de ella. Sin rango acotado devuelve null
+ * (horario semanal "de siempre": no se puede enumerar).
+ */
+function fechasDeHorario(h, { desde, hasta, feriados = new Set() } = {}) {
+  const ancla = toFecha(h.desde) || toFecha(desde);
+  const inicios = [toFecha(h.desde), toFecha(desde)].filter(Boolean);
+  const finales = [toFecha(h.hasta), toFecha(hasta)].filter(Boolean);
+  if (!ancla || !inicios.length || !finales.length) return null;
+  const ini = new Date(Math.max(...inicios));
+  const fin = new Date(Math.min(...finales));
+
+  // Primera ocurrencia (medianoche UTC) a partir del ancla
+  let t = Date.UTC(ancla.getUTCFullYear(), ancla.getUTCMonth(), ancla.getUTCDate());
+  t += ((DIA_INDEX[h.dia] - new Date(t).getUTCDay() + 7) % 7) * DIA_MS;
+  const paso = (h.recurrencia === "QUINCENAL" ? 14 : 7) * DIA_MS;
+
+  const desdeKey = toISODate(ini);
+  const hastaKey = toISODate(fin);
+  const fechas = [];
+  for (; toISODate(t) <= hastaKey; t += paso) {
+    const key = toISODate(t);
+    if (key >= desdeKey && !feriados.has(key)) fechas.push(key);
+  }
+  return fechas;
+}
+
+/** ¿El horario tiene información de fechas (vigencia o recurrencia no semanal)? */
+function tieneFechas(h) {
+  return h.desde != null || h.hasta != null || (h.recurrencia != null && h.recurrencia !== "SEMANAL");
+}
+
+/**
+ * Fechas en que ocurren ambos horarios, o null si no se pueden enumerar
+ * (ambos semanales sin rango: se asume que coinciden todas las semanas).
+ */
+function fechasEnComun(a, b, opts = {}) {
+  // Vigencias disjuntas: nunca coinciden, aunque no se puedan enumerar las fechas
+  const [aDesde, aHasta, bDesde, bHasta] = [a.desde, a.hasta, b.desde, b.hasta].map(toFecha);
+  if ((aHasta && bDesde && aHasta < bDesde) || (bHasta && aDesde && bHasta < aDesde)) return [];
+
+  const fa = fechasDeHorario(a, opts);
+  const fb = fechasDeHorario(b, opts);
+  if (fa === null && fb === null) return null;
+  if (fa === null) return fb;
+  if (fb === null) return fa;
+  const setB = new Set(fb);
+  return fa.filter(f => setB.has(f));
+}
+
 /**
  * Devuelve true si dos intervalos [aInicio, aFin) y [bInicio, bFin) se solapan
  * Regla: max(inicio) < min(fin)
@@ -35,11 +133,16 @@ function intervalsOverlap(aInicio, aFin, bInicio, bFin) {
 
 /**
  * Detecta solapes entre horarios de distintas materias en el MISMO DÍA.
- * - Entrada: array de objetos { materia, codigo, nombre, dia, inicio, fin }
+ * - Entrada: array de objetos { materia, codigo, nombre, grupo?, salon?, dia, inicio, fin,
+ *            desde?, hasta?, recurrencia? }
+ * - opts: { desde?, hasta?, feriados? } (ver fechasDeHorario). Si los slots tienen
+ *   fechas o se pasa un rango, solo se reporta el choque si hay fechas en que
+ *   ocurren ambos (y se informan en "fechas").
  * - Salida: array de conflictos, cada uno con:
- *      { dia, a:{materia,codigo,nombre,inicio,fin}, b:{...}, solapeMinutos }
+ *      { dia, a:{materia,codigo,nombre,grupo,inicio,fin}, b:{...}, solapeMinutos, fechas? }
  */
-function findDayConflicts(daySlots) {
+function findDayConflicts(daySlots, opts = {}) {
+  const usarFechas = opts.desde != null || opts.hasta != null || daySlots.some(tieneFechas);
   // Ordenamos por inicio para comparar vecinos eficientemente
   const slots = [...daySlots].sort((x,y) => toMinutes(x.inicio) - toMinutes(y.inicio));
   const conflicts = [];
@@ -50,14 +153,19 @@ function findDayConflicts(daySlots) {
       const a1 = toMinutes(A.inicio), a2 = toMinutes(A.fin);
       const b1 = toMinutes(B.inicio), b2 = toMinutes(B.fin);
       if (intervalsOverlap(a1, a2, b1, b2)) {
+        // Mismo rango horario pero quizá nunca la misma fecha (vigencias, quincenas, feriados)
+        const fechas = usarFechas ? fechasEnComun(A, B, opts) : null;
+        if (fechas && fechas.length === 0) continue;
+
         const overlapStart = Math.max(a1, b1);
         const overlapEnd   = Math.min(a2, b2);
         conflicts.push({
           dia: A.dia,
-          a: { materia: A.materia, codigo: A.codigo, nombre: A.nombre, inicio: A.inicio, fin: A.fin },
-          b: { materia: B.materia, codigo: B.codigo, nombre: B.nombre, inicio: B.inicio, fin: B.fin },
+          a: { materia: A.materia, codigo: A.codigo, nombre: A.nombre, grupo: A.grupo, salon: A.salon, inicio: A.inicio, fin: A.fin },
+          b: { materia: B.materia, codigo: B.codigo, nombre: B.nombre, grupo: B.grupo, salon: B.salon, inicio: B.inicio, fin: B.fin },
           solapeMinutos: overlapEnd - overlapStart,
           solape: `${toHHMM(overlapStart)}–${toHHMM(overlapEnd)}`,
+          ...(fechas ? { fechas } : {}),
         });
       } else {
         // slots están ordenados; si B empieza después de que A termina y no solapan,
@@ -70,12 +178,16 @@ function findDayConflicts(daySlots) {
 }
 
 /**
- * Calcula carga horaria total (en horas decimales) de un conjunto de horarios.
- * - Entrada: array de { inicio:'HH:mm', fin:'HH:mm' }
+ * Calcula carga horaria semanal (en horas decimales) de un conjunto de horarios.
+ * - Entrada: array de { inicio:'HH:mm', fin:'HH:mm', recurrencia? }
+ * - Los QUINCENALES cuentan la mitad (una semana sí y otra no)
  * - Salida: número en horas, con 2 decimales (ej. 5.5)
  */
 function horasDesdeHorarios(horarios) {
-  const totalMins = (horarios || []).reduce((acc, h) => acc + (toMinutes(h.fin) - toMinutes(h.inicio)), 0);
+  const totalMins = (horarios || []).reduce((acc, h) => {
+    const mins = toMinutes(h.fin) - toMinutes(h.inicio);
+    return acc + (h.recurrencia === "QUINCENAL" ? mins / 2 : mins);
+  }, 0);
   return Math.round((totalMins / 60) * 100) / 100;
 }
 
@@ -85,6 +197,11 @@ module.exports = {
   isHHMM,
   toMinutes,
   toHHMM,
+  horarioValido,
+  toFecha,
+  toISODate,
+  fechasDeHorario,
+  fechasEnComun,
   intervalsOverlap,
   findDayConflicts,
   horasDesdeHorarios,
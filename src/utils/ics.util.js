@@ -0,0 +1,144 @@
+/**
+ * Utils de iCalendar (RFC 5545)
+ * =============================
+ * Funciones puras para armar un .ics con eventos recurrentes:
+ *  - Escapar texto (\ ; , y saltos de línea) y plegar líneas a 75 octetos
+ *  - Fechas locales "YYYYMMDDTHHMMSS" (con TZID) y UTC "YYYYMMDDTHHMMSSZ"
+ *  - VTIMEZONE de America/Montevideo y VEVENT con RRULE semanal + EXDATE
+ *
+ * Notas:
+ *  - Uruguay no tiene horario de verano desde 2015: America/Montevideo es UTC-3
+ *    fijo, así que la VTIMEZONE tiene una sola regla STANDARD.
+ *  - Las líneas se separan con CRLF, como pide la RFC.
+ */
+
+const { toMinutes } = require("./horario.util");
+
+const TZID = "America/Montevideo";
+const OFFSET_HORAS = -3;
+const CRLF = "\r\n";
+
+/** Día de HorarioSchema -> BYDAY de RRULE */
+const BYDAY = { LUN: "MO", MAR: "TU", MIE: "WE", JUE: "TH", VIE: "FR", SAB: "SA" };
+
+/** Escapa un valor TEXT (RFC 5545 3.3.11) */
+function escaparTexto(s) {
+  return String(s ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/** Pliega una línea a 75 octetos (continuaciones empiezan con un espacio), sin cortar caracteres UTF-8 */
+function plegarLinea(linea) {
+  const partes = [];
+  let actual = "";
+  let octetos = 0;
+  for (const ch of linea) {
+    const n = Buffer.byteLength(ch);
+    const limite = partes.length ? 74 : 75; // las continuaciones llevan un espacio adelante
+    if (octetos + n > limite) {
+      partes.push(actual);
+      actual = "";
+      octetos = 0;
+    }
+    actual += ch;
+    octetos += n;
+  }
+  partes.push(actual);
+  return partes.join(`${CRLF} `);
+}
+
+/** "YYYY-MM-DD" + "HH:mm" -> "YYYYMMDDTHHMM00" (hora local, para usar con TZID) */
+function fechaLocal(isoDate, hhmm = "00:00") {
+  return `${isoDate.replace(/-/g, "")}T${hhmm.replace(":", "")}00`;
+}
+
+/** Date -> "YYYYMMDDTHHMMSSZ" */
+function fechaUTC(d) {
+  return new Date(d).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/** Último instante del día local "YYYY-MM-DD" expresado en UTC (para UNTIL) */
+function finDelDiaUTC(isoDate) {
+  const [y, m, d] = isoDate.split("-").map(Number);
+  return fechaUTC(Date.UTC(y, m - 1, d, 23 - OFFSET_HORAS, 59, 59));
+}
+
+/** Componente VTIMEZONE (offset fijo, ver notas) */
+function vtimezone() {
+  const offset = `${OFFSET_HORAS < 0 ? "-" : "+"}${String(Math.abs(OFFSET_HORAS)).padStart(2, "0")}00`;
+  return [
+    "BEGIN:VTIMEZONE",
+    `TZID:${TZID}`,
+    "BEGIN:STANDARD",
+    "DTSTART:19700101T000000",
+    `TZOFFSETFROM:${offset}`,
+    `TZOFFSETTO:${offset}`,
+    `TZNAME:${offset.slice(0, 3)}`,
+    "END:STANDARD",
+    "END:VTIMEZONE",
+  ];
+}
+
+/**
+ * VEVENT recurrente:
+ * - e: { uid, resumen, descripcion?, lugar?, dia, inicio, fin, primera:"YYYY-MM-DD",
+ *        ultima:"YYYY-MM-DD", intervalo (1 semanal, 2 quincenal), excepciones:["YYYY-MM-DD"] }
+ * - dtstamp: Date de generación
+ */
+function vevent(e, dtstamp) {
+  const lineas = [
+    "BEGIN:VEVENT",
+    `UID:${e.uid}`,
+    `DTSTAMP:${fechaUTC(dtstamp)}`,
+    `DTSTART;TZID=${TZID}:${fechaLocal(e.primera, e.inicio)}`,
+    `DTEND;TZID=${TZID}:${fechaLocal(e.primera, e.fin)}`,
+    `RRULE:FREQ=WEEKLY;INTERVAL=${e.intervalo};BYDAY=${BYDAY[e.dia]};UNTIL=${finDelDiaUTC(e.ultima)}`,
+  ];
+  if (e.excepciones?.length) {
+    lineas.push(`EXDATE;TZID=${TZID}:${e.excepciones.map(f => fechaLocal(f, e.inicio)).join(",")}`);
+  }
+  lineas.push(`SUMMARY:${escaparTexto(e.resumen)}`);
+  if (e.lugar) lineas.push(`LOCATION:${escaparTexto(e.lugar)}`);
+  if (e.descripcion) lineas.push(`DESCRIPTION:${escaparTexto(e.descripcion)}`);
+  lineas.push("END:VEVENT");
+  return lineas;
+}
+
+/**
+ * Calendario completo.
+ * - nombre: X-WR-CALNAME (nombre visible al importar)
+ * - eventos: ver vevent
+ * Devuelve el texto del .ics (CRLF, líneas plegadas).
+ */
+function construirCalendario({ nombre, eventos = [], dtstamp = new Date() }) {
+  const lineas = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//tarea_1//Horario de cursada//ES",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escaparTexto(nombre)}`,
+    `X-WR-TIMEZONE:${TZID}`,
+    ...vtimezone(),
+    ...eventos
+      .slice()
+      .sort((a, b) => a.primera.localeCompare(b.primera) || toMinutes(a.inicio) - toMinutes(b.inicio))
+      .flatMap(e => vevent(e, dtstamp)),
+    "END:VCALENDAR",
+  ];
+  return lineas.map(plegarLinea).join(CRLF) + CRLF;
+}
+
+module.exports = {
+  TZID,
+  BYDAY,
+  escaparTexto,
+  plegarLinea,
+  fechaLocal,
+  fechaUTC,
+  finDelDiaUTC,
+  construirCalendario,
+};
@@ -0,0 +1,125 @@
+/**
+ * Utils de PDF
+ * ============
+ * Escritor mínimo de PDF 1.4 (una página, sin dependencias) para documentos
+ * simples: rectángulos, líneas y texto con Helvetica / Helvetica-Bold.
+ *
+ * Uso:
+ *   const doc = crearPdf({ ancho: 842, alto: 595 });   // A4 apaisado, en puntos
+ *   doc.rect(40, 40, 100, 20, { relleno: "#dbeafe", borde: "#1e3a8a" });
+ *   doc.texto(45, 54, "Cálculo I", { tam: 9, negrita: true });
+ *   const buffer = doc.generar();
+ *
+ * Notas:
+ *  - Coordenadas con origen arriba a la izquierda (como en HTML); se invierten al escribir.
+ *  - El texto va en WinAnsiEncoding (Latin-1 + algunos signos): tildes y ñ funcionan,
+ *    lo que no se puede representar se reemplaza por "?".
+ *  - anchoTexto es una estimación (ancho medio de Helvetica) para recortar textos largos.
+ */
+
+const A4_APAISADO = { ancho: 842, alto: 595 };
+
+/** Caracteres fuera de Latin-1 que sí existen en WinAnsiEncoding */
+const WIN_ANSI = { "€": 0x80, "•": 0x95, "–": 0x96, "—": 0x97, "“": 0x93, "”": 0x94, "‘": 0x91, "’": 0x92, "…": 0x85 };
+
+const num = n => (Math.round(n * 100) / 100).toString();
+
+/** "#rrggbb" -> "r g b" (0..1) */
+function colorPdf(hex) {
+  const m = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex || "");
+  if (!m) return "0 0 0";
+  return m.slice(1).map(h => num(parseInt(h, 16) / 255)).join(" ");
+}
+
+/** Texto -> string hexadecimal de PDF en WinAnsiEncoding */
+function textoHex(s) {
+  let hex = "";
+  for (const ch of String(s ?? "")) {
+    const code = WIN_ANSI[ch] ?? (ch.codePointAt(0) <= 0xff ? ch.codePointAt(0) : 0x3f);
+    hex += code.toString(16).padStart(2, "0");
+  }
+  return `<${hex}>`;
+}
+
+/** Ancho aproximado (en puntos) de un texto en Helvetica */
+function anchoTexto(s, tam, negrita = false) {
+  return String(s ?? "").length * tam * (negrita ? 0.56 : 0.52);
+}
+
+/** Recorta el texto (con "…") para que entre en "ancho" puntos */
+function recortar(s, ancho, tam, negrita = false) {
+  const str = String(s ?? "");
+  if (anchoTexto(str, tam, negrita) <= ancho) return str;
+  const max = Math.max(0, Math.floor(ancho / (tam * (negrita ? 0.56 : 0.52))) - 1);
+  return max > 0 ? `${str.slice(0, max)}…` : "";
+}
+
+/**
+ * Crea un documento de una página.
+ * Devuelve { ancho, alto, rect, linea, texto, generar }.
+ */
+function crearPdf({ ancho = A4_APAISADO.ancho, alto = A4_APAISADO.alto } = {}) {
+  const ops = [];
+  const y = v => alto - v;
+
+  return {
+    ancho,
+    alto,
+
+    /** Rectángulo; opts: { relleno?, borde?, grosor? } */
+    rect(x, top, w, h, { relleno = null, borde = null, grosor = 0.5 } = {}) {
+      if (!relleno && !borde) return;
+      ops.push("q");
+      if (relleno) ops.push(`${colorPdf(relleno)} rg`);
+      if (borde) ops.push(`${colorPdf(borde)} RG ${num(grosor)} w`);
+      ops.push(`${num(x)} ${num(y(top + h))} ${num(w)} ${num(h)} re ${relleno && borde ? "B" : relleno ? "f" : "S"}`);
+      ops.push("Q");
+    },
+
+    /** Línea recta; opts: { color?, grosor? } */
+    linea(x1, y1, x2, y2, { color = "#000000", grosor = 0.5 } = {}) {
+      ops.push(`q ${colorPdf(color)} RG ${num(grosor)} w ${num(x1)} ${num(y(y1))} m ${num(x2)} ${num(y(y2))} l S Q`);
+    },
+
+    /** Texto con la línea base en (x, base); opts: { tam?, negrita?, color? } */
+    texto(x, base, s, { tam = 10, negrita = false, color = "#000000" } = {}) {
+      ops.push(`BT /${negrita ? "F2" : "F1"} ${num(tam)} Tf ${colorPdf(color)} rg ${num(x)} ${num(y(base))} Td ${textoHex(s)} Tj ET`);
+    },
+
+    /** Serializa el documento (Buffer) */
+    generar() {
+      const contenido = ops.join("\n");
+      const objetos = [
+        "<< /Type /Catalog /Pages 2 0 R >>",
+        "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(ancho)} ${num(alto)}] ` +
+          "/Resources << /Font << /F1 5 0 R /F2 6 0 R >> >> /Contents 4 0 R >>",
+        `<< /Length ${contenido.length} >>\nstream\n${contenido}\nendstream`,
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+      ];
+
+      // Todo el contenido es ASCII (textos en hex), así que largo en caracteres = bytes
+      let out = "%PDF-1.4\n";
+      const offsets = [];
+      objetos.forEach((obj, i) => {
+        offsets.push(out.length);
+        out += `${i + 1} 0 obj\n${obj}\nendobj\n`;
+      });
+      const xref = out.length;
+      out += `xref\n0 ${objetos.length + 1}\n0000000000 65535 f \n`;
+      out += offsets.map(o => `${String(o).padStart(10, "0")} 00000 n \n`).join("");
+      out += `trailer\n<< /Size ${objetos.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      return Buffer.from(out, "latin1");
+    },
+  };
+}
+
+module.exports = {
+  A4_APAISADO,
+  crearPdf,
+  anchoTexto,
+  recortar,
+  textoHex,
+  colorPdf,
+};
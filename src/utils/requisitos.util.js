@@ -0,0 +1,180 @@
+/**
+ * Utils de Requisitos Compuestos
+ * ==============================
+ * Un requisito es un árbol chico de reglas que complementa a las "previas" simples:
+ *
+ *  { tipo: 'AND', reglas: [ ... ] }                       // todas
+ *  { tipo: 'OR',  reglas: [ ... ] }                       // al menos una
+ *  { tipo: 'PREVIA', nivel: 'CURSO'|'EXAMEN', materia }    // igual que una previa simple
+ *  { tipo: 'CREDITOS', minimo: 180 }                      // créditos APROBADOS (calcularCreditos)
+ *  { tipo: 'SEMESTRE', minimo: 3 }                        // semestres 1..3 completos
+ *
+ * Funciones puras para validar, normalizar, describir y evaluar el árbol.
+ * La evaluación recibe un contexto ya calculado (ver elegibilidad.service):
+ *  { cumplePrevia(nivel, materiaId) => bool, estadoDe(materiaId) => estado,
+ *    creditosAprobados, semestreCompletado, materias: Map<id,{codigo,nombre}> }
+ */
+
+const { Types } = require("mongoose");
+
+const TIPOS = ["AND", "OR", "PREVIA", "CREDITOS", "SEMESTRE"];
+const NIVELES = ["CURSO", "EXAMEN"];
+const MAX_PROFUNDIDAD = 5;
+
+/** Valida un árbol de reglas. Devuelve un mensaje de error o null si es válido. */
+function validarRegla(regla, profundidad = 0) {
+  if (!regla || typeof regla !== "object") return "regla inválida";
+  if (profundidad > MAX_PROFUNDIDAD) return `el árbol de requisitos supera ${MAX_PROFUNDIDAD} niveles`;
+  if (!TIPOS.includes(regla.tipo)) return `tipo de regla inválido: ${regla.tipo}`;
+
+  switch (regla.tipo) {
+    case "AND":
+    case "OR":
+      if (!Array.isArray(regla.reglas) || regla.reglas.length === 0) return `${regla.tipo} requiere reglas (array no vacío)`;
+      for (const r of regla.reglas) {
+        const err = validarRegla(r, profundidad + 1);
+        if (err) return err;
+      }
+      return null;
+    case "PREVIA":
+      if (!NIVELES.includes(regla.nivel)) return "PREVIA requiere nivel CURSO o EXAMEN";
+      if (!Types.ObjectId.isValid(regla.materia)) return "PREVIA requiere materia (ObjectId)";
+      return null;
+    case "CREDITOS":
+    case "SEMESTRE":
+      if (!Number.isInteger(Number(regla.minimo)) || Number(regla.minimo) < 1) return `${regla.tipo} requiere minimo entero >= 1`;
+      return null;
+    default:
+      return null;
+  }
+}
+
+/** Normaliza un árbol ya validado (descarta campos extra y castea tipos) */
+function normalizarRegla(regla) {
+  switch (regla.tipo) {
+    case "AND":
+    case "OR":
+      return { tipo: regla.tipo, reglas: regla.reglas.map(normalizarRegla) };
+    case "PREVIA":
+      return { tipo: "PREVIA", nivel: regla.nivel, materia: new Types.ObjectId(String(regla.materia)) };
+    default:
+      return { tipo: regla.tipo, minimo: Number(regla.minimo) };
+  }
+}
+
+/** Previas (hojas PREVIA) del árbol, en formato de PreviaSchema: [{ tipo, materia }] */
+function extraerPrevias(regla) {
+  if (!regla) return [];
+  if (regla.tipo === "PREVIA") return [{ tipo: regla.nivel, materia: regla.materia }];
+  if (regla.tipo === "AND" || regla.tipo === "OR") return regla.reglas.flatMap(extraerPrevias);
+  return [];
+}
+
+/**
+ * Filtro Mongo de materias cuyos requisitos tienen una hoja PREVIA de materiaId.
+ * requisitos es Mixed: se arma un $or con la ruta de cada nivel del árbol
+ * (requisitos.materia, requisitos.reglas.materia, ...). Mongo recorre los arrays solo.
+ */
+function filtroPreviaEnRequisitos(materiaId) {
+  const id = new Types.ObjectId(String(materiaId));
+  const or = [];
+  for (let nivel = 0, ruta = "requisitos"; nivel <= MAX_PROFUNDIDAD; nivel++, ruta += ".reglas") {
+    or.push({ [`${ruta}.materia`]: id }); // solo las hojas PREVIA tienen materia
+  }
+  return { $or: or };
+}
+
+/**
+ * Quita del árbol las hojas PREVIA de materiaId (p.ej. al borrar esa materia en cascada).
+ * Un AND/OR que queda sin reglas se quita también; si no queda nada devuelve null.
+ */
+function quitarPrevia(regla, materiaId) {
+  if (!regla) return null;
+  if (regla.tipo === "PREVIA") return String(regla.materia) === String(materiaId) ? null : regla;
+  if (regla.tipo === "AND" || regla.tipo === "OR") {
+    const reglas = regla.reglas.map(r => quitarPrevia(r, materiaId)).filter(Boolean);
+    return reglas.length ? { ...regla, reglas } : null;
+  }
+  return regla;
+}
+
+/** Texto legible de una regla (para motivos) */
+function describirRegla(regla, materias = new Map()) {
+  switch (regla.tipo) {
+    case "AND":
+      return `(${regla.reglas.map(r => describirRegla(r, materias)).join(" y ")})`;
+    case "OR":
+      return `(${regla.reglas.map(r => describirRegla(r, materias)).join(" o ")})`;
+    case "PREVIA": {
+      const cod = materias.get(String(regla.materia))?.codigo || String(regla.materia);
+      return regla.nivel === "EXAMEN" ? `EXAMEN de ${cod}` : `CURSO de ${cod}`;
+    }
+    case "CREDITOS":
+      return `${regla.minimo} créditos aprobados`;
+    case "SEMESTRE":
+      return `semestre ${regla.minimo} completo`;
+    default:
+      return regla.tipo;
+  }
+}
+
+/**
+ * Evalúa el árbol contra el contexto del alumno.
+ * Devuelve { tipo, descripcion, cumplida, motivos:[], ...detalle, reglas?:[resultados] }
+ *  - motivos: explica cada rama no cumplida (vacío si cumplida); en un OR, los faltantes
+ *    de cada alternativa con la alternativa como prefijo
+ */
+function evaluarRegla(regla, ctx) {
+  const descripcion = describirRegla(regla, ctx.materias);
+
+  switch (regla.tipo) {
+    case "AND": {
+      const reglas = regla.reglas.map(r => evaluarRegla(r, ctx));
+      const cumplida = reglas.every(r => r.cumplida);
+      return { tipo: "AND", descripcion, cumplida, motivos: cumplida ? [] : reglas.flatMap(r => r.motivos), reglas };
+    }
+    case "OR": {
+      const reglas = regla.reglas.map(r => evaluarRegla(r, ctx));
+      const cumplida = reglas.some(r => r.cumplida);
+      // Un motivo por requisito faltante de cada alternativa (cualquiera alcanza)
+      const motivos = cumplida ? [] : reglas.flatMap(r =>
+        r.motivos.map(m => `Alternativa ${r.descripcion}: ${m}`)
+      );
+      return { tipo: "OR", descripcion, cumplida, motivos, reglas };
+    }
+    case "PREVIA": {
+      const estadoActual = ctx.estadoDe(regla.materia);
+      const cumplida = ctx.cumplePrevia(regla.nivel, regla.materia);
+      const cod = ctx.materias?.get(String(regla.materia))?.codigo || String(regla.materia);
+      const motivos = cumplida ? [] : [
+        regla.nivel === "EXAMEN" ? `Falta APROBAR EXAMEN de la previa: ${cod}` : `Falta CURSAR/APROBAR la previa: ${cod}`,
+      ];
+      return { tipo: "PREVIA", descripcion, cumplida, motivos, nivel: regla.nivel, materia: regla.materia, estadoActual };
+    }
+    case "CREDITOS": {
+      const actual = ctx.creditosAprobados ?? 0;
+      const cumplida = actual >= regla.minimo;
+      const motivos = cumplida ? [] : [`Se requieren ${regla.minimo} créditos aprobados (tenés ${actual}).`];
+      return { tipo: "CREDITOS", descripcion, cumplida, motivos, minimo: regla.minimo, actual };
+    }
+    case "SEMESTRE": {
+      const actual = ctx.semestreCompletado ?? 0;
+      const cumplida = actual >= regla.minimo;
+      const motivos = cumplida ? [] : [`Se requiere tener completo el semestre ${regla.minimo} (completo hasta: ${actual}).`];
+      return { tipo: "SEMESTRE", descripcion, cumplida, motivos, minimo: regla.minimo, actual };
+    }
+    default:
+      return { tipo: regla.tipo, descripcion, cumplida: false, motivos: [`Regla desconocida: ${regla.tipo}`] };
+  }
+}
+
+module.exports = {
+  TIPOS,
+  validarRegla,
+  normalizarRegla,
+  extraerPrevias,
+  filtroPreviaEnRequisitos,
+  quitarPrevia,
+  describirRegla,
+  evaluarRegla,
+};
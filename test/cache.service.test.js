@@ -0,0 +1,96 @@
+/**
+ * Tests de la caché de elegibilidad (cache.service): hits, invalidación por usuario
+ * y global, y versión/generación para no guardar resultados calculados antes de
+ * una invalidación.
+ * Correr con: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("node:events");
+const cache = require("../src/services/cache.service");
+
+// Store nuevo por test: configurarStore además sube la generación
+test.beforeEach(() => cache.configurarStore(cache.crearMemoryStore()));
+
+const calcularCon = (valor) => {
+  const fn = async () => { fn.llamadas++; return valor; };
+  fn.llamadas = 0;
+  return fn;
+};
+
+test("miss y después hit, por usuario y semestre", async () => {
+  const calcular = calcularCon({ total: 3 });
+  assert.deepEqual(await cache.obtenerElegibilidad({ usuarioId: "u1" }, calcular), { valor: { total: 3 }, hit: false });
+  assert.deepEqual(await cache.obtenerElegibilidad({ usuarioId: "u1" }, calcular), { valor: { total: 3 }, hit: true });
+  assert.equal((await cache.obtenerElegibilidad({ usuarioId: "u1", semestre: 2 }, calcular)).hit, false);
+  assert.equal((await cache.obtenerElegibilidad({ usuarioId: "u2" }, calcular)).hit, false);
+  assert.equal(calcular.llamadas, 3);
+});
+
+test("invalidarUsuario solo afecta a ese usuario", async () => {
+  const calcular = calcularCon(1);
+  await cache.obtenerElegibilidad({ usuarioId: "u1" }, calcular);
+  await cache.obtenerElegibilidad({ usuarioId: "u2" }, calcular);
+  await cache.invalidarUsuario("u1");
+  assert.equal((await cache.obtenerElegibilidad({ usuarioId: "u1" }, calcular)).hit, false);
+  assert.equal((await cache.obtenerElegibilidad({ usuarioId: "u2" }, calcular)).hit, true);
+});
+
+test("invalidarTodo limpia a todos", async () => {
+  const calcular = calcularCon(1);
+  await cache.obtenerElegibilidad({ usuarioId: "u1" }, calcular);
+  await cache.obtenerElegibilidad({ usuarioId: "u2" }, calcular);
+  await cache.invalidarTodo();
+  assert.equal((await cache.obtenerElegibilidad({ usuarioId: "u1" }, calcular)).hit, false);
+  assert.equal((await cache.obtenerElegibilidad({ usuarioId: "u2" }, calcular)).hit, false);
+});
+
+test("no guarda lo calculado si el usuario se invalidó mientras tanto", async () => {
+  const viejo = async () => { await cache.invalidarUsuario("u1"); return "viejo"; };
+  assert.deepEqual(await cache.obtenerElegibilidad({ usuarioId: "u1" }, viejo), { valor: "viejo", hit: false });
+
+  const nuevo = calcularCon("nuevo");
+  assert.deepEqual(await cache.obtenerElegibilidad({ usuarioId: "u1" }, nuevo), { valor: "nuevo", hit: false });
+  assert.equal(nuevo.llamadas, 1);
+});
+
+test("no guarda lo calculado si hubo una invalidación global mientras tanto", async () => {
+  const viejo = async () => { await cache.invalidarTodo(); return "viejo"; };
+  await cache.obtenerElegibilidad({ usuarioId: "u1" }, viejo);
+  assert.equal((await cache.obtenerElegibilidad({ usuarioId: "u1" }, calcularCon("nuevo"))).hit, false);
+});
+
+test("la invalidación de otro usuario no descarta el cálculo", async () => {
+  const calcular = async () => { await cache.invalidarUsuario("u2"); return "ok"; };
+  await cache.obtenerElegibilidad({ usuarioId: "u1" }, calcular);
+  assert.equal((await cache.obtenerElegibilidad({ usuarioId: "u1" }, calcularCon("otro"))).hit, true);
+});
+
+test("escucharEventos: eventos de usuario y globales del bus", async () => {
+  const bus = new EventEmitter();
+  cache.escucharEventos(bus);
+  const calcular = calcularCon(1);
+  await cache.obtenerElegibilidad({ usuarioId: "u1" }, calcular);
+  await cache.obtenerElegibilidad({ usuarioId: "u2" }, calcular);
+
+  bus.emit("historial:actualizado", { usuarioId: "u1" });
+  await new Promise(setImmediate); // la invalidación es async
+  assert.equal((await cache.obtenerElegibilidad({ usuarioId: "u1" }, calcular)).hit, false);
+  assert.equal((await cache.obtenerElegibilidad({ usuarioId: "u2" }, calcular)).hit, true);
+
+  bus.emit("materia:actualizada", {});
+  await new Promise(setImmediate);
+  assert.equal((await cache.obtenerElegibilidad({ usuarioId: "u2" }, calcular)).hit, false);
+});
+
+test("memory store: TTL y tope de entradas", async () => {
+  const s = cache.crearMemoryStore({ maxEntradas: 2 });
+  await s.set("a", 1, 60_000);
+  await s.set("b", 2, 60_000);
+  await s.set("c", 3, 60_000);
+  assert.equal(await s.get("a"), undefined); // se descartó la más vieja
+  assert.equal(await s.get("c"), 3);
+  await s.set("d", 4, -1);
+  assert.equal(await s.get("d"), undefined); // vencida
+});
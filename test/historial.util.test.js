@@ -0,0 +1,53 @@
+/**
+ * Tests de la máquina de estados del Historial (historial.util)
+ * Correr con: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { validarTransicion, ESTADOS, TRANSICIONES } = require("../src/utils/historial.util");
+
+const campos = (violaciones) => violaciones.map(v => v.campo);
+
+test("sin registro se parte de PENDIENTE: solo EN_CURSO o quedarse", () => {
+  assert.deepEqual(validarTransicion(null, { estado: "PENDIENTE" }), []);
+  assert.deepEqual(validarTransicion(null, { estado: "EN_CURSO" }), []);
+  assert.deepEqual(campos(validarTransicion(null, { estado: "CURSADO", fecha: "2026-07-01" })), ["estado"]);
+});
+
+test("respeta la tabla de transiciones", () => {
+  const completo = { fecha: "2026-07-01", notaExamen: 8 };
+  for (const desde of ESTADOS) {
+    for (const hacia of ESTADOS) {
+      const permitido = desde === hacia || TRANSICIONES[desde].includes(hacia);
+      const violaciones = validarTransicion(desde, { estado: hacia, ...completo });
+      assert.equal(violaciones.length === 0, permitido, `${desde} -> ${hacia}`);
+    }
+  }
+});
+
+test("APROBADO es final", () => {
+  const [v] = validarTransicion("APROBADO", { estado: "CURSADO", fecha: "2026-07-01" });
+  assert.equal(v.campo, "estado");
+  assert.match(v.mensaje, /estado final/);
+});
+
+test("exige los campos del estado nuevo", () => {
+  assert.deepEqual(campos(validarTransicion("EN_CURSO", { estado: "CURSADO" })), ["fecha"]);
+  assert.deepEqual(campos(validarTransicion("CURSADO", { estado: "APROBADO", fecha: "2026-07-01" })), ["notaExamen"]);
+  assert.deepEqual(campos(validarTransicion("CURSADO", { estado: "APROBADO", fecha: "2026-07-01", notaExamen: 2 })), ["notaExamen"]);
+  assert.deepEqual(campos(validarTransicion("CURSADO", { estado: "APROBADO", fecha: "no-es-fecha", notaExamen: 5 })), ["fecha"]);
+});
+
+test("estado desconocido", () => {
+  assert.deepEqual(campos(validarTransicion("PENDIENTE", { estado: "RECURSANDO" })), ["estado"]);
+});
+
+test("reconocimiento: puede saltar hacia adelante pero no volver", () => {
+  const opts = { reconocimiento: true };
+  assert.deepEqual(validarTransicion(null, { estado: "APROBADO", fecha: "2026-07-01", notaExamen: 9 }, opts), []);
+  assert.deepEqual(validarTransicion("EN_CURSO", { estado: "A_EXAMEN", fecha: "2026-07-01" }, opts), []);
+  assert.deepEqual(campos(validarTransicion("A_EXAMEN", { estado: "CURSADO", fecha: "2026-07-01" }, opts)), ["estado"]);
+  // Los campos se exigen igual
+  assert.deepEqual(campos(validarTransicion(null, { estado: "APROBADO" }, opts)), ["fecha", "notaExamen"]);
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests de la evaluación de requisitos compuestos (requisitos.util)
+ * Correr con: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Types } = require("mongoose");
+const { validarRegla, evaluarRegla, quitarPrevia, extraerPrevias } = require("../src/utils/requisitos.util");
+const { cumplePrevia } = require("../src/services/elegibilidad.service");
+
+const MAT101 = new Types.ObjectId().toString();
+const MAT102 = new Types.ObjectId().toString();
+
+/** Contexto como el de elegibilidad.service a partir de un Map<materiaId, estado> */
+function contexto(estados, { creditosAprobados = 0, semestreCompletado = 0 } = {}) {
+  return {
+    estadoDe: (id) => estados.get(String(id)) || "PENDIENTE",
+    cumplePrevia: (nivel, id) => cumplePrevia(nivel, estados.get(String(id))),
+    creditosAprobados,
+    semestreCompletado,
+    materias: new Map([[MAT101, { codigo: "MAT101" }], [MAT102, { codigo: "MAT102" }]]),
+  };
+}
+
+const previa = (materia, nivel = "CURSO") => ({ tipo: "PREVIA", nivel, materia });
+
+test("validarRegla", () => {
+  assert.equal(validarRegla({ tipo: "AND", reglas: [previa(MAT101), { tipo: "CREDITOS", minimo: 30 }] }), null);
+  assert.match(validarRegla({ tipo: "OR", reglas: [] }), /array no vacío/);
+  assert.match(validarRegla({ tipo: "PREVIA", nivel: "FINAL", materia: MAT101 }), /nivel/);
+  assert.match(validarRegla({ tipo: "CREDITOS", minimo: 0 }), /minimo/);
+  assert.match(validarRegla({ tipo: "XOR", reglas: [] }), /tipo de regla inválido/);
+});
+
+test("PREVIA: CURSO con CURSADO, EXAMEN solo con APROBADO", () => {
+  const ctx = contexto(new Map([[MAT101, "CURSADO"]]));
+  assert.equal(evaluarRegla(previa(MAT101, "CURSO"), ctx).cumplida, true);
+  const examen = evaluarRegla(previa(MAT101, "EXAMEN"), ctx);
+  assert.equal(examen.cumplida, false);
+  assert.equal(examen.estadoActual, "CURSADO");
+  assert.deepEqual(examen.motivos, ["Falta APROBAR EXAMEN de la previa: MAT101"]);
+});
+
+test("AND: todas; los motivos juntan los de cada rama", () => {
+  const regla = { tipo: "AND", reglas: [previa(MAT101), { tipo: "CREDITOS", minimo: 60 }] };
+  const r = evaluarRegla(regla, contexto(new Map(), { creditosAprobados: 40 }));
+  assert.equal(r.cumplida, false);
+  assert.deepEqual(r.motivos, [
+    "Falta CURSAR/APROBAR la previa: MAT101",
+    "Se requieren 60 créditos aprobados (tenés 40).",
+  ]);
+  assert.equal(evaluarRegla(regla, contexto(new Map([[MAT101, "APROBADO"]]), { creditosAprobados: 60 })).cumplida, true);
+});
+
+test("OR: alcanza una alternativa; si ninguna, motivos por alternativa", () => {
+  const regla = { tipo: "OR", reglas: [previa(MAT101, "EXAMEN"), { tipo: "SEMESTRE", minimo: 2 }] };
+  assert.equal(evaluarRegla(regla, contexto(new Map(), { semestreCompletado: 2 })).cumplida, true);
+
+  const r = evaluarRegla(regla, contexto(new Map(), { semestreCompletado: 1 }));
+  assert.equal(r.cumplida, false);
+  assert.deepEqual(r.motivos, [
+    "Alternativa EXAMEN de MAT101: Falta APROBAR EXAMEN de la previa: MAT101",
+    "Alternativa semestre 2 completo: Se requiere tener completo el semestre 2 (completo hasta: 1).",
+  ]);
+  assert.equal(r.reglas.length, 2);
+});
+
+test("quitarPrevia poda hojas y nodos vacíos", () => {
+  const regla = { tipo: "AND", reglas: [{ tipo: "OR", reglas: [previa(MAT101)] }, previa(MAT102, "EXAMEN")] };
+  assert.deepEqual(quitarPrevia(regla, MAT101), { tipo: "AND", reglas: [previa(MAT102, "EXAMEN")] });
+  assert.equal(quitarPrevia(quitarPrevia(regla, MAT101), MAT102), null);
+  assert.deepEqual(extraerPrevias(regla), [{ tipo: "CURSO", materia: MAT101 }, { tipo: "EXAMEN", materia: MAT102 }]);
+});